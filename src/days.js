@@ -0,0 +1,16 @@
+// src/days.js
+// Calendar days as YYYY-MM-DD strings, shared by progress streaks in the
+// worker and study plan days in SessionManager so both count days alike.
+
+// The YYYY-MM-DD day at `timestamp` for a time zone offset in minutes, as
+// Date#getTimezoneOffset gives it
+export function localDay(timestamp, timezoneOffset) {
+  return new Date(timestamp - timezoneOffset * 60000).toISOString().slice(0, 10);
+}
+
+// The day `delta` days after `day` (before it when negative)
+export function shiftDay(day, delta) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + delta);
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,446 @@
+// src/durable-objects/Course.js
+// One instructor-run course per instance, addressed by its id. Holds the
+// course's syllabus, topics and custom prompt, who has joined and in which
+// role, the reference material the assistant cites (chunked and embedded by
+// the worker, like a student's own notes), and the questions students ask in
+// the course's threads for the instructor's insights.
+//
+// Every route takes the acting userId and checks their role here: members
+// may read the course and search its material, only instructors may change
+// it or see insights. Questions are stored against a per-course member
+// number rather than the user id, and insights only ever report counts,
+// redacted example questions of concepts enough students asked about, and
+// misconceptions summarized across students.
+import { SqlVectorStore } from '../vector-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Example questions and misconceptions are only shown once this many
+// different students have asked about a concept (or been confused at all)
+const INSIGHT_MIN_STUDENTS = 3;
+const INSIGHT_CONCEPTS = 10;
+const INSIGHT_EXAMPLES = 3;
+const INSIGHT_EXAMPLE_CHARS = 200;
+// Misconceptions are summarized from the most recent confused questions, and
+// summarized again once this many more have come in
+const MISCONCEPTION_QUESTIONS = 40;
+const MISCONCEPTION_REFRESH = 5;
+
+export class Course {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.sql = state.storage.sql;
+    this.initializeSchema();
+    this.vectors = new SqlVectorStore(this.sql);
+  }
+
+  initializeSchema() {
+    this.sql.exec(`
+      -- A single row, written when the course is created
+      CREATE TABLE IF NOT EXISTS course (
+        id TEXT PRIMARY KEY,
+        code TEXT NOT NULL,
+        name TEXT NOT NULL,
+        syllabus TEXT NOT NULL,
+        topics TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      -- Questions point at a member by id, never by user id
+      CREATE TABLE IF NOT EXISTS members (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL UNIQUE,
+        role TEXT NOT NULL,
+        joined_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS documents (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        chunk_count INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS document_chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id TEXT NOT NULL,
+        ordinal INTEGER NOT NULL,
+        section TEXT,
+        content TEXT NOT NULL,
+        embedding TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS document_chunks_document ON document_chunks (document_id, ordinal);
+
+      -- Students' questions in the course's threads. concept is the course
+      -- topic the worker filed the question under.
+      CREATE TABLE IF NOT EXISTS questions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        member_id INTEGER NOT NULL,
+        concept TEXT NOT NULL,
+        content TEXT NOT NULL,
+        confused INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS questions_created ON questions (created_at);
+
+      -- The last misconception summary, and the newest question it covers
+      CREATE TABLE IF NOT EXISTS misconceptions (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        items TEXT NOT NULL,
+        through_id INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    switch(url.pathname) {
+      case '/create':
+        return this.createCourse(request);
+      case '/info':
+        return this.getInfo(url);
+      case '/update':
+        return this.updateCourse(request);
+      case '/join':
+        return this.join(request);
+      case '/leave':
+        return this.leave(request);
+      case '/context':
+        return this.getContext(url);
+      case '/documents':
+        return this.listDocuments(url);
+      case '/documents/add':
+        return this.addDocument(request);
+      case '/documents/delete':
+        return this.deleteDocument(request);
+      case '/documents/search':
+        return this.searchDocuments(request);
+      case '/questions/add':
+        return this.addQuestion(request);
+      case '/insights':
+        return this.getInsights(url);
+      case '/insights/misconceptions':
+        return this.saveMisconceptions(request);
+      default:
+        return new Response('Not found', { status: 404 });
+    }
+  }
+
+  // { id, code, userId, name, syllabus, topics, prompt }; the user who
+  // creates the course is its instructor
+  async createCourse(request) {
+    const { id, code, userId, name, syllabus, topics, prompt } = await request.json();
+    if (this.findCourse()) {
+      return jsonResponse({ error: 'Course already exists' }, 409);
+    }
+
+    const now = Date.now();
+    this.state.storage.transactionSync(() => {
+      this.sql.exec(
+        'INSERT INTO course (id, code, name, syllabus, topics, prompt, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        id, code, name, syllabus, JSON.stringify(topics), prompt, now, now
+      );
+      this.sql.exec(`INSERT INTO members (user_id, role, joined_at) VALUES (?, 'instructor', ?)`, userId, now);
+    });
+    return jsonResponse(this.toCourse(this.findMember(userId)), 201);
+  }
+
+  async getInfo(url) {
+    const { member, denied } = this.authorize(url.searchParams.get('userId'));
+    if (denied) return denied;
+    return jsonResponse(this.toCourse(member));
+  }
+
+  // { userId, name, syllabus, topics, prompt }, any of them; instructors only
+  async updateCourse(request) {
+    const { userId, ...changes } = await request.json();
+    const { member, denied } = this.authorize(userId, 'instructor');
+    if (denied) return denied;
+
+    const columns = { name: 'name', syllabus: 'syllabus', topics: 'topics', prompt: 'prompt' };
+    for (const [field, column] of Object.entries(columns)) {
+      if (changes[field] === undefined) continue;
+      const value = field === 'topics' ? JSON.stringify(changes[field]) : changes[field];
+      this.sql.exec(`UPDATE course SET ${column} = ?, updated_at = ?`, value, Date.now());
+    }
+    return jsonResponse(this.toCourse(member));
+  }
+
+  // { userId }; joining again keeps the member's role
+  async join(request) {
+    const { userId } = await request.json();
+    if (!this.findCourse()) {
+      return this.courseNotFound();
+    }
+
+    this.sql.exec(
+      `INSERT INTO members (user_id, role, joined_at) VALUES (?, 'student', ?) ON CONFLICT (user_id) DO NOTHING`,
+      userId, Date.now()
+    );
+    return jsonResponse(this.toCourse(this.findMember(userId)));
+  }
+
+  // { userId }; a student's questions stay in the insights after they leave
+  async leave(request) {
+    const { userId } = await request.json();
+    const { member, denied } = this.authorize(userId);
+    if (denied) return denied;
+
+    if (member.role === 'instructor') {
+      return jsonResponse({ error: 'Instructors cannot leave their own course' }, 409);
+    }
+    this.sql.exec('DELETE FROM members WHERE id = ?', member.id);
+    return jsonResponse({ success: true });
+  }
+
+  // What the assistant needs to answer in the course: ?userId= must be a member
+  async getContext(url) {
+    const { denied } = this.authorize(url.searchParams.get('userId'));
+    if (denied) return denied;
+
+    const course = this.findCourse();
+    return jsonResponse({
+      id: course.id,
+      name: course.name,
+      syllabus: course.syllabus,
+      topics: JSON.parse(course.topics),
+      prompt: course.prompt,
+      documentCount: this.sql.exec('SELECT COUNT(*) AS count FROM documents').one().count
+    });
+  }
+
+  async listDocuments(url) {
+    const { denied } = this.authorize(url.searchParams.get('userId'), 'instructor');
+    if (denied) return denied;
+
+    const documents = this.sql.exec(
+      'SELECT id, name, mime_type, size, chunk_count, created_at FROM documents ORDER BY created_at DESC'
+    ).toArray().map(toDocument);
+    return jsonResponse(documents);
+  }
+
+  // Body: { userId, name, mimeType, size, chunks: [{ section, content, embedding }] }
+  async addDocument(request) {
+    const { userId, name, mimeType, size, chunks } = await request.json();
+    const { denied } = this.authorize(userId, 'instructor');
+    if (denied) return denied;
+
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    this.state.storage.transactionSync(() => {
+      this.sql.exec(
+        'INSERT INTO documents (id, name, mime_type, size, chunk_count, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        id, name, mimeType, size, chunks.length, now
+      );
+      this.vectors.add(id, chunks);
+    });
+    return jsonResponse({ id, name, mimeType, size, chunkCount: chunks.length, createdAt: now }, 201);
+  }
+
+  async deleteDocument(request) {
+    const { userId, documentId } = await request.json();
+    const { denied } = this.authorize(userId, 'instructor');
+    if (denied) return denied;
+
+    if (this.sql.exec('SELECT id FROM documents WHERE id = ?', documentId).toArray().length === 0) {
+      return jsonResponse({ error: 'Document not found' }, 404);
+    }
+    this.state.storage.transactionSync(() => {
+      this.vectors.deleteDocument(documentId);
+      this.sql.exec('DELETE FROM documents WHERE id = ?', documentId);
+    });
+    return jsonResponse({ success: true });
+  }
+
+  async searchDocuments(request) {
+    const { userId, vector, limit = 4, minScore = 0 } = await request.json();
+    const { denied } = this.authorize(userId);
+    if (denied) return denied;
+
+    const matches = this.vectors.query(vector, limit, minScore);
+    const names = new Map(this.sql.exec('SELECT id, name FROM documents').toArray().map(row => [row.id, row.name]));
+    return jsonResponse(matches.map(match => ({ ...match, documentName: names.get(match.documentId) })));
+  }
+
+  // { userId, content, concept, confused }. Only students' questions count;
+  // an instructor trying out their own course is not recorded.
+  async addQuestion(request) {
+    const { userId, content, concept, confused } = await request.json();
+    const { member, denied } = this.authorize(userId);
+    if (denied) return denied;
+
+    if (member.role !== 'student') {
+      return jsonResponse({ recorded: false });
+    }
+    this.sql.exec(
+      'INSERT INTO questions (member_id, concept, content, confused, created_at) VALUES (?, ?, ?, ?, ?)',
+      member.id, concept, content, confused ? 1 : 0, Date.now()
+    );
+    return jsonResponse({ recorded: true }, 201);
+  }
+
+  // ?userId=&days= - instructors only. Questions of the last `days` days by
+  // concept, plus the latest misconception summary. When enough new
+  // confused questions have come in since that summary, `pending` carries
+  // them (redacted) for the worker to summarize and hand back.
+  async getInsights(url) {
+    const { denied } = this.authorize(url.searchParams.get('userId'), 'instructor');
+    if (denied) return denied;
+
+    const days = Number(url.searchParams.get('days'));
+    const since = Date.now() - days * DAY_MS;
+
+    const totals = this.sql.exec(
+      `SELECT COUNT(*) AS questions, COUNT(DISTINCT member_id) AS students, COALESCE(SUM(confused), 0) AS confused
+       FROM questions WHERE created_at >= ?`, since
+    ).one();
+    const concepts = this.sql.exec(
+      `SELECT concept, COUNT(*) AS questions, COUNT(DISTINCT member_id) AS students, SUM(confused) AS confused
+       FROM questions WHERE created_at >= ?
+       GROUP BY concept ORDER BY questions DESC, concept LIMIT ?`, since, INSIGHT_CONCEPTS
+    ).toArray().map(row => ({
+      concept: row.concept,
+      questions: row.questions,
+      students: row.students,
+      confused: row.confused,
+      examples: row.students >= INSIGHT_MIN_STUDENTS
+        ? [...new Set(this.sql.exec(
+          `SELECT content FROM questions WHERE concept = ? AND created_at >= ?
+           GROUP BY content ORDER BY MAX(id) DESC LIMIT ?`,
+          row.concept, since, INSIGHT_EXAMPLES
+        ).toArray().map(question => redactQuestion(question.content)))]
+        : []
+    }));
+
+    const summary = this.sql.exec('SELECT items, through_id, updated_at FROM misconceptions').toArray()[0];
+    return jsonResponse({
+      days,
+      totals: { questions: totals.questions, students: totals.students, confused: totals.confused },
+      concepts,
+      misconceptions: summary ? JSON.parse(summary.items) : [],
+      misconceptionsUpdatedAt: summary ? summary.updated_at : null,
+      pending: this.pendingMisconceptions(summary ? summary.through_id : 0)
+    });
+  }
+
+  pendingMisconceptions(throughId) {
+    const fresh = this.sql.exec('SELECT COUNT(*) AS count FROM questions WHERE confused = 1 AND id > ?', throughId).one().count;
+    if (fresh === 0 || (throughId > 0 && fresh < MISCONCEPTION_REFRESH)) return null;
+
+    const recent = this.sql.exec(
+      'SELECT id, member_id, concept, content FROM questions WHERE confused = 1 ORDER BY id DESC LIMIT ?',
+      MISCONCEPTION_QUESTIONS
+    ).toArray();
+    if (new Set(recent.map(row => row.member_id)).size < INSIGHT_MIN_STUDENTS) return null;
+
+    return {
+      throughId: recent[0].id,
+      questions: recent.map(row => ({ concept: row.concept, content: redactQuestion(row.content) }))
+    };
+  }
+
+  // { userId, throughId, misconceptions: [{ concept, misconception }] }
+  async saveMisconceptions(request) {
+    const { userId, throughId, misconceptions } = await request.json();
+    const { denied } = this.authorize(userId, 'instructor');
+    if (denied) return denied;
+
+    const now = Date.now();
+    this.sql.exec(
+      `INSERT INTO misconceptions (id, items, through_id, updated_at) VALUES (1, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET items = excluded.items, through_id = excluded.through_id, updated_at = excluded.updated_at`,
+      JSON.stringify(misconceptions), throughId, now
+    );
+    return jsonResponse({ misconceptions, misconceptionsUpdatedAt: now });
+  }
+
+  // The member acting on the course, or the response refusing them: 404
+  // before the course exists, 403 for non-members or the wrong role
+  authorize(userId, role = null) {
+    if (!this.findCourse()) {
+      return { denied: this.courseNotFound() };
+    }
+
+    const member = userId ? this.findMember(userId) : null;
+    if (!member) {
+      return { denied: jsonResponse({ error: 'You have not joined this course' }, 403) };
+    }
+    if (role && member.role !== role) {
+      return { denied: jsonResponse({ error: 'Only instructors can do that' }, 403) };
+    }
+    return { member };
+  }
+
+  findCourse() {
+    return this.sql.exec('SELECT * FROM course').toArray()[0] || null;
+  }
+
+  findMember(userId) {
+    return this.sql.exec('SELECT * FROM members WHERE user_id = ?', userId).toArray()[0] || null;
+  }
+
+  // What a member sees of the course. Instructors also get the join code,
+  // the custom prompt and the number of students.
+  toCourse(member) {
+    const course = this.findCourse();
+    const view = {
+      id: course.id,
+      name: course.name,
+      syllabus: course.syllabus,
+      topics: JSON.parse(course.topics),
+      role: member.role,
+      joinedAt: member.joined_at
+    };
+    if (member.role !== 'instructor') return view;
+
+    return {
+      ...view,
+      code: course.code,
+      prompt: course.prompt,
+      studentCount: this.sql.exec(`SELECT COUNT(*) AS count FROM members WHERE role = 'student'`).one().count,
+      createdAt: course.created_at,
+      updatedAt: course.updated_at
+    };
+  }
+
+  courseNotFound() {
+    return jsonResponse({ error: 'Course not found' }, 404);
+  }
+}
+
+function toDocument(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    mimeType: row.mime_type,
+    size: row.size,
+    chunkCount: row.chunk_count,
+    createdAt: row.created_at
+  };
+}
+
+// Strips what could identify a student from a question shown to the
+// instructor: email addresses, links and long numbers such as student ids
+function redactQuestion(text) {
+  const redacted = text
+    .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+    .replace(/\bhttps?:\/\/\S+/g, '[link]')
+    .replace(/\b\d{5,}\b/g, '[number]')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return redacted.length > INSIGHT_EXAMPLE_CHARS ? redacted.slice(0, INSIGHT_EXAMPLE_CHARS) + '…' : redacted;
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
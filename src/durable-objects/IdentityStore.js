@@ -0,0 +1,110 @@
+// src/durable-objects/IdentityStore.js
+// Holds a single identity record per instance, addressed by name:
+//   account:<email>   credentials for an email account
+//   link:<code>       one-time device link code
+//   legacy:<userId>   claim marker for a pre-auth localStorage userId
+//   share:<id>        owner of a shared conversation link
+//   course:<code>     the course a join code belongs to
+//   login:<email>     failed sign-ins for an email, for throttling
+//   login-ip:<ip>     failed sign-ins from a client IP, for throttling
+// Records are created first-come-first-served, so this is what guarantees an
+// email, link code, legacy id, share id or course code is only ever taken once.
+// Failed sign-ins are kept apart from the record.
+export class IdentityStore {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    switch(url.pathname) {
+      case '/get':
+        return this.getRecord();
+      case '/create':
+        return this.createRecord(request);
+      case '/take':
+        return this.takeRecord();
+      case '/attempts/check':
+        return this.checkAttempts(url);
+      case '/attempts/fail':
+        return this.recordFailedAttempt(request);
+      case '/attempts/clear':
+        return this.clearAttempts();
+      default:
+        return new Response('Not found', { status: 404 });
+    }
+  }
+
+  async getRecord() {
+    const record = await this.state.storage.get('record');
+    if (!record) {
+      return jsonResponse({ error: 'Not found' }, 404);
+    }
+    return jsonResponse(record);
+  }
+
+  async createRecord(request) {
+    const record = await request.json();
+
+    if (await this.state.storage.get('record')) {
+      return jsonResponse({ error: 'Already exists' }, 409);
+    }
+
+    await this.state.storage.put('record', record);
+    return jsonResponse(record, 201);
+  }
+
+  // Reads and deletes the record in one step, for one-time codes
+  async takeRecord() {
+    const record = await this.state.storage.get('record');
+    if (!record) {
+      return jsonResponse({ error: 'Not found' }, 404);
+    }
+
+    await this.state.storage.delete('record');
+    return jsonResponse(record);
+  }
+
+  // ?limit=&windowSeconds= - answers 429 with { retryAfter } (seconds) once
+  // `limit` attempts failed within the window
+  async checkAttempts(url) {
+    const limit = parseInt(url.searchParams.get('limit'), 10);
+    const windowMs = parseInt(url.searchParams.get('windowSeconds'), 10) * 1000;
+    const now = Date.now();
+    const failures = await this.recentFailures(windowMs, now);
+
+    if (failures.length >= limit) {
+      const retryAfter = Math.max(1, Math.ceil((failures[failures.length - limit] + windowMs - now) / 1000));
+      return jsonResponse({ error: 'Too many failed sign-in attempts. Please try again later.', retryAfter }, 429);
+    }
+    return jsonResponse({ remaining: limit - failures.length });
+  }
+
+  // Body: { windowSeconds }
+  async recordFailedAttempt(request) {
+    const { windowSeconds } = await request.json();
+    const now = Date.now();
+    const failures = [...await this.recentFailures(windowSeconds * 1000, now), now];
+    await this.state.storage.put('failures', failures);
+    return jsonResponse({ failures: failures.length });
+  }
+
+  async clearAttempts() {
+    await this.state.storage.delete('failures');
+    return jsonResponse({ success: true });
+  }
+
+  async recentFailures(windowMs, now) {
+    const failures = await this.state.storage.get('failures') || [];
+    return failures.filter(at => at > now - windowMs);
+  }
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
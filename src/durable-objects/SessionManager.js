@@ -1,8 +1,292 @@
 // src/durable-objects/SessionManager.js
+import { createNotifier } from '../notifiers.js';
+import { SqlVectorStore, dot, norm } from '../vector-store.js';
+import { localDay, shiftDay } from '../days.js';
+
+const DEFAULT_THREAD_ID = 'default';
+const DEFAULT_THREAD_TITLE = 'New conversation';
+
+// Turns older than the most recent RECENT_TURNS of a thread are handed back
+// for long-term memory in batches of MEMORY_BATCH_SIZE, so the worker
+// summarizes several turns per AI call. They stay in the thread's history.
+const RECENT_TURNS = 20;
+const MEMORY_BATCH_SIZE = 5;
+
+// Page size for /messages
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Conversation search: result page sizes, and how much of each message a
+// snippet shows
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const SNIPPET_TOKENS = 16;
+const SNIPPET_CHARS = 160;
+// Wrap search matches in snippets until they are HTML-escaped and marked up
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+// Storage get/put accept at most 128 keys per call
+const STORAGE_BATCH_SIZE = 128;
+
+// How often a device's lastSeenAt is refreshed on authenticated requests
+const DEVICE_SEEN_INTERVAL_MS = 60 * 60 * 1000;
+
+// Study plans: a day's review quizzes the student on topics studied this
+// many days before, and lists up to PLAN_CATCH_UP_LIMIT missed days. A
+// reminder that could not be delivered is retried PLAN_NOTIFY_RETRY_MS
+// later, at most PLAN_NOTIFY_ATTEMPTS times a day.
+const PLAN_REVIEW_INTERVALS = [1, 3, 7];
+const PLAN_CATCH_UP_LIMIT = 3;
+const PLAN_NOTIFY_RETRY_MS = 30 * 60 * 1000;
+const PLAN_NOTIFY_ATTEMPTS = 3;
+
 export class SessionManager {
   constructor(state, env) {
     this.state = state;
     this.env = env;
+    this.sql = state.storage.sql;
+    this.initializeSchema();
+    this.upgradeSchema();
+    this.vectors = new SqlVectorStore(this.sql);
+    state.blockConcurrencyWhile(() => this.migrateLegacyHistory());
+  }
+
+  initializeSchema() {
+    const hasSearchIndex = this.sql.exec(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'`
+    ).toArray().length > 0;
+
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS threads (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        mode TEXT,
+        archived INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        summarized_through INTEGER NOT NULL DEFAULT 0,
+        active_message_id INTEGER,
+        course_id TEXT
+      );
+
+      -- Messages form a tree per thread: regenerating an answer or editing a
+      -- question adds a sibling under the same parent. The thread's
+      -- active_message_id is the tip of the branch being shown.
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        thread_id TEXT NOT NULL,
+        parent_id INTEGER,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        metadata TEXT
+      );
+      CREATE INDEX IF NOT EXISTS messages_thread ON messages (thread_id, id);
+
+      -- Full-text index over message content, kept in step by the triggers
+      -- below, plus embeddings for semantic search (filled in lazily)
+      CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+        content,
+        content = 'messages',
+        content_rowid = 'id',
+        tokenize = 'porter unicode61 remove_diacritics 2'
+      );
+
+      CREATE TABLE IF NOT EXISTS message_embeddings (
+        message_id INTEGER PRIMARY KEY,
+        embedding TEXT NOT NULL
+      );
+
+      CREATE TRIGGER IF NOT EXISTS messages_after_insert AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS messages_after_delete AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        DELETE FROM message_embeddings WHERE message_id = old.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS messages_after_update AFTER UPDATE OF content ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+        DELETE FROM message_embeddings WHERE message_id = new.id;
+      END;
+
+      CREATE TABLE IF NOT EXISTS flashcards (
+        id TEXT PRIMARY KEY,
+        question TEXT NOT NULL,
+        answer TEXT NOT NULL,
+        thread_id TEXT,
+        created_at INTEGER NOT NULL,
+        due_at INTEGER NOT NULL,
+        interval_days REAL NOT NULL DEFAULT 0,
+        repetitions INTEGER NOT NULL DEFAULT 0,
+        ease_factor REAL NOT NULL DEFAULT 2.5,
+        last_reviewed_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS flashcards_due_at ON flashcards (due_at);
+
+      CREATE TABLE IF NOT EXISTS quizzes (
+        id TEXT PRIMARY KEY,
+        topic TEXT NOT NULL,
+        title TEXT NOT NULL,
+        questions TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        submitted_at INTEGER
+      );
+
+      -- topic is the quiz's own topic; category is where the progress
+      -- taxonomy files it
+      CREATE TABLE IF NOT EXISTS quiz_results (
+        id TEXT PRIMARY KEY,
+        quiz_id TEXT NOT NULL,
+        topic TEXT NOT NULL,
+        score REAL NOT NULL,
+        max_score INTEGER NOT NULL,
+        graded TEXT NOT NULL,
+        submitted_at INTEGER NOT NULL,
+        category TEXT
+      );
+      CREATE INDEX IF NOT EXISTS quiz_results_topic ON quiz_results (topic, submitted_at);
+
+      -- The progress taxonomy topic of every question, and whether the
+      -- student said they were confused. Rows outlive their messages, so
+      -- clearing a thread does not erase what was studied.
+      CREATE TABLE IF NOT EXISTS question_topics (
+        message_id INTEGER PRIMARY KEY,
+        topic TEXT NOT NULL,
+        confused INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS question_topics_topic ON question_topics (topic, created_at);
+
+      -- Study plans: one item per scheduled day, on days (YYYY-MM-DD) of the
+      -- student's calendar at the time zone offset the plan was made in.
+      -- next_run_at is when the alarm next prepares the plan's day and sends
+      -- its reminder; plan_days keeps each prepared day's review prompts.
+      CREATE TABLE IF NOT EXISTS study_plans (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        goal TEXT NOT NULL,
+        title TEXT NOT NULL,
+        deadline TEXT NOT NULL,
+        timezone_offset INTEGER NOT NULL,
+        reminder_hour INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        next_run_at INTEGER,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS plan_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        plan_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        topic TEXT NOT NULL,
+        tasks TEXT NOT NULL,
+        review_questions TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        completed_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS plan_items_plan ON plan_items (plan_id, day);
+
+      CREATE TABLE IF NOT EXISTS plan_days (
+        plan_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        prompts TEXT NOT NULL,
+        prepared_at INTEGER NOT NULL,
+        notified_at INTEGER,
+        notify_attempts INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (plan_id, day)
+      );
+
+      -- Read-only snapshots of a thread, or part of one, shared by link.
+      -- IdentityStore maps each share id back to this user (share:<id>), and
+      -- a snapshot never changes after it is made.
+      CREATE TABLE IF NOT EXISTS shares (
+        id TEXT PRIMARY KEY,
+        thread_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        messages TEXT NOT NULL,
+        message_count INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS request_log (
+        ts INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS request_log_ts ON request_log (ts);
+
+      CREATE TABLE IF NOT EXISTS token_usage (
+        day TEXT PRIMARY KEY,
+        tokens INTEGER NOT NULL DEFAULT 0
+      );
+
+      -- Instructor courses the student has joined or runs. The course itself,
+      -- and the role that counts, live in its Course object.
+      CREATE TABLE IF NOT EXISTS courses (
+        course_id TEXT PRIMARY KEY,
+        role TEXT NOT NULL,
+        joined_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS documents (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        chunk_count INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS document_chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id TEXT NOT NULL,
+        ordinal INTEGER NOT NULL,
+        section TEXT,
+        content TEXT NOT NULL,
+        embedding TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS document_chunks_document ON document_chunks (document_id, ordinal);
+    `);
+
+    // Messages stored before the index existed
+    if (!hasSearchIndex) {
+      this.sql.exec(`INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')`);
+    }
+  }
+
+  // Adds the branching columns to tables created before messages could
+  // branch, chaining each thread's existing messages in order, the progress
+  // category to quiz results from before the progress dashboard, and the
+  // course column to threads from before courses
+  upgradeSchema() {
+    const columns = this.sql.exec('PRAGMA table_info(messages)').toArray().map(column => column.name);
+    if (!columns.includes('parent_id')) {
+      this.sql.exec(`
+        ALTER TABLE messages ADD COLUMN parent_id INTEGER;
+        ALTER TABLE threads ADD COLUMN active_message_id INTEGER;
+        UPDATE messages SET parent_id = (
+          SELECT MAX(id) FROM messages AS previous
+          WHERE previous.thread_id = messages.thread_id AND previous.id < messages.id
+        );
+        UPDATE threads SET active_message_id = (SELECT MAX(id) FROM messages WHERE thread_id = threads.id);
+      `);
+    }
+    this.sql.exec('CREATE INDEX IF NOT EXISTS messages_parent ON messages (parent_id)');
+
+    const resultColumns = this.sql.exec('PRAGMA table_info(quiz_results)').toArray().map(column => column.name);
+    if (!resultColumns.includes('category')) {
+      this.sql.exec('ALTER TABLE quiz_results ADD COLUMN category TEXT');
+    }
+
+    const threadColumns = this.sql.exec('PRAGMA table_info(threads)').toArray().map(column => column.name);
+    if (!threadColumns.includes('course_id')) {
+      this.sql.exec('ALTER TABLE threads ADD COLUMN course_id TEXT');
+    }
   }
 
   async fetch(request) {
@@ -12,42 +296,1812 @@ export class SessionManager {
       case '/add':
         return this.addInteraction(request);
       case '/history':
-        return this.getHistory();
+        return this.getHistory(url);
+      case '/messages':
+        return this.getMessages(url);
+      case '/messages/get':
+        return this.getMessage(url);
+      case '/messages/client':
+        return this.getClientTurn(url);
+      case '/messages/rate':
+        return this.rateMessage(request);
+      case '/messages/translation':
+        return this.addTranslation(request);
       case '/clear':
-        return this.clearHistory();
+        return this.clearHistory(url);
+      case '/search':
+        return this.searchMessages(url);
+      case '/search/semantic':
+        return this.searchMessagesSemantic(request);
+      case '/search/unindexed':
+        return this.getUnindexedMessages(url);
+      case '/search/index':
+        return this.indexMessages(request);
+      case '/export':
+        return this.exportThreads(url);
+      case '/import':
+        return this.importThreads(request);
+      case '/threads':
+        return this.listThreads();
+      case '/threads/create':
+        return this.createThread(request);
+      case '/threads/rename':
+        return this.renameThread(request);
+      case '/threads/archive':
+        return this.archiveThread(request);
+      case '/threads/delete':
+        return this.deleteThread(request);
+      case '/threads/mode':
+        return this.setThreadMode(request);
+      case '/threads/branch':
+        return this.switchBranch(request);
+      case '/threads/course':
+        return this.setThreadCourse(request);
+      case '/courses':
+        return this.listCourses();
+      case '/courses/add':
+        return this.addCourse(request);
+      case '/courses/remove':
+        return this.removeCourse(request);
+      case '/flashcards/add':
+        return this.addFlashcards(request);
+      case '/flashcards/due':
+        return this.getDueFlashcards(url);
+      case '/flashcards/review':
+        return this.reviewFlashcard(request);
+      case '/quizzes/add':
+        return this.addQuiz(request);
+      case '/quizzes/get':
+        return this.getQuiz(url);
+      case '/quizzes/results/add':
+        return this.addQuizResult(request);
+      case '/quizzes/results':
+        return this.getQuizResults();
+      case '/progress':
+        return this.getProgress(url);
+      case '/progress/unclassified':
+        return this.getUnclassified(url);
+      case '/progress/classify':
+        return this.classifyProgress(request);
+      case '/plans':
+        return this.listPlans();
+      case '/plans/create':
+        return this.createPlan(request);
+      case '/plans/delete':
+        return this.deletePlan(request);
+      case '/plans/items/adjust':
+        return this.adjustPlanItem(request);
+      case '/plans/items/complete':
+        return this.completePlanItem(request);
+      case '/shares':
+        return this.listShares();
+      case '/shares/create':
+        return this.createShare(request);
+      case '/shares/get':
+        return this.getShare(url);
+      case '/shares/revoke':
+        return this.revokeShare(request);
+      case '/devices':
+        return this.listDevices();
+      case '/devices/add':
+        return this.addDevice(request);
+      case '/devices/check':
+        return this.checkDevice(url);
+      case '/devices/revoke':
+        return this.revokeDevice(request);
+      case '/account':
+        return this.getAccount();
+      case '/account/set':
+        return this.setAccount(request);
+      case '/preferences':
+        return this.getPreferences();
+      case '/preferences/set':
+        return this.setPreferences(request);
+      case '/usage':
+        return this.getUsage(url);
+      case '/usage/acquire':
+        return this.acquireQuota(request);
+      case '/usage/record':
+        return this.recordTokenUsage(request);
+      case '/documents':
+        return this.listDocuments();
+      case '/documents/add':
+        return this.addDocument(request);
+      case '/documents/delete':
+        return this.deleteDocument(request);
+      case '/documents/search':
+        return this.searchDocuments(request);
       default:
         return new Response('Not found', { status: 404 });
     }
   }
 
+  // Sessions used to keep each thread's history as one JSON array in KV
+  // storage (`history:<threadId>`, or a single `history` key from before
+  // threads existed), capped at 20 turns. Moves them into the threads and
+  // messages tables the first time the object starts after the upgrade.
+  async migrateLegacyHistory() {
+    const legacy = await this.state.storage.get(['threads', 'history']);
+    if (legacy.size === 0) return;
+
+    const now = Date.now();
+    const legacyHistory = legacy.get('history');
+    let threads = legacy.get('threads');
+    if (!threads || threads.length === 0) {
+      threads = [{
+        id: DEFAULT_THREAD_ID,
+        title: legacyHistory ? 'General' : DEFAULT_THREAD_TITLE,
+        createdAt: legacyHistory && legacyHistory.length > 0 ? legacyHistory[0].timestamp : now,
+        updatedAt: now,
+        archived: false
+      }];
+    }
+
+    const histories = new Map();
+    const keys = threads.map(thread => historyKey(thread.id));
+    for (let i = 0; i < keys.length; i += STORAGE_BATCH_SIZE) {
+      const batch = await this.state.storage.get(keys.slice(i, i + STORAGE_BATCH_SIZE));
+      batch.forEach((history, key) => histories.set(key, history));
+    }
+    if (legacyHistory && !histories.has(historyKey(DEFAULT_THREAD_ID))) {
+      histories.set(historyKey(DEFAULT_THREAD_ID), legacyHistory);
+    }
+
+    this.state.storage.transactionSync(() => {
+      for (const thread of threads) {
+        // Threads already in the table were migrated by an earlier attempt
+        if (this.findThread(thread.id)) continue;
+
+        this.insertThread({ ...thread, mode: thread.mode || null });
+        let parentId = null;
+        for (const item of histories.get(historyKey(thread.id)) || []) {
+          parentId = this.insertTurn(thread.id, parentId, item.userMessage, item.aiResponse, { sources: item.sources }, item.timestamp).assistantMessageId;
+        }
+      }
+    });
+
+    for (let i = 0; i < keys.length; i += STORAGE_BATCH_SIZE) {
+      await this.state.storage.delete(keys.slice(i, i + STORAGE_BATCH_SIZE));
+    }
+    await this.state.storage.delete(['threads', 'history']);
+  }
+
+  // Appends a turn to the active branch. With `parentId` (null for the
+  // thread's start) the question instead branches off that message, as when
+  // a question is edited; with `userMessageId` only a new answer to that
+  // question is stored, as when an answer is regenerated. Either way the
+  // new answer becomes the tip of the active branch. A question sent with a
+  // `clientId` the thread already holds is not stored twice: the ids of the
+  // earlier turn come back, with `duplicate` set.
   async addInteraction(request) {
-    const { message, response } = await request.json();
-    const history = await this.state.storage.get('history') || [];
+    const body = await request.json();
+    const { message, response, sources, model, error, policy, language, topic, confused, userMessageId, clientId, threadId = DEFAULT_THREAD_ID } = body;
+    const thread = this.getThread(threadId);
+
+    if (!thread) {
+      return this.threadNotFound();
+    }
+    const earlier = clientId ? this.findClientTurn(threadId, clientId) : null;
+    if (earlier) {
+      return jsonResponse({
+        userMessageId: earlier.question.id,
+        assistantMessageId: earlier.answer ? earlier.answer.id : null,
+        evicted: [],
+        duplicate: true
+      });
+    }
+    if (userMessageId !== undefined) {
+      const question = this.findMessage(threadId, userMessageId);
+      if (!question || question.role !== 'user') {
+        return this.messageNotFound();
+      }
+    }
+
+    const now = Date.now();
+    const ids = this.state.storage.transactionSync(() => {
+      const details = { sources, model, error, policy, language, clientId };
+      let turn;
+      if (userMessageId !== undefined) {
+        turn = { userMessageId, assistantMessageId: this.insertAnswer(threadId, userMessageId, response, details, now) };
+      } else {
+        const parentId = 'parentId' in body ? body.parentId : this.activeMessageId(threadId);
+        turn = this.insertTurn(threadId, parentId, message, response, details, now);
+        if (topic) {
+          this.sql.exec(
+            'INSERT INTO question_topics (message_id, topic, confused, created_at) VALUES (?, ?, ?, ?)',
+            turn.userMessageId, topic, confused ? 1 : 0, now
+          );
+        }
+      }
+
+      // Name untitled threads after their first question
+      const title = thread.title === DEFAULT_THREAD_TITLE && this.countMessages(threadId) === 2
+        ? (message.length > 40 ? message.slice(0, 40) + '…' : message)
+        : thread.title;
+      this.sql.exec('UPDATE threads SET title = ?, updated_at = ? WHERE id = ?', title, now, threadId);
+      return turn;
+    });
+
+    return jsonResponse({ ...ids, evicted: await this.takeTurnsForMemory(threadId) });
+  }
+
+  // Returns the next batch of turns that have fallen behind the thread's
+  // RECENT_TURNS, once a full batch is waiting, and marks them as handed over
+  // Only the active branch counts, and ids grow along a branch, so the
+  // summarized_through watermark works on whichever branch is active.
+  async takeTurnsForMemory(threadId) {
+    // Sessions from before SQLite storage may still hold a queue of turns
+    // that were cut from history but not yet summarized
+    const legacyQueue = await this.state.storage.get('memory-queue');
+    if (legacyQueue) {
+      await this.state.storage.delete('memory-queue');
+      if (legacyQueue.length > 0) return legacyQueue;
+    }
+
+    const { summarized_through: summarizedThrough, active_message_id: leafId } = this.sql.exec(
+      'SELECT summarized_through, active_message_id FROM threads WHERE id = ?', threadId
+    ).one();
+    const path = this.pathTo(leafId, -1, summarizedThrough);
+    const questions = path.filter(row => row.role === 'user');
+    if (questions.length < RECENT_TURNS) return [];
+
+    const cutoff = questions[questions.length - RECENT_TURNS].id;
+    const turns = toInteractions(path.filter(row => row.id < cutoff).slice(0, MEMORY_BATCH_SIZE * 2));
+    if (turns.length < MEMORY_BATCH_SIZE) return [];
+
+    const batch = turns.slice(0, MEMORY_BATCH_SIZE);
+    this.sql.exec('UPDATE threads SET summarized_through = ? WHERE id = ?', batch[batch.length - 1].lastMessageId, threadId);
+    return answeredTurns(batch);
+  }
+
+  // The latest turns (?limit=, default all) of the thread's active branch as
+  // { timestamp, userMessage, aiResponse, sources } objects, oldest first.
+  // ?before=<messageId> gives the turns leading up to that message instead.
+  // Turns whose answer failed are left out, so they never reach the model.
+  async getHistory(url) {
+    const threadId = url.searchParams.get('threadId') || DEFAULT_THREAD_ID;
+    const limit = parseInt(url.searchParams.get('limit'), 10) || 0;
+
+    if (!this.getThread(threadId)) {
+      return this.threadNotFound();
+    }
+
+    const leafId = this.branchTip(threadId, url.searchParams.get('before'));
+    if (leafId === undefined) {
+      return this.messageNotFound();
+    }
+
+    const rows = this.pathTo(leafId, limit > 0 ? limit * 2 : -1);
+    return jsonResponse(answeredTurns(toInteractions(rows)));
+  }
+
+  // One page of the active branch, newest page first: ?before=<cursor>
+  // continues from the nextCursor of the previous page. Messages that have
+  // been regenerated or edited list every version in siblingIds.
+  async getMessages(url) {
+    const threadId = url.searchParams.get('threadId') || DEFAULT_THREAD_ID;
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    if (!this.getThread(threadId)) {
+      return this.threadNotFound();
+    }
+
+    const leafId = this.branchTip(threadId, url.searchParams.get('before'));
+    if (leafId === undefined) {
+      return this.messageNotFound();
+    }
+
+    const rows = this.pathTo(leafId, limit + 1);
+    const hasMore = rows.length > limit;
+    const page = rows.slice(-limit);
+    const siblings = this.findSiblings(threadId, page);
+
+    return jsonResponse({
+      messages: page.map(row => {
+        const ids = siblings.get(row.parent_id) || [];
+        return ids.length > 1 ? { ...toMessage(row), siblingIds: ids } : toMessage(row);
+      }),
+      nextCursor: hasMore ? String(page[0].id) : null
+    });
+  }
+
+  // ?threadId=&id= - one message, with its parentId
+  async getMessage(url) {
+    const row = this.findMessage(url.searchParams.get('threadId') || DEFAULT_THREAD_ID, url.searchParams.get('id'));
+    return row ? jsonResponse(toMessage(row)) : this.messageNotFound();
+  }
+
+  // ?threadId=&clientId= - the question the client sent under that id, as
+  // { question, answer }, answer being its latest (null if none was stored)
+  async getClientTurn(url) {
+    const turn = this.findClientTurn(url.searchParams.get('threadId') || DEFAULT_THREAD_ID, url.searchParams.get('clientId'));
+    if (!turn) {
+      return this.messageNotFound();
+    }
+    return jsonResponse({ question: toMessage(turn.question), answer: turn.answer ? toMessage(turn.answer) : null });
+  }
 
-    history.push({
-      timestamp: Date.now(),
-      userMessage: message,
-      aiResponse: response
+  // Body: { messageId, rating: 'up' | 'down' | null, comment }. A null
+  // rating withdraws earlier feedback.
+  async rateMessage(request) {
+    const { messageId, rating, comment } = await request.json();
+    const row = this.sql.exec('SELECT * FROM messages WHERE id = ?', messageId).toArray()[0];
+
+    if (!row) {
+      return this.messageNotFound();
+    }
+    if (row.role !== 'assistant') {
+      return jsonResponse({ error: 'Only answers can be rated' }, 400);
+    }
+
+    const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+    if (rating) {
+      metadata.feedback = { rating, ...(comment ? { comment } : {}), ratedAt: Date.now() };
+    } else {
+      delete metadata.feedback;
+    }
+
+    const serialized = Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null;
+    this.sql.exec('UPDATE messages SET metadata = ? WHERE id = ?', serialized, messageId);
+    return jsonResponse(toMessage({ ...row, metadata: serialized }));
+  }
+
+  // Body: { threadId, id, language, content } - keeps a translation of an
+  // answer, so asking for it again costs nothing
+  async addTranslation(request) {
+    const { threadId = DEFAULT_THREAD_ID, id, language, content } = await request.json();
+    const row = this.findMessage(threadId, id);
+
+    if (!row || row.role !== 'assistant') {
+      return this.messageNotFound();
+    }
+
+    const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+    metadata.translations = { ...metadata.translations, [language]: content };
+    const serialized = JSON.stringify(metadata);
+    this.sql.exec('UPDATE messages SET metadata = ? WHERE id = ?', serialized, row.id);
+    return jsonResponse(toMessage({ ...row, metadata: serialized }));
+  }
+
+  // Keyword search across every thread, best BM25 match first.
+  // ?q= is the student's query; see searchFilters for the rest.
+  async searchMessages(url) {
+    const match = toMatchQuery(url.searchParams.get('q') || '');
+    if (!match) {
+      return jsonResponse({ error: 'Missing search query' }, 400);
+    }
+
+    const filters = searchFilters(Object.fromEntries(url.searchParams));
+    const rows = this.sql.exec(
+      `SELECT m.id, m.thread_id, m.role, m.created_at, t.title AS thread_title,
+              snippet(messages_fts, 0, ?, ?, '…', ?) AS snippet,
+              bm25(messages_fts) AS rank
+       FROM messages_fts
+       JOIN messages m ON m.id = messages_fts.rowid
+       JOIN threads t ON t.id = m.thread_id
+       WHERE messages_fts MATCH ?${filters.sql}
+       ORDER BY rank, m.id DESC
+       LIMIT ?`,
+      MARK_START, MARK_END, SNIPPET_TOKENS, match, ...filters.bindings, searchLimit(url.searchParams.get('limit'))
+    ).toArray();
+
+    return jsonResponse({
+      mode: 'keyword',
+      results: rows.map(row => toSearchResult(row, highlightSnippet(row.snippet), -row.rank))
     });
+  }
 
-    // Keep only last 20 interactions
-    if (history.length > 20) {
-      history.shift();
+  // Body: { vector, q, filters, limit, minScore }. Ranks the messages that
+  // have embeddings by cosine similarity to `vector`; `q` only decides which
+  // words the snippets highlight.
+  async searchMessagesSemantic(request) {
+    const { vector, q = '', filters = {}, limit, minScore = 0 } = await request.json();
+    const where = searchFilters(filters);
+    const queryNorm = norm(vector);
+    const scored = [];
+
+    for (const row of this.sql.exec(
+      `SELECT m.id, m.thread_id, m.role, m.content, m.created_at, t.title AS thread_title, e.embedding
+       FROM message_embeddings e
+       JOIN messages m ON m.id = e.message_id
+       JOIN threads t ON t.id = m.thread_id
+       WHERE 1 = 1${where.sql}`,
+      ...where.bindings
+    )) {
+      const embedding = JSON.parse(row.embedding);
+      const score = dot(vector, embedding) / (queryNorm * norm(embedding) || 1);
+      if (score >= minScore) scored.push({ row, score });
     }
 
-    await this.state.storage.put('history', history);
-    return new Response('OK');
+    const terms = q.match(/[\p{L}\p{N}]{2,}/gu) || [];
+    const results = scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, searchLimit(limit))
+      .map(({ row, score }) => toSearchResult(row, highlightSnippet(excerpt(row.content, terms)), score));
+    return jsonResponse({ mode: 'semantic', results });
+  }
+
+  // Messages semantic search has no embedding for yet, newest first, and
+  // how many are waiting in total
+  async getUnindexedMessages(url) {
+    const limit = parseInt(url.searchParams.get('limit'), 10) || DEFAULT_PAGE_SIZE;
+    const unindexed = `FROM messages m LEFT JOIN message_embeddings e ON e.message_id = m.id
+       WHERE e.message_id IS NULL AND m.content != ''`;
+
+    const messages = this.sql.exec(
+      `SELECT m.id, m.content ${unindexed} ORDER BY m.id DESC LIMIT ?`, limit
+    ).toArray();
+    const { remaining } = this.sql.exec(`SELECT COUNT(*) AS remaining ${unindexed}`).one();
+    return jsonResponse({ messages, remaining });
   }
 
-  async getHistory() {
-    const history = await this.state.storage.get('history') || [];
-    return new Response(JSON.stringify(history), {
-      headers: { 'Content-Type': 'application/json' }
+  // Body: { embeddings: [{ messageId, embedding }] }. Messages deleted while
+  // they were being embedded are skipped.
+  async indexMessages(request) {
+    const { embeddings } = await request.json();
+
+    this.state.storage.transactionSync(() => {
+      for (const { messageId, embedding } of embeddings) {
+        this.sql.exec(
+          `INSERT OR REPLACE INTO message_embeddings (message_id, embedding)
+           SELECT id, ? FROM messages WHERE id = ?`,
+          JSON.stringify(embedding), messageId
+        );
+      }
     });
+    return jsonResponse({ success: true });
   }
 
-  async clearHistory() {
-    await this.state.storage.delete('history');
+  async clearHistory(url) {
+    const threadId = url.searchParams.get('threadId') || DEFAULT_THREAD_ID;
+    this.state.storage.transactionSync(() => {
+      this.sql.exec('DELETE FROM messages WHERE thread_id = ?', threadId);
+      this.sql.exec('UPDATE threads SET summarized_through = 0, active_message_id = NULL WHERE id = ?', threadId);
+    });
     return new Response('History cleared');
   }
-}
\ No newline at end of file
+
+  // One thread (?threadId=) or all of them, each with the full history of
+  // its active branch, less any failed turns
+  async exportThreads(url) {
+    const threadId = url.searchParams.get('threadId');
+    const threads = threadId ? [this.getThread(threadId)].filter(Boolean) : this.getThreads();
+
+    if (threads.length === 0) {
+      return this.threadNotFound();
+    }
+
+    return jsonResponse(threads.map(thread => ({
+      ...thread,
+      history: answeredTurns(toInteractions(this.pathTo(this.activeMessageId(thread.id))))
+    })));
+  }
+
+  // Restores exported threads as new threads alongside the existing ones.
+  // The worker has already validated the payload.
+  async importThreads(request) {
+    const { threads: imported } = await request.json();
+    const now = Date.now();
+
+    const created = this.state.storage.transactionSync(() => imported.map(source => {
+      const history = [...source.history].sort((a, b) => a.timestamp - b.timestamp);
+      const thread = {
+        id: crypto.randomUUID(),
+        title: (source.title || '').trim() || DEFAULT_THREAD_TITLE,
+        createdAt: source.createdAt || (history.length > 0 ? history[0].timestamp : now),
+        updatedAt: source.updatedAt || (history.length > 0 ? history[history.length - 1].timestamp : now),
+        archived: Boolean(source.archived),
+        mode: source.mode || null
+      };
+
+      this.insertThread(thread);
+      let parentId = null;
+      history.forEach(item => {
+        parentId = this.insertTurn(thread.id, parentId, item.userMessage, item.aiResponse, { sources: item.sources }, item.timestamp).assistantMessageId;
+      });
+      return { ...this.getThread(thread.id), messageCount: history.length };
+    }));
+
+    return jsonResponse({ threads: created }, 201);
+  }
+
+  async listThreads() {
+    return jsonResponse(this.getThreads());
+  }
+
+  async createThread(request) {
+    const { title, mode } = await request.json();
+    const now = Date.now();
+    const id = crypto.randomUUID();
+
+    this.insertThread({
+      id,
+      title: (title || '').trim() || DEFAULT_THREAD_TITLE,
+      createdAt: now,
+      updatedAt: now,
+      archived: false,
+      mode: mode || null
+    });
+    return jsonResponse(this.getThread(id), 201);
+  }
+
+  async renameThread(request) {
+    const { threadId, title } = await request.json();
+
+    if (!title || !title.trim()) {
+      return jsonResponse({ error: 'Missing title' }, 400);
+    }
+
+    return this.updateThread(threadId, 'title', title.trim());
+  }
+
+  async archiveThread(request) {
+    const { threadId, archived = true } = await request.json();
+    return this.updateThread(threadId, 'archived', archived ? 1 : 0);
+  }
+
+  // The worker checks the mode against its registry before it gets here
+  async setThreadMode(request) {
+    const { threadId, mode } = await request.json();
+    return this.updateThread(threadId, 'mode', mode);
+  }
+
+  // Scopes a thread to one of the student's courses, or to none with a null
+  // courseId
+  async setThreadCourse(request) {
+    const { threadId, courseId } = await request.json();
+    if (courseId !== null && !this.findCourse(courseId)) {
+      return jsonResponse({ error: 'Course not found' }, 404);
+    }
+    return this.updateThread(threadId, 'course_id', courseId);
+  }
+
+  async listCourses() {
+    const courses = this.sql.exec('SELECT * FROM courses ORDER BY joined_at').toArray().map(row => ({
+      courseId: row.course_id,
+      role: row.role,
+      joinedAt: row.joined_at
+    }));
+    return jsonResponse(courses);
+  }
+
+  // { courseId, role }, after the Course object has let the student in
+  async addCourse(request) {
+    const { courseId, role } = await request.json();
+    this.sql.exec(
+      `INSERT INTO courses (course_id, role, joined_at) VALUES (?, ?, ?)
+       ON CONFLICT (course_id) DO UPDATE SET role = excluded.role`,
+      courseId, role, Date.now()
+    );
+    return jsonResponse({ success: true });
+  }
+
+  // Threads scoped to the course go back to general tutoring
+  async removeCourse(request) {
+    const { courseId } = await request.json();
+    this.state.storage.transactionSync(() => {
+      this.sql.exec('DELETE FROM courses WHERE course_id = ?', courseId);
+      this.sql.exec('UPDATE threads SET course_id = NULL WHERE course_id = ?', courseId);
+    });
+    return jsonResponse({ success: true });
+  }
+
+  findCourse(courseId) {
+    return this.sql.exec('SELECT * FROM courses WHERE course_id = ?', courseId).toArray()[0];
+  }
+
+  // Shows the branch a message is on: a message off the active branch makes
+  // its most recent descendant the new tip. Used to switch between versions
+  // of a regenerated answer or edited question.
+  async switchBranch(request) {
+    const { threadId, messageId } = await request.json();
+
+    if (!this.getThread(threadId)) {
+      return this.threadNotFound();
+    }
+    if (!this.findMessage(threadId, messageId)) {
+      return this.messageNotFound();
+    }
+
+    if (this.pathTo(this.activeMessageId(threadId)).some(row => row.id === Number(messageId))) {
+      return jsonResponse(this.getThread(threadId));
+    }
+
+    const { tip } = this.sql.exec(
+      `WITH RECURSIVE subtree (id) AS (
+         SELECT ?
+         UNION ALL
+         SELECT messages.id FROM messages JOIN subtree ON messages.parent_id = subtree.id
+       )
+       SELECT MAX(id) AS tip FROM subtree`,
+      Number(messageId)
+    ).one();
+    return this.updateThread(threadId, 'active_message_id', tip);
+  }
+
+  async deleteThread(request) {
+    const { threadId } = await request.json();
+
+    if (!this.getThread(threadId)) {
+      return this.threadNotFound();
+    }
+
+    this.state.storage.transactionSync(() => {
+      this.sql.exec('DELETE FROM messages WHERE thread_id = ?', threadId);
+      this.sql.exec('DELETE FROM threads WHERE id = ?', threadId);
+    });
+    return jsonResponse({ success: true });
+  }
+
+  async updateThread(threadId, column, value) {
+    if (!this.getThread(threadId)) {
+      return this.threadNotFound();
+    }
+
+    this.sql.exec(`UPDATE threads SET ${column} = ?, updated_at = ? WHERE id = ?`, value, Date.now(), threadId);
+    return jsonResponse(this.getThread(threadId));
+  }
+
+  // Returns the thread list, creating the default thread on first use
+  // (and again whenever the last thread has been deleted)
+  getThreads() {
+    const threads = this.sql.exec('SELECT * FROM threads ORDER BY created_at').toArray().map(toThread);
+    if (threads.length > 0) {
+      return threads;
+    }
+
+    const now = Date.now();
+    this.insertThread({
+      id: DEFAULT_THREAD_ID,
+      title: DEFAULT_THREAD_TITLE,
+      createdAt: now,
+      updatedAt: now,
+      archived: false,
+      mode: null
+    });
+    return [this.getThread(DEFAULT_THREAD_ID)];
+  }
+
+  getThread(threadId) {
+    const row = this.findThread(threadId);
+    if (row) return toThread(row);
+
+    // The default thread springs into existence the first time it is used
+    if (threadId === DEFAULT_THREAD_ID && this.sql.exec('SELECT COUNT(*) AS count FROM threads').one().count === 0) {
+      return this.getThreads()[0];
+    }
+    return null;
+  }
+
+  findThread(threadId) {
+    return this.sql.exec('SELECT * FROM threads WHERE id = ?', threadId).toArray()[0];
+  }
+
+  findMessage(threadId, messageId) {
+    return this.sql.exec('SELECT * FROM messages WHERE thread_id = ? AND id = ?', threadId, Number(messageId)).toArray()[0];
+  }
+
+  findClientTurn(threadId, clientId) {
+    const question = this.sql.exec(
+      `SELECT * FROM messages WHERE thread_id = ? AND role = 'user' AND json_extract(metadata, '$.clientId') = ?`,
+      threadId, clientId
+    ).toArray()[0];
+    if (!question) return null;
+
+    const answer = this.sql.exec(
+      `SELECT * FROM messages WHERE parent_id = ? AND role = 'assistant' ORDER BY id DESC LIMIT 1`, question.id
+    ).toArray()[0];
+    return { question, answer: answer || null };
+  }
+
+  activeMessageId(threadId) {
+    const row = this.sql.exec('SELECT active_message_id FROM threads WHERE id = ?', threadId).toArray()[0];
+    return row ? row.active_message_id : null;
+  }
+
+  // The message a page or history ends on: the active tip, or the parent of
+  // ?before=<messageId>. Undefined when that message is not in the thread.
+  branchTip(threadId, before) {
+    if (!before) {
+      return this.activeMessageId(threadId);
+    }
+    const message = this.findMessage(threadId, before);
+    return message ? message.parent_id : undefined;
+  }
+
+  // The branch from the thread's first message down to `leafId`, oldest
+  // first: at most `limit` of its newest messages (-1 for all), and only
+  // messages after `afterId`
+  pathTo(leafId, limit = -1, afterId = 0) {
+    if (!leafId) return [];
+
+    return this.sql.exec(
+      `WITH RECURSIVE path AS (
+         SELECT * FROM messages WHERE id = ?
+         UNION ALL
+         SELECT messages.* FROM messages JOIN path ON messages.id = path.parent_id
+         WHERE messages.id > ?
+         LIMIT ?
+       )
+       SELECT * FROM path ORDER BY id`,
+      leafId, afterId, limit
+    ).toArray();
+  }
+
+  // Every version of each message in `rows`, as ids keyed by parent id
+  // (null for the versions of a thread's first question)
+  findSiblings(threadId, rows) {
+    const siblings = new Map();
+    const parentIds = [...new Set(rows.map(row => row.parent_id).filter(id => id !== null))];
+
+    if (parentIds.length > 0) {
+      const children = this.sql.exec(
+        `SELECT id, parent_id FROM messages WHERE parent_id IN (${parentIds.map(() => '?').join(', ')}) ORDER BY id`,
+        ...parentIds
+      );
+      for (const row of children) {
+        siblings.set(row.parent_id, [...(siblings.get(row.parent_id) || []), row.id]);
+      }
+    }
+    if (rows.some(row => row.parent_id === null)) {
+      siblings.set(null, this.sql.exec(
+        'SELECT id FROM messages WHERE thread_id = ? AND parent_id IS NULL ORDER BY id', threadId
+      ).toArray().map(row => row.id));
+    }
+    return siblings;
+  }
+
+  insertThread(thread) {
+    this.sql.exec(
+      'INSERT INTO threads (id, title, mode, archived, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+      thread.id, thread.title, thread.mode, thread.archived ? 1 : 0, thread.createdAt, thread.updatedAt
+    );
+  }
+
+  // Stores a question after `parentId` and its answer after the question,
+  // making the answer the tip of the thread's active branch. The question
+  // keeps the id the client sent it under, if any.
+  insertTurn(threadId, parentId, userMessage, aiResponse, details, timestamp) {
+    const userMessageId = this.sql.exec(
+      `INSERT INTO messages (thread_id, parent_id, role, content, created_at, metadata) VALUES (?, ?, 'user', ?, ?, ?) RETURNING id`,
+      threadId, parentId, userMessage, timestamp, details.clientId ? JSON.stringify({ clientId: details.clientId }) : null
+    ).one().id;
+    return { userMessageId, assistantMessageId: this.insertAnswer(threadId, userMessageId, aiResponse, details, timestamp) };
+  }
+
+  // Answers carry any cited sources, the model that wrote them, the
+  // language they were asked for in, what the chat policy did with the turn
+  // and, when the model failed, the error in their metadata
+  insertAnswer(threadId, userMessageId, aiResponse, { sources, model, error, policy, language }, timestamp) {
+    const metadata = {};
+    if (sources && sources.length > 0) metadata.sources = sources;
+    if (model) metadata.model = model;
+    if (language) metadata.language = language;
+    if (policy) metadata.policy = policy;
+    if (error) metadata.error = error;
+    const id = this.sql.exec(
+      `INSERT INTO messages (thread_id, parent_id, role, content, created_at, metadata) VALUES (?, ?, 'assistant', ?, ?, ?) RETURNING id`,
+      threadId, userMessageId, aiResponse, timestamp, Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null
+    ).one().id;
+    this.sql.exec('UPDATE threads SET active_message_id = ? WHERE id = ?', id, threadId);
+    return id;
+  }
+
+  countMessages(threadId) {
+    return this.sql.exec('SELECT COUNT(*) AS count FROM messages WHERE thread_id = ?', threadId).one().count;
+  }
+
+  async addFlashcards(request) {
+    const { cards, threadId = null } = await request.json();
+    const now = Date.now();
+
+    const created = cards.map(card => {
+      const id = crypto.randomUUID();
+      this.sql.exec(
+        `INSERT INTO flashcards (id, question, answer, thread_id, created_at, due_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        id, card.question, card.answer, threadId, now, now
+      );
+      return { id, question: card.question, answer: card.answer, dueAt: now };
+    });
+
+    return jsonResponse(created, 201);
+  }
+
+  async getDueFlashcards(url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 20, 100);
+    const now = Date.now();
+
+    const cards = this.sql.exec(
+      'SELECT * FROM flashcards WHERE due_at <= ? ORDER BY due_at LIMIT ?',
+      now, limit
+    ).toArray().map(toFlashcard);
+    const { remaining } = this.sql.exec(
+      'SELECT COUNT(*) AS remaining FROM flashcards WHERE due_at <= ?', now
+    ).one();
+
+    return jsonResponse({ cards, remaining });
+  }
+
+  async reviewFlashcard(request) {
+    const { id, grade } = await request.json();
+
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+      return jsonResponse({ error: 'Grade must be an integer from 0 to 5' }, 400);
+    }
+
+    const row = this.sql.exec('SELECT * FROM flashcards WHERE id = ?', id).toArray()[0];
+    if (!row) {
+      return jsonResponse({ error: 'Flashcard not found' }, 404);
+    }
+
+    const now = Date.now();
+    const next = scheduleReview(row, grade);
+    this.sql.exec(
+      `UPDATE flashcards
+       SET interval_days = ?, repetitions = ?, ease_factor = ?, due_at = ?, last_reviewed_at = ?
+       WHERE id = ?`,
+      next.interval, next.repetitions, next.easeFactor, now + next.interval * DAY_MS, now, id
+    );
+
+    const updated = this.sql.exec('SELECT * FROM flashcards WHERE id = ?', id).one();
+    return jsonResponse(toFlashcard(updated));
+  }
+
+  async addQuiz(request) {
+    const { topic, title, questions } = await request.json();
+    const id = crypto.randomUUID();
+
+    this.sql.exec(
+      'INSERT INTO quizzes (id, topic, title, questions, created_at) VALUES (?, ?, ?, ?, ?)',
+      id, topic, title, JSON.stringify(questions), Date.now()
+    );
+
+    return jsonResponse({ id, topic, title, questions }, 201);
+  }
+
+  async getQuiz(url) {
+    const row = this.sql.exec('SELECT * FROM quizzes WHERE id = ?', url.searchParams.get('id')).toArray()[0];
+    if (!row) {
+      return jsonResponse({ error: 'Quiz not found' }, 404);
+    }
+
+    return jsonResponse({
+      id: row.id,
+      topic: row.topic,
+      title: row.title,
+      questions: JSON.parse(row.questions),
+      createdAt: row.created_at,
+      submittedAt: row.submitted_at
+    });
+  }
+
+  async addQuizResult(request) {
+    const { quizId, topic, category = null, score, maxScore, graded } = await request.json();
+    const quiz = this.sql.exec('SELECT submitted_at FROM quizzes WHERE id = ?', quizId).toArray()[0];
+
+    if (!quiz) {
+      return jsonResponse({ error: 'Quiz not found' }, 404);
+    }
+    if (quiz.submitted_at) {
+      return jsonResponse({ error: 'Quiz already submitted' }, 409);
+    }
+
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    this.sql.exec(
+      `INSERT INTO quiz_results (id, quiz_id, topic, score, max_score, graded, submitted_at, category)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      id, quizId, topic, score, maxScore, JSON.stringify(graded), now, category
+    );
+    this.sql.exec('UPDATE quizzes SET submitted_at = ? WHERE id = ?', now, quizId);
+
+    return jsonResponse({ id, quizId, topic, score, maxScore, graded, submittedAt: now }, 201);
+  }
+
+  // Recent attempts plus per-topic averages, so students can see progress
+  async getQuizResults() {
+    const results = this.sql.exec(
+      `SELECT id, quiz_id, topic, score, max_score, submitted_at
+       FROM quiz_results ORDER BY submitted_at DESC LIMIT 50`
+    ).toArray().map(row => ({
+      id: row.id,
+      quizId: row.quiz_id,
+      topic: row.topic,
+      score: row.score,
+      maxScore: row.max_score,
+      submittedAt: row.submitted_at
+    }));
+
+    const topics = this.sql.exec(
+      `SELECT topic,
+              COUNT(*) AS attempts,
+              SUM(score) / SUM(max_score) AS average,
+              MAX(submitted_at) AS last_attempt_at
+       FROM quiz_results GROUP BY topic ORDER BY last_attempt_at DESC`
+    ).toArray().map(row => ({
+      topic: row.topic,
+      attempts: row.attempts,
+      average: row.average,
+      lastAttemptAt: row.last_attempt_at
+    }));
+
+    return jsonResponse({ results, topics });
+  }
+
+  // Per-topic question and quiz totals plus activity per day, for the
+  // progress dashboard. A question counts as confused when the student said
+  // so or rated its answer down. Days are YYYY-MM-DD in the student's time
+  // zone (?timezoneOffset= in minutes, as Date#getTimezoneOffset gives it).
+  async getProgress(url) {
+    const offsetSeconds = (parseInt(url.searchParams.get('timezoneOffset'), 10) || 0) * 60;
+
+    const topics = this.sql.exec(
+      `SELECT t.topic,
+              COUNT(*) AS questions,
+              SUM(t.confused OR EXISTS (
+                SELECT 1 FROM messages AS a
+                WHERE a.parent_id = t.message_id AND a.role = 'assistant'
+                  AND json_extract(a.metadata, '$.feedback.rating') = 'down'
+              )) AS confused,
+              MAX(t.created_at) AS last_asked_at
+       FROM question_topics AS t GROUP BY t.topic`
+    ).toArray().map(row => ({
+      topic: row.topic,
+      questions: row.questions,
+      confused: row.confused,
+      lastAskedAt: row.last_asked_at
+    }));
+
+    const quizzes = this.sql.exec(
+      `SELECT category AS topic,
+              COUNT(*) AS attempts,
+              SUM(score) / SUM(max_score) AS average,
+              MAX(submitted_at) AS last_attempt_at
+       FROM quiz_results WHERE category IS NOT NULL GROUP BY category`
+    ).toArray().map(row => ({
+      topic: row.topic,
+      attempts: row.attempts,
+      average: row.average,
+      lastAttemptAt: row.last_attempt_at
+    }));
+
+    const days = this.sql.exec(
+      `SELECT day, SUM(questions) AS questions, SUM(quizzes) AS quizzes FROM (
+         SELECT date(created_at / 1000 - ?, 'unixepoch') AS day, 1 AS questions, 0 AS quizzes FROM question_topics
+         UNION ALL
+         SELECT date(submitted_at / 1000 - ?, 'unixepoch'), 0, 1 FROM quiz_results
+       ) GROUP BY day ORDER BY day`,
+      offsetSeconds, offsetSeconds
+    ).toArray().map(row => ({ day: row.day, questions: row.questions, quizzes: row.quizzes }));
+
+    return jsonResponse({ topics, quizzes, days });
+  }
+
+  // Questions and quiz results stored before the progress dashboard, or
+  // whose classification failed, newest first (?limit=): questions come with
+  // their first answer, results with their quiz's topic and title
+  async getUnclassified(url) {
+    const limit = Math.max(parseInt(url.searchParams.get('limit'), 10) || 100, 1);
+
+    const questions = this.sql.exec(
+      `SELECT q.id, q.content,
+              (SELECT a.content FROM messages AS a
+               WHERE a.parent_id = q.id AND a.role = 'assistant' ORDER BY a.id LIMIT 1) AS answer
+       FROM messages AS q LEFT JOIN question_topics AS t ON t.message_id = q.id
+       WHERE q.role = 'user' AND t.message_id IS NULL
+       ORDER BY q.id DESC LIMIT ?`,
+      limit
+    ).toArray().map(row => ({ id: row.id, content: row.content, answer: row.answer || '' }));
+
+    const quizzes = this.sql.exec(
+      `SELECT r.id, r.topic, q.title
+       FROM quiz_results AS r LEFT JOIN quizzes AS q ON q.id = r.quiz_id
+       WHERE r.category IS NULL
+       ORDER BY r.submitted_at DESC LIMIT ?`,
+      limit
+    ).toArray().map(row => ({ id: row.id, topic: row.topic, title: row.title || '' }));
+
+    return jsonResponse({ questions, quizzes });
+  }
+
+  // Files questions ({ id, topic, confused }) and quiz results ({ id,
+  // topic }) under the topics the worker picked
+  async classifyProgress(request) {
+    const { questions = [], quizzes = [] } = await request.json();
+
+    this.state.storage.transactionSync(() => {
+      for (const { id, topic, confused } of questions) {
+        this.sql.exec(
+          `INSERT OR IGNORE INTO question_topics (message_id, topic, confused, created_at)
+           SELECT id, ?, ?, created_at FROM messages WHERE id = ? AND role = 'user'`,
+          topic, confused ? 1 : 0, id
+        );
+      }
+      for (const { id, topic } of quizzes) {
+        this.sql.exec('UPDATE quiz_results SET category = ? WHERE id = ? AND category IS NULL', topic, id);
+      }
+    });
+
+    return jsonResponse({ classified: questions.length + quizzes.length });
+  }
+
+  // Every plan, newest first, with its items. Active plans also carry the
+  // student's current day and its review prompts, prepared now if the
+  // alarm has not got to them yet.
+  async listPlans() {
+    const now = Date.now();
+    const plans = this.sql.exec('SELECT * FROM study_plans ORDER BY created_at DESC').toArray();
+
+    return jsonResponse(plans.map(plan => {
+      const today = plan.status === 'active' ? this.preparePlanDay(plan, now) : null;
+      return this.toPlan(plan, today);
+    }));
+  }
+
+  // Stores a plan the worker had the model write: { userId, goal, title,
+  // deadline, timezoneOffset, reminderHour, items: [{ day, topic, tasks,
+  // reviewQuestions }] }
+  async createPlan(request) {
+    const { userId, goal, title, deadline, timezoneOffset, reminderHour, items } = await request.json();
+    const id = crypto.randomUUID();
+    const now = Date.now();
+
+    this.state.storage.transactionSync(() => {
+      this.sql.exec(
+        `INSERT INTO study_plans (id, user_id, goal, title, deadline, timezone_offset, reminder_hour, next_run_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        id, userId, goal, title, deadline, timezoneOffset, reminderHour,
+        nextReminderAt(now, timezoneOffset, reminderHour), now
+      );
+      for (const item of items) {
+        this.sql.exec(
+          'INSERT INTO plan_items (plan_id, day, topic, tasks, review_questions) VALUES (?, ?, ?, ?, ?)',
+          id, item.day, item.topic, JSON.stringify(item.tasks), JSON.stringify(item.reviewQuestions || [])
+        );
+      }
+    });
+    await this.scheduleAlarm();
+
+    const plan = this.findPlan(id);
+    return jsonResponse(this.toPlan(plan, this.preparePlanDay(plan, now)), 201);
+  }
+
+  async deletePlan(request) {
+    const { id } = await request.json();
+    if (!this.findPlan(id)) {
+      return jsonResponse({ error: 'Plan not found' }, 404);
+    }
+
+    this.state.storage.transactionSync(() => {
+      this.sql.exec('DELETE FROM plan_days WHERE plan_id = ?', id);
+      this.sql.exec('DELETE FROM plan_items WHERE plan_id = ?', id);
+      this.sql.exec('DELETE FROM study_plans WHERE id = ?', id);
+    });
+    await this.scheduleAlarm();
+    return jsonResponse({ success: true });
+  }
+
+  // Moves an item to another day of the plan and/or rewrites its topic or
+  // tasks. A missed item moved to today or later is pending again.
+  async adjustPlanItem(request) {
+    const { planId, itemId, day, topic, tasks } = await request.json();
+    const plan = this.findPlan(planId);
+    const item = plan && this.findPlanItem(planId, itemId);
+    if (!item) {
+      return this.planItemNotFound();
+    }
+
+    if (day !== undefined) {
+      const today = localDay(Date.now(), plan.timezone_offset);
+      if (day < today || day > plan.deadline) {
+        return jsonResponse({ error: `day must be between ${today} and ${plan.deadline}` }, 400);
+      }
+      this.sql.exec(
+        `UPDATE plan_items SET day = ?, status = CASE WHEN status = 'missed' THEN 'pending' ELSE status END WHERE id = ?`,
+        day, item.id
+      );
+    }
+    if (topic !== undefined) {
+      this.sql.exec('UPDATE plan_items SET topic = ? WHERE id = ?', topic, item.id);
+    }
+    if (tasks !== undefined) {
+      this.sql.exec('UPDATE plan_items SET tasks = ? WHERE id = ?', JSON.stringify(tasks), item.id);
+    }
+
+    return jsonResponse(toPlanItem(this.findPlanItem(planId, itemId)));
+  }
+
+  // Marks an item done, or with done: false, not done after all (missed
+  // again if its day has passed)
+  async completePlanItem(request) {
+    const { planId, itemId, done = true } = await request.json();
+    const plan = this.findPlan(planId);
+    const item = plan && this.findPlanItem(planId, itemId);
+    if (!item) {
+      return this.planItemNotFound();
+    }
+
+    if (done) {
+      this.sql.exec(`UPDATE plan_items SET status = 'done', completed_at = ? WHERE id = ?`, Date.now(), item.id);
+    } else {
+      const status = item.day < localDay(Date.now(), plan.timezone_offset) ? 'missed' : 'pending';
+      this.sql.exec('UPDATE plan_items SET status = ?, completed_at = NULL WHERE id = ?', status, item.id);
+    }
+
+    return jsonResponse(toPlanItem(this.findPlanItem(planId, itemId)));
+  }
+
+  // Runs at the reminder hour of each active plan: prepares the plan's day,
+  // marking earlier days missed, and sends the day's reminder through the
+  // configured notifier. Plans past their deadline are finished.
+  async alarm() {
+    const now = Date.now();
+    const notifier = createNotifier(this.env);
+    const plans = this.sql.exec(
+      `SELECT * FROM study_plans WHERE status = 'active' AND next_run_at <= ?`, now
+    ).toArray();
+
+    for (const plan of plans) {
+      const today = this.preparePlanDay(plan, now);
+      if (!today) continue;
+
+      let nextRunAt = nextReminderAt(now, plan.timezone_offset, plan.reminder_hour);
+      if (notifier && !today.notifiedAt && today.prompts.length > 0) {
+        try {
+          await notifier.notify({
+            type: 'study_reminder',
+            userId: plan.user_id,
+            planId: plan.id,
+            planTitle: plan.title,
+            day: today.day,
+            deadline: plan.deadline,
+            prompts: today.prompts
+          });
+          this.sql.exec('UPDATE plan_days SET notified_at = ? WHERE plan_id = ? AND day = ?', now, plan.id, today.day);
+        } catch (error) {
+          console.error(`Reminder for plan ${plan.id} failed:`, error);
+          const { attempts } = this.sql.exec(
+            `UPDATE plan_days SET notify_attempts = notify_attempts + 1 WHERE plan_id = ? AND day = ?
+             RETURNING notify_attempts AS attempts`,
+            plan.id, today.day
+          ).one();
+          if (attempts < PLAN_NOTIFY_ATTEMPTS) {
+            nextRunAt = now + PLAN_NOTIFY_RETRY_MS;
+          }
+        }
+      }
+      this.sql.exec('UPDATE study_plans SET next_run_at = ? WHERE id = ?', nextRunAt, plan.id);
+    }
+
+    await this.scheduleAlarm();
+  }
+
+  // Points the alarm at the next plan due to run, or clears it
+  async scheduleAlarm() {
+    const { next } = this.sql.exec(
+      `SELECT MIN(next_run_at) AS next FROM study_plans WHERE status = 'active'`
+    ).one();
+    if (next === null) {
+      await this.state.storage.deleteAlarm();
+    } else {
+      await this.state.storage.setAlarm(next);
+    }
+  }
+
+  // Brings an active plan up to the student's current day: earlier pending
+  // items become missed, and the day's review prompts are built once.
+  // Returns { day, prompts, notifiedAt }, or null when the deadline has
+  // passed and the plan is finished instead.
+  preparePlanDay(plan, now) {
+    const day = localDay(now, plan.timezone_offset);
+    if (day > plan.deadline) {
+      this.sql.exec(`UPDATE study_plans SET status = 'finished', next_run_at = NULL WHERE id = ?`, plan.id);
+      plan.status = 'finished';
+      return null;
+    }
+
+    this.sql.exec(
+      `UPDATE plan_items SET status = 'missed' WHERE plan_id = ? AND day < ? AND status = 'pending'`,
+      plan.id, day
+    );
+
+    let prepared = this.sql.exec('SELECT * FROM plan_days WHERE plan_id = ? AND day = ?', plan.id, day).toArray()[0];
+    if (!prepared) {
+      prepared = this.sql.exec(
+        'INSERT INTO plan_days (plan_id, day, prompts, prepared_at) VALUES (?, ?, ?, ?) RETURNING *',
+        plan.id, day, JSON.stringify(this.buildReviewPrompts(plan.id, day, now)), now
+      ).one();
+    }
+
+    return { day, prompts: JSON.parse(prepared.prompts), notifiedAt: prepared.notified_at };
+  }
+
+  // A day's review prompts ({ kind, itemId?, topic?, text }): what is
+  // scheduled for the day, self-test questions on topics finished
+  // PLAN_REVIEW_INTERVALS days before, missed days to catch up on, and
+  // flashcards due
+  buildReviewPrompts(planId, day, now) {
+    const items = this.sql.exec('SELECT * FROM plan_items WHERE plan_id = ? ORDER BY day, id', planId)
+      .toArray().map(toPlanItem);
+    const prompts = [];
+
+    for (const item of items.filter(item => item.day === day)) {
+      prompts.push({ kind: 'study', itemId: item.id, topic: item.topic, text: item.tasks.join(' ') });
+    }
+
+    for (const interval of PLAN_REVIEW_INTERVALS) {
+      const reviewDay = shiftDay(day, -interval);
+      for (const item of items.filter(item => item.day === reviewDay && item.status === 'done')) {
+        const questions = item.reviewQuestions.length > 0
+          ? item.reviewQuestions
+          : [`Without looking at your notes, explain the key ideas of ${item.topic}.`];
+        for (const question of questions) {
+          prompts.push({ kind: 'review', itemId: item.id, topic: item.topic, text: question });
+        }
+      }
+    }
+
+    for (const item of items.filter(item => item.status === 'missed').slice(-PLAN_CATCH_UP_LIMIT)) {
+      prompts.push({ kind: 'catch-up', itemId: item.id, topic: item.topic, text: `Missed on ${item.day}: ${item.tasks.join(' ')}` });
+    }
+
+    const { due } = this.sql.exec('SELECT COUNT(*) AS due FROM flashcards WHERE due_at <= ?', now).one();
+    if (due > 0) {
+      prompts.push({ kind: 'flashcards', text: `${due} flashcard${due === 1 ? '' : 's'} due for review` });
+    }
+
+    return prompts;
+  }
+
+  findPlan(planId) {
+    return this.sql.exec('SELECT * FROM study_plans WHERE id = ?', planId).toArray()[0];
+  }
+
+  findPlanItem(planId, itemId) {
+    return this.sql.exec('SELECT * FROM plan_items WHERE plan_id = ? AND id = ?', planId, itemId).toArray()[0];
+  }
+
+  toPlan(plan, today) {
+    const items = this.sql.exec('SELECT * FROM plan_items WHERE plan_id = ? ORDER BY day, id', plan.id)
+      .toArray().map(toPlanItem);
+    return {
+      id: plan.id,
+      goal: plan.goal,
+      title: plan.title,
+      deadline: plan.deadline,
+      timezoneOffset: plan.timezone_offset,
+      reminderHour: plan.reminder_hour,
+      status: plan.status,
+      createdAt: plan.created_at,
+      items,
+      ...(today ? { today: { day: today.day, prompts: today.prompts } } : {})
+    };
+  }
+
+  planItemNotFound() {
+    return jsonResponse({ error: 'Plan item not found' }, 404);
+  }
+
+  // The student's shared links, newest first, without their messages
+  async listShares() {
+    const now = Date.now();
+    const rows = this.sql.exec(
+      'SELECT id, thread_id, title, message_count, created_at, expires_at FROM shares ORDER BY created_at DESC'
+    ).toArray();
+    return jsonResponse(rows.map(row => toShare(row, now)));
+  }
+
+  // Snapshots the active branch of a thread, or the part of it from
+  // fromMessageId to toMessageId, leaving out failed answers and their
+  // questions: { id, threadId, fromMessageId, toMessageId, title, expiresAt }
+  async createShare(request) {
+    const { id, threadId, fromMessageId, toMessageId, title, expiresAt } = await request.json();
+    const thread = this.getThread(threadId);
+    if (!thread) {
+      return this.threadNotFound();
+    }
+
+    const path = this.pathTo(this.activeMessageId(threadId));
+    const start = fromMessageId === undefined ? 0 : path.findIndex(row => row.id === fromMessageId);
+    const end = toMessageId === undefined ? path.length - 1 : path.findIndex(row => row.id === toMessageId);
+    if (start < 0 || end < 0) {
+      return this.messageNotFound();
+    }
+    if (start > end) {
+      return jsonResponse({ error: 'fromMessageId must come before toMessageId' }, 400);
+    }
+
+    const selected = path.slice(start, end + 1).map(toMessage);
+    const failed = new Set(selected.filter(message => message.error).flatMap(message => [message.id, message.parentId]));
+    const messages = selected.filter(message => !failed.has(message.id)).map(toSharedMessage);
+    if (messages.length === 0) {
+      return jsonResponse({ error: 'There are no messages to share' }, 400);
+    }
+
+    const now = Date.now();
+    const row = this.sql.exec(
+      `INSERT INTO shares (id, thread_id, title, messages, message_count, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id, thread_id, title, message_count, created_at, expires_at`,
+      id, threadId, title || thread.title, JSON.stringify(messages), messages.length, now, expiresAt
+    ).one();
+    return jsonResponse(toShare(row, now), 201);
+  }
+
+  // A share's snapshot for its public page: 404 once revoked, 410 once
+  // expired
+  async getShare(url) {
+    const row = this.sql.exec('SELECT * FROM shares WHERE id = ?', url.searchParams.get('id')).toArray()[0];
+    if (!row) {
+      return jsonResponse({ error: 'Share not found' }, 404);
+    }
+    if (row.expires_at !== null && row.expires_at <= Date.now()) {
+      return jsonResponse({ error: 'Share expired' }, 410);
+    }
+
+    return jsonResponse({
+      title: row.title,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      messages: JSON.parse(row.messages)
+    });
+  }
+
+  async revokeShare(request) {
+    const { id } = await request.json();
+    const deleted = this.sql.exec('DELETE FROM shares WHERE id = ? RETURNING id', id).toArray();
+    if (deleted.length === 0) {
+      return jsonResponse({ error: 'Share not found' }, 404);
+    }
+    return jsonResponse({ success: true });
+  }
+
+  // Devices are the signed-in browsers for this user. Every session token
+  // names its device, so revoking a device invalidates its token.
+  async listDevices() {
+    const devices = await this.state.storage.get('devices') || [];
+    return jsonResponse(devices.filter(d => !d.revokedAt));
+  }
+
+  async addDevice(request) {
+    const { id, name } = await request.json();
+    const devices = await this.state.storage.get('devices') || [];
+    const now = Date.now();
+
+    const device = { id, name: name || 'Unknown device', createdAt: now, lastSeenAt: now, revokedAt: null };
+    devices.push(device);
+    await this.state.storage.put('devices', devices);
+    return jsonResponse(device, 201);
+  }
+
+  async checkDevice(url) {
+    const devices = await this.state.storage.get('devices') || [];
+    const device = devices.find(d => d.id === url.searchParams.get('id'));
+
+    if (!device || device.revokedAt) {
+      return jsonResponse({ error: 'Device not recognized' }, 401);
+    }
+
+    if (Date.now() - device.lastSeenAt > DEVICE_SEEN_INTERVAL_MS) {
+      device.lastSeenAt = Date.now();
+      await this.state.storage.put('devices', devices);
+    }
+    return jsonResponse(device);
+  }
+
+  async revokeDevice(request) {
+    const { id } = await request.json();
+    const devices = await this.state.storage.get('devices') || [];
+    const device = devices.find(d => d.id === id && !d.revokedAt);
+
+    if (!device) {
+      return jsonResponse({ error: 'Device not found' }, 404);
+    }
+
+    device.revokedAt = Date.now();
+    await this.state.storage.put('devices', devices);
+    return jsonResponse({ success: true });
+  }
+
+  async getAccount() {
+    const account = await this.state.storage.get('account');
+    return jsonResponse(account || null);
+  }
+
+  async setAccount(request) {
+    const account = await request.json();
+    await this.state.storage.put('account', account);
+    return jsonResponse(account);
+  }
+
+  // The student's settings, such as the language they study in. The worker
+  // validates them and fills in defaults.
+  async getPreferences() {
+    const preferences = await this.state.storage.get('preferences');
+    return jsonResponse(preferences || {});
+  }
+
+  async setPreferences(request) {
+    const changes = await request.json();
+    const preferences = { ...(await this.state.storage.get('preferences')), ...changes };
+    await this.state.storage.put('preferences', preferences);
+    return jsonResponse(preferences);
+  }
+
+  // Quotas: a sliding-window log of metered requests plus a per-day (UTC)
+  // token count. Limits come from the worker's configuration on each call.
+  async getUsage(url) {
+    const limits = {
+      requestLimit: parseInt(url.searchParams.get('requestLimit'), 10),
+      windowSeconds: parseInt(url.searchParams.get('windowSeconds'), 10),
+      dailyTokenBudget: parseInt(url.searchParams.get('dailyTokenBudget'), 10)
+    };
+    return jsonResponse(this.usageSnapshot(limits, Date.now()));
+  }
+
+  async acquireQuota(request) {
+    const limits = await request.json();
+    const now = Date.now();
+    const usage = this.usageSnapshot(limits, now);
+
+    if (usage.requests.remaining <= 0) {
+      return jsonResponse({
+        error: 'Too many requests. Please slow down.',
+        retryAfter: Math.max(1, Math.ceil((usage.requests.resetAt - now) / 1000)),
+        usage
+      }, 429);
+    }
+
+    if (usage.tokens.remaining <= 0) {
+      return jsonResponse({
+        error: 'Daily usage limit reached. Please come back tomorrow.',
+        retryAfter: Math.max(1, Math.ceil((usage.tokens.resetAt - now) / 1000)),
+        usage
+      }, 429);
+    }
+
+    this.sql.exec('INSERT INTO request_log (ts) VALUES (?)', now);
+    usage.requests.used += 1;
+    usage.requests.remaining -= 1;
+    return jsonResponse(usage);
+  }
+
+  async recordTokenUsage(request) {
+    const { tokens } = await request.json();
+    const day = utcDay(Date.now());
+
+    this.sql.exec(
+      `INSERT INTO token_usage (day, tokens) VALUES (?, ?)
+       ON CONFLICT (day) DO UPDATE SET tokens = tokens + excluded.tokens`,
+      day, Math.max(0, Math.round(tokens) || 0)
+    );
+    // Keep a month of daily totals
+    this.sql.exec('DELETE FROM token_usage WHERE day < ?', utcDay(Date.now() - 31 * DAY_MS));
+
+    return jsonResponse({ success: true });
+  }
+
+  usageSnapshot({ requestLimit, windowSeconds, dailyTokenBudget }, now) {
+    const windowStart = now - windowSeconds * 1000;
+    this.sql.exec('DELETE FROM request_log WHERE ts <= ?', windowStart);
+
+    const { used, oldest } = this.sql.exec(
+      'SELECT COUNT(*) AS used, MIN(ts) AS oldest FROM request_log'
+    ).one();
+    const today = this.sql.exec('SELECT tokens FROM token_usage WHERE day = ?', utcDay(now)).toArray()[0];
+    const tokensUsed = today ? today.tokens : 0;
+    const tomorrow = new Date(now);
+    tomorrow.setUTCHours(24, 0, 0, 0);
+
+    return {
+      requests: {
+        limit: requestLimit,
+        used,
+        remaining: Math.max(0, requestLimit - used),
+        windowSeconds,
+        resetAt: oldest ? oldest + windowSeconds * 1000 : now
+      },
+      tokens: {
+        budget: dailyTokenBudget,
+        used: tokensUsed,
+        remaining: Math.max(0, dailyTokenBudget - tokensUsed),
+        resetAt: tomorrow.getTime()
+      }
+    };
+  }
+
+  async listDocuments() {
+    const documents = this.sql.exec(
+      'SELECT id, name, mime_type, size, chunk_count, created_at FROM documents ORDER BY created_at DESC'
+    ).toArray().map(row => ({
+      id: row.id,
+      name: row.name,
+      mimeType: row.mime_type,
+      size: row.size,
+      chunkCount: row.chunk_count,
+      createdAt: row.created_at
+    }));
+    return jsonResponse(documents);
+  }
+
+  // Body: { name, mimeType, size, chunks: [{ section, content, embedding }] }
+  async addDocument(request) {
+    const { name, mimeType, size, chunks } = await request.json();
+    const id = crypto.randomUUID();
+    const now = Date.now();
+
+    this.state.storage.transactionSync(() => {
+      this.sql.exec(
+        'INSERT INTO documents (id, name, mime_type, size, chunk_count, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        id, name, mimeType, size, chunks.length, now
+      );
+      this.vectors.add(id, chunks);
+    });
+
+    return jsonResponse({ id, name, mimeType, size, chunkCount: chunks.length, createdAt: now }, 201);
+  }
+
+  async deleteDocument(request) {
+    const { documentId } = await request.json();
+    const existing = this.sql.exec('SELECT id FROM documents WHERE id = ?', documentId).toArray()[0];
+
+    if (!existing) {
+      return jsonResponse({ error: 'Document not found' }, 404);
+    }
+
+    this.state.storage.transactionSync(() => {
+      this.vectors.deleteDocument(documentId);
+      this.sql.exec('DELETE FROM documents WHERE id = ?', documentId);
+    });
+    return jsonResponse({ success: true });
+  }
+
+  async searchDocuments(request) {
+    const { vector, limit = 4, minScore = 0 } = await request.json();
+    const matches = this.vectors.query(vector, limit, minScore);
+
+    const names = new Map(this.sql.exec('SELECT id, name FROM documents').toArray().map(row => [row.id, row.name]));
+    return jsonResponse(matches.map(match => ({ ...match, documentName: names.get(match.documentId) })));
+  }
+
+  threadNotFound() {
+    return jsonResponse({ error: 'Thread not found' }, 404);
+  }
+
+  messageNotFound() {
+    return jsonResponse({ error: 'Message not found' }, 404);
+  }
+}
+
+function toThread(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    archived: Boolean(row.archived),
+    ...(row.mode ? { mode: row.mode } : {}),
+    ...(row.course_id ? { courseId: row.course_id } : {})
+  };
+}
+
+function toMessage(row) {
+  const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+  return {
+    id: row.id,
+    parentId: row.parent_id,
+    role: row.role,
+    content: row.content,
+    timestamp: row.created_at,
+    ...metadata
+  };
+}
+
+function toShare(row, now) {
+  return {
+    id: row.id,
+    threadId: row.thread_id,
+    title: row.title,
+    messageCount: row.message_count,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    expired: row.expires_at !== null && row.expires_at <= now
+  };
+}
+
+// What a shared page shows of a message: no ids, and of each source only
+// what the student saw
+function toSharedMessage(message) {
+  return {
+    role: message.role,
+    content: message.content,
+    timestamp: message.timestamp,
+    ...(message.sources && message.sources.length > 0 ? {
+      sources: message.sources.map(({ index, documentName, section }) => ({ index, documentName, section }))
+    } : {})
+  };
+}
+
+// Pairs message rows (oldest first) back into question-and-answer turns
+function toInteractions(rows) {
+  const turns = [];
+  for (const row of rows) {
+    const message = toMessage(row);
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push({ timestamp: message.timestamp, userMessage: '', aiResponse: '', lastMessageId: message.id });
+    }
+
+    const turn = turns[turns.length - 1];
+    if (message.role === 'user') {
+      turn.userMessage = message.content;
+    } else {
+      turn.aiResponse = message.content;
+      if (message.sources) turn.sources = message.sources;
+      if (message.error) turn.error = message.error;
+    }
+    turn.lastMessageId = message.id;
+  }
+  return turns;
+}
+
+// The turns that got an answer, ready to hand out of the Durable Object
+function answeredTurns(turns) {
+  return turns.filter(turn => !turn.error).map(({ lastMessageId, ...turn }) => turn);
+}
+
+// Turns what the student typed into an FTS5 query: "quoted phrases" stay
+// phrases, every other word is a term of its own, and all of them must match.
+// Returns '' when nothing searchable is left.
+function toMatchQuery(query) {
+  const terms = [];
+  for (const [token, phrase] of query.matchAll(/"([^"]*)"?|[^\s"]+/g)) {
+    const words = (phrase !== undefined ? phrase : token).match(/[\p{L}\p{N}]+/gu);
+    if (words) terms.push(`"${words.join(' ')}"`);
+  }
+  return terms.join(' ');
+}
+
+// SQL conditions for the search filters, on messages `m` joined to threads
+// `t`: threadId, topic (text the thread title must contain), role, and
+// from/to timestamps (inclusive)
+function searchFilters({ threadId, topic, role, from, to }) {
+  const clauses = [];
+  const bindings = [];
+  const add = (clause, value) => {
+    clauses.push(clause);
+    bindings.push(value);
+  };
+
+  if (threadId) add('m.thread_id = ?', threadId);
+  if (topic) add('instr(lower(t.title), lower(?)) > 0', topic);
+  if (role) add('m.role = ?', role);
+  if (from) add('m.created_at >= ?', Number(from));
+  if (to) add('m.created_at <= ?', Number(to));
+
+  return { sql: clauses.map(clause => ` AND ${clause}`).join(''), bindings };
+}
+
+function searchLimit(value) {
+  return Math.min(parseInt(value, 10) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+}
+
+function toSearchResult(row, snippet, score) {
+  return {
+    messageId: row.id,
+    threadId: row.thread_id,
+    threadTitle: row.thread_title,
+    role: row.role,
+    timestamp: row.created_at,
+    snippet,
+    score
+  };
+}
+
+// About SNIPPET_CHARS of `content` around the first of `terms` it contains,
+// with every term marked the way FTS5's snippet() marks matches
+function excerpt(content, terms) {
+  const text = content.replace(/\s+/g, ' ').trim();
+  const pattern = terms.length > 0
+    ? new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'giu')
+    : null;
+
+  const first = pattern ? text.search(pattern) : -1;
+  let start = Math.max(0, first - SNIPPET_CHARS / 4);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  let end = Math.min(text.length, start + SNIPPET_CHARS);
+  if (end < text.length && text.lastIndexOf(' ', end) > start) end = text.lastIndexOf(' ', end);
+
+  const marked = pattern
+    ? text.slice(start, end).replace(pattern, match => MARK_START + match + MARK_END)
+    : text.slice(start, end);
+  return (start > 0 ? '…' : '') + marked + (end < text.length ? '…' : '');
+}
+
+// Escapes a marked snippet for HTML and turns the marks into <mark> tags
+function highlightSnippet(snippet) {
+  return snippet
+    .replace(/\s+/g, ' ')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+function historyKey(threadId) {
+  return `history:${threadId}`;
+}
+
+// SM-2: grades of 3 and above count as recalled and grow the interval by the
+// ease factor; anything lower starts the card over. The ease factor moves with
+// every review but never drops below 1.3.
+function scheduleReview(card, grade) {
+  let { interval_days: interval, repetitions, ease_factor: easeFactor } = card;
+
+  if (grade >= 3) {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions += 1;
+  } else {
+    repetitions = 0;
+    interval = 1;
+  }
+
+  easeFactor = Math.max(1.3, easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+  return { interval, repetitions, easeFactor };
+}
+
+function utcDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// The first time after `after` that the student's clock reads `hour`:00.
+// The offset is fixed when the plan is made, so reminders drift by an hour
+// across daylight saving changes.
+function nextReminderAt(after, timezoneOffset, hour) {
+  const local = after - timezoneOffset * 60000;
+  let reminder = Math.floor(local / DAY_MS) * DAY_MS + hour * 60 * 60 * 1000;
+  if (reminder <= local) reminder += DAY_MS;
+  return reminder + timezoneOffset * 60000;
+}
+
+function toPlanItem(row) {
+  return {
+    id: row.id,
+    day: row.day,
+    topic: row.topic,
+    tasks: JSON.parse(row.tasks),
+    reviewQuestions: JSON.parse(row.review_questions),
+    status: row.status,
+    completedAt: row.completed_at
+  };
+}
+
+function toFlashcard(row) {
+  return {
+    id: row.id,
+    question: row.question,
+    answer: row.answer,
+    threadId: row.thread_id,
+    createdAt: row.created_at,
+    dueAt: row.due_at,
+    intervalDays: row.interval_days,
+    repetitions: row.repetitions,
+    easeFactor: row.ease_factor,
+    lastReviewedAt: row.last_reviewed_at
+  };
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,392 @@
+// src/durable-objects/StudyRoom.js
+// One group study room per instance, addressed by its room code. Members
+// connect over WebSockets that hibernate between messages, so an idle room
+// costs nothing while everyone stays connected. The worker does anything
+// that calls Workers AI and has the room store and broadcast the result; the
+// transcript lives in the room's SQLite storage.
+//
+// Events sent to members, as JSON with a `type`:
+//   welcome   { room, you, members, messages, statuses, reset }  on
+//             connecting. After a reconnect with ?after=<last message id>
+//             only the missed messages are sent, with the assistant's status
+//             on earlier questions, unless too many were missed (reset: true).
+//   presence  { members }               someone connected or left
+//   message   { message }               a student or the assistant said something
+//   status    { messageId, aiStatus }   the assistant started or failed answering
+//   settings  { aiMode }                the moderator changed when the assistant answers
+//   typing    { memberId, name }
+// Members may send { type: 'typing' }. A plain "ping" is answered with
+// "pong" without waking the room.
+
+// When the assistant answers: every question, only the questions the
+// moderator picks, or not at all
+const AI_MODES = ['auto', 'moderated', 'off'];
+
+// Messages sent on connecting, and answered questions handed to the worker
+// as context for the next answer
+const WELCOME_MESSAGES = 100;
+const CONTEXT_TURNS = 20;
+
+export class StudyRoom {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.sql = state.storage.sql;
+    this.initializeSchema();
+    state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+  }
+
+  initializeSchema() {
+    this.sql.exec(`
+      -- A single row, written when the room is created
+      CREATE TABLE IF NOT EXISTS room (
+        code TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        moderator_id TEXT NOT NULL,
+        ai_mode TEXT NOT NULL DEFAULT 'auto',
+        created_at INTEGER NOT NULL
+      );
+
+      -- Everyone who has joined. Members know each other by member_id, so
+      -- user ids never leave the room.
+      CREATE TABLE IF NOT EXISTS members (
+        user_id TEXT PRIMARY KEY,
+        member_id TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        joined_at INTEGER NOT NULL,
+        last_seen_at INTEGER NOT NULL
+      );
+
+      -- The transcript. Questions the assistant was asked to answer carry
+      -- ai_status (pending, answered or failed); answers point back at their
+      -- question with reply_to.
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        member_id TEXT,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        reply_to INTEGER,
+        model TEXT,
+        ai_status TEXT,
+        created_at INTEGER NOT NULL
+      );
+    `);
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    switch(url.pathname) {
+      case '/create':
+        return this.createRoom(request);
+      case '/info':
+        return this.getInfo(url);
+      case '/connect':
+        return this.connect(request, url);
+      case '/messages/add':
+        return this.addMessage(request);
+      case '/messages/claim':
+        return this.claimMessage(request);
+      case '/messages/answer':
+        return this.answerMessage(request);
+      case '/settings':
+        return this.updateSettings(request);
+      default:
+        return new Response('Not found', { status: 404 });
+    }
+  }
+
+  // { code, name, userId }; the user who creates the room moderates it
+  async createRoom(request) {
+    const { code, name, userId } = await request.json();
+    if (this.findRoom()) {
+      return jsonResponse({ error: 'Room already exists' }, 409);
+    }
+
+    this.sql.exec(
+      'INSERT INTO room (code, name, moderator_id, created_at) VALUES (?, ?, ?, ?)',
+      code, name, userId, Date.now()
+    );
+    return jsonResponse(this.toRoom(this.findRoom(), userId), 201);
+  }
+
+  async getInfo(url) {
+    const room = this.findRoom();
+    if (!room) {
+      return this.roomNotFound();
+    }
+    return jsonResponse({ ...this.toRoom(room, url.searchParams.get('userId')), online: this.onlineMembers().length });
+  }
+
+  // Upgrades to a WebSocket for ?userId=, joining the room as ?name=
+  async connect(request, url) {
+    if (request.headers.get('Upgrade') !== 'websocket') {
+      return new Response('Expected a WebSocket upgrade', { status: 426 });
+    }
+
+    const room = this.findRoom();
+    if (!room) {
+      return this.roomNotFound();
+    }
+
+    const userId = url.searchParams.get('userId');
+    const now = Date.now();
+    const member = this.sql.exec(
+      `INSERT INTO members (user_id, member_id, name, joined_at, last_seen_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (user_id) DO UPDATE SET name = excluded.name, last_seen_at = excluded.last_seen_at
+       RETURNING *`,
+      userId, crypto.randomUUID(), url.searchParams.get('name'), now, now
+    ).one();
+
+    const after = Number(url.searchParams.get('after')) || 0;
+    const missed = after ? this.sql.exec('SELECT COUNT(*) AS count FROM messages WHERE id > ?', after).one().count : 0;
+    const reset = !after || missed > WELCOME_MESSAGES;
+    const messages = this.selectMessages(
+      'WHERE messages.id > ? ORDER BY messages.id DESC LIMIT ?', reset ? 0 : after, WELCOME_MESSAGES
+    ).reverse();
+    // The assistant may have started or failed on earlier questions meanwhile
+    const statuses = reset ? [] : this.sql.exec(
+      'SELECT id, ai_status FROM messages WHERE id <= ? AND ai_status IS NOT NULL ORDER BY id DESC LIMIT ?',
+      after, WELCOME_MESSAGES
+    ).toArray().map(row => ({ messageId: row.id, aiStatus: row.ai_status }));
+
+    const [client, server] = Object.values(new WebSocketPair());
+    this.state.acceptWebSocket(server);
+    server.serializeAttachment({ userId, memberId: member.member_id, name: member.name });
+
+    server.send(JSON.stringify({
+      type: 'welcome',
+      room: this.toRoom(room, userId),
+      you: { memberId: member.member_id, name: member.name },
+      members: this.onlineMembers(),
+      messages,
+      statuses,
+      reset
+    }));
+    this.broadcast({ type: 'presence', members: this.onlineMembers() }, server);
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  // A student's message: { userId, content }. In auto mode the question is
+  // claimed for the assistant straight away, and the response carries the
+  // context the worker needs to answer it.
+  async addMessage(request) {
+    const { userId, content } = await request.json();
+    const room = this.findRoom();
+    if (!room) {
+      return this.roomNotFound();
+    }
+
+    const member = this.findMember(userId);
+    if (!member) {
+      return jsonResponse({ error: 'Join the room before posting' }, 403);
+    }
+
+    const answer = room.ai_mode === 'auto';
+    const id = this.sql.exec(
+      `INSERT INTO messages (member_id, role, content, ai_status, created_at) VALUES (?, 'user', ?, ?, ?) RETURNING id`,
+      member.member_id, content, answer ? 'pending' : null, Date.now()
+    ).one().id;
+
+    const message = this.findMessage(id);
+    this.broadcast({ type: 'message', message });
+    return jsonResponse({ message, answer, history: answer ? this.answeredBefore(id) : [] }, 201);
+  }
+
+  // The moderator asks the assistant to answer a question: { userId,
+  // messageId }. Fails when the assistant is paused or already on it.
+  async claimMessage(request) {
+    const { userId, messageId } = await request.json();
+    const room = this.findRoom();
+    if (!room) {
+      return this.roomNotFound();
+    }
+    if (room.moderator_id !== userId) {
+      return this.notModerator();
+    }
+    if (room.ai_mode === 'off') {
+      return jsonResponse({ error: 'The assistant is paused in this room' }, 409);
+    }
+
+    const message = this.findMessage(messageId);
+    if (!message || message.role !== 'user') {
+      return jsonResponse({ error: 'Message not found' }, 404);
+    }
+    if (message.aiStatus === 'pending' || message.aiStatus === 'answered') {
+      return jsonResponse({ error: 'The assistant has already taken this question' }, 409);
+    }
+
+    this.sql.exec(`UPDATE messages SET ai_status = 'pending' WHERE id = ?`, message.id);
+    this.broadcast({ type: 'status', messageId: message.id, aiStatus: 'pending' });
+    return jsonResponse({ message: { ...message, aiStatus: 'pending' }, history: this.answeredBefore(message.id) });
+  }
+
+  // The assistant's answer to a claimed question, { messageId, content,
+  // model }, or { messageId, error } when it could not answer
+  async answerMessage(request) {
+    const { messageId, content, model, error } = await request.json();
+
+    if (error) {
+      this.sql.exec(`UPDATE messages SET ai_status = 'failed' WHERE id = ?`, messageId);
+      this.broadcast({ type: 'status', messageId, aiStatus: 'failed' });
+      return jsonResponse({ success: true });
+    }
+
+    const id = this.state.storage.transactionSync(() => {
+      this.sql.exec(`UPDATE messages SET ai_status = 'answered' WHERE id = ?`, messageId);
+      return this.sql.exec(
+        `INSERT INTO messages (role, content, reply_to, model, created_at) VALUES ('assistant', ?, ?, ?, ?) RETURNING id`,
+        content, messageId, model, Date.now()
+      ).one().id;
+    });
+
+    const message = this.findMessage(id);
+    this.broadcast({ type: 'message', message });
+    return jsonResponse({ message }, 201);
+  }
+
+  // { userId, aiMode }, from the moderator only
+  async updateSettings(request) {
+    const { userId, aiMode } = await request.json();
+    const room = this.findRoom();
+    if (!room) {
+      return this.roomNotFound();
+    }
+    if (room.moderator_id !== userId) {
+      return this.notModerator();
+    }
+    if (!AI_MODES.includes(aiMode)) {
+      return jsonResponse({ error: `aiMode must be one of ${AI_MODES.join(', ')}` }, 400);
+    }
+
+    this.sql.exec('UPDATE room SET ai_mode = ?', aiMode);
+    this.broadcast({ type: 'settings', aiMode });
+    return jsonResponse(this.toRoom(this.findRoom(), userId));
+  }
+
+  async webSocketMessage(ws, data) {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (event && event.type === 'typing') {
+      const { memberId, name } = ws.deserializeAttachment();
+      this.broadcast({ type: 'typing', memberId, name }, ws);
+    }
+  }
+
+  async webSocketClose(ws) {
+    this.leave(ws);
+  }
+
+  async webSocketError(ws) {
+    this.leave(ws);
+  }
+
+  leave(ws) {
+    try {
+      ws.close();
+    } catch (error) {
+      // Already closed
+    }
+
+    const { userId } = ws.deserializeAttachment();
+    this.sql.exec('UPDATE members SET last_seen_at = ? WHERE user_id = ?', Date.now(), userId);
+    this.broadcast({ type: 'presence', members: this.onlineMembers(ws) }, ws);
+  }
+
+  // Members with at least one open connection, other than `leaving`
+  onlineMembers(leaving) {
+    const room = this.findRoom();
+    const members = new Map();
+    for (const ws of this.state.getWebSockets()) {
+      if (ws === leaving) continue;
+      const { userId, memberId, name } = ws.deserializeAttachment();
+      members.set(memberId, { memberId, name, moderator: userId === room.moderator_id });
+    }
+    return [...members.values()];
+  }
+
+  broadcast(event, except) {
+    const data = JSON.stringify(event);
+    for (const ws of this.state.getWebSockets()) {
+      if (ws === except) continue;
+      try {
+        ws.send(data);
+      } catch (error) {
+        // The socket is closing; webSocketClose will tidy up
+      }
+    }
+  }
+
+  // The latest questions before `messageId` that the assistant answered,
+  // oldest first, with who asked them
+  answeredBefore(messageId) {
+    return this.sql.exec(
+      `SELECT members.name AS name, questions.content AS question, answers.content AS answer
+       FROM messages AS answers
+       JOIN messages AS questions ON questions.id = answers.reply_to
+       LEFT JOIN members ON members.member_id = questions.member_id
+       WHERE answers.role = 'assistant' AND questions.id < ?
+       ORDER BY answers.id DESC LIMIT ?`,
+      messageId, CONTEXT_TURNS
+    ).toArray().reverse().map(row => ({ name: row.name || 'A student', question: row.question, answer: row.answer }));
+  }
+
+  selectMessages(clause, ...bindings) {
+    return this.sql.exec(
+      `SELECT messages.*, members.name AS name FROM messages
+       LEFT JOIN members ON members.member_id = messages.member_id ${clause}`,
+      ...bindings
+    ).toArray().map(toRoomMessage);
+  }
+
+  findMessage(id) {
+    return this.selectMessages('WHERE messages.id = ?', Number(id))[0];
+  }
+
+  findRoom() {
+    return this.sql.exec('SELECT * FROM room').toArray()[0];
+  }
+
+  findMember(userId) {
+    return this.sql.exec('SELECT * FROM members WHERE user_id = ?', userId).toArray()[0];
+  }
+
+  toRoom(room, userId) {
+    return { code: room.code, name: room.name, aiMode: room.ai_mode, moderator: room.moderator_id === userId };
+  }
+
+  roomNotFound() {
+    return jsonResponse({ error: 'Room not found' }, 404);
+  }
+
+  notModerator() {
+    return jsonResponse({ error: 'Only the room moderator can do that' }, 403);
+  }
+}
+
+function toRoomMessage(row) {
+  return {
+    id: row.id,
+    memberId: row.member_id,
+    name: row.role === 'assistant' ? null : row.name,
+    role: row.role,
+    content: row.content,
+    replyTo: row.reply_to,
+    model: row.model,
+    aiStatus: row.ai_status,
+    createdAt: row.created_at
+  };
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
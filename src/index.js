@@ -1,206 +1,9026 @@
 export { SessionManager } from './durable-objects/SessionManager.js';
+export { IdentityStore } from './durable-objects/IdentityStore.js';
+export { StudyRoom } from './durable-objects/StudyRoom.js';
+export { Course } from './durable-objects/Course.js';
+
+import { createMarkdownRenderer } from './markdown.js';
+import { LOCALES, DEFAULT_LOCALE } from './locales.js';
+import { localDay, shiftDay } from './days.js';
+
+const TRANSCRIPTION_MODEL = '@cf/openai/whisper-large-v3-turbo';
+const TRANSLATION_MODEL = '@cf/meta/m2m100-1.2b';
+const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+
+// Chat models a student may pick from, keyed by the id clients send. Change
+// the list with the CHAT_MODELS var, and pick the default and the model tried
+// when it fails with CHAT_MODEL and CHAT_FALLBACK_MODEL.
+const CHAT_MODELS = {
+  'llama-3.2-3b': {
+    name: 'Llama 3.2 3B',
+    description: 'Quick answers for everyday questions',
+    model: '@cf/meta/llama-3.2-3b-instruct'
+  },
+  'llama-3.1-8b': {
+    name: 'Llama 3.1 8B',
+    description: 'A little slower, a little more careful',
+    model: '@cf/meta/llama-3.1-8b-instruct'
+  },
+  'llama-3.3-70b': {
+    name: 'Llama 3.3 70B',
+    description: 'The most capable model, for hard problems',
+    model: '@cf/meta/llama-3.3-70b-instruct-fp8-fast'
+  }
+};
+const DEFAULT_CHAT_MODEL = 'llama-3.2-3b';
+const DEFAULT_FALLBACK_CHAT_MODEL = 'llama-3.1-8b';
+// Shown to the student when no model could answer
+const CHAT_ERROR_MESSAGE = 'I encountered an error while processing your request. Please try again.';
+// The id a client may send a question under, so that sending it again (as
+// the offline outbox does after a lost response) never stores it twice
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// A model call that fails with a transient error is retried this many times,
+// waiting MODEL_RETRY_DELAY_MS and then twice as long each time, before the
+// fallback model is tried
+const MODEL_RETRIES = 2;
+const MODEL_RETRY_DELAY_MS = 250;
+// Workers AI errors worth retrying: capacity, rate limits, timeouts and
+// upstream failures. Anything else (bad input, unknown model) is not.
+const TRANSIENT_AI_ERROR = /capacity|temporar|timed? ?out|network|overloaded|unavailable|internal server error|too many requests|\b(429|50[234]|3040|3043)\b/i;
+
+// How many estimated tokens a chat request may fill, prompt and reply
+// together, per Workers AI model. The 3B model accepts 128k tokens, but a
+// window that large would spend a day's token budget in a handful of
+// questions. Override with the CONTEXT_BUDGETS var, a JSON object keyed by
+// Workers AI model name.
+const CONTEXT_BUDGETS = {
+  '@cf/meta/llama-3.2-3b-instruct': 8192,
+  '@cf/meta/llama-3.1-8b-instruct': 7968,
+  '@cf/meta/llama-3.3-70b-instruct-fp8-fast': 8192
+};
+const DEFAULT_CONTEXT_BUDGET = 4096;
+// Most turns of a thread fetched for the context budgeter to choose from
+const CONTEXT_HISTORY_TURNS = 50;
+// Role and formatting tokens the model adds around every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Code blocks in earlier turns longer than this are cut to their first lines
+const CONTEXT_CODE_BLOCK_TOKENS = 200;
+
+// Upload limits for /api/voice
+const VOICE_MAX_BYTES = 5 * 1024 * 1024;
+const VOICE_MAX_SECONDS = 60;
+
+// Lines of an answer sent to the translation model at once
+const TRANSLATE_CONCURRENCY = 8;
+
+// Course notes uploaded for retrieval
+const DOCUMENT_MAX_BYTES = 5 * 1024 * 1024;
+const DOCUMENT_MAX_CHUNKS = 400;
+const RETRIEVAL_LIMIT = 4;
+const RETRIEVAL_MIN_SCORE = 0.55;
+
+// Longest comment accepted with a thumbs up or down
+const FEEDBACK_MAX_LENGTH = 1000;
+
+// Most characters of a thread, or of pasted text, flashcards are made from
+const FLASHCARD_SOURCE_MAX_CHARS = 6000;
+
+// Conversation search. Semantic searches embed up to SEARCH_INDEX_BATCH
+// messages that have no embedding yet, newest first, before comparing.
+const SEARCH_MODES = ['keyword', 'semantic'];
+const SEARCH_MAX_QUERY_LENGTH = 200;
+const SEARCH_INDEX_BATCH = 100;
+const SEARCH_EMBED_CHARS = 1000;
+const SEARCH_MIN_SCORE = 0.6;
+
+// Progress dashboard. Stored questions and quiz results from before topics
+// were tracked are classified up to PROGRESS_CLASSIFY_BATCH at a time, when
+// the dashboard is opened. Topics are suggested for review when their quiz
+// average or share of confused questions crosses these lines, or when a
+// well-studied topic has not come up for a while.
+const PROGRESS_CLASSIFY_BATCH = 500;
+const PROGRESS_DEFAULT_DAYS = 30;
+const PROGRESS_MAX_DAYS = 365;
+const PROGRESS_WEAK_QUIZ_AVERAGE = 0.7;
+const PROGRESS_CONFUSED_SHARE = 0.25;
+const PROGRESS_STALE_DAYS = 14;
+const PROGRESS_SUGGESTIONS = 3;
+
+// Study plans: how far off a deadline may be, and when in the student's day
+// the reminder goes out unless they pick another hour
+const PLAN_MAX_DAYS = 30;
+const PLAN_GOAL_MAX_LENGTH = 200;
+const PLAN_DEFAULT_REMINDER_HOUR = 8;
+
+// Shared links: how long one may stay open, and the longest custom title
+const SHARE_MAX_DAYS = 365;
+const SHARE_TITLE_MAX_LENGTH = 200;
+// Share ids are 128 random bits in base64url
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+// Shared pages are never cached, so revoking a link takes effect at once,
+// stay out of search results and may not run scripts or load anything
+const SHARED_PAGE_HEADERS = {
+  'Content-Type': 'text/html; charset=utf-8',
+  'Cache-Control': 'no-store',
+  'X-Robots-Tag': 'noindex',
+  'Referrer-Policy': 'no-referrer',
+  'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'"
+};
+
+// Group study rooms: the codes students join with, limits on what they
+// type, and what the assistant is told about answering a group
+const ROOM_CODE_LENGTH = 6;
+const ROOM_NAME_MAX_LENGTH = 60;
+const ROOM_MEMBER_NAME_MAX_LENGTH = 40;
+const ROOM_MESSAGE_MAX_LENGTH = 4000;
+const ROOM_PROMPT = `You are answering in a group study room. Several students share this conversation, and each of their messages starts with the name of the student who wrote it. Answer the latest question, and address students by name when that makes it clearer who you are answering.`;
+
+// Chat policy: how /api/chat treats requests to do graded work for the
+// student and harmful content, overridden per deployment by the CHAT_POLICY
+// var (see getChatPolicy).
+const DEFAULT_CHAT_POLICY = {
+  // Requests to solve an assignment outright: 'hints' answers them in
+  // hint-only mode, 'refuse' declines them, 'off' answers them as usual
+  integrity: 'hints',
+  // Screening of questions and answers for harmful content: 'rules' only,
+  // 'model' also asks guardModel (Llama Guard), 'off' screens nothing
+  moderation: 'rules',
+  // 'model' asks classifierModel about questions no integrity rule matched
+  classifier: 'rules',
+  classifierModel: '@cf/meta/llama-3.2-3b-instruct',
+  guardModel: '@cf/meta/llama-guard-3-8b',
+  // Added to the built-in rules below
+  integrityPatterns: [],
+  blockedPatterns: [],
+  // Code blocks in hint-only answers longer than this are cut to their first lines
+  hintCodeTokens: 80
+};
+const POLICY_INTEGRITY_MODES = ['hints', 'refuse', 'off'];
+const POLICY_MODERATION_MODES = ['rules', 'model', 'off'];
+const POLICY_CLASSIFIER_MODES = ['rules', 'model'];
+// Asking for a finished assignment rather than help with one
+const INTEGRITY_PATTERNS = [
+  /\b(?:solve|do|complete|finish|write)\b.{0,40}\b(?:my|this|the|our)\s+(?:homework|assignment|problem set|pset|lab|take-?home|exam|quiz)\b/i,
+  /\b(?:homework|assignment|problem set|pset|lab|exam|quiz)\b.{0,80}\b(?:full|complete|entire|whole|final|finished)\s+(?:solution|answer|code|program)s?\b/i,
+  /\b(?:just|only)\s+(?:give|write|send|tell)\s+(?:me\s+)?(?:the\s+)?(?:answers?|code|solutions?)\b/i,
+  /\b(?:ready to|so i can|that i can)\s+(?:submit|hand (?:it )?in|turn (?:it )?in)\b/i,
+  /\bcopy[- ]?(?:and[- ])?paste(?:able)?\b.{0,40}\b(?:answer|solution|code)\b/i
+];
+// Harmful requests the tutor never helps with, whatever the mode
+const BLOCKED_PATTERNS = [
+  /\b(?:how (?:do i|to|can i)|steps to|instructions (?:for|to))\b.{0,40}\b(?:make|build|synthesi[sz]e)\b.{0,30}\b(?:bombs?|explosives?|nerve agents?|methamphetamine)\b/i,
+  /\b(?:write|create|build|code|make)\b.{0,30}\b(?:ransomware|keyloggers?|credential stealers?|botnets?)\b/i
+];
+// The classifier model sees at most this much of a question
+const POLICY_CLASSIFY_MAX_CHARS = 4000;
+const INTEGRITY_CLASSIFIER_PROMPT = `You check messages sent to a programming tutor. Reply "yes" if the student asks for a complete solution to graded work (homework, an assignment, a lab, an exam or a quiz) to hand in as their own, and "no" if they ask for an explanation, a hint, feedback on their own attempt or anything else. Reply with only yes or no.`;
+// Added to the mode's rules when a request is answered in hint-only mode
+const HINT_ONLY_CONSTRAINTS = [
+  'This looks like graded work. Do not write the finished solution or complete code for it.',
+  'Explain the concepts involved, point the student to the next step and ask a guiding question.',
+  'Code examples may only show a general technique on a different example, a few lines long.'
+];
+const POLICY_REFUSAL_MESSAGE = "I can't solve graded work for you, but I'm happy to help you get there yourself. Tell me what you have tried so far, or which part is confusing, and we can work through it step by step.";
+const POLICY_BLOCKED_MESSAGE = "I can't help with that. I'm here to help you learn computer science, so feel free to ask me about your course material instead.";
+
+// Instructor courses: what an instructor may set up, the codes students
+// join with, and how far back insights look
+const COURSE_CODE_LENGTH = 8;
+const COURSE_NAME_MAX_LENGTH = 100;
+const COURSE_SYLLABUS_MAX_LENGTH = 6000;
+const COURSE_PROMPT_MAX_LENGTH = 2000;
+const COURSE_MAX_TOPICS = 40;
+const COURSE_TOPIC_MAX_LENGTH = 80;
+const COURSE_QUESTION_MAX_CHARS = 2000;
+const COURSE_DEFAULT_INSIGHT_DAYS = 30;
+const COURSE_MAX_INSIGHT_DAYS = 365;
+const CONCEPT_STOP_WORDS = new Set(['and', 'the', 'for', 'with', 'into', 'from', 'how', 'what', 'why', 'when', 'does', 'are', 'you', 'can', 'this', 'that', 'about', 'introduction', 'basics']);
+const COURSE_SCOPE_CONSTRAINT = 'Keep to the course: answer in terms of its syllabus and topics, and when a question falls outside them, say so briefly and steer the student back to the course.';
+
+// Conversation exports, and the JSON form accepted back by import
+const EXPORT_APP = 'cf_ai_study_assistant';
+const EXPORT_VERSION = 1;
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_THREADS = 100;
+
+// Session tokens and device link codes
+const SESSION_COOKIE = 'sa_session';
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+const LINK_CODE_TTL_MS = 10 * 60 * 1000;
+const LINK_CODE_LENGTH = 8;
+// Failed sign-ins allowed per email and per client IP within the window,
+// against password guessing
+const LOGIN_MAX_FAILURES_PER_EMAIL = 5;
+const LOGIN_MAX_FAILURES_PER_IP = 20;
+const LOGIN_FAILURE_WINDOW_SECONDS = 15 * 60;
+const PASSWORD_ITERATIONS = 100000;
+
+// Renders answers for the HTML and Anki exports, same as the page does
+const markdown = createMarkdownRenderer();
+
+// Routes that call Workers AI count against the per-user quota. GET routes
+// that only sometimes do (semantic search, course insights) take their
+// quota themselves when they do.
+const METERED_ROUTES = [
+  /^\/api\/chat$/,
+  /^\/api\/flashcards\/generate$/,
+  /^\/api\/quiz\/generate$/,
+  /^\/api\/quiz\/[^/]+\/submit$/,
+  /^\/api\/plans$/,
+  /^\/api\/rooms\/[^/]+\/messages$/,
+  /^\/api\/rooms\/[^/]+\/messages\/\d+\/answer$/,
+  /^\/api\/courses\/[^/]+\/documents$/,
+  /^\/api\/voice$/,
+  /^\/api\/translate$/,
+  /^\/api\/documents$/
+];
 
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
+    const corsHeaders = getCorsHeaders(request, env);
+
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    try {
+      // Auth routes issue and manage identities, so they run unauthenticated
+      if (url.pathname.startsWith('/api/auth/')) {
+        return await handleAuthRequest(request, env, corsHeaders, url.pathname.slice('/api/auth/'.length));
+      }
+
+      // Every other API route acts on the signed-in user only
+      if (url.pathname.startsWith('/api/')) {
+        const identity = await authenticate(request, env);
+        if (!identity) {
+          return jsonResponse({ error: 'Not signed in' }, corsHeaders, 401);
+        }
+
+        const { userId } = identity;
+
+        if (request.method === 'POST' && METERED_ROUTES.some(route => route.test(url.pathname))) {
+          const limited = await acquireQuota(env, userId, corsHeaders);
+          if (limited) return limited;
+        }
+
+        // From here on every Workers AI call is charged to this user's budget
+        env = withUsageMetering(env, userId, ctx);
+
+        if (url.pathname === '/api/usage') {
+          return await handleUsageRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/chat') {
+          return await handleChatRequest(request, env, ctx, corsHeaders, userId);
+        } else if (url.pathname === '/api/session') {
+          return await handleSessionRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/session/clear') {
+          return await handleClearSessionRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/session/rate') {
+          return await handleRateMessageRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/session/search') {
+          return await handleSearchSessionRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/session/export') {
+          return await handleExportSessionRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/session/import') {
+          return await handleImportSessionRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/rooms') {
+          return await handleRoomsRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname.startsWith('/api/rooms/')) {
+          return await handleRoomActionRequest(request, env, ctx, corsHeaders, userId, url.pathname.slice('/api/rooms/'.length));
+        } else if (url.pathname === '/api/courses') {
+          return await handleCoursesRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/courses/join') {
+          return await handleJoinCourseRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname.startsWith('/api/courses/')) {
+          return await handleCourseActionRequest(request, env, corsHeaders, userId, url.pathname.slice('/api/courses/'.length));
+        } else if (url.pathname === '/api/share') {
+          return await handleSharesRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname.startsWith('/api/share/')) {
+          return await handleShareActionRequest(request, env, corsHeaders, userId, url.pathname.slice('/api/share/'.length));
+        } else if (url.pathname === '/api/modes') {
+          return await handleModesRequest(request, env, corsHeaders);
+        } else if (url.pathname === '/api/models') {
+          return await handleModelsRequest(request, env, corsHeaders);
+        } else if (url.pathname === '/api/preferences') {
+          return await handlePreferencesRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/translate') {
+          return await handleTranslateRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/threads') {
+          return await handleThreadsRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname.startsWith('/api/threads/')) {
+          return await handleThreadActionRequest(request, env, corsHeaders, userId, url.pathname.slice('/api/threads/'.length));
+        } else if (url.pathname === '/api/memory') {
+          return await handleMemoryRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/memory/clear') {
+          return await handleClearMemoryRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/flashcards/generate') {
+          return await handleGenerateFlashcardsRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/flashcards/due') {
+          return await handleDueFlashcardsRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname.match(/^\/api\/flashcards\/[^/]+\/review$/)) {
+          return await handleReviewFlashcardRequest(request, env, corsHeaders, userId, url.pathname.split('/')[3]);
+        } else if (url.pathname === '/api/quiz/generate') {
+          return await handleGenerateQuizRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/quiz/results') {
+          return await handleQuizResultsRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/progress') {
+          return await handleProgressRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/plans') {
+          return await handlePlansRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname.startsWith('/api/plans/')) {
+          return await handlePlanActionRequest(request, env, corsHeaders, userId, url.pathname.slice('/api/plans/'.length));
+        } else if (url.pathname.match(/^\/api\/quiz\/[^/]+\/submit$/)) {
+          return await handleSubmitQuizRequest(request, env, corsHeaders, userId, url.pathname.split('/')[3]);
+        } else if (url.pathname === '/api/voice') {
+          return await handleVoiceRequest(request, env, corsHeaders);
+        } else if (url.pathname === '/api/documents') {
+          return await handleDocumentsRequest(request, env, corsHeaders, userId);
+        } else if (url.pathname === '/api/documents/delete') {
+          return await handleDeleteDocumentRequest(request, env, corsHeaders, userId);
+        }
+      }
+
+      // Anyone with a shared link may read it, signed in or not
+      if (request.method === 'GET' && url.pathname.startsWith('/share/')) {
+        return await handleSharedPageRequest(env, url.pathname.slice('/share/'.length));
+      }
+
+      // The manifest, icon and service worker that make the app installable
+      // and let it open offline
+      const asset = getAppAsset(url.pathname);
+      if (asset) {
+        return new Response(asset.body, {
+          headers: {
+            'Content-Type': asset.type,
+            'Cache-Control': 'no-cache',
+            ...corsHeaders
+          }
+        });
+      }
+
+      if (url.pathname === '/instructor') {
+        return new Response(getInstructorHTMLContent(), {
+          headers: {
+            'Content-Type': 'text/html',
+            ...corsHeaders
+          }
+        });
+      }
+
+      // Serve static frontend
+      return new Response(getHTMLContent(), {
+        headers: {
+          'Content-Type': 'text/html',
+          ...corsHeaders
+        }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders
+        }
+      });
+    }
+  }
+};
+
+// Only origins listed in the ALLOWED_ORIGINS var (comma-separated) get CORS
+// access, with credentials so the session cookie is sent. Same-origin
+// requests from the embedded frontend need no CORS headers at all.
+function getCorsHeaders(request, env) {
+  const origin = request.headers.get('Origin');
+
+  if (!origin || !getAllowedOrigins(env).includes(origin)) {
+    return { 'Vary': 'Origin' };
+  }
+
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Audio-Duration, X-Audio-Language',
+    'Vary': 'Origin'
+  };
+}
+
+function getAllowedOrigins(env) {
+  return (env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+}
+
+// Quotas: each user gets a sliding window of metered requests and a daily
+// token budget, both tracked in their SessionManager and configured through
+// the RATE_LIMIT_REQUESTS, RATE_LIMIT_WINDOW_SECONDS and DAILY_TOKEN_BUDGET
+// vars.
+
+function getQuotaLimits(env) {
+  return {
+    requestLimit: parseInt(env.RATE_LIMIT_REQUESTS, 10) || 20,
+    windowSeconds: parseInt(env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60,
+    dailyTokenBudget: parseInt(env.DAILY_TOKEN_BUDGET, 10) || 100000
+  };
+}
+
+// Returns a 429 response when the user is over a limit, otherwise null
+async function acquireQuota(env, userId, corsHeaders) {
+  const response = await getSession(env, userId).fetch(new Request('http://session/usage/acquire', {
+    method: 'POST',
+    body: JSON.stringify(getQuotaLimits(env))
+  }));
+
+  if (response.status !== 429) return null;
+
+  const body = await response.json();
+  return jsonResponse(body, { ...corsHeaders, 'Retry-After': String(body.retryAfter) }, 429);
+}
+
+async function handleUsageRequest(request, env, corsHeaders, userId) {
+  const params = new URLSearchParams(Object.entries(getQuotaLimits(env)).map(([k, v]) => [k, String(v)]));
+  const response = await getSession(env, userId).fetch(new Request(`http://session/usage?${params}`));
+  return relayResponse(response, corsHeaders);
+}
+
+// Returns a copy of `env` whose AI binding reports the tokens of every call
+// to the user's daily budget. Streams are counted as they are read, and
+// recorded when they finish or are cancelled.
+function withUsageMetering(env, userId, ctx) {
+  const record = tokens => {
+    if (tokens > 0) {
+      ctx.waitUntil(getSession(env, userId).fetch(new Request('http://session/usage/record', {
+        method: 'POST',
+        body: JSON.stringify({ tokens })
+      })).catch(error => console.error('Usage Error:', error)));
+    }
+  };
+
+  const run = async (model, inputs, options) => {
+    const result = await env.AI.run(model, inputs, options);
+    const inputTokens = estimateTokens(inputs.prompt || '') +
+      estimateTokens((inputs.messages || []).map(m => m.content).join('\n')) +
+      estimateTokens(typeof inputs.text === 'string' ? inputs.text : (inputs.text || []).join('\n'));
+
+    if (result instanceof ReadableStream) {
+      return meterStream(result, outputTokens => record(inputTokens + outputTokens));
+    }
+
+    const usage = result && result.usage;
+    const outputTokens = usage
+      ? usage.completion_tokens || 0
+      : estimateTokens((result && (result.response || result.text || result.translated_text)) || '');
+    record((usage && usage.prompt_tokens || inputTokens) + outputTokens);
+    return result;
+  };
+
+  const ai = new Proxy(env.AI, {
+    get(target, property) {
+      if (property === 'run') return run;
+      const value = target[property];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+
+  return { ...env, AI: ai };
+}
+
+function meterStream(stream, onDone) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let done = false;
+  const finish = () => {
+    if (!done) {
+      done = true;
+      onDone(estimateTokens(text.split('\n').map(line => {
+        try {
+          return line.startsWith('data:') ? JSON.parse(line.slice(5)).response || '' : '';
+        } catch (error) {
+          return '';
+        }
+      }).join('')));
+    }
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { done: finished, value } = await reader.read();
+      if (finished) {
+        finish();
+        controller.close();
+        return;
+      }
+      text += decoder.decode(value, { stream: true });
+      controller.enqueue(value);
+    },
+    async cancel(reason) {
+      finish();
+      await reader.cancel(reason);
+    }
+  });
+}
+
+// Rough token count (about four characters per token)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Identity: every browser holds a signed session token (HttpOnly cookie, or a
+// bearer token for API clients) naming a userId and a device. New visitors
+// get a guest identity that can later be upgraded to an email account and
+// linked to other devices with a one-time code. The token only appears in a
+// response body for clients that ask for bearer mode, so scripts on the page
+// never see it.
+
+async function handleAuthRequest(request, env, corsHeaders, action) {
+  const handlers = {
+    'guest': handleGuestAuth,
+    'me': handleMeAuth,
+    'register': handleRegisterAuth,
+    'login': handleLoginAuth,
+    'logout': handleLogoutAuth,
+    'link/start': handleLinkStartAuth,
+    'link/complete': handleLinkCompleteAuth,
+    'devices': handleDevicesAuth,
+    'devices/revoke': handleRevokeDeviceAuth
+  };
+
+  const handler = handlers[action];
+  if (!handler) {
+    return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
+  }
+
+  const expectedMethod = ['me', 'devices'].includes(action) ? 'GET' : 'POST';
+  if (request.method !== expectedMethod) {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  return handler(request, env, corsHeaders);
+}
+
+// Starts a guest identity. Browsers from before sign-in existed kept a random
+// userId in localStorage; the first caller to present one takes it over so
+// its history carries across, after which it can no longer be claimed.
+async function handleGuestAuth(request, env, corsHeaders) {
+  const existing = await authenticate(request, env);
+  if (existing) {
+    return jsonResponse(await describeIdentity(env, existing), corsHeaders);
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const { legacyUserId } = body;
+  let userId = `user_${crypto.randomUUID()}`;
+
+  if (typeof legacyUserId === 'string' && /^user_[a-z0-9]{1,12}$/.test(legacyUserId)) {
+    const claim = await identityStore(env, `legacy:${legacyUserId}`).fetch(new Request('http://identity/create', {
+      method: 'POST',
+      body: JSON.stringify({ claimedAt: Date.now() })
+    }));
+    if (claim.ok) {
+      userId = legacyUserId;
+    }
+  }
+
+  return issueSession(request, env, corsHeaders, userId, wantsBearerToken(request, body));
+}
+
+async function handleMeAuth(request, env, corsHeaders) {
+  const identity = await authenticate(request, env);
+  if (!identity) {
+    return jsonResponse({ error: 'Not signed in' }, corsHeaders, 401);
+  }
+
+  // Slide the expiry forward once a token is past half its lifetime
+  const age = Math.floor(Date.now() / 1000) - identity.issuedAt;
+  if (age > SESSION_TTL_SECONDS / 2) {
+    const token = await signSessionToken(env, identity.userId, identity.deviceId);
+    const body = await describeIdentity(env, identity);
+    return jsonResponse(wantsBearerToken(request) ? { ...body, token } : body, {
+      ...corsHeaders,
+      'Set-Cookie': sessionCookie(token, SESSION_TTL_SECONDS)
+    });
+  }
+
+  return jsonResponse(await describeIdentity(env, identity), corsHeaders);
+}
+
+// Upgrades the current guest to an email account, keeping its userId (and so
+// all of its history)
+async function handleRegisterAuth(request, env, corsHeaders) {
+  const identity = await authenticate(request, env);
+  if (!identity) {
+    return jsonResponse({ error: 'Not signed in' }, corsHeaders, 401);
+  }
+
+  const { email, password } = await request.json();
+  const normalizedEmail = normalizeEmail(email);
+
+  if (!normalizedEmail) {
+    return jsonResponse({ error: 'Enter a valid email address' }, corsHeaders, 400);
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    return jsonResponse({ error: 'Password must be at least 8 characters' }, corsHeaders, 400);
+  }
+
+  const session = getSession(env, identity.userId);
+  const current = await (await session.fetch(new Request('http://session/account'))).json();
+  if (current) {
+    return jsonResponse({ error: 'This identity already has an account' }, corsHeaders, 409);
+  }
+
+  const salt = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const created = await identityStore(env, `account:${normalizedEmail}`).fetch(new Request('http://identity/create', {
+    method: 'POST',
+    body: JSON.stringify({
+      email: normalizedEmail,
+      userId: identity.userId,
+      salt,
+      iterations: PASSWORD_ITERATIONS,
+      passwordHash: await hashPassword(password, salt, PASSWORD_ITERATIONS),
+      createdAt: Date.now()
+    })
+  }));
+
+  if (created.status === 409) {
+    return jsonResponse({ error: 'An account with that email already exists' }, corsHeaders, 409);
+  }
+
+  await session.fetch(new Request('http://session/account/set', {
+    method: 'POST',
+    body: JSON.stringify({ email: normalizedEmail, createdAt: Date.now() })
+  }));
+
+  return jsonResponse(await describeIdentity(env, identity), corsHeaders, 201);
+}
+
+// Too many failed attempts for the email, or from the client's IP, answer
+// 429 with Retry-After until the oldest of them leaves the window
+async function handleLoginAuth(request, env, corsHeaders) {
+  const body = await request.json();
+  const { email, password } = body;
+  const normalizedEmail = normalizeEmail(email);
+
+  if (!normalizedEmail || typeof password !== 'string') {
+    return jsonResponse({ error: 'Invalid email or password' }, corsHeaders, 401);
+  }
+
+  const throttles = [
+    { store: identityStore(env, `login:${normalizedEmail}`), limit: LOGIN_MAX_FAILURES_PER_EMAIL },
+    { store: identityStore(env, `login-ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`), limit: LOGIN_MAX_FAILURES_PER_IP }
+  ];
+  for (const { store, limit } of throttles) {
+    const params = new URLSearchParams({ limit: String(limit), windowSeconds: String(LOGIN_FAILURE_WINDOW_SECONDS) });
+    const check = await store.fetch(new Request(`http://identity/attempts/check?${params}`));
+    if (check.status === 429) {
+      const limited = await check.json();
+      return jsonResponse(limited, { ...corsHeaders, 'Retry-After': String(limited.retryAfter) }, 429);
+    }
+  }
+
+  const invalid = async () => {
+    await Promise.all(throttles.map(({ store }) => store.fetch(new Request('http://identity/attempts/fail', {
+      method: 'POST',
+      body: JSON.stringify({ windowSeconds: LOGIN_FAILURE_WINDOW_SECONDS })
+    }))));
+    return jsonResponse({ error: 'Invalid email or password' }, corsHeaders, 401);
+  };
+
+  const response = await identityStore(env, `account:${normalizedEmail}`).fetch(new Request('http://identity/get'));
+  if (!response.ok) {
+    return invalid();
+  }
+
+  const account = await response.json();
+  const passwordHash = await hashPassword(password, account.salt, account.iterations);
+  if (!timingSafeEqual(passwordHash, account.passwordHash)) {
+    return invalid();
+  }
+  await throttles[0].store.fetch(new Request('http://identity/attempts/clear', { method: 'POST' }));
+
+  // Signing in replaces this browser's previous (guest) identity
+  const previous = await authenticate(request, env);
+  if (previous && previous.userId !== account.userId) {
+    await revokeDevice(env, previous.userId, previous.deviceId);
+  }
+
+  return issueSession(request, env, corsHeaders, account.userId, wantsBearerToken(request, body));
+}
+
+async function handleLogoutAuth(request, env, corsHeaders) {
+  const identity = await authenticate(request, env);
+  if (identity) {
+    await revokeDevice(env, identity.userId, identity.deviceId);
+  }
+
+  return jsonResponse({ success: true }, {
+    ...corsHeaders,
+    'Set-Cookie': sessionCookie('', 0)
+  });
+}
+
+// Creates a short one-time code that signs another device in as this user
+async function handleLinkStartAuth(request, env, corsHeaders) {
+  const identity = await authenticate(request, env);
+  if (!identity) {
+    return jsonResponse({ error: 'Not signed in' }, corsHeaders, 401);
+  }
+
+  const code = randomCode(LINK_CODE_LENGTH);
+  const expiresAt = Date.now() + LINK_CODE_TTL_MS;
+
+  await identityStore(env, `link:${code}`).fetch(new Request('http://identity/create', {
+    method: 'POST',
+    body: JSON.stringify({ userId: identity.userId, expiresAt })
+  }));
+
+  return jsonResponse({ code, expiresAt }, corsHeaders, 201);
+}
+
+async function handleLinkCompleteAuth(request, env, corsHeaders) {
+  const body = await request.json();
+  const { code } = body;
+  const normalizedCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  const invalid = () => jsonResponse({ error: 'Invalid or expired link code' }, corsHeaders, 400);
+
+  if (normalizedCode.length !== LINK_CODE_LENGTH || !/^[A-Z0-9]+$/.test(normalizedCode)) {
+    return invalid();
+  }
+
+  const response = await identityStore(env, `link:${normalizedCode}`).fetch(new Request('http://identity/take', { method: 'POST' }));
+  if (!response.ok) {
+    return invalid();
+  }
+
+  const link = await response.json();
+  if (link.expiresAt < Date.now()) {
+    return invalid();
+  }
+
+  const previous = await authenticate(request, env);
+  if (previous && previous.userId !== link.userId) {
+    await revokeDevice(env, previous.userId, previous.deviceId);
+  }
+
+  return issueSession(request, env, corsHeaders, link.userId, wantsBearerToken(request, body));
+}
+
+async function handleDevicesAuth(request, env, corsHeaders) {
+  const identity = await authenticate(request, env);
+  if (!identity) {
+    return jsonResponse({ error: 'Not signed in' }, corsHeaders, 401);
+  }
+
+  const response = await getSession(env, identity.userId).fetch(new Request('http://session/devices'));
+  const devices = await response.json();
+  return jsonResponse(devices.map(d => ({ ...d, current: d.id === identity.deviceId })), corsHeaders);
+}
+
+async function handleRevokeDeviceAuth(request, env, corsHeaders) {
+  const identity = await authenticate(request, env);
+  if (!identity) {
+    return jsonResponse({ error: 'Not signed in' }, corsHeaders, 401);
+  }
+
+  const { deviceId } = await request.json();
+  const response = await getSession(env, identity.userId).fetch(new Request('http://session/devices/revoke', {
+    method: 'POST',
+    body: JSON.stringify({ id: deviceId })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+// Registers this browser as a device of `userId` and hands it a token: in
+// the HttpOnly cookie, and in the body too when `bearer` is set
+async function issueSession(request, env, corsHeaders, userId, bearer) {
+  const deviceId = crypto.randomUUID();
+  await getSession(env, userId).fetch(new Request('http://session/devices/add', {
+    method: 'POST',
+    body: JSON.stringify({ id: deviceId, name: describeDevice(request.headers.get('User-Agent')) })
+  }));
+
+  const token = await signSessionToken(env, userId, deviceId);
+  const identity = await describeIdentity(env, { userId, deviceId });
+
+  return jsonResponse(bearer ? { ...identity, token } : identity, {
+    ...corsHeaders,
+    'Set-Cookie': sessionCookie(token, SESSION_TTL_SECONDS)
+  });
+}
+
+// API clients that keep the token themselves ask for it with `bearer: true`
+// in the request body, or already send one in an Authorization header
+function wantsBearerToken(request, body = {}) {
+  return body.bearer === true || (request.headers.get('Authorization') || '').startsWith('Bearer ');
+}
+
+async function describeIdentity(env, identity) {
+  const response = await getSession(env, identity.userId).fetch(new Request('http://session/account'));
+  const account = await response.json();
+
+  return {
+    userId: identity.userId,
+    deviceId: identity.deviceId,
+    guest: !account,
+    email: account ? account.email : null
+  };
+}
+
+async function revokeDevice(env, userId, deviceId) {
+  await getSession(env, userId).fetch(new Request('http://session/devices/revoke', {
+    method: 'POST',
+    body: JSON.stringify({ id: deviceId })
+  }));
+}
+
+// Resolves the request's session token to { userId, deviceId, issuedAt },
+// or null when it is missing, forged, expired or its device was revoked
+async function authenticate(request, env) {
+  const token = getRequestToken(request);
+  if (!token) return null;
+
+  const claims = await verifySessionToken(env, token);
+  if (!claims) return null;
+
+  const check = await getSession(env, claims.sub).fetch(new Request(`http://session/devices/check?id=${encodeURIComponent(claims.did)}`));
+  if (!check.ok) return null;
+
+  return { userId: claims.sub, deviceId: claims.did, issuedAt: claims.iat };
+}
+
+function getRequestToken(request) {
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  const cookies = request.headers.get('Cookie') || '';
+  const match = cookies.split(';').map(c => c.trim()).find(c => c.startsWith(`${SESSION_COOKIE}=`));
+  return match ? match.slice(SESSION_COOKIE.length + 1) : null;
+}
+
+function sessionCookie(token, maxAge) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAge}`;
+}
+
+// Tokens are `<base64url claims>.<base64url HMAC-SHA256>` signed with the
+// AUTH_SECRET secret
+async function signSessionToken(env, userId, deviceId) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = toBase64Url(new TextEncoder().encode(JSON.stringify({
+    sub: userId,
+    did: deviceId,
+    iat: now,
+    exp: now + SESSION_TTL_SECONDS
+  })));
+
+  const key = await getSigningKey(env);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+async function verifySessionToken(env, token) {
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  try {
+    const key = await getSigningKey(env);
+    const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), new TextEncoder().encode(payload));
+    if (!valid) return null;
+
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    if (!claims.sub || !claims.did || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function getSigningKey(env) {
+  if (!env.AUTH_SECRET) {
+    throw new Error('AUTH_SECRET is not configured');
+  }
+
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.AUTH_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+async function hashPassword(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64Url(salt), iterations },
+    key,
+    256
+  );
+  return toBase64Url(new Uint8Array(bits));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function normalizeEmail(email) {
+  if (typeof email !== 'string') return null;
+
+  const normalized = email.trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) && normalized.length <= 254 ? normalized : null;
+}
+
+// A short human label like "Firefox on Windows" for the devices list
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+  const browserName = browser === 'Edg' ? 'Edge' : browser;
+  const osName = os === 'Mac OS' ? 'macOS' : os;
+
+  if (browserName && osName) return `${browserName} on ${osName}`;
+  return browserName || osName || 'Unknown device';
+}
+
+function identityStore(env, key) {
+  return env.IDENTITY_STORE.get(env.IDENTITY_STORE.idFromName(key));
+}
+
+function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+export async function handleChatRequest(request, env, ctx, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const body = await request.json();
+  const { stream, threadId = 'default', mode: modeId, model: modelId, regenerateMessageId, editMessageId, clientMessageId } = body;
+  let { message } = body;
+
+  if (regenerateMessageId !== undefined && editMessageId !== undefined) {
+    return jsonResponse({ error: 'Send regenerateMessageId or editMessageId, not both' }, corsHeaders, 400);
+  }
+  if (clientMessageId !== undefined && (regenerateMessageId !== undefined || typeof clientMessageId !== 'string' || !CLIENT_MESSAGE_ID_PATTERN.test(clientMessageId))) {
+    return jsonResponse({ error: 'clientMessageId must be 1-64 letters, digits, - or _, and only sent with a new question' }, corsHeaders, 400);
+  }
+
+  if (!message && regenerateMessageId === undefined) {
+    return new Response(JSON.stringify({ error: 'Missing message' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const modes = getTutoringModes(env);
+  if (modeId && !modes[modeId]) {
+    return jsonResponse({ error: 'Unknown mode' }, corsHeaders, 400);
+  }
+  if (modelId && !getChatModels(env)[modelId]) {
+    return jsonResponse({ error: 'Unknown model' }, corsHeaders, 400);
+  }
+  const models = getModelChain(env, modelId);
+
+  // Get or create session using Durable Object
+  const session = getSession(env, userId);
+
+  // Regenerating an answer or editing a question branches off the thread:
+  // the model sees only the turns before that question, and the new turn is
+  // stored next to the old one instead of replacing it
+  let branch = {};
+  let before = null;
+  if (regenerateMessageId !== undefined) {
+    const answer = await getStoredMessage(session, threadId, regenerateMessageId);
+    if (!answer || answer.role !== 'assistant') {
+      return jsonResponse({ error: 'Answer not found' }, corsHeaders, 404);
+    }
+    const question = await getStoredMessage(session, threadId, answer.parentId);
+    if (!question || question.role !== 'user') {
+      return jsonResponse({ error: 'Question not found' }, corsHeaders, 404);
+    }
+    message = question.content;
+    branch = { userMessageId: question.id };
+    before = question.id;
+  } else if (editMessageId !== undefined) {
+    const question = await getStoredMessage(session, threadId, editMessageId);
+    if (!question || question.role !== 'user') {
+      return jsonResponse({ error: 'Question not found' }, corsHeaders, 404);
+    }
+    branch = { parentId: question.parentId };
+    before = question.id;
+  }
+
+  // Get conversation history for the thread
+  const historyResponse = await session.fetch(new Request(
+    `http://session/history?threadId=${encodeURIComponent(threadId)}&limit=${CONTEXT_HISTORY_TURNS}` +
+    (before ? `&before=${before}` : '')
+  ));
+  if (!historyResponse.ok) {
+    return jsonResponse(await historyResponse.json(), corsHeaders, historyResponse.status);
+  }
+  const history = await historyResponse.json();
+
+  // A mode sent with the message wins over the one picked for the thread.
+  // In a course thread the course scopes whichever mode it is.
+  const thread = await findThread(session, threadId);
+  let mode = modes[modeId] || getThreadMode(thread, modes);
+  const course = thread && thread.courseId ? await getCourseContext(env, thread.courseId, userId) : null;
+  if (course) {
+    mode = toCourseMode(mode, course);
+  }
+  const { language } = await getPreferences(session);
+  mode = toLanguageMode(mode, language);
+
+  // A question sent again under the same clientMessageId was already
+  // answered: hand back that turn instead of asking the model twice
+  if (clientMessageId) {
+    const replay = await replayClientTurn(session, threadId, clientMessageId, mode, stream, corsHeaders);
+    if (replay) return replay;
+  }
+
+  // Harmful questions, and graded work when the policy refuses it, get a
+  // canned reply without asking the model; other graded work gets hints only
+  const policy = getChatPolicy(env);
+  const decision = await classifyChatRequest(env, policy, message);
+  if (decision.action === 'blocked' || decision.action === 'refused') {
+    // The canned replies are in English; the student can translate them
+    const chat = { userId, threadId, session, message, clientMessageId, sources: [], mode, models, branch, policy, decision, language: DEFAULT_LOCALE };
+    const reply = decision.action === 'blocked' ? POLICY_BLOCKED_MESSAGE : POLICY_REFUSAL_MESSAGE;
+    const { evicted, ...ids } = await saveInteraction(chat, reply, null);
+    if (evicted.length > 0) {
+      ctx.waitUntil(updateLearnerMemory(env, userId, evicted));
+    }
+
+    const result = { response: reply, threadId, mode: mode.id, model: null, language: chat.language, sources: [], policy: toPolicyNote(decision), ...ids };
+    return stream
+      ? eventStreamResponse([['token', { token: reply }], ['done', result]], corsHeaders)
+      : jsonResponse(result, corsHeaders);
+  }
+  if (decision.action === 'hints') {
+    mode = toHintOnlyMode(mode);
+  }
+  if (course && regenerateMessageId === undefined) {
+    ctx.waitUntil(recordCourseQuestion(env, course, userId, message));
+  }
+
+  const memory = await getLearnerMemory(env, userId);
+  const excerpts = await retrieveDocumentExcerpts(env, session, message, course, userId);
+  // The fallback model may have the smaller window, so fit both
+  const budget = Math.min(...models.map(model => getContextBudget(env, model.model)));
+  const messages = buildChatMessages(message, history, memory, excerpts, mode, budget);
+  const sources = excerpts.map(toSource);
+  const chat = { userId, threadId, session, message, clientMessageId, sources, mode, models, branch, policy, decision, language };
+
+  if (stream) {
+    return streamChatResponse(chat, messages, env, ctx, corsHeaders);
+  }
+
+  // Generate AI response
+  let aiResponse = '';
+  let model = models[0];
+  let failure = null;
+  try {
+    const run = await runChatModel(env, models, {
+      messages: messages,
+      max_tokens: mode.maxTokens,
+      temperature: mode.temperature
+    });
+    aiResponse = run.result.response || '';
+    model = run.model;
+    if (!aiResponse) failure = 'The model returned an empty answer';
+  } catch (error) {
+    failure = 'The model could not answer';
+  }
+
+  if (aiResponse) {
+    ({ response: aiResponse, decision: chat.decision } = await screenChatAnswer(env, chat, aiResponse));
+  }
+
+  // Store the interaction in session. A failed turn is kept, marked as an
+  // error, so the question can be regenerated; it never reaches the context.
+  const { evicted, ...ids } = await saveInteraction(chat, aiResponse, model, failure);
+  if (evicted.length > 0) {
+    ctx.waitUntil(updateLearnerMemory(env, userId, evicted));
+  }
+
+  if (failure) {
+    return jsonResponse({ error: CHAT_ERROR_MESSAGE, threadId, mode: mode.id, ...ids }, corsHeaders, 502);
+  }
+
+  return new Response(JSON.stringify({
+    response: aiResponse,
+    threadId,
+    mode: mode.id,
+    model: model.id,
+    language,
+    sources,
+    policy: toPolicyNote(chat.decision),
+    ...ids
+  }), {
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders
+    }
+  });
+}
+
+// Streams the model output to the client as Server-Sent Events:
+//   event: sources  data: {"sources": [...]}   (only when notes were cited)
+//   event: token  data: {"token": "..."}
+//   event: done   data: {"response": "<full text>", "model": "<id>", "language": "<locale>", "policy": {...} | null, "userMessageId": n, "assistantMessageId": n}
+//   event: error  data: {"error": "...", "userMessageId": n, "assistantMessageId": n}
+// The `response` in `done` is the answer as screened by the chat policy, and
+// replaces the streamed tokens when the two differ. Tokens stop as soon as
+// the answer trips a blocked rule, before the offending one is sent. A
+// hint-only answer, or any answer when Llama Guard moderates output, is
+// screened whole before it is sent, as a single `token` event.
+// The generation runs under ctx.waitUntil so that whatever was produced is
+// still saved to the session if the client stops reading partway through.
+// Retries and the fallback model only cover starting the stream; an answer
+// that breaks off partway is saved as a failed turn.
+async function streamChatResponse(chat, messages, env, ctx, corsHeaders) {
+  let aiStream;
+  let model;
+  try {
+    ({ result: aiStream, model } = await runChatModel(env, chat.models, {
+      messages: messages,
+      max_tokens: chat.mode.maxTokens,
+      temperature: chat.mode.temperature,
+      stream: true
+    }));
+  } catch (error) {
+    const { evicted, ...ids } = await saveInteraction(chat, '', chat.models[0], 'The model could not answer');
+    if (evicted.length > 0) {
+      ctx.waitUntil(updateLearnerMemory(env, chat.userId, evicted));
+    }
+    return jsonResponse({ error: CHAT_ERROR_MESSAGE, ...ids }, corsHeaders, 502);
+  }
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  let clientConnected = true;
+  const send = async (event, data) => {
+    if (!clientConnected) return;
+    try {
+      await writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+    } catch (error) {
+      // The client went away (closed the tab or pressed stop)
+      clientConnected = false;
+    }
+  };
+
+  const pump = async () => {
+    if (chat.sources.length > 0) {
+      await send('sources', { sources: chat.sources });
+    }
+
+    const reader = aiStream.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let aiResponse = '';
+    let failed = false;
+    let blocked = false;
+    // Trimming code and Llama Guard need the whole answer, so nothing of it
+    // may reach the student before it is screened
+    const screenWhole = chat.decision.action === 'hints' || chat.policy.moderation === 'model';
+
+    try {
+      while (clientConnected && !blocked) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const event of events) {
+          const token = parseAIStreamEvent(event);
+          if (!token) continue;
+          aiResponse += token;
+          if (tripsBlockedRule(chat.policy, aiResponse)) {
+            blocked = true;
+            break;
+          }
+          if (!screenWhole) {
+            await send('token', { token });
+          }
+        }
+      }
+      if (!clientConnected || blocked) {
+        await reader.cancel();
+      }
+    } catch (error) {
+      console.error('AI Stream Error:', error);
+      failed = true;
+    }
+
+    if (aiResponse) {
+      ({ response: aiResponse, decision: chat.decision } = await screenChatAnswer(env, chat, aiResponse));
+    }
+
+    // A student who pressed stop keeps what was produced as the answer
+    let failure = null;
+    if (failed) {
+      failure = aiResponse ? 'The answer was cut off by an error' : 'The model could not answer';
+    } else if (!aiResponse && clientConnected) {
+      failure = 'The model returned an empty answer';
+    }
+    if (screenWhole && aiResponse) {
+      await send('token', { token: aiResponse });
+    }
+
+    let ids = {};
+    if (aiResponse || failure) {
+      const { evicted, ...saved } = await saveInteraction(chat, aiResponse, model, failure);
+      ids = saved;
+      if (evicted.length > 0) {
+        await updateLearnerMemory(env, chat.userId, evicted);
+      }
+    }
+
+    if (failure) {
+      await send('error', { error: CHAT_ERROR_MESSAGE, ...ids });
+    } else {
+      await send('done', { response: aiResponse, model: model.id, language: chat.language, policy: toPolicyNote(chat.decision), ...ids });
+    }
+
+    if (clientConnected) {
+      await writer.close().catch(() => {});
+    }
+  };
+
+  ctx.waitUntil(pump());
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...corsHeaders
+    }
+  });
+}
+
+// Workers AI streams events shaped like `data: {"response":"tok"}` and ends
+// with `data: [DONE]`. Returns the token text, or null for anything else.
+function parseAIStreamEvent(event) {
+  const dataLine = event.split('\n').find(line => line.startsWith('data:'));
+  if (!dataLine) return null;
+
+  const data = dataLine.slice(5).trim();
+  if (!data || data === '[DONE]') return null;
+
+  try {
+    return JSON.parse(data).response || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The chat policy: DEFAULT_CHAT_POLICY with the fields the CHAT_POLICY var,
+// a JSON object, sets. Invalid settings and patterns are skipped. The
+// pattern lists come back compiled, the built-in rules plus the extra ones.
+function getChatPolicy(env) {
+  const overrides = readJSONVar(env, 'CHAT_POLICY');
+  const policy = { ...DEFAULT_CHAT_POLICY };
+
+  const choices = { integrity: POLICY_INTEGRITY_MODES, moderation: POLICY_MODERATION_MODES, classifier: POLICY_CLASSIFIER_MODES };
+  for (const [field, allowed] of Object.entries(choices)) {
+    if (!(field in overrides)) continue;
+    if (allowed.includes(overrides[field])) {
+      policy[field] = overrides[field];
+    } else {
+      console.error(`Ignoring invalid CHAT_POLICY.${field}`);
+    }
+  }
+  for (const field of ['classifierModel', 'guardModel']) {
+    if (typeof overrides[field] === 'string' && overrides[field].trim()) {
+      policy[field] = overrides[field].trim();
+    }
+  }
+  if (Number.isInteger(overrides.hintCodeTokens) && overrides.hintCodeTokens >= 0) {
+    policy.hintCodeTokens = overrides.hintCodeTokens;
+  }
+
+  policy.integrityPatterns = [...INTEGRITY_PATTERNS, ...compilePolicyPatterns(overrides.integrityPatterns, 'integrityPatterns')];
+  policy.blockedPatterns = [...BLOCKED_PATTERNS, ...compilePolicyPatterns(overrides.blockedPatterns, 'blockedPatterns')];
+  return policy;
+}
+
+function compilePolicyPatterns(sources, field) {
+  if (!Array.isArray(sources)) return [];
+
+  return sources.flatMap(source => {
+    try {
+      if (typeof source !== 'string') throw new TypeError('not a string');
+      return [new RegExp(source, 'i')];
+    } catch (error) {
+      console.error(`Skipping invalid CHAT_POLICY.${field} pattern:`, error.message);
+      return [];
+    }
+  });
+}
+
+// Decides how a question is handled: { action, reasons }, where action is
+// 'blocked' (harmful, never sent to the model), 'refused' (graded work when
+// integrity is 'refuse'), 'hints' (graded work, answered in hint-only mode)
+// or null. Reasons name what flagged it, e.g. 'integrity-rule' or 'guard:S2'.
+async function classifyChatRequest(env, policy, message) {
+  if (tripsBlockedRule(policy, message)) {
+    return { action: 'blocked', reasons: ['blocked-rule'] };
+  }
+  if (policy.moderation === 'model') {
+    const categories = await runGuardModel(env, policy, [{ role: 'user', content: message }]);
+    if (categories) return { action: 'blocked', reasons: categories.map(category => `guard:${category}`) };
+  }
+
+  if (policy.integrity === 'off') return { action: null, reasons: [] };
+
+  let reason = null;
+  if (policy.integrityPatterns.some(pattern => pattern.test(message))) {
+    reason = 'integrity-rule';
+  } else if (policy.classifier === 'model' && await isGradedWorkRequest(env, policy, message)) {
+    reason = 'integrity-model';
+  }
+  if (!reason) return { action: null, reasons: [] };
+  return { action: policy.integrity === 'refuse' ? 'refused' : 'hints', reasons: [reason] };
+}
+
+function tripsBlockedRule(policy, text) {
+  return policy.moderation !== 'off' && policy.blockedPatterns.some(pattern => pattern.test(text));
+}
+
+// Asks Llama Guard about a conversation. Returns the categories it breaks
+// (S1-S14) when it is unsafe, or null. A guard call that fails lets the
+// conversation through, so that an outage does not take chat down with it.
+async function runGuardModel(env, policy, messages) {
+  try {
+    const { response } = await env.AI.run(policy.guardModel, { messages, response_format: { type: 'json_object' } });
+    const verdict = typeof response === 'string' ? parseGuardVerdict(response) : response;
+    if (!verdict || verdict.safe !== false) return null;
+    return Array.isArray(verdict.categories) && verdict.categories.length > 0 ? verdict.categories : ['unsafe'];
+  } catch (error) {
+    console.error('Guard model error:', error);
+    return null;
+  }
+}
+
+// Llama Guard's plain-text verdict: "safe", or "unsafe" and a line of categories
+function parseGuardVerdict(text) {
+  const [verdict, categories = ''] = text.trim().split('\n');
+  return { safe: verdict.trim() !== 'unsafe', categories: categories.split(',').map(c => c.trim()).filter(Boolean) };
+}
+
+// Asks the classifier model whether a question wants graded work done. Like
+// the guard, a failed call lets the question through.
+async function isGradedWorkRequest(env, policy, message) {
+  try {
+    const { response } = await env.AI.run(policy.classifierModel, {
+      messages: [
+        { role: 'system', content: INTEGRITY_CLASSIFIER_PROMPT },
+        { role: 'user', content: message.slice(0, POLICY_CLASSIFY_MAX_CHARS) }
+      ],
+      max_tokens: 3,
+      temperature: 0
+    });
+    return /^\W*yes\b/i.test(response || '');
+  } catch (error) {
+    console.error('Integrity classifier error:', error);
+    return false;
+  }
+}
+
+function toHintOnlyMode(mode) {
+  return { ...mode, constraints: [...mode.constraints, ...HINT_ONLY_CONSTRAINTS] };
+}
+
+// The mode with a rule to answer in the student's language. Code stays as
+// written so that it still runs and matches the docs. English needs no rule.
+function toLanguageMode(mode, language) {
+  if (language === DEFAULT_LOCALE) return mode;
+  const rule = `Answer in ${LOCALES[language].english}. Keep code, identifiers, keywords, library and API names, commands and error messages exactly as written, in English.`;
+  return { ...mode, constraints: [...mode.constraints, rule] };
+}
+
+// Screens an answer before it is stored or returned: a harmful answer is
+// replaced, and a hint-only answer loses the tail of any long code block.
+// Returns the text to keep and the turn's decision, with the reasons for
+// any change added to the one the question got.
+async function screenChatAnswer(env, chat, answer) {
+  const { policy, decision } = chat;
+  const reasons = decision.reasons;
+
+  if (tripsBlockedRule(policy, answer)) {
+    return { response: POLICY_BLOCKED_MESSAGE, decision: { action: 'blocked', reasons: [...reasons, 'blocked-output-rule'] } };
+  }
+  if (policy.moderation === 'model') {
+    const categories = await runGuardModel(env, policy, [
+      { role: 'user', content: chat.message },
+      { role: 'assistant', content: answer }
+    ]);
+    if (categories) {
+      const flagged = categories.map(category => `guard-output:${category}`);
+      return { response: POLICY_BLOCKED_MESSAGE, decision: { action: 'blocked', reasons: [...reasons, ...flagged] } };
+    }
+  }
+
+  if (decision.action === 'hints') {
+    const trimmed = truncateCodeBlocks(answer, policy.hintCodeTokens);
+    if (trimmed !== answer) {
+      return { response: trimmed, decision: { action: 'hints', reasons: [...reasons, 'hint-code-trimmed'] } };
+    }
+  }
+  return { response: answer, decision };
+}
+
+// What the student is told about the policy's decision: null when it let
+// the turn through unchanged
+function toPolicyNote(decision) {
+  return decision.action ? { action: decision.action, reasons: decision.reasons } : null;
+}
+
+// Logs what the policy did with a turn, for review in Workers Logs. The
+// question and answer are left out.
+function logPolicyDecision(chat) {
+  if (!chat.decision.action) return;
+  console.log(JSON.stringify({
+    event: 'chat_policy',
+    action: chat.decision.action,
+    reasons: chat.decision.reasons,
+    userId: chat.userId,
+    threadId: chat.threadId,
+    mode: chat.mode.id
+  }));
+}
+
+// A complete Server-Sent Events response, for replies that need no model
+function eventStreamResponse(events, corsHeaders) {
+  const body = events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...corsHeaders
+    }
+  });
+}
+
+// Stores a turn in the session, on the branch chat.branch asks for, along
+// with the model that answered (null for a reply the policy wrote), the
+// language the answer was asked for in and what the policy did, which is
+// also logged. A turn with a `failure` is stored as an error rather than an
+// answer. Returns the stored message ids plus the interactions that aged out
+// of the session and are ready to be folded into long-term memory.
+async function saveInteraction(chat, aiResponse, model, failure = null) {
+  logPolicyDecision(chat);
+  const response = await chat.session.fetch(new Request('http://session/add', {
+    method: 'POST',
+    body: JSON.stringify({
+      threadId: chat.threadId,
+      message: chat.message,
+      response: aiResponse,
+      sources: chat.sources,
+      model: model ? model.id : null,
+      error: failure,
+      policy: toPolicyNote(chat.decision),
+      language: chat.language,
+      topic: classifyTopic(chat.message, aiResponse),
+      confused: CONFUSION_PATTERN.test(chat.message),
+      clientId: chat.clientMessageId,
+      ...chat.branch
+    })
+  }));
+
+  if (!response.ok) return { evicted: [] };
+  const { userMessageId, assistantMessageId, evicted } = await response.json();
+  return { userMessageId, assistantMessageId, evicted: evicted || [] };
+}
+
+// The stored turn for a question sent again under its clientMessageId, as
+// the same JSON or event stream a fresh answer would get (with `replayed`
+// set), or null when the question is new
+async function replayClientTurn(session, threadId, clientMessageId, mode, stream, corsHeaders) {
+  const params = new URLSearchParams({ threadId, clientId: clientMessageId });
+  const response = await session.fetch(new Request(`http://session/messages/client?${params}`));
+  if (!response.ok) return null;
+
+  const { question, answer } = await response.json();
+  const ids = { userMessageId: question.id, assistantMessageId: answer ? answer.id : null };
+  if (!answer || answer.error) {
+    const failed = { error: CHAT_ERROR_MESSAGE, threadId, mode: mode.id, replayed: true, ...ids };
+    return stream ? eventStreamResponse([['error', failed]], corsHeaders) : jsonResponse(failed, corsHeaders, 502);
+  }
+
+  const result = {
+    response: answer.content,
+    threadId,
+    mode: mode.id,
+    model: answer.model || null,
+    language: answer.language || DEFAULT_LOCALE,
+    sources: answer.sources || [],
+    policy: answer.policy || null,
+    replayed: true,
+    ...ids
+  };
+  if (!stream) {
+    return jsonResponse(result, corsHeaders);
+  }
+  const events = result.sources.length > 0 ? [['sources', { sources: result.sources }]] : [];
+  return eventStreamResponse([...events, ['token', { token: answer.content }], ['done', result]], corsHeaders);
+}
+
+// A stored message ({ id, parentId, role, content, ... }) of the thread, or
+// null when there is no such message
+async function getStoredMessage(session, threadId, messageId) {
+  const params = new URLSearchParams({ threadId, id: String(messageId) });
+  const response = await session.fetch(new Request(`http://session/messages/get?${params}`));
+  return response.ok ? response.json() : null;
+}
+
+function getSession(env, userId) {
+  const sessionId = env.SESSION_MANAGER.idFromName(userId);
+  return env.SESSION_MANAGER.get(sessionId);
+}
+
+function jsonResponse(data, corsHeaders, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+// Relays a Durable Object response to the client with CORS headers attached
+async function relayResponse(response, corsHeaders) {
+  return new Response(await response.text(), {
+    status: response.status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+// GET /api/session?threadId=&before=&limit= - one page of a thread's
+// messages, newest page first. Pass a page's nextCursor as `before` to get
+// the page before it; nextCursor is null on the oldest page.
+async function handleSessionRequest(request, env, corsHeaders, userId) {
+  const url = new URL(request.url);
+  const params = new URLSearchParams({ threadId: url.searchParams.get('threadId') || 'default' });
+  for (const name of ['before', 'limit']) {
+    if (url.searchParams.get(name)) params.set(name, url.searchParams.get(name));
+  }
+
+  const response = await getSession(env, userId).fetch(new Request(`http://session/messages?${params}`));
+  return relayResponse(response, corsHeaders);
+}
+
+async function handleClearSessionRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const url = new URL(request.url);
+  const threadId = url.searchParams.get('threadId') || 'default';
+  const session = getSession(env, userId);
+
+  await session.fetch(new Request(`http://session/clear?threadId=${encodeURIComponent(threadId)}`, { method: 'POST' }));
+
+  return new Response(JSON.stringify({ success: true }), {
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders
+    }
+  });
+}
+
+// POST /api/session/rate with { messageId, rating: 'up' | 'down' | null,
+// comment } - thumbs up or down for an answer; null clears the rating
+async function handleRateMessageRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { messageId, rating = null, comment } = await request.json();
+  if (!Number.isInteger(messageId)) {
+    return jsonResponse({ error: 'Missing messageId' }, corsHeaders, 400);
+  }
+  if (![null, 'up', 'down'].includes(rating)) {
+    return jsonResponse({ error: 'Rating must be up, down or null' }, corsHeaders, 400);
+  }
+  if (comment !== undefined && (typeof comment !== 'string' || comment.length > FEEDBACK_MAX_LENGTH)) {
+    return jsonResponse({ error: `Comments must be text of at most ${FEEDBACK_MAX_LENGTH} characters` }, corsHeaders, 400);
+  }
+
+  const response = await getSession(env, userId).fetch(new Request('http://session/messages/rate', {
+    method: 'POST',
+    body: JSON.stringify({ messageId, rating, comment: comment && comment.trim() })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+// GET /api/session/search?q=&mode=keyword|semantic&threadId=&topic=&role=&from=&to=&limit=
+// Searches the messages of every thread (or just threadId). topic matches
+// thread titles; from and to are YYYY-MM-DD (UTC) or epoch milliseconds.
+// Results carry an HTML-escaped snippet with matches in <mark> tags.
+// Semantic searches call Workers AI, so unlike other GETs they use up quota.
+async function handleSearchSessionRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'GET') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const url = new URL(request.url);
+  const q = (url.searchParams.get('q') || '').trim();
+  const mode = url.searchParams.get('mode') || 'keyword';
+  const role = url.searchParams.get('role');
+  const from = parseDateParam(url.searchParams.get('from'), false);
+  const to = parseDateParam(url.searchParams.get('to'), true);
+
+  if (!q) {
+    return jsonResponse({ error: 'Missing search query' }, corsHeaders, 400);
+  }
+  if (q.length > SEARCH_MAX_QUERY_LENGTH) {
+    return jsonResponse({ error: `Search queries must be at most ${SEARCH_MAX_QUERY_LENGTH} characters` }, corsHeaders, 400);
+  }
+  if (!SEARCH_MODES.includes(mode)) {
+    return jsonResponse({ error: `Unknown search mode; use one of ${SEARCH_MODES.join(', ')}` }, corsHeaders, 400);
+  }
+  if (role && role !== 'user' && role !== 'assistant') {
+    return jsonResponse({ error: 'Role must be user or assistant' }, corsHeaders, 400);
+  }
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return jsonResponse({ error: 'Dates must be YYYY-MM-DD or a timestamp in milliseconds' }, corsHeaders, 400);
+  }
+
+  const filters = {};
+  for (const [name, value] of Object.entries({
+    threadId: url.searchParams.get('threadId'),
+    topic: (url.searchParams.get('topic') || '').trim(),
+    role,
+    from,
+    to
+  })) {
+    if (value) filters[name] = String(value);
+  }
+  const limit = url.searchParams.get('limit');
+  const session = getSession(env, userId);
+
+  if (mode === 'keyword') {
+    const params = new URLSearchParams({ q, ...filters, ...(limit ? { limit } : {}) });
+    return relayResponse(await session.fetch(new Request(`http://session/search?${params}`)), corsHeaders);
+  }
+
+  const limited = await acquireQuota(env, userId, corsHeaders);
+  if (limited) return limited;
+
+  const unindexed = await indexMessagesForSearch(env, session);
+  const [vector] = await embedTexts(env, [q]);
+  const response = await session.fetch(new Request('http://session/search/semantic', {
+    method: 'POST',
+    body: JSON.stringify({ vector, q, filters, limit, minScore: SEARCH_MIN_SCORE })
+  }));
+  if (!response.ok) {
+    return relayResponse(response, corsHeaders);
+  }
+
+  return jsonResponse({ ...await response.json(), unindexed }, corsHeaders);
+}
+
+// Embeds the next batch of messages semantic search has not seen yet and
+// returns how many are still waiting
+async function indexMessagesForSearch(env, session) {
+  const pending = await (await session.fetch(new Request(
+    `http://session/search/unindexed?limit=${SEARCH_INDEX_BATCH}`
+  ))).json();
+
+  if (pending.messages.length > 0) {
+    const embeddings = await embedTexts(env, pending.messages.map(message => message.content.slice(0, SEARCH_EMBED_CHARS)));
+    await session.fetch(new Request('http://session/search/index', {
+      method: 'POST',
+      body: JSON.stringify({
+        embeddings: pending.messages.map((message, i) => ({ messageId: message.id, embedding: embeddings[i] }))
+      })
+    }));
+  }
+  return pending.remaining - pending.messages.length;
+}
+
+// Returns epoch milliseconds for a YYYY-MM-DD day (its first or, with
+// endOfDay, last millisecond in UTC) or a timestamp; null when the value is
+// missing and NaN when it cannot be read
+function parseDateParam(value, endOfDay) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return NaN;
+
+  const start = Date.parse(`${value}T00:00:00Z`);
+  return endOfDay ? start + 24 * 60 * 60 * 1000 - 1 : start;
+}
+
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdownExport },
+  json: { contentType: 'application/json', extension: 'json', render: renderJSONExport },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderHTMLExport },
+  'anki-csv': { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: renderAnkiExport }
+};
+
+// What /api/session/import accepts: the JSON export format
+const CONVERSATION_EXPORT_SCHEMA = {
+  type: 'object',
+  required: ['app', 'version', 'threads'],
+  properties: {
+    app: { enum: [EXPORT_APP] },
+    version: { enum: [EXPORT_VERSION] },
+    threads: {
+      type: 'array',
+      minItems: 1,
+      maxItems: IMPORT_MAX_THREADS,
+      items: {
+        type: 'object',
+        required: ['title', 'history'],
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 200 },
+          createdAt: { type: 'integer', minimum: 0 },
+          updatedAt: { type: 'integer', minimum: 0 },
+          archived: { type: 'boolean' },
+          mode: { type: 'string', maxLength: 32 },
+          history: {
+            type: 'array',
+            maxItems: 1000,
+            items: {
+              type: 'object',
+              required: ['timestamp', 'userMessage', 'aiResponse'],
+              properties: {
+                timestamp: { type: 'integer', minimum: 0 },
+                userMessage: { type: 'string', maxLength: 20000 },
+                aiResponse: { type: 'string', maxLength: 50000 },
+                sources: {
+                  type: 'array',
+                  maxItems: 20,
+                  items: {
+                    type: 'object',
+                    required: ['index', 'documentName'],
+                    properties: {
+                      index: { type: 'integer', minimum: 1 },
+                      documentId: { type: 'string', maxLength: 100 },
+                      documentName: { type: 'string', maxLength: 300 },
+                      section: { type: 'string', maxLength: 300 }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// GET /api/session/export?format=md|json|html|anki-csv[&threadId=]
+// Exports one thread, or every thread when no threadId is given
+async function handleExportSessionRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'GET') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const url = new URL(request.url);
+  const format = EXPORT_FORMATS[url.searchParams.get('format') || 'json'];
+  if (!format) {
+    return jsonResponse({ error: `Unknown format; use one of ${Object.keys(EXPORT_FORMATS).join(', ')}` }, corsHeaders, 400);
+  }
+
+  const threadId = url.searchParams.get('threadId');
+  const response = await getSession(env, userId).fetch(new Request(
+    'http://session/export' + (threadId ? `?threadId=${encodeURIComponent(threadId)}` : '')
+  ));
+  if (!response.ok) {
+    return relayResponse(response, corsHeaders);
+  }
+  const threads = await response.json();
+
+  const name = threadId ? slugify(threads[0].title) || 'thread' : 'all-threads';
+  const filename = `study-assistant-${name}-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+
+  return new Response(format.render(threads), {
+    headers: {
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      ...corsHeaders
+    }
+  });
+}
+
+// POST /api/session/import with a JSON export. Threads are added as new
+// threads next to the existing ones, so importing twice duplicates them.
+async function handleImportSessionRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const body = await request.text();
+  if (body.length > IMPORT_MAX_BYTES) {
+    return jsonResponse({ error: 'Export file is too large' }, corsHeaders, 413);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    return jsonResponse({ error: 'Export file is not valid JSON' }, corsHeaders, 400);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return jsonResponse({ error: 'Export file must be a JSON object' }, corsHeaders, 400);
+  }
+
+  const errors = validateSchema(data, CONVERSATION_EXPORT_SCHEMA);
+  if (errors.length > 0) {
+    return jsonResponse({ error: 'Not a valid conversation export', details: errors.slice(0, 10) }, corsHeaders, 400);
+  }
+
+  // Modes this deployment no longer offers fall back to the default
+  const modes = getTutoringModes(env);
+  const threads = data.threads.map(thread => ({
+    title: thread.title.trim(),
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+    archived: thread.archived,
+    mode: modes[thread.mode] ? thread.mode : undefined,
+    history: thread.history.map(item => ({
+      timestamp: item.timestamp,
+      userMessage: item.userMessage,
+      aiResponse: item.aiResponse,
+      ...(item.sources && item.sources.length > 0 ? { sources: item.sources } : {})
+    }))
+  }));
+
+  const response = await getSession(env, userId).fetch(new Request('http://session/import', {
+    method: 'POST',
+    body: JSON.stringify({ threads })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+function renderJSONExport(threads) {
+  return JSON.stringify({
+    app: EXPORT_APP,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    threads: threads.map(thread => ({
+      title: thread.title,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      archived: thread.archived,
+      ...(thread.mode ? { mode: thread.mode } : {}),
+      history: thread.history
+    }))
+  }, null, 2);
+}
+
+function renderMarkdownExport(threads) {
+  let output = `# AI Study Assistant export\n\nExported ${formatTimestamp(Date.now())}\n`;
+
+  threads.forEach(thread => {
+    output += `\n## ${thread.title}${thread.archived ? ' (archived)' : ''}\n\nStarted ${formatTimestamp(thread.createdAt)}\n`;
+    thread.history.forEach(item => {
+      output += `\n### You · ${formatTimestamp(item.timestamp)}\n\n${item.userMessage}\n\n### Assistant\n\n${item.aiResponse}\n`;
+      if (item.sources && item.sources.length > 0) {
+        output += `\nSources: ${item.sources.map(formatSourceLabel).join('; ')}\n`;
+      }
+    });
+  });
+
+  return output;
+}
+
+function renderHTMLExport(threads) {
+  const sections = threads.map(thread => {
+    const turns = thread.history.map(item => `
+    <div class="turn">
+      <div class="meta">You · ${formatTimestamp(item.timestamp)}</div>
+      <div class="user">${markdown.escapeHtml(item.userMessage)}</div>
+      <div class="meta">Assistant</div>
+      <div class="assistant">${markdown.render(item.aiResponse, { breaks: true, copyButtons: false })}${item.sources && item.sources.length > 0
+        ? `<p class="sources">Sources: ${item.sources.map(source => markdown.escapeHtml(formatSourceLabel(source))).join('; ')}</p>`
+        : ''}</div>
+    </div>`).join('');
+
+    return `
+  <section>
+    <h2>${markdown.escapeHtml(thread.title)}${thread.archived ? ' <small>(archived)</small>' : ''}</h2>
+    <p class="meta">Started ${formatTimestamp(thread.createdAt)}</p>${turns || '\n    <p class="meta">No messages.</p>'}
+  </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>AI Study Assistant export</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; color: #333; line-height: 1.5; }
+    .turn { margin: 16px 0; padding-bottom: 16px; border-bottom: 1px solid #eee; }
+    .meta { color: #888; font-size: 12px; margin: 8px 0 4px; }
+    .user { white-space: pre-wrap; font-weight: 500; }
+    .sources { color: #666; font-size: 12px; }
+    pre { background: #f4f4f4; padding: 8px; border-radius: 4px; overflow-x: auto; }
+    code { font-family: 'Courier New', monospace; font-size: 13px; }
+    .code-header { font-size: 11px; color: #666; }
+    table { border-collapse: collapse; }
+    th, td { padding: 4px 8px; border: 1px solid #ddd; }
+    blockquote { margin: 8px 0; padding-left: 10px; border-left: 3px solid #ccc; color: #555; }
+    .tok-keyword { color: #8959a8; }
+    .tok-string { color: #718c00; }
+    .tok-number, .tok-literal { color: #f5871f; }
+    .tok-comment { color: #8e908c; font-style: italic; }
+    .tok-function { color: #4271ae; }
+    .tok-property, .tok-variable { color: #c82829; }
+  </style>
+</head>
+<body>
+  <h1>AI Study Assistant export</h1>
+  <p class="meta">Exported ${formatTimestamp(Date.now())}</p>${sections}
+</body>
+</html>
+`;
+}
+
+// Anki's CSV import: one note per question and answer, fields in HTML, the
+// thread title as a tag
+function renderAnkiExport(threads) {
+  const rows = ['#separator:Comma', '#html:true', '#tags column:3'];
+
+  threads.forEach(thread => {
+    const tags = ['study-assistant', slugify(thread.title)].filter(Boolean).join(' ');
+    thread.history.forEach(item => {
+      rows.push([
+        markdown.render(item.userMessage, { breaks: true, copyButtons: false }),
+        markdown.render(item.aiResponse, { breaks: true, copyButtons: false }),
+        tags
+      ].map(csvField).join(','));
+    });
+  });
+
+  return rows.join('\n') + '\n';
+}
+
+function csvField(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+function formatSourceLabel(source) {
+  return `[${source.index}] ${source.documentName || 'Deleted document'}${source.section ? ` › ${source.section}` : ''}`;
+}
+
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+// A code to type in: uppercase letters and digits, without the ones that
+// are easily mistaken for each other
+function randomCode(length) {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from(crypto.getRandomValues(new Uint8Array(length)), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+// Group study rooms. Each room is a StudyRoom Durable Object named by its
+// code; members get messages live over a WebSocket and post through the
+// routes below, so the assistant's answers are charged to whoever asked.
+
+function getRoom(env, code) {
+  return env.STUDY_ROOM.get(env.STUDY_ROOM.idFromName(code));
+}
+
+// POST /api/rooms - create a room from { name }, moderated by its creator
+async function handleRoomsRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { name } = await request.json();
+  if (typeof name !== 'string' || !name.trim() || name.length > ROOM_NAME_MAX_LENGTH) {
+    return jsonResponse({ error: `name must be 1-${ROOM_NAME_MAX_LENGTH} characters` }, corsHeaders, 400);
+  }
+
+  // Codes are random, so a clash is rare; try a few before giving up
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const code = randomCode(ROOM_CODE_LENGTH);
+    const response = await getRoom(env, code).fetch(new Request('http://room/create', {
+      method: 'POST',
+      body: JSON.stringify({ code, name: name.trim(), userId })
+    }));
+    if (response.status !== 409) {
+      return relayResponse(response, corsHeaders);
+    }
+  }
+  return jsonResponse({ error: 'Could not create a room. Please try again.' }, corsHeaders, 503);
+}
+
+// GET  /api/rooms/:code - the room's name, AI mode and how many are online
+// GET  /api/rooms/:code/ws?name=&after= - WebSocket joining the room as
+//      `name`; after a reconnect, `after` is the last message id received
+// POST /api/rooms/:code/messages - post { content } to the room
+// POST /api/rooms/:code/messages/:id/answer - moderator only: have the
+//      assistant answer a question
+// POST /api/rooms/:code/settings - moderator only: { aiMode } of auto,
+//      moderated or off
+async function handleRoomActionRequest(request, env, ctx, corsHeaders, userId, path) {
+  const match = path.match(/^([A-Za-z0-9]+)(?:\/(ws|messages|settings)|\/messages\/(\d+)\/answer)?$/);
+  if (!match) {
+    return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
+  }
+
+  const room = getRoom(env, match[1].toUpperCase());
+  const action = match[3] ? 'answer' : match[2] || 'info';
+
+  if (action === 'info' || action === 'ws') {
+    if (request.method !== 'GET') {
+      return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+    }
+    if (action === 'info') {
+      return relayResponse(await room.fetch(new Request(`http://room/info?userId=${encodeURIComponent(userId)}`)), corsHeaders);
+    }
+    return connectToRoom(request, env, room, userId);
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  if (action === 'settings') {
+    const { aiMode } = await request.json();
+    const response = await room.fetch(new Request('http://room/settings', {
+      method: 'POST',
+      body: JSON.stringify({ userId, aiMode })
+    }));
+    return relayResponse(response, corsHeaders);
+  }
+
+  let response;
+  if (action === 'answer') {
+    response = await room.fetch(new Request('http://room/messages/claim', {
+      method: 'POST',
+      body: JSON.stringify({ userId, messageId: Number(match[3]) })
+    }));
+  } else {
+    const { content } = await request.json();
+    if (typeof content !== 'string' || !content.trim() || content.length > ROOM_MESSAGE_MAX_LENGTH) {
+      return jsonResponse({ error: `content must be 1-${ROOM_MESSAGE_MAX_LENGTH} characters` }, corsHeaders, 400);
+    }
+    response = await room.fetch(new Request('http://room/messages/add', {
+      method: 'POST',
+      body: JSON.stringify({ userId, content: content.trim() })
+    }));
+  }
+  if (!response.ok) {
+    return relayResponse(response, corsHeaders);
+  }
+
+  // Members see the answer arrive over their WebSockets, so the poster
+  // does not wait for it
+  const { message, answer, history } = await response.json();
+  if (action === 'answer' || answer) {
+    ctx.waitUntil(answerRoomQuestion(env, room, message, history, { userId, roomCode: match[1].toUpperCase() }));
+  }
+  return jsonResponse({ message }, corsHeaders, action === 'answer' ? 202 : 201);
+}
+
+async function connectToRoom(request, env, room, userId) {
+  if (request.headers.get('Upgrade') !== 'websocket') {
+    return new Response('Expected a WebSocket upgrade', { status: 426 });
+  }
+
+  // Browsers send the session cookie with WebSocket handshakes from any
+  // site, and CORS does not apply to them, so check the origin here
+  const origin = request.headers.get('Origin');
+  if (origin && origin !== new URL(request.url).origin && !getAllowedOrigins(env).includes(origin)) {
+    return new Response('Origin not allowed', { status: 403 });
+  }
+
+  const url = new URL(request.url);
+  const name = (url.searchParams.get('name') || '').trim();
+  if (!name || name.length > ROOM_MEMBER_NAME_MAX_LENGTH) {
+    return new Response(`name must be 1-${ROOM_MEMBER_NAME_MAX_LENGTH} characters`, { status: 400 });
+  }
+
+  const params = new URLSearchParams({ userId, name, after: url.searchParams.get('after') || '0' });
+  return room.fetch(new Request(`http://room/connect?${params}`, { headers: request.headers }));
+}
+
+// Has the assistant answer a room question with the room's earlier answered
+// questions as context, and hands the answer (or the failure) to the room.
+// Room questions go through the chat policy like any other: flagged ones get
+// the canned reply or hints only, and answers are screened before the room
+// sees them. `asker` is who posted the question (or asked for the answer)
+// and the room's code, for the policy log.
+async function answerRoomQuestion(env, room, message, history, asker) {
+  const base = getTutoringModes(env)[DEFAULT_TUTORING_MODE];
+  let mode = { ...base, prompt: `${base.prompt}\n${ROOM_PROMPT}` };
+  const policy = getChatPolicy(env);
+  const decision = await classifyChatRequest(env, policy, message.content);
+  const chat = { userId: asker.userId, threadId: `room:${asker.roomCode}`, message: message.content, mode, policy, decision };
+
+  let answer;
+  if (decision.action === 'blocked' || decision.action === 'refused') {
+    answer = { content: decision.action === 'blocked' ? POLICY_BLOCKED_MESSAGE : POLICY_REFUSAL_MESSAGE, model: null };
+  } else {
+    if (decision.action === 'hints') {
+      mode = chat.mode = toHintOnlyMode(mode);
+    }
+    const models = getModelChain(env);
+    const budget = Math.min(...models.map(model => getContextBudget(env, model.model)));
+    const turns = history.map(turn => ({ userMessage: `${turn.name}: ${turn.question}`, aiResponse: turn.answer }));
+    const messages = buildChatMessages(`${message.name}: ${message.content}`, turns, null, [], mode, budget);
+
+    try {
+      const { result, model } = await runChatModel(env, models, {
+        messages: messages,
+        max_tokens: mode.maxTokens,
+        temperature: mode.temperature
+      });
+      if (result.response) {
+        const screened = await screenChatAnswer(env, chat, result.response);
+        chat.decision = screened.decision;
+        answer = { content: screened.response, model: model.id };
+      } else {
+        answer = { error: 'The model returned an empty answer' };
+      }
+    } catch (error) {
+      answer = { error: 'The model could not answer' };
+    }
+  }
+  logPolicyDecision(chat);
+
+  await room.fetch(new Request('http://room/messages/answer', {
+    method: 'POST',
+    body: JSON.stringify({ messageId: message.id, ...answer })
+  }));
+}
+
+// Instructor courses. Each course is a Course Durable Object named by its
+// id, which also keeps who is a member and in which role; join codes map to
+// course ids through `course:<code>` IdentityStore records, and each user's
+// SessionManager lists the courses they are in. A thread scoped to a course
+// has its prompt and retrieval scoped to the course, and its questions feed
+// the instructor's insights.
+
+function getCourse(env, courseId) {
+  return env.COURSE.get(env.COURSE.idFromName(courseId));
+}
+
+// GET lists the user's courses; POST creates one from { name, syllabus,
+// topics, prompt } with the user as instructor. Only registered accounts
+// may create courses, and only the emails in COURSE_INSTRUCTORS when set.
+async function handleCoursesRequest(request, env, corsHeaders, userId) {
+  const session = getSession(env, userId);
+
+  if (request.method === 'GET') {
+    const memberships = await (await session.fetch(new Request('http://session/courses'))).json();
+    const courses = await Promise.all(memberships.map(async ({ courseId }) => {
+      const response = await getCourse(env, courseId).fetch(new Request(`http://course/info?userId=${encodeURIComponent(userId)}`));
+      return response.ok ? response.json() : null;
+    }));
+    return jsonResponse(courses.filter(Boolean), corsHeaders);
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const identity = await describeIdentity(env, { userId });
+  if (identity.guest) {
+    return jsonResponse({ error: 'Register an account to create courses' }, corsHeaders, 403);
+  }
+  const instructors = (env.COURSE_INSTRUCTORS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+  if (instructors.length > 0 && !instructors.includes(identity.email)) {
+    return jsonResponse({ error: 'This account may not create courses' }, corsHeaders, 403);
+  }
+
+  const { course: fields, error } = normalizeCourseFields(await request.json());
+  if (error) {
+    return jsonResponse({ error }, corsHeaders, 400);
+  }
+
+  // Codes are random, so a clash is rare; try a few before giving up
+  const id = crypto.randomUUID();
+  let code = null;
+  for (let attempt = 0; attempt < 3 && !code; attempt++) {
+    const candidate = randomCode(COURSE_CODE_LENGTH);
+    const reserved = await identityStore(env, `course:${candidate}`).fetch(new Request('http://identity/create', {
+      method: 'POST',
+      body: JSON.stringify({ courseId: id })
+    }));
+    if (reserved.ok) code = candidate;
+  }
+  if (!code) {
+    return jsonResponse({ error: 'Could not create a course. Please try again.' }, corsHeaders, 503);
+  }
+
+  const response = await getCourse(env, id).fetch(new Request('http://course/create', {
+    method: 'POST',
+    body: JSON.stringify({ id, code, userId, ...fields })
+  }));
+  if (response.ok) {
+    await addCourseMembership(session, id, 'instructor');
+  }
+  return relayResponse(response, corsHeaders);
+}
+
+// POST /api/courses/join - join the course a { code } belongs to as a student
+async function handleJoinCourseRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { code } = await request.json();
+  const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  const record = /^[A-Z0-9]{1,20}$/.test(normalized)
+    ? await identityStore(env, `course:${normalized}`).fetch(new Request('http://identity/get'))
+    : null;
+  if (!record || !record.ok) {
+    return jsonResponse({ error: 'No course has that code' }, corsHeaders, 404);
+  }
+
+  const { courseId } = await record.json();
+  const response = await getCourse(env, courseId).fetch(new Request('http://course/join', {
+    method: 'POST',
+    body: JSON.stringify({ userId })
+  }));
+  if (!response.ok) {
+    return relayResponse(response, corsHeaders);
+  }
+
+  const course = await response.json();
+  await addCourseMembership(getSession(env, userId), courseId, course.role);
+  return jsonResponse(course, corsHeaders);
+}
+
+// GET  /api/courses/:id - the course as the member sees it
+// POST /api/courses/:id/update - instructors: change { name, syllabus,
+//      topics, prompt }
+// POST /api/courses/:id/leave - students: leave the course
+// GET  /api/courses/:id/documents - instructors: the reference material
+// POST /api/courses/:id/documents - instructors: upload reference material
+//      as the `file` field of a multipart form, like /api/documents
+// POST /api/courses/:id/documents/delete - instructors: { documentId }
+// GET  /api/courses/:id/insights?days= - instructors: anonymized questions
+//      of the last `days` days by concept, and common misconceptions
+async function handleCourseActionRequest(request, env, corsHeaders, userId, path) {
+  const match = path.match(/^([0-9a-f-]{36})(?:\/(update|leave|documents|documents\/delete|insights))?$/);
+  if (!match) {
+    return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
+  }
+
+  const courseId = match[1];
+  const course = getCourse(env, courseId);
+  const action = match[2] || 'info';
+  const expectedMethod = ['info', 'insights'].includes(action) || (action === 'documents' && request.method === 'GET') ? 'GET' : 'POST';
+  if (request.method !== expectedMethod) {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const post = (route, body) => course.fetch(new Request(`http://course/${route}`, {
+    method: 'POST',
+    body: JSON.stringify({ userId, ...body })
+  }));
+
+  if (action === 'info') {
+    return relayResponse(await course.fetch(new Request(`http://course/info?userId=${encodeURIComponent(userId)}`)), corsHeaders);
+  }
+
+  if (action === 'update') {
+    const { course: changes, error } = normalizeCourseFields(await request.json(), { partial: true });
+    if (error) {
+      return jsonResponse({ error }, corsHeaders, 400);
+    }
+    return relayResponse(await post('update', changes), corsHeaders);
+  }
+
+  if (action === 'leave') {
+    const response = await post('leave', {});
+    if (response.ok) {
+      await getSession(env, userId).fetch(new Request('http://session/courses/remove', {
+        method: 'POST',
+        body: JSON.stringify({ courseId })
+      }));
+    }
+    return relayResponse(response, corsHeaders);
+  }
+
+  if (action === 'documents' && request.method === 'GET') {
+    return relayResponse(await course.fetch(new Request(`http://course/documents?userId=${encodeURIComponent(userId)}`)), corsHeaders);
+  }
+
+  if (action === 'documents') {
+    // Check the role before spending embeddings on the upload
+    const info = await course.fetch(new Request(`http://course/info?userId=${encodeURIComponent(userId)}`));
+    if (!info.ok) {
+      return relayResponse(info, corsHeaders);
+    }
+    if ((await info.json()).role !== 'instructor') {
+      return jsonResponse({ error: 'Only instructors can do that' }, corsHeaders, 403);
+    }
+
+    const upload = await prepareDocumentUpload(request, env);
+    if (upload.error) {
+      return jsonResponse({ error: upload.error }, corsHeaders, upload.status);
+    }
+    return relayResponse(await post('documents/add', upload.document), corsHeaders);
+  }
+
+  if (action === 'documents/delete') {
+    const { documentId } = await request.json();
+    if (!documentId) {
+      return jsonResponse({ error: 'Missing documentId' }, corsHeaders, 400);
+    }
+    return relayResponse(await post('documents/delete', { documentId }), corsHeaders);
+  }
+
+  return handleCourseInsightsRequest(request, env, corsHeaders, userId, course);
+}
+
+// The course's insights, with the misconception summary brought up to date
+// first when enough new confused questions have come in. The refresh calls
+// Workers AI, so it counts against the instructor's quota; over it, the
+// insights come back with the summary as it was.
+async function handleCourseInsightsRequest(request, env, corsHeaders, userId, course) {
+  const requested = parseInt(new URL(request.url).searchParams.get('days'), 10);
+  const days = Math.min(Math.max(requested || COURSE_DEFAULT_INSIGHT_DAYS, 1), COURSE_MAX_INSIGHT_DAYS);
+
+  const params = new URLSearchParams({ userId, days: String(days) });
+  const response = await course.fetch(new Request(`http://course/insights?${params}`));
+  if (!response.ok) {
+    return relayResponse(response, corsHeaders);
+  }
+
+  const { pending, ...insights } = await response.json();
+  if (pending && !await acquireQuota(env, userId, corsHeaders)) {
+    const misconceptions = await summarizeMisconceptions(env, pending.questions);
+    if (misconceptions) {
+      const saved = await course.fetch(new Request('http://course/insights/misconceptions', {
+        method: 'POST',
+        body: JSON.stringify({ userId, throughId: pending.throughId, misconceptions })
+      }));
+      Object.assign(insights, await saved.json());
+    }
+  }
+  return jsonResponse(insights, corsHeaders);
+}
+
+const MISCONCEPTIONS_SCHEMA = {
+  type: 'object',
+  required: ['misconceptions'],
+  properties: {
+    misconceptions: {
+      type: 'array',
+      maxItems: 8,
+      items: {
+        type: 'object',
+        required: ['concept', 'misconception'],
+        properties: {
+          concept: { type: 'string', minLength: 1, maxLength: 100 },
+          misconception: { type: 'string', minLength: 1, maxLength: 300 }
+        }
+      }
+    }
+  }
+};
+
+// Turns students' confused questions ({ concept, content }, already
+// redacted) into the misconceptions behind them. Returns null when the
+// model gives no usable answer.
+async function summarizeMisconceptions(env, questions) {
+  const list = questions.map(question => `- [${question.concept}] ${question.content}`).join('\n');
+  const prompt = `Students in a computer science course asked these questions while confused:
+${list}
+
+Identify up to 8 common misconceptions behind them, most widespread first. Describe each in one sentence, in general terms, without quoting or identifying any student.
+
+Respond with only a JSON object of this shape:
+{"misconceptions": [{"concept": "the concept it concerns", "misconception": "what students get wrong"}]}`;
+
+  const result = await runStructuredPrompt(env, prompt, MISCONCEPTIONS_SCHEMA, { maxTokens: 1024 });
+  return result ? result.misconceptions : null;
+}
+
+// Checks the course fields an instructor sends. Returns { course } with the
+// trimmed values, or { error }. With `partial`, absent fields are left out;
+// otherwise only the name is required.
+function normalizeCourseFields(input, { partial = false } = {}) {
+  const course = {};
+  const limits = { name: COURSE_NAME_MAX_LENGTH, syllabus: COURSE_SYLLABUS_MAX_LENGTH, prompt: COURSE_PROMPT_MAX_LENGTH };
+
+  for (const [field, max] of Object.entries(limits)) {
+    const value = input[field];
+    if (value === undefined) {
+      if (!partial) course[field] = '';
+      continue;
+    }
+    if (typeof value !== 'string' || value.length > max) {
+      return { error: `${field} must be text of at most ${max} characters` };
+    }
+    course[field] = value.trim();
+  }
+  if (course.name === '') {
+    return { error: 'Missing name' };
+  }
+
+  if (input.topics !== undefined || !partial) {
+    const topics = input.topics === undefined ? [] : input.topics;
+    if (!Array.isArray(topics) || topics.length > COURSE_MAX_TOPICS ||
+        topics.some(topic => typeof topic !== 'string' || topic.length > COURSE_TOPIC_MAX_LENGTH)) {
+      return { error: `topics must be a list of at most ${COURSE_MAX_TOPICS} topics of up to ${COURSE_TOPIC_MAX_LENGTH} characters` };
+    }
+    course.topics = [...new Set(topics.map(topic => topic.trim()).filter(Boolean))];
+  }
+
+  return { course };
+}
+
+async function addCourseMembership(session, courseId, role) {
+  await session.fetch(new Request('http://session/courses/add', {
+    method: 'POST',
+    body: JSON.stringify({ courseId, role })
+  }));
+}
+
+// What the assistant needs to answer in a course thread, or null when the
+// student is no longer in the course
+async function getCourseContext(env, courseId, userId) {
+  const response = await getCourse(env, courseId).fetch(new Request(`http://course/context?userId=${encodeURIComponent(userId)}`));
+  return response.ok ? response.json() : null;
+}
+
+// The mode with the course's syllabus, topics and the instructor's own
+// instructions added to its prompt, and a rule to keep to them
+function toCourseMode(mode, course) {
+  let prompt = `${mode.prompt}\n\nYou are the assistant for the course "${course.name}".`;
+  if (course.syllabus) {
+    prompt += `\nCourse syllabus:\n${course.syllabus}`;
+  }
+  if (course.topics.length > 0) {
+    prompt += `\nTopics the course covers: ${course.topics.join('; ')}`;
+  }
+  if (course.prompt) {
+    prompt += `\nInstructions from the course's instructor:\n${course.prompt}`;
+  }
+  return { ...mode, prompt, constraints: [...mode.constraints, COURSE_SCOPE_CONSTRAINT] };
+}
+
+// Files a student's question with the course for its insights. Failing to
+// does not affect the answer.
+async function recordCourseQuestion(env, course, userId, message) {
+  try {
+    await getCourse(env, course.id).fetch(new Request('http://course/questions/add', {
+      method: 'POST',
+      body: JSON.stringify({
+        userId,
+        content: message.slice(0, COURSE_QUESTION_MAX_CHARS),
+        concept: classifyCourseConcept(course.topics, message),
+        confused: CONFUSION_PATTERN.test(message)
+      })
+    }));
+  } catch (error) {
+    console.error('Course question error:', error);
+  }
+}
+
+// The course topic a question is about: the one with the largest share of
+// its words in the question (at least half of them), or else the general CS
+// topic of the progress dashboard
+function classifyCourseConcept(topics, question) {
+  const words = new Set(conceptWords(question));
+  let best = null;
+  let bestShare = 0.5;
+
+  for (const topic of topics) {
+    const topicWords = conceptWords(topic);
+    if (topicWords.length === 0) continue;
+    const share = topicWords.filter(word => words.has(word)).length / topicWords.length;
+    if (share >= bestShare && (!best || share > bestShare)) {
+      best = topic;
+      bestShare = share;
+    }
+  }
+
+  return best || (PROGRESS_TOPICS[classifyTopic(question)] || GENERAL_TOPIC).name;
+}
+
+// Lowercase words of three or more letters, singular, without the filler
+function conceptWords(text) {
+  return (text.toLowerCase().match(/[a-z0-9+#]{3,}/g) || [])
+    .filter(word => !CONCEPT_STOP_WORDS.has(word))
+    .map(word => word.replace(/(?<=[a-z]{3})s$/, ''));
+}
+
+// GET lists the student's shared links. POST snapshots a thread into a new
+// read-only link from { threadId, fromMessageId, toMessageId, title,
+// expiresInDays }: without a range the whole active branch is shared, and
+// without expiresInDays the link stays open until revoked.
+async function handleSharesRequest(request, env, corsHeaders, userId) {
+  const session = getSession(env, userId);
+  const origin = new URL(request.url).origin;
+
+  if (request.method === 'GET') {
+    const response = await session.fetch(new Request('http://session/shares'));
+    const shares = await response.json();
+    return jsonResponse(shares.map(share => ({ ...share, url: `${origin}/share/${share.id}` })), corsHeaders);
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { threadId = 'default', fromMessageId, toMessageId, title, expiresInDays } = await request.json();
+  if ((fromMessageId !== undefined && !Number.isInteger(fromMessageId)) || (toMessageId !== undefined && !Number.isInteger(toMessageId))) {
+    return jsonResponse({ error: 'fromMessageId and toMessageId must be message ids' }, corsHeaders, 400);
+  }
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > SHARE_TITLE_MAX_LENGTH)) {
+    return jsonResponse({ error: `title must be 1-${SHARE_TITLE_MAX_LENGTH} characters` }, corsHeaders, 400);
+  }
+  if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_MAX_DAYS)) {
+    return jsonResponse({ error: `expiresInDays must be a whole number of days from 1 to ${SHARE_MAX_DAYS}` }, corsHeaders, 400);
+  }
+
+  const id = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const expiresAt = expiresInDays ? Date.now() + expiresInDays * 24 * 60 * 60 * 1000 : null;
+
+  const response = await session.fetch(new Request('http://session/shares/create', {
+    method: 'POST',
+    body: JSON.stringify({
+      id,
+      threadId,
+      fromMessageId,
+      toMessageId,
+      title: title === undefined ? undefined : title.trim(),
+      expiresAt
+    })
+  }));
+  if (!response.ok) {
+    return relayResponse(response, corsHeaders);
+  }
+
+  // The page finds the snapshot through this record, so the link itself
+  // never has to say whose it is
+  await identityStore(env, `share:${id}`).fetch(new Request('http://identity/create', {
+    method: 'POST',
+    body: JSON.stringify({ userId })
+  }));
+
+  const share = await response.json();
+  return jsonResponse({ ...share, url: `${origin}/share/${id}` }, corsHeaders, 201);
+}
+
+// POST /api/share/:id/revoke - deletes the snapshot; its link stops working
+async function handleShareActionRequest(request, env, corsHeaders, userId, path) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const match = path.match(/^([^/]+)\/revoke$/);
+  if (!match) {
+    return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
+  }
+
+  const id = decodeURIComponent(match[1]);
+  const response = await getSession(env, userId).fetch(new Request('http://session/shares/revoke', {
+    method: 'POST',
+    body: JSON.stringify({ id })
+  }));
+
+  // Only the owner gets this far, so only they can free the id
+  if (response.ok) {
+    await identityStore(env, `share:${id}`).fetch(new Request('http://identity/take', { method: 'POST' }));
+  }
+  return relayResponse(response, corsHeaders);
+}
+
+// GET /share/:id - the read-only page of a shared link
+async function handleSharedPageRequest(env, shareId) {
+  const notFound = () => new Response(renderSharedPage('Link not found', `
+    <p class="shared-notice">This link does not exist or has been revoked.</p>`), { status: 404, headers: SHARED_PAGE_HEADERS });
+
+  if (!SHARE_ID_PATTERN.test(shareId)) {
+    return notFound();
+  }
+
+  const owner = await identityStore(env, `share:${shareId}`).fetch(new Request('http://identity/get'));
+  if (!owner.ok) {
+    return notFound();
+  }
+
+  const { userId } = await owner.json();
+  const response = await getSession(env, userId).fetch(new Request(`http://session/shares/get?id=${shareId}`));
+  if (response.status === 410) {
+    return new Response(renderSharedPage('Link expired', `
+    <p class="shared-notice">This link has expired.</p>`), { status: 410, headers: SHARED_PAGE_HEADERS });
+  }
+  if (!response.ok) {
+    return notFound();
+  }
+
+  const share = await response.json();
+  const messages = share.messages.map(message => `
+      <div class="message ${message.role === 'user' ? 'user' : 'assistant'}">
+        <div class="message-content">${markdown.render(message.content, { breaks: true, copyButtons: false })}${formatSharedSources(message.sources)}</div>
+        <div class="timestamp">${formatTimestamp(message.timestamp)}</div>
+      </div>`).join('');
+
+  return new Response(renderSharedPage(share.title, `
+    <p>Shared ${formatTimestamp(share.createdAt)}${share.expiresAt ? ` · open until ${formatTimestamp(share.expiresAt)}` : ''} · read-only</p>
+    <div class="messages">${messages}
+    </div>`), { headers: SHARED_PAGE_HEADERS });
+}
+
+function formatSharedSources(sources) {
+  if (!sources || sources.length === 0) return '';
+  return `<div class="message-sources">Sources: ${sources.map(source => markdown.escapeHtml(formatSourceLabel(source))).join(' · ')}</div>`;
+}
+
+// A shared page around `body`, in the app's message styles
+function renderSharedPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${markdown.escapeHtml(title)} · AI Study Assistant</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
+    main { background: white; border-radius: 20px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); max-width: 800px; margin: 0 auto; padding: 20px; }
+    h1 { color: #333; font-size: 24px; margin-bottom: 5px; text-align: center; }
+    main > p { color: #666; font-size: 14px; text-align: center; padding-bottom: 16px; border-bottom: 1px solid #e0e0e0; }
+    .messages { display: flex; flex-direction: column; gap: 10px; padding-top: 20px; }
+    .shared-notice { padding: 20px 0; border-bottom: none; }
+    footer { color: white; font-size: 12px; text-align: center; margin-top: 12px; }
+${getMessageStyles()}
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${markdown.escapeHtml(title)}</h1>${body}
+  </main>
+  <footer>Shared from AI Study Assistant</footer>
+</body>
+</html>
+`;
+}
+
+// GET lists a user's threads, POST creates a new one
+async function handleThreadsRequest(request, env, corsHeaders, userId) {
+  if (request.method === 'GET') {
+    const response = await getSession(env, userId).fetch(new Request('http://session/threads'));
+    return relayResponse(response, corsHeaders);
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { title, mode } = await request.json();
+
+  if (mode && !getTutoringModes(env)[mode]) {
+    return jsonResponse({ error: 'Unknown mode' }, corsHeaders, 400);
+  }
+
+  const response = await getSession(env, userId).fetch(new Request('http://session/threads/create', {
+    method: 'POST',
+    body: JSON.stringify({ title, mode })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+// POST /api/threads/{rename,archive,delete,mode,branch,course} with { threadId, ... }
+// `branch` takes a messageId and makes the branch holding it the active one;
+// `course` takes the courseId of a course the user is in, or null
+async function handleThreadActionRequest(request, env, corsHeaders, userId, action) {
+  if (!['rename', 'archive', 'delete', 'mode', 'branch', 'course'].includes(action)) {
+    return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const body = await request.json();
+  if (!body.threadId) {
+    return jsonResponse({ error: 'Missing threadId' }, corsHeaders, 400);
+  }
+
+  if (action === 'mode' && !getTutoringModes(env)[body.mode]) {
+    return jsonResponse({ error: 'Unknown mode' }, corsHeaders, 400);
+  }
+  if (action === 'course' && body.courseId !== null && typeof body.courseId !== 'string') {
+    return jsonResponse({ error: 'courseId must be a course id or null' }, corsHeaders, 400);
+  }
+
+  const response = await getSession(env, userId).fetch(new Request(`http://session/threads/${action}`, {
+    method: 'POST',
+    body: JSON.stringify(body)
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+async function handleMemoryRequest(request, env, corsHeaders, userId) {
+  if (request.method === 'GET') {
+    return jsonResponse(await getLearnerMemory(env, userId) || emptyLearnerMemory(), corsHeaders);
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  let changes;
+  try {
+    changes = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Request body is not valid JSON' }, corsHeaders, 400);
+  }
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return jsonResponse({ error: 'Request body must be a JSON object' }, corsHeaders, 400);
+  }
+
+  const memory = {
+    ...(await getLearnerMemory(env, userId) || emptyLearnerMemory()),
+    ...normalizeLearnerMemory(changes, { partial: true }),
+    updatedAt: Date.now()
+  };
+
+  await env.MEMORY_STORE.put(memoryKey(userId), JSON.stringify(memory));
+  return jsonResponse(memory, corsHeaders);
+}
+
+async function handleClearMemoryRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  await env.MEMORY_STORE.delete(memoryKey(userId));
+  return jsonResponse({ success: true }, corsHeaders);
+}
+
+// Long-term memory: a rolling learner profile per user, kept in the
+// MEMORY_STORE KV namespace and refreshed from interactions that have aged
+// out of the Durable Object session.
+
+function memoryKey(userId) {
+  return `memory:${userId}`;
+}
+
+function emptyLearnerMemory() {
+  return {
+    summary: '',
+    topics: [],
+    misconceptions: [],
+    preferredLanguages: [],
+    updatedAt: null
+  };
+}
+
+// Keeps only the known profile fields, trimmed to sane sizes. With
+// `partial`, fields that are absent are left out instead of defaulted.
+function normalizeLearnerMemory(input, { partial = false } = {}) {
+  const memory = {};
+  const toList = value => (Array.isArray(value) ? value : [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim().slice(0, 100))
+    .slice(0, 20);
+
+  if (!partial || 'summary' in input) {
+    memory.summary = typeof input.summary === 'string' ? input.summary.trim().slice(0, 1000) : '';
+  }
+  ['topics', 'misconceptions', 'preferredLanguages'].forEach(field => {
+    if (!partial || field in input) {
+      memory[field] = toList(input[field]);
+    }
+  });
+
+  return memory;
+}
+
+async function getLearnerMemory(env, userId) {
+  return env.MEMORY_STORE.get(memoryKey(userId), 'json');
+}
+
+async function updateLearnerMemory(env, userId, interactions) {
+  const current = await getLearnerMemory(env, userId) || emptyLearnerMemory();
+
+  const transcript = interactions
+    .map(i => `Student: ${i.userMessage}\nAssistant: ${i.aiResponse}`)
+    .join('\n\n');
+
+  const prompt = `You maintain a learner profile for a student using a programming study assistant.
+Update the profile below with what the new conversation excerpts reveal. Keep what is still true, merge duplicates and stay concise.
+
+Current profile:
+${JSON.stringify(normalizeLearnerMemory(current))}
+
+New conversation excerpts:
+${transcript}
+
+Respond with only a JSON object of this shape:
+{"summary": "2-3 sentences about the student's level and goals", "topics": ["topics covered"], "misconceptions": ["misunderstandings the student showed"], "preferredLanguages": ["programming languages the student uses"]}`;
+
+  try {
+    const { result: response } = await runChatModel(env, getModelChain(env), {
+      prompt: prompt,
+      max_tokens: 512,
+      temperature: 0.2
+    });
+
+    const updated = parseJSONObject(response.response);
+    if (!updated) {
+      console.error('Memory Error: could not parse learner profile');
+      return;
+    }
+
+    await env.MEMORY_STORE.put(memoryKey(userId), JSON.stringify({
+      ...normalizeLearnerMemory(updated),
+      updatedAt: Date.now()
+    }));
+  } catch (error) {
+    console.error('Memory Error:', error);
+  }
+}
+
+// Pulls the first {...} block out of model output and parses it
+function parseJSONObject(text) {
+  if (!text) return null;
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Turns a single assistant answer (`text`) or a whole thread into
+// question/answer flashcards and stores them for spaced-repetition review
+async function handleGenerateFlashcardsRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { text, threadId, count = 5 } = await request.json();
+  if (!text && !threadId) {
+    return jsonResponse({ error: 'Missing text or threadId' }, corsHeaders, 400);
+  }
+  if (text && typeof text !== 'string') {
+    return jsonResponse({ error: 'text must be a string' }, corsHeaders, 400);
+  }
+
+  const session = getSession(env, userId);
+  let source = text && text.slice(0, FLASHCARD_SOURCE_MAX_CHARS);
+
+  if (!source) {
+    const historyResponse = await session.fetch(new Request(`http://session/history?threadId=${encodeURIComponent(threadId)}&limit=20`));
+    if (!historyResponse.ok) {
+      return relayResponse(historyResponse, corsHeaders);
+    }
+    const history = await historyResponse.json();
+    source = history
+      .map(h => `Student: ${h.userMessage}\nAssistant: ${h.aiResponse}`)
+      .join('\n\n')
+      .slice(-FLASHCARD_SOURCE_MAX_CHARS);
+  }
+
+  if (!source.trim()) {
+    return jsonResponse({ error: 'Nothing to make flashcards from' }, corsHeaders, 400);
+  }
+
+  const cards = await generateFlashcards(env, source, Math.min(Math.max(parseInt(count, 10) || 5, 1), 20));
+  if (cards.length === 0) {
+    return jsonResponse({ error: 'Could not generate flashcards. Please try again.' }, corsHeaders, 502);
+  }
+
+  const response = await session.fetch(new Request('http://session/flashcards/add', {
+    method: 'POST',
+    body: JSON.stringify({ cards, threadId: threadId || null })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+async function generateFlashcards(env, source, count) {
+  const prompt = `Create up to ${count} study flashcards from the material below.
+Each card should test one concept, with a short question and a concise, self-contained answer.
+
+Material:
+${source}
+
+Respond with only a JSON object of this shape:
+{"cards": [{"question": "...", "answer": "..."}]}`;
+
+  try {
+    const { result: response } = await runChatModel(env, getModelChain(env), {
+      prompt: prompt,
+      max_tokens: 1024,
+      temperature: 0.3
+    });
+
+    const parsed = parseJSONObject(response.response);
+    if (!parsed || !Array.isArray(parsed.cards)) return [];
+
+    return parsed.cards
+      .filter(card => card && typeof card.question === 'string' && typeof card.answer === 'string')
+      .map(card => ({ question: card.question.trim(), answer: card.answer.trim() }))
+      .filter(card => card.question && card.answer)
+      .slice(0, count);
+  } catch (error) {
+    console.error('Flashcard Error:', error);
+    return [];
+  }
+}
+
+async function handleDueFlashcardsRequest(request, env, corsHeaders, userId) {
+  const url = new URL(request.url);
+  const limit = url.searchParams.get('limit') || '20';
+  const response = await getSession(env, userId).fetch(new Request(`http://session/flashcards/due?limit=${encodeURIComponent(limit)}`));
+  return relayResponse(response, corsHeaders);
+}
+
+// Grades follow SM-2: 0-2 means forgotten, 3 hard, 4 good, 5 easy
+async function handleReviewFlashcardRequest(request, env, corsHeaders, userId, cardId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { grade } = await request.json();
+  if (grade === undefined) {
+    return jsonResponse({ error: 'Missing grade' }, corsHeaders, 400);
+  }
+
+  const response = await getSession(env, userId).fetch(new Request('http://session/flashcards/review', {
+    method: 'POST',
+    body: JSON.stringify({ id: decodeURIComponent(cardId), grade })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+// Quizzes: the model writes a quiz that must validate against QUIZ_SCHEMA.
+// The full quiz (with answers) stays in the session; the client only ever
+// sees the questions, and grading happens server-side on submit.
+
+const QUIZ_SCHEMA = {
+  type: 'object',
+  required: ['topic', 'title', 'questions'],
+  properties: {
+    topic: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1 },
+    questions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10,
+      items: {
+        oneOf: [
+          {
+            type: 'object',
+            required: ['type', 'question', 'choices', 'answerIndex'],
+            properties: {
+              type: { enum: ['multiple_choice'] },
+              question: { type: 'string', minLength: 1 },
+              choices: { type: 'array', minItems: 2, maxItems: 6, items: { type: 'string', minLength: 1 } },
+              answerIndex: { type: 'integer', minimum: 0, maximum: 5 },
+              explanation: { type: 'string' }
+            }
+          },
+          {
+            type: 'object',
+            required: ['type', 'question', 'referenceAnswer'],
+            properties: {
+              type: { enum: ['short_answer'] },
+              question: { type: 'string', minLength: 1 },
+              referenceAnswer: { type: 'string', minLength: 1 },
+              rubric: { type: 'string' }
+            }
+          }
+        ]
+      }
+    }
+  }
+};
+
+const SHORT_ANSWER_GRADE_SCHEMA = {
+  type: 'object',
+  required: ['score', 'feedback'],
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    feedback: { type: 'string' }
+  }
+};
+
+// Validates `value` against the subset of JSON Schema used in this file
+// (type, enum, required, properties, items, oneOf and size bounds).
+// Returns a list of error messages; empty means valid.
+function validateSchema(value, schema, path = '$') {
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(value, option, path).length === 0);
+    return matches.length === 1 ? [] : [`${path} must match exactly one allowed shape`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of ${schema.enum.join(', ')}`];
+  }
+
+  if (schema.type) {
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    const ok = schema.type === 'integer' ? Number.isInteger(value) : actual === schema.type;
+    if (!ok) {
+      return [`${path} must be ${schema.type}`];
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} allows at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    });
+  }
+
+  return errors;
+}
+
+// Runs a prompt that must answer with JSON matching `schema`. Malformed
+// output is retried with the validation errors fed back to the model.
+// Returns the parsed object, or null once every attempt has failed.
+async function runStructuredPrompt(env, prompt, schema, { maxTokens = 1024, temperature = 0.3, attempts = 3 } = {}) {
+  let feedback = '';
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const { result: response } = await runChatModel(env, getModelChain(env), {
+        prompt: prompt + feedback,
+        max_tokens: maxTokens,
+        temperature: temperature
+      });
+
+      const parsed = parseJSONObject(response.response);
+      const errors = parsed ? validateSchema(parsed, schema) : ['response was not a JSON object'];
+      if (errors.length === 0) {
+        return parsed;
+      }
+
+      console.error(`Structured output attempt ${attempt} invalid:`, errors.slice(0, 5));
+      feedback = `\n\nYour previous reply was invalid (${errors.slice(0, 5).join('; ')}). Reply again with only valid JSON.`;
+    } catch (error) {
+      console.error(`Structured output attempt ${attempt} failed:`, error);
+    }
+  }
+
+  return null;
+}
+
+async function handleGenerateQuizRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { topic, threadId, questionCount = 5 } = await request.json();
+  if (!topic && !threadId) {
+    return jsonResponse({ error: 'Missing topic or threadId' }, corsHeaders, 400);
+  }
+
+  const session = getSession(env, userId);
+  const count = Math.min(Math.max(parseInt(questionCount, 10) || 5, 1), 10);
+  let material = '';
+
+  if (!topic) {
+    const historyResponse = await session.fetch(new Request(`http://session/history?threadId=${encodeURIComponent(threadId)}&limit=10`));
+    if (!historyResponse.ok) {
+      return relayResponse(historyResponse, corsHeaders);
+    }
+    const history = await historyResponse.json();
+    material = history
+      .map(h => `Student: ${h.userMessage}\nAssistant: ${h.aiResponse}`)
+      .join('\n\n')
+      .slice(-6000);
+
+    if (!material) {
+      return jsonResponse({ error: 'Nothing to quiz you on yet' }, corsHeaders, 400);
+    }
+  }
+
+  const prompt = `Write a ${count}-question quiz for a computer science student${topic ? ` on: ${topic}` : ' based on their recent study session below'}.
+Mix multiple-choice and short-answer questions.
+
+${material ? `Study session:\n${material}\n\n` : ''}Respond with only a JSON object of this shape:
+{"topic": "short topic name", "title": "quiz title", "questions": [
+  {"type": "multiple_choice", "question": "...", "choices": ["...", "...", "...", "..."], "answerIndex": 0, "explanation": "why it is correct"},
+  {"type": "short_answer", "question": "...", "referenceAnswer": "model answer", "rubric": "what a full-credit answer must mention"}
+]}`;
+
+  const quiz = await runStructuredPrompt(env, prompt, QUIZ_SCHEMA, { maxTokens: 2048 });
+  if (!quiz) {
+    return jsonResponse({ error: 'Could not generate a quiz. Please try again.' }, corsHeaders, 502);
+  }
+
+  const questions = quiz.questions
+    .filter(q => q.type !== 'multiple_choice' || q.answerIndex < q.choices.length)
+    .slice(0, count)
+    .map((q, i) => ({ ...q, id: `q${i + 1}` }));
+
+  if (questions.length === 0) {
+    return jsonResponse({ error: 'Could not generate a quiz. Please try again.' }, corsHeaders, 502);
+  }
+
+  const response = await session.fetch(new Request('http://session/quizzes/add', {
+    method: 'POST',
+    body: JSON.stringify({
+      topic: normalizeTopic(topic || quiz.topic),
+      title: quiz.title.trim(),
+      questions
+    })
+  }));
+  const stored = await response.json();
+
+  return jsonResponse(toPublicQuiz(stored), corsHeaders, 201);
+}
+
+function normalizeTopic(topic) {
+  return topic.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 80);
+}
+
+// Strips answers, explanations and rubrics before a quiz goes to the client
+function toPublicQuiz(quiz) {
+  return {
+    id: quiz.id,
+    topic: quiz.topic,
+    title: quiz.title,
+    questions: quiz.questions.map(q => ({
+      id: q.id,
+      type: q.type,
+      question: q.question,
+      ...(q.type === 'multiple_choice' ? { choices: q.choices } : {})
+    }))
+  };
+}
+
+// Body: { answers: { [questionId]: choiceIndex | "text" } }
+async function handleSubmitQuizRequest(request, env, corsHeaders, userId, quizId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { answers = {} } = await request.json();
+
+  const session = getSession(env, userId);
+  const quizResponse = await session.fetch(new Request(`http://session/quizzes/get?id=${encodeURIComponent(quizId)}`));
+  if (!quizResponse.ok) {
+    return relayResponse(quizResponse, corsHeaders);
+  }
+
+  const quiz = await quizResponse.json();
+  if (quiz.submittedAt) {
+    return jsonResponse({ error: 'Quiz already submitted' }, corsHeaders, 409);
+  }
+
+  const graded = await Promise.all(quiz.questions.map(q => gradeQuizQuestion(env, q, answers[q.id])));
+  const score = graded.reduce((sum, g) => sum + g.score, 0);
+
+  const response = await session.fetch(new Request('http://session/quizzes/results/add', {
+    method: 'POST',
+    body: JSON.stringify({
+      quizId: quiz.id,
+      topic: quiz.topic,
+      category: classifyTopic(`${quiz.topic} ${quiz.title}`),
+      score,
+      maxScore: graded.length,
+      graded
+    })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+// Multiple choice is an exact match on the choice index; short answers are
+// scored 0-1 by the model against the reference answer and rubric
+async function gradeQuizQuestion(env, question, answer) {
+  if (question.type === 'multiple_choice') {
+    const correct = answer !== undefined && answer !== null && answer !== '' && Number(answer) === question.answerIndex;
+    return {
+      questionId: question.id,
+      answer: answer === undefined ? null : answer,
+      correct,
+      score: correct ? 1 : 0,
+      correctAnswer: question.choices[question.answerIndex],
+      feedback: question.explanation || ''
+    };
+  }
+
+  const text = typeof answer === 'string' ? answer.trim() : '';
+  if (!text) {
+    return {
+      questionId: question.id,
+      answer: null,
+      correct: false,
+      score: 0,
+      correctAnswer: question.referenceAnswer,
+      feedback: 'No answer given.'
+    };
+  }
+
+  const prompt = `You are grading a student's short answer.
+
+Question: ${question.question}
+Reference answer: ${question.referenceAnswer}
+Rubric: ${question.rubric || 'Award full credit if the answer captures the key idea of the reference answer.'}
+Student answer: ${text.slice(0, 2000)}
+
+Score from 0 (wrong) to 1 (fully correct); partial credit is allowed.
+Respond with only a JSON object: {"score": 0.5, "feedback": "one or two sentences for the student"}`;
+
+  const grade = await runStructuredPrompt(env, prompt, SHORT_ANSWER_GRADE_SCHEMA, { maxTokens: 256, temperature: 0 });
+  const score = grade ? Math.round(grade.score * 100) / 100 : 0;
+
+  return {
+    questionId: question.id,
+    answer: text,
+    correct: score >= 0.7,
+    score,
+    correctAnswer: question.referenceAnswer,
+    feedback: grade ? grade.feedback : 'This answer could not be graded automatically.'
+  };
+}
+
+async function handleQuizResultsRequest(request, env, corsHeaders, userId) {
+  const response = await getSession(env, userId).fetch(new Request('http://session/quizzes/results'));
+  return relayResponse(response, corsHeaders);
+}
+
+// Progress: every question and quiz result is filed under a topic of
+// PROGRESS_TOPICS by keyword, and the session keeps per-topic counts that
+// /api/progress turns into streaks, an activity chart and topics to revisit.
+
+// The CS topic taxonomy. A question goes to the topic with the most
+// different keywords in it, where keywords in the answer count half; a
+// question that matches nothing is filed under 'general'.
+const PROGRESS_TOPICS = {
+  'data-structures': {
+    name: 'Data structures',
+    keywords: ['data structure', 'array', 'linked list', 'stack', 'queue', 'deque', 'hash map', 'hash table', 'hashmap',
+      'dictionary', 'binary tree', 'bst', 'b-tree', 'heap', 'priority queue', 'trie', 'graph', 'adjacency list', 'tree']
+  },
+  algorithms: {
+    name: 'Algorithms',
+    keywords: ['algorithm', 'sorting', 'sort', 'quicksort', 'merge sort', 'binary search', 'recursion', 'recursive',
+      'dynamic programming', 'memoization', 'greedy', 'big o', 'time complexity', 'space complexity', 'bfs', 'dfs',
+      'breadth-first', 'depth-first', 'dijkstra', 'backtracking', 'divide and conquer', 'shortest path']
+  },
+  databases: {
+    name: 'Databases',
+    keywords: ['database', 'sql', 'query', 'join', 'index', 'schema', 'normalization', 'normal form', 'transaction',
+      'acid', 'nosql', 'postgres', 'postgresql', 'mysql', 'sqlite', 'mongodb', 'primary key', 'foreign key', 'orm']
+  },
+  networking: {
+    name: 'Networking',
+    keywords: ['network', 'networking', 'tcp', 'udp', 'http', 'https', 'dns', 'ip address', 'ipv4', 'ipv6', 'socket',
+      'router', 'packet', 'protocol', 'tls', 'ssl', 'osi model', 'latency', 'bandwidth', 'websocket', 'subnet']
+  },
+  'operating-systems': {
+    name: 'Operating systems',
+    keywords: ['operating system', 'process', 'thread', 'scheduler', 'scheduling', 'virtual memory', 'paging',
+      'page fault', 'deadlock', 'mutex', 'semaphore', 'race condition', 'kernel', 'file system', 'system call',
+      'concurrency', 'context switch']
+  },
+  'programming-languages': {
+    name: 'Programming languages',
+    keywords: ['variable', 'function', 'class', 'object', 'inheritance', 'polymorphism', 'closure', 'type system',
+      'compiler', 'interpreter', 'syntax', 'python', 'javascript', 'typescript', 'java', 'c++', 'rust', 'golang',
+      'pointer', 'exception', 'async', 'promise', 'generic', 'lambda', 'garbage collection']
+  },
+  'web-development': {
+    name: 'Web development',
+    keywords: ['html', 'css', 'dom', 'react', 'vue', 'frontend', 'front-end', 'backend', 'back-end', 'browser',
+      'rest api', 'cookie', 'node.js', 'express', 'web page', 'web server']
+  },
+  'software-engineering': {
+    name: 'Software engineering',
+    keywords: ['git', 'unit test', 'testing', 'design pattern', 'refactor', 'refactoring', 'debug', 'debugging',
+      'version control', 'agile', 'code review', 'continuous integration', 'deployment', 'solid principles']
+  },
+  security: {
+    name: 'Security',
+    keywords: ['security', 'encryption', 'decrypt', 'hashing', 'password', 'authentication', 'authorization', 'xss',
+      'sql injection', 'csrf', 'vulnerability', 'certificate', 'public key', 'private key']
+  },
+  'machine-learning': {
+    name: 'Machine learning',
+    keywords: ['machine learning', 'neural network', 'training data', 'regression', 'classifier', 'gradient descent',
+      'overfitting', 'deep learning', 'llm', 'embedding', 'supervised', 'unsupervised']
+  },
+  math: {
+    name: 'Math for CS',
+    keywords: ['discrete math', 'probability', 'proof', 'induction', 'boolean algebra', 'logic gate', 'matrix',
+      'combinatorics', 'modular arithmetic', 'binary number', 'set theory', 'linear algebra']
+  }
+};
+const GENERAL_TOPIC = { id: 'general', name: 'General' };
+
+// One pattern per topic matching any of its keywords as whole words, plain
+// or plural
+const TOPIC_PATTERNS = Object.entries(PROGRESS_TOPICS).map(([id, topic]) => {
+  const keywords = topic.keywords
+    .slice().sort((a, b) => b.length - a.length)
+    .map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return [id, new RegExp(`(?<![a-z0-9])(?:${keywords.join('|')})(?:e?s)?(?![a-z0-9])`, 'gi')];
+});
+
+// The student saying they are lost, in the question itself
+const CONFUSION_PATTERN = /\b(?:i['’]?m (?:so |still |really |a bit )?(?:confused|lost|stuck)|(?:don['’]?t|do not|still don['’]?t|didn['’]?t) (?:understand|get (?:it|this|that|why|how))|(?:doesn['’]?t|does not|still doesn['’]?t) make sense|makes no sense|what do you mean|(?:explain|say) (?:it|that|this) (?:again|differently|more simply))\b/i;
+
+// The PROGRESS_TOPICS id for a question and its answer, or 'general'
+function classifyTopic(question, answer = '') {
+  let best = GENERAL_TOPIC.id;
+  let bestScore = 1;
+  for (const [id, pattern] of TOPIC_PATTERNS) {
+    const score = countKeywords(question, pattern) * 2 + countKeywords(answer, pattern);
+    if (score > bestScore) {
+      best = id;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function countKeywords(text, pattern) {
+  return new Set((text.match(pattern) || []).map(keyword => keyword.toLowerCase())).size;
+}
+
+// GET /api/progress?days=&timezoneOffset= - per-topic question and quiz
+// totals, study streaks, questions and quizzes per day over the last `days`
+// days (default 30), and up to PROGRESS_SUGGESTIONS topics to revisit.
+// timezoneOffset is the browser's Date#getTimezoneOffset, so that days and
+// streaks follow the student's calendar.
+async function handleProgressRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'GET') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const url = new URL(request.url);
+  const days = parseInt(url.searchParams.get('days') || PROGRESS_DEFAULT_DAYS, 10);
+  if (!Number.isInteger(days) || days < 1 || days > PROGRESS_MAX_DAYS) {
+    return jsonResponse({ error: `days must be between 1 and ${PROGRESS_MAX_DAYS}` }, corsHeaders, 400);
+  }
+  const timezoneOffset = parseInt(url.searchParams.get('timezoneOffset') || '0', 10);
+  if (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+    return jsonResponse({ error: 'Invalid timezoneOffset' }, corsHeaders, 400);
+  }
+
+  const session = getSession(env, userId);
+  await classifyPendingProgress(session);
+
+  const response = await session.fetch(new Request(`http://session/progress?timezoneOffset=${timezoneOffset}`));
+  const progress = await response.json();
+
+  const now = Date.now();
+  const today = localDay(now, timezoneOffset);
+  const topics = summarizeTopics(progress.topics, progress.quizzes);
+
+  return jsonResponse({
+    streak: studyStreak(progress.days.map(day => day.day), today),
+    activity: recentActivity(progress.days, today, days),
+    topics,
+    suggestions: suggestTopics(topics, now)
+  }, corsHeaders);
+}
+
+// Files stored questions and quiz results that have no topic yet
+async function classifyPendingProgress(session) {
+  const response = await session.fetch(new Request(`http://session/progress/unclassified?limit=${PROGRESS_CLASSIFY_BATCH}`));
+  const { questions, quizzes } = await response.json();
+  if (questions.length === 0 && quizzes.length === 0) return;
+
+  await session.fetch(new Request('http://session/progress/classify', {
+    method: 'POST',
+    body: JSON.stringify({
+      questions: questions.map(q => ({
+        id: q.id,
+        topic: classifyTopic(q.content, q.answer),
+        confused: CONFUSION_PATTERN.test(q.content)
+      })),
+      quizzes: quizzes.map(quiz => ({ id: quiz.id, topic: classifyTopic(`${quiz.topic} ${quiz.title}`) }))
+    })
+  }));
+}
+
+// Merges question and quiz totals into one entry per topic studied, most
+// asked about first
+function summarizeTopics(questionTotals, quizTotals) {
+  const topics = new Map();
+  const entry = id => {
+    if (!topics.has(id)) {
+      const topic = PROGRESS_TOPICS[id] || GENERAL_TOPIC;
+      topics.set(id, {
+        id,
+        name: topic.name,
+        questions: 0,
+        confused: 0,
+        quizAttempts: 0,
+        quizAverage: null,
+        lastStudiedAt: 0
+      });
+    }
+    return topics.get(id);
+  };
+
+  for (const total of questionTotals) {
+    const topic = entry(total.topic);
+    topic.questions = total.questions;
+    topic.confused = total.confused;
+    topic.lastStudiedAt = Math.max(topic.lastStudiedAt, total.lastAskedAt);
+  }
+  for (const total of quizTotals) {
+    const topic = entry(total.topic);
+    topic.quizAttempts = total.attempts;
+    topic.quizAverage = total.average;
+    topic.lastStudiedAt = Math.max(topic.lastStudiedAt, total.lastAttemptAt);
+  }
+
+  return [...topics.values()].sort((a, b) => b.questions - a.questions || b.quizAttempts - a.quizAttempts);
+}
+
+// The run of consecutive study days ending today (or yesterday, when today
+// has not started yet) and the longest run ever. `days` are sorted YYYY-MM-DD.
+function studyStreak(days, today) {
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < days.length; i++) {
+    run = i > 0 && shiftDay(days[i - 1], 1) === days[i] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const lastStudyDay = days.length > 0 ? days[days.length - 1] : null;
+  const current = lastStudyDay === today || lastStudyDay === shiftDay(today, -1) ? run : 0;
+  return { current, longest, lastStudyDay };
+}
+
+// Questions and quizzes for each of the `count` days up to today, including
+// days with no activity
+function recentActivity(days, today, count) {
+  const byDay = new Map(days.map(day => [day.day, day]));
+  const activity = [];
+  for (let offset = count - 1; offset >= 0; offset--) {
+    const date = shiftDay(today, -offset);
+    const day = byDay.get(date);
+    activity.push({ date, questions: day ? day.questions : 0, quizzes: day ? day.quizzes : 0 });
+  }
+  return activity;
+}
+
+function isDay(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && shiftDay(value, 0) === value;
+}
+
+// Weak areas first: low quiz averages and topics the student was often
+// confused by, then well-studied topics that have not come up in a while.
+// Each suggestion says why in `reasons`, as codes with their numbers
+// ({ code: 'quiz-average', percent }, { code: 'unsure', confused, questions }
+// or { code: 'stale', days }) for the page to put into words.
+function suggestTopics(topics, now) {
+  const suggestions = [];
+  for (const topic of topics) {
+    if (topic.id === GENERAL_TOPIC.id) continue;
+
+    const confusedShare = topic.questions > 0 ? topic.confused / topic.questions : 0;
+    const idleDays = Math.floor((now - topic.lastStudiedAt) / (24 * 60 * 60 * 1000));
+    const reasons = [];
+    let weight = 0;
+
+    if (topic.quizAverage !== null && topic.quizAverage < PROGRESS_WEAK_QUIZ_AVERAGE) {
+      reasons.push({ code: 'quiz-average', percent: Math.round(topic.quizAverage * 100) });
+      weight += 1 - topic.quizAverage;
+    }
+    if (topic.confused >= 2 && confusedShare >= PROGRESS_CONFUSED_SHARE) {
+      reasons.push({ code: 'unsure', confused: topic.confused, questions: topic.questions });
+      weight += confusedShare;
+    }
+    if (reasons.length === 0 && topic.questions >= 5 && idleDays >= PROGRESS_STALE_DAYS) {
+      reasons.push({ code: 'stale', days: idleDays });
+      weight += 0.1;
+    }
+
+    if (reasons.length > 0) {
+      suggestions.push({ topic: topic.id, name: topic.name, reasons, weight });
+    }
+  }
+
+  return suggestions
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, PROGRESS_SUGGESTIONS)
+    .map(({ weight, ...suggestion }) => suggestion);
+}
+
+// Study plans: the model turns a goal and deadline into one topic per day,
+// validated against STUDY_PLAN_SCHEMA. The session stores the plan, and its
+// alarm prepares each day's review prompts and sends reminders.
+
+const STUDY_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['title', 'days'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 120 },
+    days: {
+      type: 'array',
+      minItems: 1,
+      maxItems: PLAN_MAX_DAYS,
+      items: {
+        type: 'object',
+        required: ['day', 'topic', 'tasks'],
+        properties: {
+          day: { type: 'integer', minimum: 1, maximum: PLAN_MAX_DAYS },
+          topic: { type: 'string', minLength: 1, maxLength: 120 },
+          tasks: { type: 'array', minItems: 1, maxItems: 5, items: { type: 'string', minLength: 1, maxLength: 300 } },
+          reviewQuestions: { type: 'array', maxItems: 3, items: { type: 'string', minLength: 1, maxLength: 300 } }
+        }
+      }
+    }
+  }
+};
+
+// GET lists the student's plans with their items (active plans include
+// today's review prompts); POST makes a plan from { goal, deadline,
+// timezoneOffset, reminderHour }, where deadline is a YYYY-MM-DD day of the
+// student's calendar and reminderHour the hour (0-23) of the daily reminder
+async function handlePlansRequest(request, env, corsHeaders, userId) {
+  const session = getSession(env, userId);
+
+  if (request.method === 'GET') {
+    return relayResponse(await session.fetch(new Request('http://session/plans')), corsHeaders);
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { goal, deadline, timezoneOffset = 0, reminderHour = PLAN_DEFAULT_REMINDER_HOUR } = await request.json();
+  if (typeof goal !== 'string' || !goal.trim() || goal.length > PLAN_GOAL_MAX_LENGTH) {
+    return jsonResponse({ error: `goal must be 1-${PLAN_GOAL_MAX_LENGTH} characters` }, corsHeaders, 400);
+  }
+  if (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+    return jsonResponse({ error: 'Invalid timezoneOffset' }, corsHeaders, 400);
+  }
+  if (!Number.isInteger(reminderHour) || reminderHour < 0 || reminderHour > 23) {
+    return jsonResponse({ error: 'reminderHour must be an hour from 0 to 23' }, corsHeaders, 400);
+  }
+
+  const today = localDay(Date.now(), timezoneOffset);
+  const days = isDay(deadline) ? Math.round((Date.parse(deadline) - Date.parse(today)) / (24 * 60 * 60 * 1000)) : 0;
+  if (days < 1 || days > PLAN_MAX_DAYS) {
+    return jsonResponse({ error: `deadline must be a day (YYYY-MM-DD) within the next ${PLAN_MAX_DAYS} days` }, corsHeaders, 400);
+  }
+
+  const prompt = `A computer science student has this goal: "${goal.trim()}".
+They have ${days} day${days === 1 ? '' : 's'} to prepare: day 1 is today (${today}) and the deadline is ${deadline}.
+
+Write a day-by-day study plan. Give each day one focused topic, 1-4 concrete tasks that fit in about an hour, and 2-3 short self-test questions on the topic. Build from the fundamentals up to the harder material, and use the last day or two for mixed review. Days off may be left out.
+
+Respond with only a JSON object of this shape:
+{"title": "short plan title", "days": [{"day": 1, "topic": "...", "tasks": ["..."], "reviewQuestions": ["..."]}]}`;
+
+  const plan = await runStructuredPrompt(env, prompt, STUDY_PLAN_SCHEMA, { maxTokens: Math.min(256 + days * 120, 4096) });
+  if (!plan) {
+    return jsonResponse({ error: 'Could not write a study plan. Please try again.' }, corsHeaders, 502);
+  }
+
+  // One item per day within the plan, whatever order the model used
+  const scheduled = new Map();
+  for (const entry of plan.days) {
+    if (entry.day > days || scheduled.has(entry.day)) continue;
+    scheduled.set(entry.day, {
+      day: shiftDay(today, entry.day - 1),
+      topic: entry.topic.trim(),
+      tasks: entry.tasks.map(task => task.trim()),
+      reviewQuestions: (entry.reviewQuestions || []).map(question => question.trim())
+    });
+  }
+  if (scheduled.size === 0) {
+    return jsonResponse({ error: 'Could not write a study plan. Please try again.' }, corsHeaders, 502);
+  }
+
+  const response = await session.fetch(new Request('http://session/plans/create', {
+    method: 'POST',
+    body: JSON.stringify({
+      userId,
+      goal: goal.trim(),
+      title: plan.title.trim(),
+      deadline,
+      timezoneOffset,
+      reminderHour,
+      items: [...scheduled.values()].sort((a, b) => a.day.localeCompare(b.day))
+    })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+// POST /api/plans/:id/delete
+// POST /api/plans/:id/items/:itemId - adjust an item: { day, topic, tasks }
+//   (any of them); a missed item moved to today or later is pending again
+// POST /api/plans/:id/items/:itemId/complete - { done } (default true)
+async function handlePlanActionRequest(request, env, corsHeaders, userId, path) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const match = path.match(/^([^/]+)\/(?:(delete)|items\/(\d+)(\/complete)?)$/);
+  if (!match) {
+    return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
+  }
+
+  const session = getSession(env, userId);
+  const planId = decodeURIComponent(match[1]);
+
+  if (match[2]) {
+    const response = await session.fetch(new Request('http://session/plans/delete', {
+      method: 'POST',
+      body: JSON.stringify({ id: planId })
+    }));
+    return relayResponse(response, corsHeaders);
+  }
+
+  const itemId = Number(match[3]);
+  const body = await request.json();
+
+  if (match[4]) {
+    const { done = true } = body;
+    if (typeof done !== 'boolean') {
+      return jsonResponse({ error: 'done must be true or false' }, corsHeaders, 400);
+    }
+    const response = await session.fetch(new Request('http://session/plans/items/complete', {
+      method: 'POST',
+      body: JSON.stringify({ planId, itemId, done })
+    }));
+    return relayResponse(response, corsHeaders);
+  }
+
+  const { day, topic, tasks } = body;
+  if (day === undefined && topic === undefined && tasks === undefined) {
+    return jsonResponse({ error: 'Send a day, topic or tasks to change' }, corsHeaders, 400);
+  }
+  if (day !== undefined && !isDay(day)) {
+    return jsonResponse({ error: 'day must be a date (YYYY-MM-DD)' }, corsHeaders, 400);
+  }
+  if (topic !== undefined && (typeof topic !== 'string' || !topic.trim() || topic.length > 120)) {
+    return jsonResponse({ error: 'topic must be 1-120 characters' }, corsHeaders, 400);
+  }
+  if (tasks !== undefined && validateSchema(tasks, STUDY_PLAN_SCHEMA.properties.days.items.properties.tasks).length > 0) {
+    return jsonResponse({ error: 'tasks must be a list of 1-5 tasks of up to 300 characters' }, corsHeaders, 400);
+  }
+
+  const response = await session.fetch(new Request('http://session/plans/items/adjust', {
+    method: 'POST',
+    body: JSON.stringify({
+      planId,
+      itemId,
+      day,
+      topic: topic === undefined ? undefined : topic.trim(),
+      tasks: tasks === undefined ? undefined : tasks.map(task => task.trim())
+    })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+// Course notes: uploads are converted to text, split into sections and
+// chunks, embedded, and stored in the user's SessionManager. Each question
+// then retrieves the closest chunks and buildSystemPrompt cites them as sources.
+
+// GET lists documents; POST uploads one as the `file` field of a multipart
+// form (plain text, Markdown or PDF)
+async function handleDocumentsRequest(request, env, corsHeaders, userId) {
+  const session = getSession(env, userId);
+
+  if (request.method === 'GET') {
+    return relayResponse(await session.fetch(new Request('http://session/documents')), corsHeaders);
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const upload = await prepareDocumentUpload(request, env);
+  if (upload.error) {
+    return jsonResponse({ error: upload.error }, corsHeaders, upload.status);
+  }
+
+  const response = await session.fetch(new Request('http://session/documents/add', {
+    method: 'POST',
+    body: JSON.stringify(upload.document)
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+// Reads the `file` field of a multipart upload, splits it into chunks and
+// embeds them. Returns { document: { name, mimeType, size, chunks } } for a
+// documents/add route, or { error, status } when the file cannot be used.
+async function prepareDocumentUpload(request, env) {
+  const form = await request.formData();
+  const file = form.get('file');
+  if (!file || typeof file === 'string') {
+    return { error: 'Missing file', status: 400 };
+  }
+  if (file.size > DOCUMENT_MAX_BYTES) {
+    return { error: `Documents must be smaller than ${DOCUMENT_MAX_BYTES / (1024 * 1024)} MB`, status: 413 };
+  }
+
+  const mimeType = documentMimeType(file);
+  if (!mimeType) {
+    return { error: 'Unsupported file type. Upload .txt, .md or .pdf files.', status: 415 };
+  }
+
+  let text;
+  try {
+    text = await extractDocumentText(env, file, mimeType);
+  } catch (error) {
+    console.error('Document Error:', error);
+    return { error: 'Could not read that document.', status: 422 };
+  }
+
+  const chunks = chunkDocument(text);
+  if (chunks.length === 0) {
+    return { error: 'That document has no readable text.', status: 422 };
+  }
+  if (chunks.length > DOCUMENT_MAX_CHUNKS) {
+    return { error: 'That document is too long. Try splitting it into smaller files.', status: 413 };
+  }
+
+  const embeddings = await embedTexts(env, chunks.map(chunk => chunk.section ? `${chunk.section}\n${chunk.content}` : chunk.content));
+  return {
+    document: {
+      name: file.name || 'Untitled',
+      mimeType,
+      size: file.size,
+      chunks: chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] }))
+    }
+  };
+}
+
+async function handleDeleteDocumentRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { documentId } = await request.json();
+  if (!documentId) {
+    return jsonResponse({ error: 'Missing documentId' }, corsHeaders, 400);
+  }
+
+  const response = await getSession(env, userId).fetch(new Request('http://session/documents/delete', {
+    method: 'POST',
+    body: JSON.stringify({ documentId })
+  }));
+  return relayResponse(response, corsHeaders);
+}
+
+function documentMimeType(file) {
+  const name = (file.name || '').toLowerCase();
+  const type = (file.type || '').split(';')[0];
+
+  if (type === 'application/pdf' || name.endsWith('.pdf')) return 'application/pdf';
+  if (type === 'text/markdown' || name.endsWith('.md') || name.endsWith('.markdown')) return 'text/markdown';
+  if (type === 'text/plain' || name.endsWith('.txt')) return 'text/plain';
+  return null;
+}
+
+// PDFs are converted to Markdown by Workers AI; text formats are read as-is
+async function extractDocumentText(env, file, mimeType) {
+  if (mimeType !== 'application/pdf') {
+    return file.text();
+  }
+
+  const [converted] = await env.AI.toMarkdown([{
+    name: file.name || 'document.pdf',
+    blob: new Blob([await file.arrayBuffer()], { type: 'application/pdf' })
+  }]);
+  if (!converted || converted.format === 'error') {
+    throw new Error(converted ? converted.error : 'PDF conversion failed');
+  }
+  return converted.data;
+}
+
+// Splits text into ~1200 character chunks along paragraph boundaries, with a
+// little overlap between neighbours. Markdown headings start a new chunk and
+// label the chunks under them, which is what answers cite as the section.
+function chunkDocument(text, { size = 1200, overlap = 150 } = {}) {
+  const chunks = [];
+  let section = null;
+  let current = '';
+
+  const flush = () => {
+    const content = current.trim();
+    if (content) {
+      chunks.push({ section, content });
+    }
+    current = '';
+  };
+
+  const paragraphs = text.replace(/\r\n/g, '\n').split(/\n{2,}/);
+  paragraphs.forEach(rawParagraph => {
+    const paragraph = rawParagraph.trim();
+    if (!paragraph) return;
+
+    const heading = paragraph.split('\n')[0].match(/^#{1,6}\s+(.+)$/);
+    if (heading) {
+      flush();
+      section = heading[1].replace(/#+$/, '').trim().slice(0, 120);
+      current = paragraph.slice(heading[0].length).trim();
+      return;
+    }
+
+    // Hard-split paragraphs that are larger than a whole chunk
+    const pieces = [];
+    for (let i = 0; i < paragraph.length; i += size) {
+      pieces.push(paragraph.slice(i, i + size));
+    }
+
+    pieces.forEach(piece => {
+      if (current && current.length + piece.length + 2 > size) {
+        const tail = current.slice(-overlap);
+        flush();
+        current = tail.includes(' ') ? tail.slice(tail.indexOf(' ') + 1) : '';
+      }
+      current += (current ? '\n\n' : '') + piece;
+    });
+  });
+  flush();
+
+  return chunks;
+}
+
+async function embedTexts(env, texts) {
+  const embeddings = [];
+  for (let i = 0; i < texts.length; i += 50) {
+    const result = await env.AI.run(EMBEDDING_MODEL, { text: texts.slice(i, i + 50) });
+    embeddings.push(...result.data);
+  }
+  return embeddings;
+}
+
+// Returns the note excerpts most relevant to `message`, from the user's own
+// notes and, in a course thread, the course's reference material, or []
+// when there are none to search (skipping the embedding call entirely)
+async function retrieveDocumentExcerpts(env, session, message, course = null, userId = null) {
+  const documents = await (await session.fetch(new Request('http://session/documents'))).json();
+  const searchCourse = Boolean(course && course.documentCount > 0);
+  if (documents.length === 0 && !searchCourse) return [];
+
+  try {
+    const [vector] = await embedTexts(env, [message]);
+    const search = async (store, extra = {}) => {
+      const response = await store.fetch(new Request('http://store/documents/search', {
+        method: 'POST',
+        body: JSON.stringify({ vector, limit: RETRIEVAL_LIMIT, minScore: RETRIEVAL_MIN_SCORE, ...extra })
+      }));
+      return response.ok ? response.json() : [];
+    };
+
+    const notes = documents.length > 0 ? await search(session) : [];
+    const material = searchCourse
+      ? (await search(getCourse(env, course.id), { userId })).map(excerpt => ({ ...excerpt, documentName: `${course.name}: ${excerpt.documentName}` }))
+      : [];
+    return [...notes, ...material]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RETRIEVAL_LIMIT)
+      .map((excerpt, i) => ({ ...excerpt, index: i + 1 }));
+  } catch (error) {
+    console.error('Retrieval Error:', error);
+    return [];
+  }
+}
+
+function toSource(excerpt) {
+  return {
+    index: excerpt.index,
+    documentId: excerpt.documentId,
+    documentName: excerpt.documentName,
+    section: excerpt.section
+  };
+}
+
+// Transcribes a recorded clip (webm, ogg or wav) sent either as the raw
+// request body or as the `audio` field of a multipart form. webm and ogg
+// clips must come with their length in seconds, in `duration` (form field)
+// or an X-Audio-Duration header; wav lengths are read from the header. The
+// language spoken, one of LOCALES, may be passed in `language` or
+// X-Audio-Language; without one the model detects it.
+// Responds with { text, duration, segments: [{ start, end, text }] }.
+export async function handleVoiceRequest(request, env, corsHeaders) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const tooLarge = () => jsonResponse({ error: `Audio must be smaller than ${VOICE_MAX_BYTES / (1024 * 1024)} MB` }, corsHeaders, 413);
+  const declaredLength = parseInt(request.headers.get('Content-Length'), 10);
+  if (declaredLength > VOICE_MAX_BYTES) {
+    return tooLarge();
+  }
+
+  // Chunked uploads carry no Content-Length, so the cap is enforced while reading
+  const body = await readBodyCapped(request, VOICE_MAX_BYTES);
+  if (!body) {
+    return tooLarge();
+  }
+
+  let audio;
+  let declaredDuration = parseFloat(request.headers.get('X-Audio-Duration'));
+  let language = request.headers.get('X-Audio-Language');
+
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.startsWith('multipart/form-data')) {
+    const form = await new Response(body, { headers: { 'Content-Type': contentType } }).formData();
+    const file = form.get('audio');
+    if (!file || typeof file === 'string') {
+      return jsonResponse({ error: 'Missing audio file' }, corsHeaders, 400);
+    }
+    audio = new Uint8Array(await file.arrayBuffer());
+    if (form.has('duration')) {
+      declaredDuration = parseFloat(form.get('duration'));
+    }
+    if (form.has('language')) {
+      language = form.get('language');
+    }
+  } else {
+    audio = body;
+  }
+
+  if (audio.length === 0) {
+    return jsonResponse({ error: 'Missing audio' }, corsHeaders, 400);
+  }
+  if (language && !isLocale(language)) {
+    return jsonResponse({ error: 'Unknown language' }, corsHeaders, 400);
+  }
+  const format = detectAudioFormat(audio);
+  if (!format) {
+    return jsonResponse({ error: 'Unsupported audio format. Use webm, ogg or wav.' }, corsHeaders, 415);
+  }
+
+  const duration = format === 'wav' ? wavDuration(audio) : declaredDuration;
+  if (!Number.isFinite(duration) || duration < 0) {
+    return jsonResponse({
+      error: format === 'wav' ? 'Could not read the recording length from the WAV header' : 'Send the recording length in seconds as duration or X-Audio-Duration'
+    }, corsHeaders, 400);
+  }
+  if (duration > VOICE_MAX_SECONDS) {
+    return jsonResponse({ error: `Recordings must be ${VOICE_MAX_SECONDS} seconds or shorter` }, corsHeaders, 413);
+  }
+
+  let result;
+  try {
+    result = await env.AI.run(TRANSCRIPTION_MODEL, { audio: toBase64(audio), ...(language ? { language } : {}) });
+  } catch (error) {
+    console.error('Transcription Error:', error);
+    return jsonResponse({ error: 'Could not transcribe the recording. Please try again.' }, corsHeaders, 502);
+  }
+
+  // webm/ogg lengths are only known once decoded, so check again here
+  const transcribedDuration = result.transcription_info && result.transcription_info.duration;
+  if (transcribedDuration > VOICE_MAX_SECONDS) {
+    return jsonResponse({ error: `Recordings must be ${VOICE_MAX_SECONDS} seconds or shorter` }, corsHeaders, 413);
+  }
+
+  return jsonResponse({
+    text: (result.text || '').trim(),
+    duration: transcribedDuration || duration,
+    segments: (result.segments || []).map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: (segment.text || '').trim()
+    }))
+  }, corsHeaders);
+}
+
+// Reads the whole request body, cancelling the stream as soon as it grows
+// past maxBytes; returns null when it does
+async function readBodyCapped(request, maxBytes) {
+  if (!request.body) return new Uint8Array(0);
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes;
+}
+
+// Identifies the container from its magic bytes rather than trusting the
+// client-supplied Content-Type
+function detectAudioFormat(bytes) {
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'webm';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  return null;
+}
+
+// Duration in seconds from a canonical WAV header (byte rate and data chunk)
+function wavDuration(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let byteRate = 0;
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const chunkId = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const chunkSize = view.getUint32(offset + 4, true);
+
+    if (chunkId === 'fmt ' && offset + 20 <= bytes.length) {
+      byteRate = view.getUint32(offset + 16, true);
+    } else if (chunkId === 'data') {
+      return byteRate ? chunkSize / byteRate : NaN;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return NaN;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Built-in tutoring modes. Each one sets the persona the prompt opens with,
+// the rules the answer has to follow and the sampling settings. Deployments
+// can add, override or remove modes with the TUTORING_MODES var (see
+// getTutoringModes).
+const DEFAULT_TUTORING_MODE = 'default';
+const TUTORING_MODES = {
+  default: {
+    name: 'Study assistant',
+    description: 'Clear explanations with examples',
+    prompt: `You are an AI study assistant specializing in programming and computer science education.
+You help students understand complex concepts through clear explanations and examples and you can use technical terminology appropriately.`,
+    constraints: [],
+    temperature: 0.7,
+    maxTokens: 2048
+  },
+  socratic: {
+    name: 'Socratic tutor',
+    description: 'Guiding questions instead of answers',
+    prompt: `You are a Socratic tutor for programming and computer science.
+You help students reach answers themselves by asking short guiding questions that build on what they already know.`,
+    constraints: [
+      'Never state the final answer or write the complete solution, even if the student asks for it directly.',
+      'Ask one or two guiding questions at a time and wait for the student to respond.',
+      'When the student gets something right, say so briefly and move them to the next step.'
+    ],
+    temperature: 0.6,
+    maxTokens: 512
+  },
+  eli5: {
+    name: 'Beginner (ELI5)',
+    description: 'Plain language for complete beginners',
+    prompt: `You are a patient tutor explaining programming and computer science to a complete beginner.
+You explain ideas as if to a curious twelve-year-old, using everyday analogies before any technical detail.`,
+    constraints: [
+      'Avoid jargon; when a technical term is unavoidable, define it in one plain sentence.',
+      'Keep code examples to a few lines and explain every line.',
+      'Stay under 250 words.'
+    ],
+    temperature: 0.8,
+    maxTokens: 768
+  },
+  exam: {
+    name: 'Exam prep',
+    description: 'Concise, revision-ready answers',
+    prompt: `You are an exam-preparation coach for programming and computer science.
+You give the concise, precise answers a student can revise from the night before an exam.`,
+    constraints: [
+      'Answer in at most five bullet points.',
+      'Lead with the definition or key fact, then the one detail most likely to be examined.',
+      'End with a single line starting "Remember:" that names a common mistake.'
+    ],
+    temperature: 0.3,
+    maxTokens: 512
+  },
+  code_review: {
+    name: 'Code reviewer',
+    description: 'Feedback on code you paste',
+    prompt: `You are a senior engineer reviewing a student's code.
+You point out bugs, edge cases, readability and performance issues, and explain why each one matters.`,
+    constraints: [
+      'Order findings from most to least serious.',
+      'Quote the line you are talking about before each finding.',
+      'If no code was provided, ask the student to paste the code they want reviewed.'
+    ],
+    temperature: 0.4,
+    maxTokens: 2048
+  },
+  interview: {
+    name: 'Interview practice',
+    description: 'Mock technical interview',
+    prompt: `You are a technical interviewer running a mock programming interview.
+You ask one question at a time, probe the student's reasoning with follow-ups and give feedback like a real interviewer would.`,
+    constraints: [
+      'Ask exactly one interview question or follow-up per reply.',
+      'Do not solve the problem for the student; give a hint only if they are clearly stuck.',
+      'After the student answers, rate it as strong, acceptable or needs work, with one sentence of feedback, before asking the next question.'
+    ],
+    temperature: 0.7,
+    maxTokens: 768
+  }
+};
+
+// Returns the mode registry: the built-in modes merged with the TUTORING_MODES
+// var, a JSON object keyed by mode id. An entry set to null removes that mode;
+// an entry for an existing id overrides only the fields it sets; a new id
+// needs at least `name` and `prompt`. Invalid entries are skipped.
+function getTutoringModes(env) {
+  const modes = {};
+  for (const [id, mode] of Object.entries(TUTORING_MODES)) {
+    modes[id] = { id, ...mode };
+  }
+
+  for (const [id, override] of Object.entries(readJSONVar(env, 'TUTORING_MODES'))) {
+    if (override === null) {
+      delete modes[id];
+      continue;
+    }
+
+    const mode = normalizeTutoringMode(id, override, modes[id]);
+    if (mode) {
+      modes[id] = mode;
+    } else {
+      console.error(`Skipping invalid tutoring mode "${id}"`);
+    }
+  }
+
+  // Chat always needs something to fall back on
+  if (!modes[DEFAULT_TUTORING_MODE]) {
+    modes[DEFAULT_TUTORING_MODE] = { id: DEFAULT_TUTORING_MODE, ...TUTORING_MODES[DEFAULT_TUTORING_MODE] };
+  }
+
+  return modes;
+}
+
+function normalizeTutoringMode(id, input, base) {
+  if (!/^[a-z0-9_-]{1,32}$/.test(id) || typeof input !== 'object' || Array.isArray(input)) return null;
+
+  const mode = { id, ...(base || {}) };
+
+  for (const field of ['name', 'description', 'prompt']) {
+    if (typeof input[field] === 'string' && input[field].trim()) {
+      mode[field] = input[field].trim();
+    }
+  }
+  if (Array.isArray(input.constraints)) {
+    mode.constraints = input.constraints.filter(c => typeof c === 'string' && c.trim()).map(c => c.trim());
+  }
+  if (Number.isFinite(input.temperature)) {
+    mode.temperature = Math.min(Math.max(input.temperature, 0), 2);
+  }
+  if (Number.isInteger(input.maxTokens)) {
+    mode.maxTokens = Math.min(Math.max(input.maxTokens, 64), 4096);
+  }
+
+  if (!mode.name || !mode.prompt) return null;
+  return {
+    description: '',
+    constraints: [],
+    temperature: 0.7,
+    maxTokens: 2048,
+    ...mode
+  };
+}
+
+// The thread as the session lists it, or null when there is no such thread
+async function findThread(session, threadId) {
+  const response = await session.fetch(new Request('http://session/threads'));
+  const threads = response.ok ? await response.json() : [];
+  return threads.find(t => t.id === threadId) || null;
+}
+
+// The thread's chosen mode, or the default one when none was picked or the
+// picked mode has since been removed from the registry
+function getThreadMode(thread, modes) {
+  return (thread && modes[thread.mode]) || modes[DEFAULT_TUTORING_MODE];
+}
+
+// GET /api/modes - the modes a student can pick from
+async function handleModesRequest(request, env, corsHeaders) {
+  if (request.method !== 'GET') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const modes = Object.values(getTutoringModes(env)).map(mode => ({
+    id: mode.id,
+    name: mode.name,
+    description: mode.description
+  }));
+  return jsonResponse({ defaultMode: DEFAULT_TUTORING_MODE, modes }, corsHeaders);
+}
+
+// Returns the chat model registry: the built-in models merged with the
+// CHAT_MODELS var, a JSON object keyed by model id, the same way
+// TUTORING_MODES extends the modes. A new id needs at least `name` and
+// `model` (the Workers AI model name). Only models in the registry can be
+// asked for by a client.
+function getChatModels(env) {
+  const models = {};
+  for (const [id, model] of Object.entries(CHAT_MODELS)) {
+    models[id] = { id, ...model };
+  }
+
+  for (const [id, override] of Object.entries(readJSONVar(env, 'CHAT_MODELS'))) {
+    if (override === null) {
+      delete models[id];
+      continue;
+    }
+
+    const model = normalizeChatModel(id, override, models[id]);
+    if (model) {
+      models[id] = model;
+    } else {
+      console.error(`Skipping invalid chat model "${id}"`);
+    }
+  }
+
+  if (Object.keys(models).length === 0) {
+    models[DEFAULT_CHAT_MODEL] = { id: DEFAULT_CHAT_MODEL, ...CHAT_MODELS[DEFAULT_CHAT_MODEL] };
+  }
+
+  return models;
+}
+
+function normalizeChatModel(id, input, base) {
+  if (!/^[a-z0-9_.-]{1,40}$/.test(id) || typeof input !== 'object' || Array.isArray(input)) return null;
+
+  const model = { id, ...(base || {}) };
+  for (const field of ['name', 'description', 'model']) {
+    if (typeof input[field] === 'string' && input[field].trim()) {
+      model[field] = input[field].trim();
+    }
+  }
+
+  if (!model.name || !model.model) return null;
+  return { description: '', ...model };
+}
+
+// The models to try for a request, in order: the requested model (or the
+// configured default), then the configured fallback
+function getModelChain(env, requestedId) {
+  const models = getChatModels(env);
+  const primary = models[requestedId] || models[env.CHAT_MODEL] || models[DEFAULT_CHAT_MODEL] ||
+    Object.values(models)[0];
+  const fallback = models[env.CHAT_FALLBACK_MODEL || DEFAULT_FALLBACK_CHAT_MODEL];
+  return fallback && fallback.id !== primary.id ? [primary, fallback] : [primary];
+}
+
+// Runs a Workers AI chat call on the first model of the chain that answers.
+// Transient errors are retried with exponential backoff before moving on to
+// the next model; when none answers, the last error is thrown. Resolves to
+// { result, model } where model is the registry entry that answered.
+async function runChatModel(env, chain, inputs) {
+  let lastError;
+  for (const model of chain) {
+    for (let attempt = 0; attempt <= MODEL_RETRIES; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, MODEL_RETRY_DELAY_MS * 2 ** (attempt - 1)));
+      }
+      try {
+        return { result: await env.AI.run(model.model, inputs), model };
+      } catch (error) {
+        console.error(`AI Error (${model.id}, attempt ${attempt + 1}):`, error);
+        lastError = error;
+        if (!TRANSIENT_AI_ERROR.test(String(error && error.message || error))) break;
+      }
+    }
+  }
+  throw lastError;
+}
+
+// GET /api/preferences - the student's settings: { language }
+// POST /api/preferences { language } - changes them. `language` is one of
+// LOCALES; answers are written in it from the next question on.
+async function handlePreferencesRequest(request, env, corsHeaders, userId) {
+  const session = getSession(env, userId);
+
+  if (request.method === 'GET') {
+    return jsonResponse(await getPreferences(session), corsHeaders);
+  }
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const { language } = await request.json();
+  if (!isLocale(language)) {
+    return jsonResponse({ error: 'Unknown language' }, corsHeaders, 400);
+  }
+
+  const response = await session.fetch(new Request('http://session/preferences/set', {
+    method: 'POST',
+    body: JSON.stringify({ language })
+  }));
+  if (!response.ok) {
+    return relayResponse(response, corsHeaders);
+  }
+  return jsonResponse(await getPreferences(session), corsHeaders);
+}
+
+// The student's settings, with defaults for any not chosen yet
+async function getPreferences(session) {
+  const response = await session.fetch(new Request('http://session/preferences'));
+  const stored = response.ok ? await response.json() : {};
+  return { language: isLocale(stored.language) ? stored.language : DEFAULT_LOCALE };
+}
+
+function isLocale(language) {
+  return typeof language === 'string' && Object.prototype.hasOwnProperty.call(LOCALES, language);
+}
+
+// POST /api/translate { threadId, messageId, language } - an answer
+// translated into `language` (default: the student's), as
+// { messageId, language, content }. Code is left untranslated. Translations
+// are kept with the answer, so each is only made once.
+async function handleTranslateRequest(request, env, corsHeaders, userId) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const session = getSession(env, userId);
+  const body = await request.json();
+  const { threadId = 'default', messageId } = body;
+  const language = body.language === undefined ? (await getPreferences(session)).language : body.language;
+  if (!isLocale(language)) {
+    return jsonResponse({ error: 'Unknown language' }, corsHeaders, 400);
+  }
+
+  const answer = await getStoredMessage(session, threadId, messageId);
+  if (!answer || answer.role !== 'assistant' || answer.error) {
+    return jsonResponse({ error: 'Answer not found' }, corsHeaders, 404);
+  }
+
+  // Answers from before students picked a language were all in English
+  const source = answer.language || DEFAULT_LOCALE;
+  if (source === language) {
+    return jsonResponse({ error: `The answer is already in ${LOCALES[language].english}` }, corsHeaders, 400);
+  }
+  const translations = answer.translations || {};
+  if (translations[language]) {
+    return jsonResponse({ messageId: answer.id, language, content: translations[language] }, corsHeaders);
+  }
+
+  let content;
+  try {
+    content = await translateMarkdown(env, answer.content, source, language);
+  } catch (error) {
+    console.error('Translation Error:', error);
+    return jsonResponse({ error: 'Could not translate the answer. Please try again.' }, corsHeaders, 502);
+  }
+
+  await session.fetch(new Request('http://session/messages/translation', {
+    method: 'POST',
+    body: JSON.stringify({ threadId, id: answer.id, language, content })
+  }));
+  return jsonResponse({ messageId: answer.id, language, content }, corsHeaders);
+}
+
+// Translates a Markdown answer line by line, so its formatting survives.
+// Code blocks, tables and rules are kept as they are; so are inline code,
+// link targets and URLs, which are swapped for [[n]] markers while the
+// model works. A line whose markers do not come back is left untranslated.
+async function translateMarkdown(env, text, source, target) {
+  const lines = text.split('\n');
+  const segments = [];
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const marker = line.match(/^[ \t]*(`{3,}|~{3,})/);
+    if (fence) {
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+      return;
+    }
+    if (marker) {
+      fence = marker[1];
+      return;
+    }
+    if (!/\p{L}/u.test(line) || /^\s*\|/.test(line)) return;
+
+    // List markers, headings and quotes stay in front of the text
+    const [, prefix, body] = line.match(/^(\s*(?:(?:#{1,6}|>|[-*+]|\d+[.)])\s+)*)(.*)$/);
+    const kept = [];
+    const masked = body.replace(/`[^`]+`|\]\([^)\s]*\)|https?:\/\/\S+/g, match => {
+      kept.push(match);
+      return `[[${kept.length - 1}]]`;
+    });
+    segments.push({ index, prefix, masked, kept });
+  });
+
+  for (let i = 0; i < segments.length; i += TRANSLATE_CONCURRENCY) {
+    await Promise.all(segments.slice(i, i + TRANSLATE_CONCURRENCY).map(async segment => {
+      const result = await env.AI.run(TRANSLATION_MODEL, {
+        text: segment.masked,
+        source_lang: source,
+        target_lang: target
+      });
+      const translated = (result && result.translated_text || '').trim();
+      if (!translated || !segment.kept.every((_, n) => translated.includes(`[[${n}]]`))) return;
+
+      lines[segment.index] = segment.prefix + translated.replace(/\[\[(\d+)\]\]/g, (match, n) => segment.kept[n] || match);
+    }));
+  }
+
+  return lines.join('\n');
+}
+
+// GET /api/models - the chat models a student can pick from
+async function handleModelsRequest(request, env, corsHeaders) {
+  if (request.method !== 'GET') {
+    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  }
+
+  const models = Object.values(getChatModels(env)).map(model => ({
+    id: model.id,
+    name: model.name,
+    description: model.description
+  }));
+  return jsonResponse({ defaultModel: getModelChain(env)[0].id, models }, corsHeaders);
+}
+
+// Reads a var holding a JSON object. wrangler.toml may give it as a JSON
+// string or as a table; a missing or malformed value reads as {}.
+function readJSONVar(env, name) {
+  const value = env[name];
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.error(`Invalid ${name}:`, error);
+    return {};
+  }
+}
+
+function getContextBudget(env, model) {
+  const override = Number(readJSONVar(env, 'CONTEXT_BUDGETS')[model]);
+  if (Number.isFinite(override) && override > 0) return override;
+  return CONTEXT_BUDGETS[model] || DEFAULT_CONTEXT_BUDGET;
+}
+
+// Builds the role-based messages for a chat request: the system prompt, as
+// many earlier turns as fit in the model's context budget (newest first),
+// and the current question. The system prompt and question are always sent,
+// and room for the reply (mode.maxTokens) is held back from the budget.
+function buildChatMessages(message, history, memory, excerpts, mode, budget) {
+  const system = { role: 'system', content: buildSystemPrompt(memory, excerpts, mode) };
+  const question = { role: 'user', content: message };
+  let remaining = budget - mode.maxTokens - messageTokens(system) - messageTokens(question);
+
+  const turns = [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const turn = [
+      { role: 'user', content: history[i].userMessage },
+      { role: 'assistant', content: history[i].aiResponse }
+    ];
+    const shortened = turn.map(m => ({ ...m, content: truncateCodeBlocks(m.content, CONTEXT_CODE_BLOCK_TOKENS) }));
+
+    // The latest turn is kept whole when it fits, since the question is
+    // most likely about its code; earlier ones only carry a code excerpt
+    const candidates = i === history.length - 1 ? [turn, shortened] : [shortened];
+    const fitting = candidates.find(c => c.reduce((sum, m) => sum + messageTokens(m), 0) <= remaining);
+    if (!fitting) break;
+
+    remaining -= fitting.reduce((sum, m) => sum + messageTokens(m), 0);
+    turns.unshift(...fitting);
+  }
+
+  return [system, ...turns, question];
+}
+
+function messageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// Cuts fenced code blocks longer than maxTokens down to their first lines
+function truncateCodeBlocks(text, maxTokens) {
+  return text.replace(/^([ \t]*)(`{3,}|~{3,})([^\n]*)\n([\s\S]*?)\n[ \t]*\2[ \t]*$/gm, (block, indent, fence, info, code) => {
+    if (estimateTokens(code) <= maxTokens) return block;
+
+    const lines = code.split('\n');
+    const kept = [];
+    let used = 0;
+    for (const line of lines) {
+      used += estimateTokens(line) + 1;
+      if (used > maxTokens) break;
+      kept.push(line);
+    }
+
+    return `${indent}${fence}${info}\n${kept.join('\n')}\n… (${lines.length - kept.length} more lines omitted)\n${fence}`;
+  });
+}
+
+function buildSystemPrompt(memory, excerpts, mode) {
+  let prompt = `${mode.prompt}\n`;
+
+  if (memory) {
+    prompt += formatLearnerMemory(memory);
+  }
+
+  if (excerpts && excerpts.length > 0) {
+    prompt += "\nExcerpts from the student's own course notes. Base your answer on them where relevant and cite them inline as [1], [2], etc.:\n";
+    excerpts.forEach(excerpt => {
+      const location = excerpt.section ? `${excerpt.documentName} › ${excerpt.section}` : excerpt.documentName;
+      prompt += `[${excerpt.index}] (${location})\n${excerpt.content}\n\n`;
+    });
+  }
+
+  if (mode.constraints.length > 0) {
+    prompt += `\nRules for your replies:\n${mode.constraints.map(c => `- ${c}`).join('\n')}\n`;
+  }
+
+  return prompt.trim();
+}
+
+function formatLearnerMemory(memory) {
+  const lines = [];
+  if (memory.summary) lines.push(memory.summary);
+  if (memory.topics && memory.topics.length > 0) lines.push(`Topics studied before: ${memory.topics.join(', ')}`);
+  if (memory.misconceptions && memory.misconceptions.length > 0) lines.push(`Past misconceptions to watch for: ${memory.misconceptions.join('; ')}`);
+  if (memory.preferredLanguages && memory.preferredLanguages.length > 0) lines.push(`Preferred languages: ${memory.preferredLanguages.join(', ')}`);
+
+  if (lines.length === 0) return '';
+  return `\nWhat you know about this student from earlier sessions:\n${lines.join('\n')}\n\n`;
+}
+
+// Styles for chat messages and the Markdown inside them, shared by the app
+// and the read-only page of a shared link
+function getMessageStyles() {
+  return `
+        .message {
+            display: flex;
+            align-items: flex-start;
+            animation: fadeIn 0.3s ease;
+        }
+
+        @keyframes fadeIn {
+            from { opacity: 0; transform: translateY(10px); }
+            to { opacity: 1; transform: translateY(0); }
+        }
+
+        .message.user {
+            justify-content: flex-end;
+        }
+
+        .message-content {
+            max-width: 70%;
+            padding: 12px 16px;
+            border-radius: 18px;
+            word-wrap: break-word;
+        }
+
+        .message.user .message-content {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border-bottom-right-radius: 4px;
+        }
+
+        .message.assistant .message-content {
+            background: #f0f0f0;
+            color: #333;
+            border-bottom-left-radius: 4px;
+        }
+
+        .message.system .message-content {
+            background: #ffe4e1;
+            color: #d00;
+            text-align: center;
+            max-width: 100%;
+        }
+
+        .timestamp {
+            font-size: 11px;
+            color: #999;
+            margin-top: 4px;
+            padding: 0 4px;
+        }
+
+        .message-sources {
+            margin-top: 8px;
+            padding-top: 6px;
+            border-top: 1px solid #ddd;
+            font-size: 12px;
+            color: #666;
+        }
+
+        pre {
+            background: #f4f4f4;
+            padding: 8px;
+            border-radius: 4px;
+            overflow-x: auto;
+            margin: 8px 0;
+        }
+
+        code {
+            font-family: 'Courier New', monospace;
+            font-size: 13px;
+        }
+
+        .code-block {
+            margin: 8px 0;
+            border-radius: 4px;
+            overflow: hidden;
+            background: #f4f4f4;
+        }
+
+        .code-block pre {
+            margin: 0;
+            border-radius: 0;
+        }
+
+        .code-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 4px 8px;
+            background: #e8e8e8;
+            font-size: 11px;
+            color: #666;
+        }
+
+        .code-header .copy-code {
+            padding: 2px 8px;
+            font-size: 11px;
+            background: white;
+            color: #555;
+        }
+
+        .tok-keyword { color: #8959a8; }
+        .tok-string { color: #718c00; }
+        .tok-number, .tok-literal { color: #f5871f; }
+        .tok-comment { color: #8e908c; font-style: italic; }
+        .tok-function { color: #4271ae; }
+        .tok-property, .tok-variable { color: #c82829; }
+        
+        .message-content strong { font-weight: bold; }
+        
+        .message-content em { font-style: italic; }
+        
+        .message-content ul, .message-content ol { 
+          margin: 10px 0; 
+          padding-left: 20px; 
+        }
+        
+        .message-content li { margin: 5px 0; }
+
+        .message-content p { margin: 8px 0; }
+
+        .message-content p:first-child,
+        .message-content h1:first-child,
+        .message-content h2:first-child,
+        .message-content h3:first-child { margin-top: 0; }
+
+        .message-content p:last-child { margin-bottom: 0; }
+
+        .message-content h1, .message-content h2, .message-content h3,
+        .message-content h4, .message-content h5, .message-content h6 {
+            margin: 12px 0 6px;
+            line-height: 1.3;
+        }
+
+        .message-content h1 { font-size: 1.3em; }
+        .message-content h2 { font-size: 1.2em; }
+        .message-content h3 { font-size: 1.1em; }
+        .message-content h4, .message-content h5, .message-content h6 { font-size: 1em; }
+
+        .message-content blockquote {
+            margin: 8px 0;
+            padding-left: 10px;
+            border-left: 3px solid #ccc;
+            color: #555;
+        }
+
+        .message-content hr {
+            margin: 10px 0;
+            border: none;
+            border-top: 1px solid #ddd;
+        }
+
+        .message-content a { color: #4a5fc1; }
+
+        .table-wrapper {
+            margin: 8px 0;
+            overflow-x: auto;
+        }
+
+        .message-content table {
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+
+        .message-content th, .message-content td {
+            padding: 4px 8px;
+            border: 1px solid #ddd;
+        }
+
+        .message-content th { background: #f4f4f4; }
+`;
+}
+
+// Bump when the service worker's cache layout changes; the old cache is
+// dropped when the new worker activates
+const APP_SHELL_CACHE = 'study-assistant-shell-v1';
+
+const APP_MANIFEST = {
+  name: 'AI Study Assistant',
+  short_name: 'Study Assistant',
+  description: 'Ask questions about programming and computer science concepts',
+  start_url: '/',
+  scope: '/',
+  display: 'standalone',
+  background_color: '#667eea',
+  theme_color: '#667eea',
+  icons: [{ src: '/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' }]
+};
+
+const APP_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">
+<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#667eea"/><stop offset="1" stop-color="#764ba2"/></linearGradient></defs>
+<rect width="512" height="512" rx="96" fill="url(#g)"/>
+<path d="M128 144h96a32 32 0 0 1 32 32 32 32 0 0 1 32-32h96v224h-96a32 32 0 0 0-32 32 32 32 0 0 0-32-32h-96z" fill="none" stroke="#fff" stroke-width="24" stroke-linejoin="round"/>
+<path d="M256 176v224" stroke="#fff" stroke-width="24"/>
+</svg>`;
+
+// { type, body } for the files the installable app needs, or null
+function getAppAsset(pathname) {
+  switch (pathname) {
+    case '/manifest.webmanifest':
+      return { type: 'application/manifest+json', body: JSON.stringify(APP_MANIFEST) };
+    case '/icon.svg':
+      return { type: 'image/svg+xml', body: APP_ICON };
+    case '/sw.js':
+      return { type: 'application/javascript', body: getServiceWorkerContent() };
+    default:
+      return null;
+  }
+}
+
+// The service worker caches the app shell so the page opens offline. It
+// leaves API calls alone: the page keeps its own copy of history in
+// IndexedDB and queues the questions it could not send.
+function getServiceWorkerContent() {
+  return `
+const CACHE = '${APP_SHELL_CACHE}';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// Network first, so a deploy shows up on the next load; the cached copy
+// only when the network fails
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== location.origin || !SHELL.includes(url.pathname)) return;
+
+  event.respondWith(fetch(event.request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        event.waitUntil(caches.open(CACHE).then(cache => cache.put(url.pathname, copy)));
+      }
+      return response;
+    })
+    .catch(() => caches.match(url.pathname).then(cached => cached || Response.error())));
+});
+`;
+}
+
+function getHTMLContent() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>AI Study Assistant</title>
+    <link rel="manifest" href="/manifest.webmanifest">
+    <link rel="icon" href="/icon.svg" type="image/svg+xml">
+    <link rel="apple-touch-icon" href="/icon.svg">
+    <meta name="theme-color" content="#667eea">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 20px;
+            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+            width: 100%;
+            max-width: 1040px;
+            height: 600px;
+            display: flex;
+            overflow: hidden;
+        }
+
+        .sidebar {
+            width: 240px;
+            border-right: 1px solid #e0e0e0;
+            background: #fafafa;
+            display: flex;
+            flex-direction: column;
+            padding: 15px;
+            gap: 10px;
+        }
+
+        .thread-list {
+            flex: 1;
+            overflow-y: auto;
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        }
+
+        .thread-item {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding: 8px 10px;
+            border-radius: 10px;
+            cursor: pointer;
+            color: #333;
+            font-size: 13px;
+        }
+
+        .thread-item:hover {
+            background: #f0f0f0;
+        }
+
+        .thread-item.active {
+            background: #e8eaff;
+        }
+
+        .thread-item.archived .thread-title {
+            color: #999;
+            font-style: italic;
+        }
+
+        .thread-title {
+            flex: 1;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .thread-item .thread-action {
+            padding: 2px 4px;
+            font-size: 12px;
+            background: none;
+            color: #999;
+            visibility: hidden;
+        }
+
+        .thread-item:hover .thread-action {
+            visibility: visible;
+        }
+
+        .show-archived {
+            font-size: 12px;
+            color: #666;
+        }
+
+        .search-box {
+            padding: 8px 12px;
+            border: 1px solid #ddd;
+            border-radius: 10px;
+            font-size: 13px;
+        }
+
+        .search-filters {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            font-size: 13px;
+        }
+
+        .search-result {
+            display: block;
+            width: 100%;
+            padding: 10px 0;
+            border-bottom: 1px solid #eee;
+            border-radius: 0;
+            background: none;
+            color: #333;
+            font-weight: normal;
+            text-align: left;
+        }
+
+        .search-result small {
+            display: block;
+            margin-bottom: 4px;
+            color: #999;
+        }
+
+        .search-result mark {
+            background: #fff3a0;
+            border-radius: 2px;
+        }
+
+        .message.highlighted .message-content {
+            box-shadow: 0 0 0 3px #ffd54f;
+        }
+
+        .main {
+            flex: 1;
+            min-width: 0;
+            display: flex;
+            flex-direction: column;
+        }
+
+        header {
+            padding: 20px;
+            border-bottom: 1px solid #e0e0e0;
+            text-align: center;
+        }
+
+        header h1 {
+            color: #333;
+            font-size: 24px;
+            margin-bottom: 5px;
+        }
+
+        header p {
+            color: #666;
+            font-size: 14px;
+        }
+
+        header .language-picker {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            margin-top: 6px;
+            font-size: 12px;
+            color: #666;
+        }
+
+        header .language-picker select {
+            padding: 2px 4px;
+            font-size: 12px;
+        }
+
+        header .usage-info {
+            margin-top: 4px;
+            font-size: 11px;
+            color: #999;
+        }
+
+        header .outbox-status {
+            margin-top: 4px;
+            font-size: 11px;
+            color: #8a6d3b;
+            cursor: pointer;
+        }
+
+        header .outbox-status.hidden {
+            display: none;
+        }
+
+        .chat-container {
+            flex: 1;
+            display: flex;
+            flex-direction: column;
+            overflow: hidden;
+        }
+
+        .messages {
+            flex: 1;
+            overflow-y: auto;
+            padding: 20px;
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+        }
+
+${getMessageStyles()}
+
+        .input-area {
+            padding: 20px;
+            border-top: 1px solid #e0e0e0;
+            display: flex;
+            gap: 10px;
+        }
+
+        #messageInput {
+            flex: 1;
+            padding: 12px;
+            border: 1px solid #ddd;
+            border-radius: 25px;
+            font-size: 14px;
+            outline: none;
+            transition: border-color 0.2s;
+        }
+
+        #messageInput:focus {
+            border-color: #667eea;
+        }
+
+        #modeSelect, #modelSelect, #courseSelect {
+            max-width: 160px;
+            padding: 0 12px;
+            border: 1px solid #ddd;
+            border-radius: 25px;
+            font-size: 13px;
+            background: white;
+            color: #444;
+        }
+
+        #courseSelect.hidden {
+            display: none;
+        }
+
+        button {
+            padding: 12px 24px;
+            border: none;
+            border-radius: 25px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            font-size: 14px;
+            cursor: pointer;
+            transition: transform 0.2s;
+        }
+
+        button:hover {
+            transform: scale(1.05);
+        }
+
+        button:active {
+            transform: scale(0.95);
+        }
+
+        #voiceButton {
+            padding: 12px 16px;
+            font-size: 20px;
+        }
+
+        #stopButton {
+            display: none;
+            background: linear-gradient(135deg, #ff6b6b 0%, #ff4757 100%);
+        }
+
+        .input-area.streaming #sendButton {
+            display: none;
+        }
+
+        .input-area.streaming #stopButton {
+            display: inline-block;
+        }
+
+        #voiceButton.recording {
+            background: linear-gradient(135deg, #ff6b6b 0%, #ff4757 100%);
+            animation: pulse 1s infinite;
+        }
+
+        @keyframes pulse {
+            0% { transform: scale(1); }
+            50% { transform: scale(1.1); }
+            100% { transform: scale(1); }
+        }
+
+        .features {
+            padding: 10px 20px;
+            border-top: 1px solid #e0e0e0;
+            display: flex;
+            gap: 10px;
+            justify-content: center;
+        }
+
+        .features button {
+            padding: 8px 16px;
+            font-size: 12px;
+            background: #f0f0f0;
+            color: #666;
+        }
+
+        .features button:hover {
+            background: #e0e0e0;
+        }
+
+        .message-action {
+            padding: 4px 8px;
+            margin-top: 4px;
+            font-size: 11px;
+            background: none;
+            color: #999;
+        }
+
+        .message-action:hover {
+            color: #667eea;
+        }
+
+        .message-action.selected {
+            background: #e8eaff;
+        }
+
+        .message-action:disabled {
+            opacity: 0.4;
+            cursor: default;
+        }
+
+        .message-actions {
+            display: flex;
+            align-items: center;
+            gap: 2px;
+        }
+
+        .message.failed .message-content {
+            border: 1px solid #f5c2c2;
+        }
+
+        .message-error {
+            margin-top: 6px;
+            font-size: 12px;
+            color: #c0392b;
+        }
+
+        .message-policy {
+            margin-top: 6px;
+            font-size: 12px;
+            color: #8a6d3b;
+        }
+
+        .message.queued .message-content {
+            opacity: 0.75;
+            border: 1px dashed #b3b3e6;
+        }
+
+        .message-queued {
+            margin-top: 6px;
+            font-size: 12px;
+            color: #8a6d3b;
+        }
+
+        .message-translation {
+            margin-top: 8px;
+            padding-top: 8px;
+            border-top: 1px dashed #ccc;
+        }
+
+        .message-translation.hidden {
+            display: none;
+        }
+
+        .translation-label {
+            margin-bottom: 4px;
+            font-size: 11px;
+            color: #999;
+        }
+
+        .branch-position {
+            margin-top: 4px;
+            font-size: 11px;
+            color: #999;
+        }
+
+        .overlay {
+            position: fixed;
+            inset: 0;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        }
+
+        .overlay.hidden {
+            display: none;
+        }
+
+        .panel {
+            background: white;
+            border-radius: 20px;
+            padding: 24px;
+            width: 100%;
+            max-width: 520px;
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+        }
+
+        .panel-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            color: #333;
+        }
+
+        .panel-header button {
+            padding: 6px 12px;
+            background: #f0f0f0;
+            color: #666;
+        }
+
+        .flashcard {
+            min-height: 160px;
+            padding: 20px;
+            border-radius: 14px;
+            background: #f7f7ff;
+            color: #333;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+        }
+
+        .flashcard-answer {
+            border-top: 1px dashed #ccc;
+            padding-top: 12px;
+        }
+
+        .review-controls {
+            display: flex;
+            gap: 8px;
+            justify-content: center;
+            flex-wrap: wrap;
+        }
+
+        .review-controls .grade-again { background: #ff6b6b; }
+        .review-controls .grade-hard { background: #f0a040; }
+        .review-controls .grade-good { background: #4caf50; }
+        .review-controls .grade-easy { background: #2196f3; }
+
+        .review-status {
+            font-size: 12px;
+            color: #999;
+            text-align: center;
+        }
+
+        .panel.scrollable {
+            max-width: 640px;
+            max-height: 90vh;
+            overflow-y: auto;
+        }
+
+        .quiz-body {
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+            color: #333;
+        }
+
+        .quiz-question {
+            padding: 14px;
+            border-radius: 12px;
+            background: #f7f7ff;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+
+        .quiz-question.correct {
+            background: #eaf7ea;
+        }
+
+        .quiz-question.incorrect {
+            background: #fdecec;
+        }
+
+        .quiz-question label {
+            display: flex;
+            gap: 8px;
+            align-items: flex-start;
+            font-size: 14px;
+            cursor: pointer;
+        }
+
+        .quiz-question textarea {
+            width: 100%;
+            min-height: 70px;
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+            font-family: inherit;
+            font-size: 14px;
+        }
+
+        .quiz-feedback {
+            font-size: 13px;
+            color: #555;
+        }
+
+        .quiz-score {
+            font-size: 18px;
+            font-weight: bold;
+            text-align: center;
+        }
+
+        .topic-scores {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+
+        .topic-scores th, .topic-scores td {
+            text-align: left;
+            padding: 6px 8px;
+            border-bottom: 1px solid #eee;
+        }
+
+        .progress-streak {
+            font-size: 16px;
+        }
+
+        .activity-chart {
+            display: flex;
+            align-items: flex-end;
+            gap: 2px;
+            height: 120px;
+            border-bottom: 1px solid #ddd;
+        }
+
+        .activity-day {
+            flex: 1;
+            height: 100%;
+            display: flex;
+            flex-direction: column-reverse;
+        }
+
+        .activity-day .questions {
+            background: #667eea;
+        }
+
+        .activity-day .quizzes {
+            background: #f0a35e;
+        }
+
+        .activity-legend {
+            font-size: 12px;
+            color: #888;
+        }
+
+        .progress-suggestion {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 0;
+            border-bottom: 1px solid #eee;
+        }
+
+        .plan-form {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+        }
+
+        .plan-form input[type="text"] {
+            flex: 1;
+            min-width: 200px;
+            padding: 8px 12px;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+        }
+
+        .plan-meta {
+            font-size: 12px;
+            color: #888;
+        }
+
+        .room-panel {
+            max-width: 760px;
+            height: 85vh;
+        }
+
+        .room-panel .hidden {
+            display: none;
+        }
+
+        .room-panel .room-form {
+            display: flex;
+            flex-direction: row;
+            gap: 8px;
+        }
+
+        .room-form input {
+            flex: 1;
+            padding: 8px 12px;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+        }
+
+        .room-view {
+            flex: 1;
+            min-height: 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+
+        .room-bar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            font-size: 13px;
+            color: #555;
+        }
+
+        .room-status.offline {
+            color: #c0392b;
+        }
+
+        .room-members {
+            flex: 1;
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+        }
+
+        .room-member::before {
+            content: '●';
+            color: #2e9e5b;
+            margin-right: 3px;
+        }
+
+        .room-messages {
+            border: 1px solid #eee;
+            border-radius: 12px;
+        }
+
+        .message.peer .message-content {
+            background: #e6e9fb;
+            color: #333;
+            border-bottom-left-radius: 4px;
+        }
+
+        .room-author {
+            font-size: 11px;
+            font-weight: 600;
+            color: #555;
+            margin-bottom: 4px;
+        }
+
+        .room-ai-status {
+            margin-top: 6px;
+            font-size: 12px;
+            opacity: 0.8;
+        }
+
+        .room-typing {
+            min-height: 16px;
+            font-size: 12px;
+            color: #999;
+        }
+
+        .plan-item {
+            display: flex;
+            align-items: flex-start;
+            gap: 8px;
+            padding: 6px 0;
+            border-bottom: 1px solid #eee;
+        }
+
+        .plan-item.done .plan-topic {
+            text-decoration: line-through;
+            color: #999;
+        }
+
+        .plan-item.missed .plan-topic {
+            color: #c0392b;
+        }
+
+        .plan-tasks {
+            margin: 4px 0 0 18px;
+            font-size: 13px;
+            color: #555;
+        }
+
+        .account-body {
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+            color: #333;
+            font-size: 14px;
+        }
+
+        .account-body form {
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+
+        .account-body input {
+            padding: 10px 12px;
+            border: 1px solid #ddd;
+            border-radius: 10px;
+            font-size: 14px;
+        }
+
+        .account-body h3 {
+            font-size: 15px;
+        }
+
+        .export-formats,
+        .share-options {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+        }
+
+        .share-item a {
+            color: #4a5fc1;
+        }
+
+        .share-item .share-actions {
+            display: flex;
+            gap: 6px;
+        }
+
+        .link-code {
+            font-family: 'Courier New', monospace;
+            font-size: 24px;
+            letter-spacing: 4px;
+            text-align: center;
+        }
+
+        .device-item {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 8px 0;
+            border-bottom: 1px solid #eee;
+        }
+
+        .document-item {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 0;
+            border-bottom: 1px solid #eee;
+        }
+
+        .document-item small,
+        .course-item small {
+            color: #999;
+        }
+
+        .course-item {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 0;
+            border-bottom: 1px solid #eee;
+        }
+
+        .course-form {
+            display: flex;
+            gap: 8px;
+        }
+
+        .course-form input {
+            flex: 1;
+            padding: 8px 12px;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+        }
+
+        .document-item button,
+        .course-item button,
+        .device-item button {
+            padding: 4px 10px;
+            font-size: 12px;
+            background: #f0f0f0;
+            color: #666;
+        }
+
+        .typing-dots {
+            display: flex;
+            gap: 4px;
+            padding: 8px;
+        }
+
+        .typing-dots span {
+            width: 8px;
+            height: 8px;
+            background: #999;
+            border-radius: 50%;
+            animation: typing 1.4s infinite;
+        }
+
+        .typing-dots span:nth-child(2) {
+            animation-delay: 0.2s;
+        }
+
+        .typing-dots span:nth-child(3) {
+            animation-delay: 0.4s;
+        }
+
+        @keyframes typing {
+            0%, 60%, 100% { transform: scale(1); opacity: 1; }
+            30% { transform: scale(1.3); opacity: 0.7; }
+        }
+
+        .quiz-number + p { display: inline; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <aside class="sidebar">
+            <input type="search" id="searchBox" class="search-box" placeholder="Search conversations..." data-i18n-placeholder="sidebar.search" maxlength="200">
+            <button id="newThread" data-i18n="sidebar.newThread">+ New thread</button>
+            <div id="threadList" class="thread-list"></div>
+            <label class="show-archived">
+                <input type="checkbox" id="showArchived"> <span data-i18n="sidebar.showArchived">Show archived</span>
+            </label>
+        </aside>
+
+        <div class="main">
+            <header>
+                <h1 data-i18n="app.title">AI Study Assistant</h1>
+                <p data-i18n="app.tagline">Ask questions about programming and computer science concepts</p>
+                <label class="language-picker">
+                    <span data-i18n="app.language">Language</span>
+                    <select id="languageSelect"></select>
+                </label>
+                <p id="usageInfo" class="usage-info"></p>
+                <p id="outboxStatus" class="outbox-status hidden" title="Send queued questions now" data-i18n-title="outbox.retryTitle"></p>
+            </header>
+
+            <div class="chat-container">
+                <div id="messages" class="messages"></div>
+                <div class="input-area">
+                    <select id="modeSelect" title="Tutoring mode for this thread" data-i18n-title="mode.title"></select>
+                    <select id="courseSelect" class="hidden" title="Course this thread is about" data-i18n-title="course.title"></select>
+                    <select id="modelSelect" title="Model that answers" data-i18n-title="model.title"></select>
+                    <input type="text" id="messageInput" placeholder="Ask a question..." data-i18n-placeholder="input.placeholder" autofocus>
+                    <button id="sendButton" data-i18n="input.send">Send</button>
+                    <button id="stopButton" title="Stop generating" data-i18n="input.stop" data-i18n-title="input.stopTitle">Stop</button>
+                    <button id="voiceButton" title="Voice input" data-i18n-title="input.voiceTitle">🎤</button>
+                </div>
+            </div>
+
+            <div class="features">
+                <button id="clearHistory" data-i18n="features.clearHistory">Clear History</button>
+                <button id="exportChat" data-i18n="features.export">Export / Share</button>
+                <button id="threadFlashcards" data-i18n="features.threadFlashcards">Flashcards from Thread</button>
+                <button id="reviewFlashcards" data-i18n="features.reviewFlashcards">Review Flashcards</button>
+                <button id="startQuiz" data-i18n="features.quiz">Quiz Me</button>
+                <button id="quizProgress" data-i18n="features.quizScores">Quiz Scores</button>
+                <button id="openProgress" data-i18n="features.progress">Progress</button>
+                <button id="openToday" data-i18n="features.today">Today</button>
+                <button id="openRoom" data-i18n="features.room">Study Room</button>
+                <button id="openCourses" data-i18n="features.courses">Courses</button>
+                <button id="openDocuments" data-i18n="features.notes">My Notes</button>
+                <button id="openAccount" data-i18n="features.account">Account</button>
+            </div>
+        </div>
+    </div>
+
+    <div id="documentsPanel" class="overlay hidden">
+        <div class="panel scrollable">
+            <div class="panel-header">
+                <h2 data-i18n="features.notes">My Notes</h2>
+                <button id="closeDocuments" data-i18n="common.close">Close</button>
+            </div>
+            <div class="account-body">
+                <p data-i18n="notes.intro">Upload lecture notes (.txt, .md or .pdf) and answers will draw on them, citing the document and section.</p>
+                <input type="file" id="documentUpload" accept=".txt,.md,.markdown,.pdf,text/plain,text/markdown,application/pdf">
+                <div id="documentList"></div>
+            </div>
+        </div>
+    </div>
+
+    <div id="coursesPanel" class="overlay hidden">
+        <div class="panel scrollable">
+            <div class="panel-header">
+                <h2 data-i18n="features.courses">Courses</h2>
+                <button id="closeCourses" data-i18n="common.close">Close</button>
+            </div>
+            <div class="account-body">
+                <p data-i18n="course.intro">Join your class with the code from your instructor. Threads you set to a course get answers based on its syllabus and reference material.</p>
+                <form id="courseJoinForm" class="course-form">
+                    <input type="text" id="courseCode" placeholder="Course code" data-i18n-placeholder="course.codePlaceholder" maxlength="20" required>
+                    <button type="submit" data-i18n="common.join">Join</button>
+                </form>
+                <div id="courseList"></div>
+                <p><a href="/instructor" data-i18n="course.instructorLink">Teaching a course? Open the instructor dashboard</a></p>
+            </div>
+        </div>
+    </div>
+
+    <div id="searchPanel" class="overlay hidden">
+        <div class="panel scrollable">
+            <div class="panel-header">
+                <h2 data-i18n="search.title">Search</h2>
+                <button id="closeSearch" data-i18n="common.close">Close</button>
+            </div>
+            <div class="account-body">
+                <form id="searchForm">
+                    <input type="search" id="searchQuery" placeholder="e.g. B-tree node splits" data-i18n-placeholder="search.placeholder" maxlength="200" required>
+                    <div class="search-filters">
+                        <select id="searchMode" title="Keywords match the words you type; meaning also finds messages that use other words" data-i18n-title="search.modeTitle">
+                            <option value="keyword" data-i18n="search.keywords">Keywords</option>
+                            <option value="semantic" data-i18n="search.meaning">Meaning</option>
+                        </select>
+                        <input type="text" id="searchTopic" placeholder="Thread topic" data-i18n-placeholder="search.topic">
+                        <label><span data-i18n="search.from">From</span> <input type="date" id="searchFrom"></label>
+                        <label><span data-i18n="search.to">To</span> <input type="date" id="searchTo"></label>
+                        <label><input type="checkbox" id="searchThisThread"> <span data-i18n="search.thisThread">This thread only</span></label>
+                    </div>
+                    <button type="submit" data-i18n="search.title">Search</button>
+                </form>
+                <div id="searchResults"></div>
+            </div>
+        </div>
+    </div>
+
+    <div id="exportPanel" class="overlay hidden">
+        <div class="panel scrollable">
+            <div class="panel-header">
+                <h2 data-i18n="export.title">Export / Share / Import</h2>
+                <button id="closeExport" data-i18n="common.close">Close</button>
+            </div>
+            <div class="account-body">
+                <h3 data-i18n="export.heading">Export</h3>
+                <label><input type="checkbox" id="exportAllThreads"> <span data-i18n="export.allThreads">All threads, not just this one</span></label>
+                <div class="export-formats">
+                    <button data-format="md">Markdown</button>
+                    <button data-format="html">HTML</button>
+                    <button data-format="json">JSON</button>
+                    <button data-format="anki-csv">Anki (CSV)</button>
+                </div>
+                <h3 data-i18n="share.heading">Share</h3>
+                <p data-i18n="share.intro">Make a read-only link to this thread that anyone can open, no sign-in needed. It shows the thread as it is now; later messages are not added.</p>
+                <div class="share-options">
+                    <select id="shareExpiry" title="How long the link stays open" data-i18n-title="share.expiryTitle">
+                        <option value="" data-i18n="share.forever">Until I revoke it</option>
+                        <option value="1" data-i18n="share.day1">For 1 day</option>
+                        <option value="7" data-i18n="share.day7">For 7 days</option>
+                        <option value="30" data-i18n="share.day30">For 30 days</option>
+                    </select>
+                    <button id="createShare" data-i18n="share.create">Create link</button>
+                </div>
+                <div id="shareList"></div>
+                <h3 data-i18n="import.heading">Import</h3>
+                <p data-i18n="import.intro">Restore a JSON export from another device or account. Its threads are added next to your current ones.</p>
+                <input type="file" id="importFile" accept=".json,application/json">
+            </div>
+        </div>
+    </div>
+
+    <div id="accountPanel" class="overlay hidden">
+        <div class="panel scrollable">
+            <div class="panel-header">
+                <h2 data-i18n="features.account">Account</h2>
+                <button id="closeAccount" data-i18n="common.close">Close</button>
+            </div>
+            <div id="accountBody" class="account-body"></div>
+        </div>
+    </div>
+
+    <div id="progressPanel" class="overlay hidden">
+        <div class="panel scrollable">
+            <div class="panel-header">
+                <h2 data-i18n="features.progress">Progress</h2>
+                <button id="closeProgress" data-i18n="common.close">Close</button>
+            </div>
+            <div id="progressBody" class="account-body"></div>
+        </div>
+    </div>
+
+    <div id="todayPanel" class="overlay hidden">
+        <div class="panel scrollable">
+            <div class="panel-header">
+                <h2 data-i18n="features.today">Today</h2>
+                <button id="closeToday" data-i18n="common.close">Close</button>
+            </div>
+            <div class="account-body">
+                <form id="planForm" class="plan-form">
+                    <input type="text" id="planGoal" placeholder="e.g. Data structures exam" data-i18n-placeholder="plan.goalPlaceholder" maxlength="200" required>
+                    <label><span data-i18n="plan.deadline">Deadline</span> <input type="date" id="planDeadline" required></label>
+                    <button type="submit" data-i18n="plan.create">Make a Plan</button>
+                </form>
+                <div id="planList"></div>
+            </div>
+        </div>
+    </div>
+
+    <div id="roomPanel" class="overlay hidden">
+        <div class="panel room-panel">
+            <div class="panel-header">
+                <h2 id="roomTitle" data-i18n="features.room">Study Room</h2>
+                <button id="closeRoom" data-i18n="common.close">Close</button>
+            </div>
+            <div id="roomLobby" class="account-body">
+                <p data-i18n="room.intro">Ask the assistant questions together. Everyone in a room sees each other's questions and the answers as they arrive.</p>
+                <input type="text" id="roomMemberName" placeholder="Your name, as others will see it" data-i18n-placeholder="room.namePlaceholder" maxlength="40">
+                <form id="roomJoinForm" class="room-form">
+                    <input type="text" id="roomCode" placeholder="Room code" data-i18n-placeholder="room.codePlaceholder" maxlength="6" required>
+                    <button type="submit" data-i18n="common.join">Join</button>
+                </form>
+                <form id="roomCreateForm" class="room-form">
+                    <input type="text" id="roomName" placeholder="New room, e.g. Algorithms study group" data-i18n-placeholder="room.newPlaceholder" maxlength="60" required>
+                    <button type="submit" data-i18n="room.create">Create Room</button>
+                </form>
+            </div>
+            <div id="roomView" class="room-view hidden">
+                <div class="room-bar">
+                    <span id="roomStatus" class="room-status"></span>
+                    <span id="roomMembers" class="room-members"></span>
+                    <select id="roomAiMode" title="When the assistant answers (only the moderator can change this)" data-i18n-title="room.aiModeTitle">
+                        <option value="auto" data-i18n="room.aiAuto">Assistant answers every question</option>
+                        <option value="moderated" data-i18n="room.aiModerated">Assistant answers picked questions</option>
+                        <option value="off" data-i18n="room.aiOff">Assistant paused</option>
+                    </select>
+                    <button id="leaveRoom" data-i18n="common.leave">Leave</button>
+                </div>
+                <div id="roomMessages" class="messages room-messages"></div>
+                <div id="roomTyping" class="room-typing"></div>
+                <form id="roomMessageForm" class="room-form">
+                    <input type="text" id="roomMessageInput" placeholder="Ask the group..." data-i18n-placeholder="room.messagePlaceholder" maxlength="4000" autocomplete="off">
+                    <button type="submit" data-i18n="input.send">Send</button>
+                </form>
+            </div>
+        </div>
+    </div>
+
+    <div id="quizPanel" class="overlay hidden">
+        <div class="panel scrollable">
+            <div class="panel-header">
+                <h2 id="quizTitle">Quiz</h2>
+                <button id="closeQuiz" data-i18n="common.close">Close</button>
+            </div>
+            <div id="quizBody" class="quiz-body"></div>
+        </div>
+    </div>
+
+    <div id="reviewPanel" class="overlay hidden">
+        <div class="panel">
+            <div class="panel-header">
+                <h2 data-i18n="flashcards.title">Flashcard Review</h2>
+                <button id="closeReview" data-i18n="common.close">Close</button>
+            </div>
+            <div class="flashcard">
+                <div id="flashcardQuestion" class="flashcard-question"></div>
+                <div id="flashcardAnswer" class="flashcard-answer"></div>
+            </div>
+            <div class="review-controls">
+                <button id="showAnswer" data-i18n="flashcards.showAnswer">Show Answer</button>
+                <button class="grade-again" data-grade="1" data-i18n="flashcards.again">Again</button>
+                <button class="grade-hard" data-grade="3" data-i18n="flashcards.hard">Hard</button>
+                <button class="grade-good" data-grade="4" data-i18n="flashcards.good">Good</button>
+                <button class="grade-easy" data-grade="5" data-i18n="flashcards.easy">Easy</button>
+            </div>
+            <div id="reviewStatus" class="review-status"></div>
+        </div>
+    </div>
+
+    <script>${getJavaScriptContent()}</script>
+</body>
+</html>`;
+}
+
+function getJavaScriptContent() {
+  return `
+const markdown = (${createMarkdownRenderer.toString()})();
+
+// The languages the app speaks, with its UI text in each (src/locales.js)
+const LOCALES = ${JSON.stringify(LOCALES)};
+const DEFAULT_LOCALE = '${DEFAULT_LOCALE}';
+
+// The UI text for \`key\` in the page's language, or else in English, with
+// {placeholders} filled in from params
+function t(key, params) {
+  const locale = LOCALES[document.documentElement.lang] || LOCALES[DEFAULT_LOCALE];
+  const text = locale.strings[key] || LOCALES[DEFAULT_LOCALE].strings[key] || key;
+  return text.replace(/\\{(\\w+)\\}/g, (match, name) => params && name in params ? String(params[name]) : match);
+}
+
+// What an answer says about the chat policy's decision on it, as UI text keys
+const POLICY_NOTICES = {
+  hints: 'policy.hints',
+  refused: 'policy.refused',
+  blocked: 'policy.blocked'
+};
+
+// Why the progress panel suggests revisiting a topic, as UI text keys
+const PROGRESS_REASONS = {
+  'quiz-average': 'progress.reasonQuizAverage',
+  unsure: 'progress.reasonUnsure',
+  stale: 'progress.reasonStale'
+};
+
+// This browser's offline copy of what the signed-in user needs, in
+// IndexedDB: the newest page of each thread (history), the last answer to
+// a few GET requests (responses) and the questions waiting to be sent
+// (outbox). Storage failures are logged and read as empty, so the app
+// works without IndexedDB, just not offline.
+class OfflineStore {
+  constructor(userId) {
+    this.name = userId ? 'study-assistant-' + userId : null;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (!this.name || !window.indexedDB) throw new Error('Offline storage is unavailable');
+
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('history', { keyPath: 'threadId' });
+          request.result.createObjectStore('responses', { keyPath: 'url' });
+          request.result.createObjectStore('outbox', { keyPath: 'clientId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async run(storeName, mode, action) {
+    try {
+      const db = await this.open();
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.error('Offline storage failed:', error);
+      return undefined;
+    }
+  }
+
+  get(storeName, key) {
+    return this.run(storeName, 'readonly', store => store.get(key));
+  }
+
+  put(storeName, value) {
+    return this.run(storeName, 'readwrite', store => store.put(value));
+  }
+
+  delete(storeName, key) {
+    return this.run(storeName, 'readwrite', store => store.delete(key));
+  }
+
+  // Deletes the whole database, queued questions included. The open
+  // connection is closed first so the deletion is not left waiting on it.
+  async clear() {
+    if (!this.name || !window.indexedDB) return;
+    if (this.db) {
+      try {
+        (await this.db).close();
+      } catch (error) {
+        // It never opened, so there is nothing to close
+      }
+      this.db = null;
+    }
+
+    await new Promise(resolve => {
+      const request = indexedDB.deleteDatabase(this.name);
+      request.onsuccess = () => resolve();
+      request.onblocked = () => resolve();
+      request.onerror = () => {
+        console.error('Offline storage failed:', request.error);
+        resolve();
+      };
+    });
+  }
+
+  // Queued questions, oldest first
+  async outbox() {
+    const items = await this.run('outbox', 'readonly', store => store.getAll());
+    return (items || []).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // GETs url as JSON and keeps a copy. When the network or the server fails
+  // the copy comes back instead, or null when there is none.
+  async fetchJSON(url) {
+    try {
+      const response = await fetch(url);
+      if (response.ok) {
+        const data = await response.json();
+        await this.put('responses', { url: url, data: data });
+        return data;
+      }
+    } catch (error) {
+      // Offline: fall back to the saved copy
+    }
+
+    const saved = await this.get('responses', url);
+    return saved ? saved.data : null;
+  }
+}
+
+class StudyAssistant {
+  constructor() {
+    this.identity = null;
+    this.messages = document.getElementById('messages');
+    this.input = document.getElementById('messageInput');
+    this.sendButton = document.getElementById('sendButton');
+    this.voiceButton = document.getElementById('voiceButton');
+    this.stopButton = document.getElementById('stopButton');
+    this.inputArea = document.querySelector('.input-area');
+    this.streamController = null;
+    this.threadList = document.getElementById('threadList');
+    this.showArchived = document.getElementById('showArchived');
+    this.threadId = localStorage.getItem('threadId') || 'default';
+    this.threads = [];
+    this.historyCursor = null;
+    this.oldestMessage = null;
+    this.loadingOlder = null;
+    this.modeSelect = document.getElementById('modeSelect');
+    this.defaultMode = 'default';
+    this.modelSelect = document.getElementById('modelSelect');
+    this.modelNames = {};
+    this.courseSelect = document.getElementById('courseSelect');
+    this.courses = [];
+    this.room = null;
+    this.offline = null;
+    this.outboxStatus = document.getElementById('outboxStatus');
+    this.syncingOutbox = null;
+    this.languageSelect = document.getElementById('languageSelect');
+    this.language = DEFAULT_LOCALE;
+
+    Object.keys(LOCALES).forEach(id => this.languageSelect.add(new Option(LOCALES[id].name, id)));
+    this.applyLanguage(localStorage.getItem('language'));
+    this.initializeEventListeners();
+    this.registerServiceWorker();
+    this.ensureIdentity()
+      .then(() => this.loadPreferences())
+      .then(() => this.loadModes())
+      .then(() => this.loadModels())
+      .then(() => this.loadCourses())
+      .then(() => this.loadThreads())
+      .then(() => this.loadHistory())
+      .then(() => this.loadUsage())
+      .then(() => this.syncOutbox());
+    this.addMessage('system', t('chat.welcome'));
+  }
+
+  // Signs this browser in, starting a guest identity on the first visit.
+  // A userId left in localStorage by older versions is handed to the server
+  // once so its history carries over.
+  async ensureIdentity() {
+    try {
+      let response = await fetch('/api/auth/me');
+      if (response.status === 401) {
+        response = await fetch('/api/auth/guest', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ legacyUserId: localStorage.getItem('userId') })
+        });
+      }
+      if (!response.ok) throw new Error('Sign-in failed');
+
+      this.identity = await response.json();
+      localStorage.removeItem('userId');
+      localStorage.setItem('identity', JSON.stringify(this.identity));
+    } catch (error) {
+      // Offline, the last identity still opens this browser's copy of the
+      // history; a failed fetch is the only TypeError here
+      const saved = localStorage.getItem('identity');
+      if (error instanceof TypeError && saved) {
+        this.identity = JSON.parse(saved);
+      } else {
+        this.addMessage('system', t('auth.signInFailed'));
+      }
+    }
+    this.offline = new OfflineStore(this.identity ? this.identity.userId : null);
+  }
+
+  // Shows the page in \`language\` (English when it is not one of LOCALES)
+  // and remembers it for the next visit, before the account's is known
+  applyLanguage(language) {
+    this.language = Object.prototype.hasOwnProperty.call(LOCALES, language) ? language : DEFAULT_LOCALE;
+    localStorage.setItem('language', this.language);
+    document.documentElement.lang = this.language;
+    document.title = t('app.title');
+    this.languageSelect.value = this.language;
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = t(element.dataset.i18nTitle);
+    });
+  }
+
+  // The language saved in the student's session wins over this browser's
+  async loadPreferences() {
+    const preferences = await this.offline.fetchJSON('/api/preferences');
+    if (preferences && preferences.language !== this.language) {
+      this.applyLanguage(preferences.language);
+    }
+  }
+
+  // Answers come in the new language from the next question on. The
+  // thread is drawn again so its labels and translate actions match.
+  async setLanguage(language) {
+    const previous = this.language;
+    this.applyLanguage(language);
+
+    try {
+      const response = await fetch('/api/preferences', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language: language })
+      });
+      if (!response.ok) throw new Error('Saving the language failed');
+      await this.offline.put('responses', { url: '/api/preferences', data: await response.json() });
+    } catch (error) {
+      this.applyLanguage(previous);
+      alert(t('chat.languageFailed'));
+      return;
+    }
+
+    if (!this.streamController) {
+      await this.loadHistory();
+    }
+    this.addMessage('system', t('chat.languageChanged', { language: LOCALES[language].name }));
+  }
+
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  }
+
+  initializeEventListeners() {
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('.copy-code');
+      if (button) this.copyCode(button);
+    });
+
+    this.sendButton.addEventListener('click', () => this.sendMessage());
+    this.stopButton.addEventListener('click', () => this.stopStreaming());
+    this.input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.sendMessage();
+      }
+    });
+
+    this.voiceButton.addEventListener('click', () => this.startVoiceInput());
+    this.languageSelect.addEventListener('change', () => this.setLanguage(this.languageSelect.value));
+
+    document.getElementById('clearHistory').addEventListener('click', () => {
+      this.clearHistory();
+    });
+
+    document.getElementById('exportChat').addEventListener('click', () => {
+      document.getElementById('exportPanel').classList.remove('hidden');
+      this.loadShares();
+    });
+
+    document.getElementById('createShare').addEventListener('click', () => {
+      const expiry = document.getElementById('shareExpiry').value;
+      this.createShare(expiry ? { expiresInDays: Number(expiry) } : {});
+    });
+
+    document.getElementById('closeExport').addEventListener('click', () => {
+      document.getElementById('exportPanel').classList.add('hidden');
+    });
+
+    document.querySelectorAll('.export-formats button').forEach(button => {
+      button.addEventListener('click', () => this.exportChat(button.dataset.format));
+    });
+
+    document.getElementById('importFile').addEventListener('change', (e) => {
+      if (e.target.files[0]) this.importChat(e.target.files[0], e.target);
+    });
+
+    document.getElementById('searchBox').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.value.trim()) {
+        document.getElementById('searchQuery').value = e.target.value.trim();
+        document.getElementById('searchPanel').classList.remove('hidden');
+        this.searchConversations();
+      }
+    });
+
+    document.getElementById('closeSearch').addEventListener('click', () => {
+      document.getElementById('searchPanel').classList.add('hidden');
+    });
+
+    document.getElementById('searchForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.searchConversations();
+    });
+
+    document.getElementById('newThread').addEventListener('click', () => {
+      this.createThread();
+    });
+
+    this.showArchived.addEventListener('change', () => this.renderThreads());
+    this.messages.addEventListener('scroll', () => {
+      if (this.messages.scrollTop < 80) this.loadOlderMessages();
+    });
+    this.modeSelect.addEventListener('change', () => this.setThreadMode(this.modeSelect.value));
+    this.courseSelect.addEventListener('change', () => this.setThreadCourse(this.courseSelect.value || null));
+    this.modelSelect.addEventListener('change', () => localStorage.setItem('model', this.modelSelect.value));
+
+    document.getElementById('threadFlashcards').addEventListener('click', () => {
+      this.generateFlashcards({ threadId: this.threadId });
+    });
+
+    document.getElementById('reviewFlashcards').addEventListener('click', () => {
+      this.startReview();
+    });
+
+    document.getElementById('startQuiz').addEventListener('click', () => {
+      this.startQuiz();
+    });
+
+    document.getElementById('quizProgress').addEventListener('click', () => {
+      this.showQuizProgress();
+    });
+
+    document.getElementById('openProgress').addEventListener('click', () => {
+      document.getElementById('progressPanel').classList.remove('hidden');
+      this.loadProgress();
+    });
+
+    document.getElementById('closeProgress').addEventListener('click', () => {
+      document.getElementById('progressPanel').classList.add('hidden');
+    });
+
+    document.getElementById('openToday').addEventListener('click', () => {
+      document.getElementById('todayPanel').classList.remove('hidden');
+      this.loadPlans();
+    });
+
+    document.getElementById('closeToday').addEventListener('click', () => {
+      document.getElementById('todayPanel').classList.add('hidden');
+    });
+
+    document.getElementById('planForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createPlan(e.target);
+    });
+
+    document.getElementById('openRoom').addEventListener('click', () => {
+      document.getElementById('roomPanel').classList.remove('hidden');
+      const code = localStorage.getItem('roomCode');
+      if (!this.room && code) this.joinRoom(code);
+    });
+
+    document.getElementById('closeRoom').addEventListener('click', () => {
+      document.getElementById('roomPanel').classList.add('hidden');
+    });
+
+    document.getElementById('roomMemberName').value = localStorage.getItem('roomMemberName') || '';
+
+    document.getElementById('openCourses').addEventListener('click', () => {
+      document.getElementById('coursesPanel').classList.remove('hidden');
+      this.loadCourses();
+    });
+
+    document.getElementById('closeCourses').addEventListener('click', () => {
+      document.getElementById('coursesPanel').classList.add('hidden');
+    });
+
+    document.getElementById('courseJoinForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.joinCourse(document.getElementById('courseCode').value.trim());
+    });
+
+    document.getElementById('roomJoinForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.joinRoom(document.getElementById('roomCode').value.trim().toUpperCase());
+    });
+
+    document.getElementById('roomCreateForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createRoom(document.getElementById('roomName').value.trim());
+    });
+
+    document.getElementById('roomMessageForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.sendRoomMessage();
+    });
+
+    document.getElementById('roomMessageInput').addEventListener('input', () => this.sendRoomTyping());
+
+    document.getElementById('roomAiMode').addEventListener('change', (e) => {
+      this.setRoomAiMode(e.target.value);
+    });
+
+    document.getElementById('leaveRoom').addEventListener('click', () => this.leaveRoom());
+
+    // Reconnect as soon as the network is back instead of waiting out the
+    // backoff, and send what was queued while offline
+    window.addEventListener('online', () => {
+      if (this.room && !this.room.socket) this.connectRoom();
+      this.syncOutbox();
+    });
+
+    window.addEventListener('offline', () => this.renderOutboxStatus());
+
+    this.outboxStatus.addEventListener('click', () => this.syncOutbox());
+
+    document.getElementById('openDocuments').addEventListener('click', () => {
+      document.getElementById('documentsPanel').classList.remove('hidden');
+      this.loadDocuments();
+    });
+
+    document.getElementById('closeDocuments').addEventListener('click', () => {
+      document.getElementById('documentsPanel').classList.add('hidden');
+    });
+
+    document.getElementById('documentUpload').addEventListener('change', (e) => {
+      if (e.target.files[0]) this.uploadDocument(e.target.files[0], e.target);
+    });
+
+    document.getElementById('openAccount').addEventListener('click', () => {
+      this.openAccountPanel();
+    });
+
+    document.getElementById('closeAccount').addEventListener('click', () => {
+      document.getElementById('accountPanel').classList.add('hidden');
+    });
+
+    document.getElementById('closeQuiz').addEventListener('click', () => {
+      document.getElementById('quizPanel').classList.add('hidden');
+    });
+
+    document.getElementById('closeReview').addEventListener('click', () => {
+      document.getElementById('reviewPanel').classList.add('hidden');
+    });
+
+    document.getElementById('showAnswer').addEventListener('click', () => {
+      this.showFlashcardAnswer();
+    });
+
+    document.querySelectorAll('.review-controls [data-grade]').forEach(button => {
+      button.addEventListener('click', () => this.gradeFlashcard(parseInt(button.dataset.grade, 10)));
+    });
+  }
+
+  // Each question gets a clientMessageId, so that if it has to be sent
+  // again from the outbox the server can tell it already has it
+  async sendMessage() {
+    const message = this.input.value.trim();
+    if (!message || this.streamController) return;
+
+    const fields = { message: message, clientMessageId: crypto.randomUUID() };
+    const userDiv = this.addMessage('user', message);
+    this.input.value = '';
+    if (!navigator.onLine) {
+      await this.queueMessage(fields, userDiv);
+      return;
+    }
+    await this.streamChat(fields, userDiv);
+  }
+
+  // Regenerating an answer or editing a question starts a new branch from
+  // that point: what followed leaves the screen while the new turn streams
+  // in, then the thread reloads with a switcher between the versions
+  async regenerateMessage(messageDiv) {
+    if (this.streamController) return;
+
+    this.removeMessagesFrom(messageDiv);
+    await this.streamBranch({ regenerateMessageId: Number(messageDiv.dataset.messageId) }, null);
+  }
+
+  async editMessage(messageDiv) {
+    if (this.streamController) return;
+
+    const edited = prompt(t('action.editPrompt'), messageDiv.dataset.raw);
+    if (!edited || !edited.trim() || edited.trim() === messageDiv.dataset.raw) return;
+
+    this.removeMessagesFrom(messageDiv);
+    const userDiv = this.addMessage('user', edited.trim());
+    await this.streamBranch({ message: edited.trim(), editMessageId: Number(messageDiv.dataset.messageId) }, userDiv);
+  }
+
+  removeMessagesFrom(messageDiv) {
+    while (messageDiv.nextSibling) messageDiv.nextSibling.remove();
+    messageDiv.remove();
+  }
+
+  // Reloading shows the stored branch; notices such as a rate-limit message
+  // are carried over so they are not lost with the rest of the screen
+  async streamBranch(fields, userDiv) {
+    const start = this.messages.lastChild;
+    await this.streamChat(fields, userDiv);
+
+    const notices = [];
+    for (let node = start ? start.nextSibling : this.messages.firstChild; node; node = node.nextSibling) {
+      if (node.classList.contains('system')) notices.push(node);
+    }
+    await this.showThread(this.threadId);
+    notices.forEach(notice => this.messages.appendChild(notice));
+    this.messages.scrollTop = this.messages.scrollHeight;
+  }
+
+  // Sends a chat request ({ message } plus any branching fields) and streams
+  // the answer in below userDiv, the question already on screen
+  async streamChat(fields, userDiv) {
+    const typingId = this.showTypingIndicator();
+    this.streamController = new AbortController();
+    this.inputArea.classList.add('streaming');
+
+    let messageDiv = null;
+    let responseText = '';
+    let sources = [];
+
+    try {
+      const response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.assign({
+          threadId: this.threadId,
+          mode: this.modeSelect.value || undefined,
+          model: this.modelSelect.value || undefined,
+          stream: true
+        }, fields)),
+        signal: this.streamController.signal
+      });
+
+      if (response.status === 429) {
+        const data = await response.json();
+        this.removeTypingIndicator(typingId);
+        this.addMessage('system', t('common.retryIn', { error: data.error, wait: this.formatWait(data.retryAfter) }));
+        return;
+      }
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (!data.assistantMessageId) throw new Error('Network response was not ok');
+        this.removeTypingIndicator(typingId);
+        this.showFailedAnswer(null, userDiv, data, sources);
+        return;
+      }
+
+      await this.readEventStream(response, (event, data) => {
+        if (event === 'sources') {
+          sources = data.sources;
+        } else if (event === 'token') {
+          if (!messageDiv) {
+            this.removeTypingIndicator(typingId);
+            messageDiv = this.addMessage('assistant', '', sources);
+          }
+          responseText += data.token;
+          this.updateMessage(messageDiv, responseText);
+        } else if (event === 'done' && data.assistantMessageId) {
+          // The chat policy may have screened the answer after streaming it
+          if (messageDiv && data.response !== responseText) {
+            responseText = data.response;
+            this.updateMessage(messageDiv, responseText);
+          }
+          if (userDiv) this.markStored(userDiv, { id: data.userMessageId, role: 'user' });
+          if (messageDiv) this.markStored(messageDiv, { id: data.assistantMessageId, role: 'assistant', model: data.model, language: data.language, policy: data.policy });
+        } else if (event === 'error') {
+          if (!data.assistantMessageId) throw new Error(data.error);
+          this.removeTypingIndicator(typingId);
+          messageDiv = this.showFailedAnswer(messageDiv, userDiv, data, sources);
+        }
+      });
+
+      this.removeTypingIndicator(typingId);
+      if (!messageDiv) {
+        this.addMessage('system', t('chat.error'));
+      }
+    } catch (error) {
+      this.removeTypingIndicator(typingId);
+      if (error.name === 'AbortError') {
+        if (messageDiv) {
+          this.updateMessage(messageDiv, responseText + '\\n\\n*[' + t('chat.stopped') + ']*');
+        }
+      } else if (error instanceof TypeError && fields.clientMessageId && userDiv && !userDiv.dataset.messageId) {
+        // The connection dropped: queue the question. If it reached the
+        // server after all, sending it again brings back the stored answer.
+        if (messageDiv) messageDiv.remove();
+        await this.queueMessage(fields, userDiv);
+      } else {
+        console.error('Error:', error);
+        this.addMessage('system', t('chat.error'));
+      }
+    } finally {
+      this.streamController = null;
+      this.inputArea.classList.remove('streaming');
+      this.loadThreads();
+      this.loadUsage();
+      this.saveHistory();
+    }
+  }
+
+  // Shows a turn the server stored as failed: whatever part of the answer
+  // arrived, marked as an error that can be regenerated
+  showFailedAnswer(messageDiv, userDiv, data, sources) {
+    if (!messageDiv) messageDiv = this.addMessage('assistant', '', sources);
+    if (userDiv) this.markStored(userDiv, { id: data.userMessageId, role: 'user' });
+    this.markStored(messageDiv, { id: data.assistantMessageId, role: 'assistant', error: data.error });
+    return messageDiv;
+  }
+
+  // Keeps a question that could not be sent in the outbox, shown in the
+  // thread as waiting until syncOutbox delivers it
+  async queueMessage(fields, userDiv) {
+    await this.offline.put('outbox', {
+      clientId: fields.clientMessageId,
+      threadId: this.threadId,
+      message: fields.message,
+      mode: this.modeSelect.value || undefined,
+      model: this.modelSelect.value || undefined,
+      createdAt: Date.now()
+    });
+    this.markQueued(userDiv);
+    this.renderOutboxStatus();
+  }
+
+  markQueued(messageDiv) {
+    messageDiv.classList.add('queued');
+    const notice = document.createElement('div');
+    notice.className = 'message-queued';
+    notice.textContent = t('outbox.queued');
+    messageDiv.querySelector('.message-content').appendChild(notice);
+  }
+
+  async renderOutboxStatus() {
+    const queued = await this.offline.outbox();
+    const questions = queued.length === 1 ? t('outbox.one') : t('outbox.many', { count: queued.length });
+
+    this.outboxStatus.classList.toggle('hidden', queued.length === 0);
+    if (this.syncingOutbox) {
+      this.outboxStatus.textContent = t('outbox.sending', { questions: questions });
+    } else {
+      this.outboxStatus.textContent = t('outbox.waiting', { questions: questions }) + ' · ' + t(navigator.onLine ? 'outbox.retry' : 'outbox.offline');
+    }
+  }
+
+  // Sends the queued questions in the order they were asked. Calls made
+  // while a sync runs share it.
+  syncOutbox() {
+    if (!this.syncingOutbox && this.offline) {
+      this.syncingOutbox = this.sendOutbox().finally(() => {
+        this.syncingOutbox = null;
+        this.renderOutboxStatus();
+      });
+    }
+    return this.syncingOutbox;
+  }
+
+  // One question at a time, so each lands after the last on its thread.
+  // Each carries its clientMessageId, so one the server already stored is
+  // neither stored nor answered twice. A network failure, the quota or a
+  // server error stops the sync with the rest still queued; a question the
+  // server turns down (say its thread was deleted) is dropped with a notice.
+  async sendOutbox() {
+    const queued = await this.offline.outbox();
+    if (queued.length === 0 || !navigator.onLine) return;
+    this.renderOutboxStatus();
+
+    const threadIds = new Set();
+    for (const item of queued) {
+      let response;
+      try {
+        response = await fetch('/api/chat', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            threadId: item.threadId,
+            message: item.message,
+            mode: item.mode,
+            model: item.model,
+            clientMessageId: item.clientId
+          })
+        });
+      } catch (error) {
+        break;
+      }
+
+      if (response.status === 429) {
+        const data = await response.json();
+        setTimeout(() => this.syncOutbox(), data.retryAfter * 1000);
+        break;
+      }
+      // A 502 carries a turn stored as failed, which can be regenerated
+      if (response.status >= 500 && response.status !== 502) break;
+      if (!response.ok && response.status !== 502) {
+        const data = await response.json().catch(() => ({}));
+        this.addMessage('system', t('outbox.failed', { error: data.error || response.status, message: item.message }));
+      }
+
+      await this.offline.delete('outbox', item.clientId);
+      threadIds.add(item.threadId);
+    }
+
+    if (threadIds.size === 0) return;
+    this.loadThreads();
+    this.loadUsage();
+    if (threadIds.has(this.threadId) && !this.streamController) {
+      await this.loadHistory();
+    }
+  }
+
+  // Drops queued questions the server turns out to have, as when one was
+  // sent but the answer never arrived. Returns whether any were dropped.
+  async settleOutbox(messages) {
+    const stored = new Set(messages.map(message => message.clientId).filter(Boolean));
+    const settled = (await this.offline.outbox()).filter(item => stored.has(item.clientId));
+    for (const item of settled) {
+      await this.offline.delete('outbox', item.clientId);
+    }
+    if (settled.length > 0) this.renderOutboxStatus();
+    return settled.length > 0;
+  }
+
+  async loadUsage() {
+    try {
+      const response = await fetch('/api/usage');
+      if (!response.ok) return;
+
+      const usage = await response.json();
+      const tokensLeft = usage.tokens.remaining >= 1000
+        ? Math.floor(usage.tokens.remaining / 1000) + 'k'
+        : usage.tokens.remaining;
+      document.getElementById('usageInfo').textContent = t('usage.summary', {
+        requests: usage.requests.remaining,
+        limit: usage.requests.limit,
+        tokens: tokensLeft
+      });
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+    }
+  }
+
+  formatWait(seconds) {
+    if (seconds < 60) return seconds === 1 ? t('wait.second') : t('wait.seconds', { count: seconds });
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return minutes === 1 ? t('wait.minute') : t('wait.minutes', { count: minutes });
+    const hours = Math.ceil(minutes / 60);
+    return hours === 1 ? t('wait.hour') : t('wait.hours', { count: hours });
+  }
+
+  stopStreaming() {
+    if (this.streamController) {
+      this.streamController.abort();
+    }
+  }
+
+  async readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\\n\\n');
+      buffer = events.pop();
+
+      events.forEach(raw => {
+        let event = 'message';
+        let data = '';
+        raw.split('\\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        if (data) onEvent(event, JSON.parse(data));
+      });
+    }
+  }
+
+  addMessage(type, content, sources) {
+    const messageDiv = this.createMessage(type, content, sources, Date.now());
+    this.messages.appendChild(messageDiv);
+    this.messages.scrollTop = this.messages.scrollHeight;
+    return messageDiv;
+  }
+
+  createMessage(type, content, sources, timestamp) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message ' + type;
+    messageDiv.sources = sources || [];
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content';
+    contentDiv.innerHTML = this.formatMessage(content) + this.formatSources(messageDiv.sources);
+    messageDiv.appendChild(contentDiv);
+    messageDiv.dataset.raw = content;
+
+    if (type !== 'system') {
+      const timestampDiv = document.createElement('div');
+      timestampDiv.className = 'timestamp';
+      const date = new Date(timestamp);
+      timestampDiv.textContent = date.toDateString() === new Date().toDateString()
+        ? date.toLocaleTimeString()
+        : date.toLocaleString();
+      messageDiv.appendChild(timestampDiv);
+    }
+
+    if (type === 'assistant') {
+      const flashcardButton = document.createElement('button');
+      flashcardButton.className = 'message-action';
+      flashcardButton.textContent = t('action.flashcards');
+      flashcardButton.title = t('action.flashcardsTitle');
+      flashcardButton.addEventListener('click', () => {
+        this.generateFlashcards({ text: messageDiv.dataset.raw });
+      });
+      messageDiv.appendChild(flashcardButton);
+    }
+
+    return messageDiv;
+  }
+
+  updateMessage(messageDiv, content) {
+    messageDiv.querySelector('.message-content').innerHTML = this.formatMessage(content) + this.formatSources(messageDiv.sources);
+    messageDiv.dataset.raw = content;
+    this.messages.scrollTop = this.messages.scrollHeight;
+  }
+
+  formatSources(sources) {
+    if (!sources || sources.length === 0) return '';
+
+    return '<div class="message-sources">' + markdown.escapeHtml(t('sources.label')) + ' ' + sources.map(source =>
+      '[' + source.index + '] ' + markdown.escapeHtml(source.documentName || t('sources.deleted')) +
+      (source.section ? ' › ' + markdown.escapeHtml(source.section) : '')
+    ).join(' · ') + '</div>';
+  }
+
+  formatMessage(content) {
+    return markdown.render(content, { breaks: true, copyLabel: t('code.copy') });
+  }
+
+  // For short snippets shown inside other text, such as quiz choices
+  formatInline(content) {
+    return markdown.renderInline(content, { breaks: true });
+  }
+
+  async copyCode(button) {
+    const code = button.closest('.code-block').querySelector('code').textContent;
+    try {
+      await navigator.clipboard.writeText(code);
+      button.textContent = t('common.copied');
+    } catch (error) {
+      button.textContent = t('common.copyFailed');
+    }
+    setTimeout(() => { button.textContent = t('code.copy'); }, 1500);
+  }
+
+  async startVoiceInput() {
+    // A second click while recording a clip stops it and uploads it
+    if (this.voiceRecorder) {
+      this.voiceRecorder.stop();
+      return;
+    }
+
+    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+      if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+        return this.recordVoiceClip();
+      }
+      alert(t('voice.unsupported'));
+      return;
+    }
+
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const recognition = new SpeechRecognition();
+
+    recognition.continuous = false;
+    recognition.interimResults = false;
+    recognition.lang = LOCALES[this.language].speech;
+
+    recognition.onstart = () => {
+      this.voiceButton.classList.add('recording');
+    };
+
+    recognition.onresult = (event) => {
+      const transcript = event.results[0][0].transcript;
+      this.input.value = transcript;
+      this.sendMessage();
+    };
+
+    recognition.onerror = (event) => {
+      this.voiceButton.classList.remove('recording');
+      console.error('Voice recognition error:', event.error);
+      if (event.error === 'no-speech') {
+        alert(t('voice.noSpeech'));
+      } else {
+        alert(t('voice.error', { error: event.error }));
+      }
+    };
+
+    recognition.onend = () => {
+      this.voiceButton.classList.remove('recording');
+    };
+
+    try {
+      recognition.start();
+    } catch (error) {
+      alert(t('voice.startFailed'));
+      this.voiceButton.classList.remove('recording');
+    }
+  }
+
+  // Fallback for browsers without the Web Speech API: record a clip and have
+  // the server transcribe it. Uses MediaRecorder when it can produce webm or
+  // ogg, otherwise captures raw audio and encodes a WAV file.
+  async recordVoiceClip() {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      alert(t('voice.micNeeded'));
+      return;
+    }
+
+    const startedAt = Date.now();
+    const finish = (blob) => {
+      stream.getTracks().forEach(track => track.stop());
+      clearTimeout(this.voiceTimeout);
+      this.voiceRecorder = null;
+      this.voiceButton.classList.remove('recording');
+      this.uploadVoiceClip(blob, (Date.now() - startedAt) / 1000);
+    };
+
+    const mimeType = window.MediaRecorder && ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/ogg']
+      .find(type => MediaRecorder.isTypeSupported(type));
+
+    if (mimeType) {
+      const recorder = new MediaRecorder(stream, { mimeType: mimeType });
+      const chunks = [];
+      recorder.ondataavailable = (event) => chunks.push(event.data);
+      recorder.onstop = () => finish(new Blob(chunks, { type: mimeType.split(';')[0] }));
+      recorder.start();
+      this.voiceRecorder = recorder;
+    } else {
+      this.voiceRecorder = this.createWavRecorder(stream, finish);
+    }
+
+    this.voiceButton.classList.add('recording');
+    // Stay under the server's 60 second limit
+    this.voiceTimeout = setTimeout(() => {
+      if (this.voiceRecorder) this.voiceRecorder.stop();
+    }, 55000);
+  }
+
+  createWavRecorder(stream, onStop) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    const source = context.createMediaStreamSource(stream);
+    const processor = context.createScriptProcessor(4096, 1, 1);
+    const buffers = [];
+
+    processor.onaudioprocess = (event) => {
+      buffers.push(new Float32Array(event.inputBuffer.getChannelData(0)));
+    };
+    source.connect(processor);
+    processor.connect(context.destination);
+
+    return {
+      stop: () => {
+        processor.disconnect();
+        source.disconnect();
+        context.close();
+        onStop(this.encodeWav(buffers, context.sampleRate, 16000));
+      }
+    };
+  }
+
+  // Downsamples mono float samples and wraps them in a 16-bit PCM WAV file
+  encodeWav(buffers, inputRate, outputRate) {
+    const length = buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+    const samples = new Float32Array(length);
+    let offset = 0;
+    buffers.forEach(buffer => {
+      samples.set(buffer, offset);
+      offset += buffer.length;
+    });
+
+    const ratio = inputRate / outputRate;
+    const outputLength = Math.floor(samples.length / ratio);
+    const view = new DataView(new ArrayBuffer(44 + outputLength * 2));
+    const writeString = (position, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(position + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + outputLength * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, outputRate, true);
+    view.setUint32(28, outputRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, outputLength * 2, true);
+
+    for (let i = 0; i < outputLength; i++) {
+      const sample = Math.max(-1, Math.min(1, samples[Math.floor(i * ratio)]));
+      view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+  }
+
+  async uploadVoiceClip(blob, duration) {
+    const placeholder = this.input.placeholder;
+    this.input.placeholder = t('voice.transcribing');
+    this.voiceButton.disabled = true;
+
+    try {
+      const response = await fetch('/api/voice', {
+        method: 'POST',
+        headers: {
+          'Content-Type': blob.type,
+          'X-Audio-Duration': String(duration),
+          'X-Audio-Language': this.language
+        },
+        body: blob
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      if (data.text) {
+        this.input.value = data.text;
+        this.input.focus();
+      } else {
+        alert(t('voice.noSpeech'));
+      }
+    } catch (error) {
+      alert(error.message || t('voice.transcribeFailed'));
+    } finally {
+      this.input.placeholder = placeholder;
+      this.voiceButton.disabled = false;
+    }
+  }
+
+  showTypingIndicator() {
+    const id = 'typing_' + Date.now();
+    const indicator = document.createElement('div');
+    indicator.id = id;
+    indicator.className = 'message assistant typing';
+    indicator.innerHTML = '<div class="typing-dots"><span></span><span></span><span></span></div>';
+    this.messages.appendChild(indicator);
+    this.messages.scrollTop = this.messages.scrollHeight;
+    return id;
+  }
+
+  removeTypingIndicator(id) {
+    const indicator = document.getElementById(id);
+    if (indicator) indicator.remove();
+  }
+
+  // Shows the newest page of the thread: this browser's copy at once, then
+  // the server's, which replaces it when they differ and becomes the new
+  // copy. Older pages load as the user scrolls up (see loadOlderMessages).
+  async loadHistory() {
+    const threadId = this.threadId;
+    const saved = await this.offline.get('history', threadId);
+    if (threadId !== this.threadId) return;
+    if (saved) await this.renderHistory(saved.page);
+
+    const page = await this.fetchMessages(null);
+    if (threadId !== this.threadId) return;
+    if (!page) {
+      if (!saved) await this.renderHistory({ messages: [], nextCursor: null });
+      return;
+    }
+
+    await this.offline.put('history', { threadId: threadId, page: page });
+    const settled = await this.settleOutbox(page.messages);
+    if (!saved || settled || JSON.stringify(saved.page) !== JSON.stringify(page)) {
+      await this.renderHistory(page);
+    }
+  }
+
+  // Replaces the thread's messages on screen with a page of stored ones
+  // followed by the thread's queued questions, leaving notices in place.
+  // Server messages are matched by id and queued ones by clientMessageId,
+  // so nothing shows twice however the two overlap.
+  async renderHistory(page) {
+    const queued = (await this.offline.outbox()).filter(item => item.threadId === this.threadId);
+    const stored = new Set(page.messages.map(message => message.clientId).filter(Boolean));
+
+    this.messages.querySelectorAll('.message[data-message-id], .message.queued').forEach(node => node.remove());
+    this.oldestMessage = null;
+    page.messages.forEach(message => {
+      const messageDiv = this.createStoredMessage(message);
+      this.messages.appendChild(messageDiv);
+      if (!this.oldestMessage) this.oldestMessage = messageDiv;
+    });
+    queued.filter(item => !stored.has(item.clientId)).forEach(item => {
+      const messageDiv = this.createMessage('user', item.message, [], item.createdAt);
+      this.markQueued(messageDiv);
+      this.messages.appendChild(messageDiv);
+    });
+
+    this.historyCursor = page.nextCursor;
+    this.messages.scrollTop = this.messages.scrollHeight;
+    this.fillWithOlderMessages();
+  }
+
+  // Refreshes this browser's copy of the thread after a new turn
+  async saveHistory() {
+    const threadId = this.threadId;
+    const page = await this.fetchMessages(null);
+    if (page && threadId === this.threadId) {
+      await this.offline.put('history', { threadId: threadId, page: page });
+    }
+  }
+
+  // Calls made while a page is loading share its promise. Pages keep
+  // loading only while they arrive, so being offline does not loop.
+  loadOlderMessages() {
+    if (!this.historyCursor) return Promise.resolve();
+
+    if (!this.loadingOlder) {
+      this.loadingOlder = this.insertOlderMessages().then(loaded => {
+        this.loadingOlder = null;
+        if (loaded) this.fillWithOlderMessages();
+      });
+    }
+    return this.loadingOlder;
+  }
+
+  async insertOlderMessages() {
+    const threadId = this.threadId;
+    const page = await this.fetchMessages(this.historyCursor);
+    if (!page || threadId !== this.threadId) return false;
+
+    // Keep the messages on screen where they are while older ones go above
+    const previousHeight = this.messages.scrollHeight;
+    const fragment = document.createDocumentFragment();
+    page.messages.forEach(message => {
+      fragment.appendChild(this.createStoredMessage(message));
+    });
+    const first = fragment.firstChild;
+    this.messages.insertBefore(fragment, this.oldestMessage);
+    this.oldestMessage = first || this.oldestMessage;
+    this.messages.scrollTop += this.messages.scrollHeight - previousHeight;
+
+    this.historyCursor = page.nextCursor;
+    return true;
+  }
+
+  // Keeps loading while the history is too short to scroll, since then the
+  // scroll event that would load the next page can never fire
+  fillWithOlderMessages() {
+    if (this.historyCursor && this.messages.scrollHeight <= this.messages.clientHeight) {
+      this.loadOlderMessages();
+    }
+  }
+
+  // A message from the thread's stored history
+  createStoredMessage(message) {
+    const messageDiv = this.createMessage(message.role, message.content, message.sources, message.timestamp);
+    this.markStored(messageDiv, message);
+    return messageDiv;
+  }
+
+  // Tags a message on screen with its stored id, which search results look
+  // for, and adds the actions that need it: editing questions, and rating,
+  // regenerating or translating answers. Messages with other versions get a
+  // switcher. Answers note the model that wrote them and what the chat
+  // policy did with them, and failed ones are flagged.
+  markStored(messageDiv, message) {
+    messageDiv.dataset.messageId = message.id;
+
+    if (message.model && this.modelNames[message.model]) {
+      messageDiv.querySelector('.timestamp').textContent += ' · ' + this.modelNames[message.model];
+    }
+    if (message.error) {
+      messageDiv.classList.add('failed');
+      const notice = document.createElement('div');
+      notice.className = 'message-error';
+      notice.textContent = t('chat.failed');
+      messageDiv.querySelector('.message-content').appendChild(notice);
+    }
+    if (message.policy && POLICY_NOTICES[message.policy.action]) {
+      const notice = document.createElement('div');
+      notice.className = 'message-policy';
+      notice.textContent = t(POLICY_NOTICES[message.policy.action]);
+      messageDiv.querySelector('.message-content').appendChild(notice);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+
+    if (message.siblingIds) {
+      const index = message.siblingIds.indexOf(message.id);
+      const previous = this.createMessageAction('‹', t('action.previousVersion'), () => {
+        this.jumpToMessage(this.threadId, message.siblingIds[index - 1]);
+      });
+      const next = this.createMessageAction('›', t('action.nextVersion'), () => {
+        this.jumpToMessage(this.threadId, message.siblingIds[index + 1]);
+      });
+      previous.disabled = index === 0;
+      next.disabled = index === message.siblingIds.length - 1;
+
+      const position = document.createElement('span');
+      position.className = 'branch-position';
+      position.textContent = (index + 1) + ' / ' + message.siblingIds.length;
+      actions.append(previous, position, next);
+    }
+
+    if (message.role === 'user') {
+      actions.appendChild(this.createMessageAction(t('action.edit'), t('action.editTitle'), () => this.editMessage(messageDiv)));
+    } else if (message.role === 'assistant') {
+      messageDiv.dataset.rating = message.feedback ? message.feedback.rating : '';
+      (message.error ? [] : ['up', 'down']).forEach(rating => {
+        const button = this.createMessageAction(rating === 'up' ? '👍' : '👎',
+          t(rating === 'up' ? 'action.goodAnswer' : 'action.badAnswer'), () => this.rateMessage(messageDiv, rating));
+        button.dataset.rating = rating;
+        button.classList.toggle('selected', messageDiv.dataset.rating === rating);
+        actions.appendChild(button);
+      });
+      actions.appendChild(this.createMessageAction(t('action.regenerate'), t('action.regenerateTitle'), () => this.regenerateMessage(messageDiv)));
+      if (!message.error) {
+        actions.appendChild(this.createMessageAction(t('action.share'), t('action.shareTitle'), () => this.shareAnswer(messageDiv)));
+      }
+      // Answers written before the student switched language can be read
+      // in the new one
+      if (!message.error && (message.language || DEFAULT_LOCALE) !== this.language) {
+        messageDiv.translations = message.translations || {};
+        const translate = this.createMessageAction(t('action.translate'),
+          t('action.translateTitle', { language: LOCALES[this.language].name }), () => this.translateMessage(messageDiv, translate));
+        actions.appendChild(translate);
+      }
+    }
+
+    messageDiv.appendChild(actions);
+  }
+
+  // Shows the answer translated into the student's language under the
+  // original, or hides it again. Each translation is fetched once.
+  async translateMessage(messageDiv, button) {
+    const shown = messageDiv.querySelector('.message-translation');
+    if (shown) {
+      const hidden = shown.classList.toggle('hidden');
+      button.textContent = t(hidden ? 'action.translate' : 'action.hideTranslation');
+      return;
+    }
+
+    const language = this.language;
+    let content = messageDiv.translations[language];
+    if (!content) {
+      button.disabled = true;
+      button.textContent = t('action.translating');
+      try {
+        const response = await fetch('/api/translate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ threadId: this.threadId, messageId: Number(messageDiv.dataset.messageId), language: language })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        content = data.content;
+        messageDiv.translations[language] = content;
+      } catch (error) {
+        button.textContent = t('action.translate');
+        alert(t('action.translateFailed'));
+        return;
+      } finally {
+        button.disabled = false;
+      }
+    }
+
+    const translation = document.createElement('div');
+    translation.className = 'message-translation';
+    translation.innerHTML = '<div class="translation-label">' +
+      markdown.escapeHtml(t('action.translation', { language: LOCALES[language].name })) + '</div>' + this.formatMessage(content);
+    messageDiv.querySelector('.message-content').appendChild(translation);
+    button.textContent = t('action.hideTranslation');
+  }
+
+  createMessageAction(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'message-action';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Pressing the selected thumb again withdraws the rating
+  async rateMessage(messageDiv, rating) {
+    const next = messageDiv.dataset.rating === rating ? null : rating;
+    let comment;
+    if (next) {
+      comment = prompt(t(next === 'up' ? 'action.helpfulPrompt' : 'action.unhelpfulPrompt'), '');
+      if (comment === null) return;
+    }
+
+    try {
+      const response = await fetch('/api/session/rate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ messageId: Number(messageDiv.dataset.messageId), rating: next, comment: comment || undefined })
+      });
+      if (!response.ok) throw new Error('Rating failed');
+
+      messageDiv.dataset.rating = next || '';
+      messageDiv.querySelectorAll('.message-action[data-rating]').forEach(button => {
+        button.classList.toggle('selected', button.dataset.rating === next);
+      });
+    } catch (error) {
+      alert(t('action.rateFailed'));
+    }
+  }
+
+  async fetchMessages(before) {
+    const params = new URLSearchParams({ threadId: this.threadId });
+    if (before) params.set('before', before);
+
+    try {
+      const response = await fetch('/api/session?' + params);
+      if (!response.ok) return null;
+      return await response.json();
+    } catch (error) {
+      console.log('No previous history found');
+      return null;
+    }
+  }
+
+  async clearHistory() {
+    if (confirm(t('chat.clearConfirm'))) {
+      try {
+        await fetch('/api/session/clear?threadId=' + encodeURIComponent(this.threadId), { method: 'POST' });
+        await this.offline.delete('history', this.threadId);
+        this.messages.innerHTML = '';
+        this.historyCursor = null;
+        this.oldestMessage = null;
+        this.addMessage('system', t('chat.cleared'));
+      } catch (error) {
+        alert(t('chat.clearFailed'));
+      }
+    }
+  }
+
+  async loadThreads() {
+    try {
+      const threads = await this.offline.fetchJSON('/api/threads');
+      if (!threads) return;
+
+      this.threads = threads;
+      if (!this.threads.some(t => t.id === this.threadId)) {
+        const fallback = this.threads.find(t => !t.archived) || this.threads[0];
+        this.setThreadId(fallback.id);
+      }
+      this.renderThreads();
+      this.showThreadMode();
+      this.showThreadCourse();
+    } catch (error) {
+      console.error('Failed to load threads:', error);
+    }
+  }
+
+  async loadModes() {
+    try {
+      const data = await this.offline.fetchJSON('/api/modes');
+      if (!data) return;
+
+      const { defaultMode, modes } = data;
+      this.defaultMode = defaultMode;
+      this.modeSelect.innerHTML = '';
+      modes.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.name;
+        option.title = mode.description;
+        this.modeSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('Failed to load modes:', error);
+    }
+  }
+
+  // Fills the model picker, keeping the student's last choice while the
+  // server still offers it
+  async loadModels() {
+    try {
+      const data = await this.offline.fetchJSON('/api/models');
+      if (!data) return;
+
+      const { defaultModel, models } = data;
+      this.modelSelect.innerHTML = '';
+      models.forEach(model => {
+        this.modelNames[model.id] = model.name;
+        const option = document.createElement('option');
+        option.value = model.id;
+        option.textContent = model.name;
+        option.title = model.description;
+        this.modelSelect.appendChild(option);
+      });
+
+      const saved = localStorage.getItem('model');
+      this.modelSelect.value = this.modelNames[saved] ? saved : defaultModel;
+    } catch (error) {
+      console.error('Failed to load models:', error);
+    }
+  }
+
+  // Reflects the current thread's mode in the picker
+  showThreadMode() {
+    const thread = this.threads.find(t => t.id === this.threadId);
+    const mode = thread && thread.mode;
+    const known = Array.from(this.modeSelect.options).some(option => option.value === mode);
+    this.modeSelect.value = known ? mode : this.defaultMode;
+  }
+
+  async setThreadMode(mode) {
+    try {
+      await this.threadAction('mode', { threadId: this.threadId, mode: mode });
+      const thread = this.threads.find(t => t.id === this.threadId);
+      if (thread) thread.mode = mode;
+      const name = this.modeSelect.options[this.modeSelect.selectedIndex].textContent;
+      this.addMessage('system', t('mode.switched', { mode: name }));
+    } catch (error) {
+      alert(t('mode.failed'));
+      this.showThreadMode();
+    }
+  }
+
+  // Loads the courses the student is in, for the thread's course picker
+  // (shown once there is a course to pick) and the Courses panel
+  async loadCourses() {
+    const list = document.getElementById('courseList');
+
+    const courses = await this.offline.fetchJSON('/api/courses');
+    if (!courses) {
+      list.textContent = t('course.loadFailed');
+      return;
+    }
+    this.courses = courses;
+
+    this.courseSelect.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = t('course.none');
+    this.courseSelect.appendChild(none);
+    this.courses.forEach(course => {
+      const option = document.createElement('option');
+      option.value = course.id;
+      option.textContent = course.name;
+      this.courseSelect.appendChild(option);
+    });
+    this.courseSelect.classList.toggle('hidden', this.courses.length === 0);
+    this.showThreadCourse();
+
+    list.innerHTML = '';
+    if (this.courses.length === 0) {
+      list.textContent = t('course.empty');
+      return;
+    }
+    this.courses.forEach(course => {
+      const item = document.createElement('div');
+      item.className = 'course-item';
+
+      const label = document.createElement('span');
+      label.textContent = course.name + ' ';
+      const details = document.createElement('small');
+      details.textContent = course.role === 'instructor' ? t('course.instructor', { code: course.code }) : t('course.student');
+      label.appendChild(details);
+      item.appendChild(label);
+
+      if (course.role === 'instructor') {
+        const manage = document.createElement('a');
+        manage.href = '/instructor#' + course.id;
+        manage.textContent = t('course.manage');
+        item.appendChild(manage);
+      } else {
+        const leave = document.createElement('button');
+        leave.textContent = t('common.leave');
+        leave.addEventListener('click', () => this.leaveCourse(course));
+        item.appendChild(leave);
+      }
+      list.appendChild(item);
+    });
+  }
+
+  async joinCourse(code) {
+    if (!code) return;
+
+    try {
+      const response = await fetch('/api/courses/join', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: code })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || t('course.joinFailed'));
+
+      document.getElementById('courseCode').value = '';
+      await this.loadCourses();
+      this.addMessage('system', t('course.joined', { course: data.name }));
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async leaveCourse(course) {
+    if (!confirm(t('course.leaveConfirm', { course: course.name }))) return;
+
+    try {
+      const response = await fetch('/api/courses/' + course.id + '/leave', { method: 'POST' });
+      if (!response.ok) throw new Error('Failed to leave the course');
+      await this.loadCourses();
+      await this.loadThreads();
+    } catch (error) {
+      alert(t('course.leaveFailed'));
+    }
+  }
+
+  // Reflects the current thread's course in the picker
+  showThreadCourse() {
+    const thread = this.threads.find(t => t.id === this.threadId);
+    const courseId = thread && thread.courseId;
+    this.courseSelect.value = this.courses.some(course => course.id === courseId) ? courseId : '';
+  }
+
+  async setThreadCourse(courseId) {
+    try {
+      await this.threadAction('course', { threadId: this.threadId, courseId: courseId });
+      const thread = this.threads.find(t => t.id === this.threadId);
+      if (thread) thread.courseId = courseId || undefined;
+      const name = courseId ? this.courseSelect.options[this.courseSelect.selectedIndex].textContent : null;
+      this.addMessage('system', name ? t('course.threadSet', { course: name }) : t('course.threadCleared'));
+    } catch (error) {
+      alert(t('course.threadFailed'));
+      this.showThreadCourse();
+    }
+  }
+
+  renderThreads() {
+    const showArchived = this.showArchived.checked;
+    this.threadList.innerHTML = '';
+
+    this.threads
+      .filter(t => showArchived || !t.archived || t.id === this.threadId)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .forEach(thread => {
+        const item = document.createElement('div');
+        item.className = 'thread-item' +
+          (thread.id === this.threadId ? ' active' : '') +
+          (thread.archived ? ' archived' : '');
+
+        const title = document.createElement('span');
+        title.className = 'thread-title';
+        title.textContent = thread.title;
+        title.title = thread.title;
+        item.appendChild(title);
+
+        item.appendChild(this.createThreadAction('✎', t('thread.rename'), () => this.renameThread(thread)));
+        item.appendChild(this.createThreadAction(thread.archived ? '↺' : '🗄', t(thread.archived ? 'thread.unarchive' : 'thread.archive'),
+          () => this.archiveThread(thread)));
+        item.appendChild(this.createThreadAction('🗑', t('common.delete'), () => this.deleteThread(thread)));
+
+        item.addEventListener('click', () => this.switchThread(thread.id));
+        this.threadList.appendChild(item);
+      });
+  }
+
+  createThreadAction(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'thread-action';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  setThreadId(threadId) {
+    this.threadId = threadId;
+    localStorage.setItem('threadId', threadId);
+  }
+
+  async switchThread(threadId) {
+    if (threadId === this.threadId || this.streamController) return;
+    await this.showThread(threadId);
+  }
+
+  async showThread(threadId) {
+    this.setThreadId(threadId);
+    this.renderThreads();
+    this.showThreadMode();
+    this.showThreadCourse();
+    this.messages.innerHTML = '';
+    await this.loadHistory();
+  }
+
+  async createThread() {
+    try {
+      const response = await fetch('/api/threads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      if (!response.ok) throw new Error('Failed to create thread');
+
+      const thread = await response.json();
+      this.threads.push(thread);
+      await this.switchThread(thread.id);
+      this.addMessage('system', t('chat.newThread'));
+    } catch (error) {
+      alert(t('thread.createFailed'));
+    }
+  }
+
+  async threadAction(action, body) {
+    const response = await fetch('/api/threads/' + action, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) throw new Error('Thread ' + action + ' failed');
+  }
+
+  async renameThread(thread) {
+    const title = prompt(t('thread.renamePrompt'), thread.title);
+    if (!title || !title.trim()) return;
+
+    try {
+      await this.threadAction('rename', { threadId: thread.id, title: title });
+      await this.loadThreads();
+    } catch (error) {
+      alert(t('thread.renameFailed'));
+    }
+  }
+
+  async archiveThread(thread) {
+    try {
+      await this.threadAction('archive', { threadId: thread.id, archived: !thread.archived });
+      await this.loadThreads();
+    } catch (error) {
+      alert(t('thread.archiveFailed'));
+    }
+  }
+
+  async deleteThread(thread) {
+    if (!confirm(t('thread.deleteConfirm', { title: thread.title }))) return;
+
+    try {
+      await this.threadAction('delete', { threadId: thread.id });
+      await this.offline.delete('history', thread.id);
+      const wasActive = thread.id === this.threadId;
+      await this.loadThreads();
+      if (wasActive) {
+        this.messages.innerHTML = '';
+        await this.loadHistory();
+      }
+    } catch (error) {
+      alert(t('thread.deleteFailed'));
+    }
+  }
+
+  async generateFlashcards(source) {
+    const typingId = this.showTypingIndicator();
+
+    try {
+      const response = await fetch('/api/flashcards/generate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(source)
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      const review = t('features.reviewFlashcards');
+      this.addMessage('system', data.length === 1
+        ? t('flashcards.createdOne', { review: review })
+        : t('flashcards.createdMany', { count: data.length, review: review }));
+    } catch (error) {
+      this.addMessage('system', t('flashcards.createFailed'));
+    } finally {
+      this.removeTypingIndicator(typingId);
+    }
+  }
+
+  async startReview() {
+    document.getElementById('reviewPanel').classList.remove('hidden');
+    this.reviewQueue = [];
+    await this.loadDueFlashcards();
+  }
+
+  async loadDueFlashcards() {
+    try {
+      const response = await fetch('/api/flashcards/due');
+      if (!response.ok) throw new Error('Failed to load flashcards');
+
+      const data = await response.json();
+      this.reviewQueue = data.cards;
+      this.reviewRemaining = data.remaining;
+    } catch (error) {
+      this.reviewQueue = [];
+      this.reviewRemaining = 0;
+    }
+    this.showNextFlashcard();
+  }
+
+  showNextFlashcard() {
+    const question = document.getElementById('flashcardQuestion');
+    const answer = document.getElementById('flashcardAnswer');
+    const status = document.getElementById('reviewStatus');
+    this.currentCard = this.reviewQueue[0] || null;
+
+    document.getElementById('showAnswer').style.display = this.currentCard ? '' : 'none';
+    document.querySelectorAll('.review-controls [data-grade]').forEach(button => {
+      button.style.display = 'none';
+    });
+    answer.style.display = 'none';
+
+    if (!this.currentCard) {
+      question.textContent = t('flashcards.none');
+      answer.innerHTML = '';
+      status.textContent = '';
+      return;
+    }
+
+    question.innerHTML = this.formatMessage(this.currentCard.question);
+    answer.innerHTML = this.formatMessage(this.currentCard.answer);
+    status.textContent = this.reviewRemaining === 1 ? t('flashcards.dueOne') : t('flashcards.dueMany', { count: this.reviewRemaining });
+  }
+
+  showFlashcardAnswer() {
+    if (!this.currentCard) return;
+
+    document.getElementById('flashcardAnswer').style.display = '';
+    document.getElementById('showAnswer').style.display = 'none';
+    document.querySelectorAll('.review-controls [data-grade]').forEach(button => {
+      button.style.display = '';
+    });
+  }
+
+  async gradeFlashcard(grade) {
+    if (!this.currentCard) return;
+
+    try {
+      const response = await fetch('/api/flashcards/' + encodeURIComponent(this.currentCard.id) + '/review', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ grade: grade })
+      });
+      if (!response.ok) throw new Error('Failed to save review');
+    } catch (error) {
+      alert(t('flashcards.reviewFailed'));
+      return;
+    }
+
+    this.reviewQueue.shift();
+    this.reviewRemaining = Math.max(0, this.reviewRemaining - 1);
+    if (this.reviewQueue.length === 0) {
+      await this.loadDueFlashcards();
+    } else {
+      this.showNextFlashcard();
+    }
+  }
+
+  openQuizPanel(title, text) {
+    document.getElementById('quizPanel').classList.remove('hidden');
+    document.getElementById('quizTitle').textContent = title;
+    const body = document.getElementById('quizBody');
+    body.innerHTML = '';
+    if (text) {
+      const note = document.createElement('p');
+      note.textContent = text;
+      body.appendChild(note);
+    }
+    return body;
+  }
+
+  // Asks for a topic unless one is given
+  async startQuiz(topic) {
+    if (topic === undefined) {
+      topic = prompt(t('quiz.topicPrompt'));
+      if (topic === null) return;
+    }
+
+    this.openQuizPanel(t('quiz.title'), t('quiz.writing'));
+
+    try {
+      const response = await fetch('/api/quiz/generate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(topic.trim()
+          ? { topic: topic.trim() }
+          : { threadId: this.threadId })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      this.renderQuiz(data);
+    } catch (error) {
+      this.openQuizPanel(t('quiz.title'), error.message || t('quiz.generateFailed'));
+    }
+  }
+
+  renderQuiz(quiz) {
+    const body = this.openQuizPanel(quiz.title);
+
+    quiz.questions.forEach((q, index) => {
+      const item = document.createElement('div');
+      item.className = 'quiz-question';
+      item.dataset.questionId = q.id;
+
+      const question = document.createElement('div');
+      question.innerHTML = '<strong class="quiz-number">' + (index + 1) + '.</strong> ' + this.formatMessage(q.question);
+      item.appendChild(question);
+
+      if (q.type === 'multiple_choice') {
+        q.choices.forEach((choice, choiceIndex) => {
+          const label = document.createElement('label');
+          const input = document.createElement('input');
+          input.type = 'radio';
+          input.name = 'quiz_' + q.id;
+          input.value = choiceIndex;
+          const text = document.createElement('span');
+          text.innerHTML = this.formatInline(choice);
+          label.appendChild(input);
+          label.appendChild(text);
+          item.appendChild(label);
+        });
+      } else {
+        const textarea = document.createElement('textarea');
+        textarea.name = 'quiz_' + q.id;
+        textarea.placeholder = t('quiz.answerPlaceholder');
+        item.appendChild(textarea);
+      }
+
+      body.appendChild(item);
+    });
+
+    const submit = document.createElement('button');
+    submit.textContent = t('quiz.submit');
+    submit.addEventListener('click', () => this.submitQuiz(quiz, submit));
+    body.appendChild(submit);
+  }
+
+  async submitQuiz(quiz, submitButton) {
+    const answers = {};
+    quiz.questions.forEach(q => {
+      if (q.type === 'multiple_choice') {
+        const checked = document.querySelector('input[name="quiz_' + q.id + '"]:checked');
+        answers[q.id] = checked ? parseInt(checked.value, 10) : null;
+      } else {
+        answers[q.id] = document.querySelector('textarea[name="quiz_' + q.id + '"]').value;
+      }
+    });
+
+    submitButton.disabled = true;
+    submitButton.textContent = t('quiz.grading');
+
+    try {
+      const response = await fetch('/api/quiz/' + encodeURIComponent(quiz.id) + '/submit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ answers: answers })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      this.renderQuizResult(result);
+      submitButton.remove();
+    } catch (error) {
+      submitButton.disabled = false;
+      submitButton.textContent = t('quiz.submit');
+      alert(error.message || t('quiz.submitFailed'));
+    }
+  }
+
+  renderQuizResult(result) {
+    const body = document.getElementById('quizBody');
+
+    result.graded.forEach(grade => {
+      const item = body.querySelector('[data-question-id="' + grade.questionId + '"]');
+      if (!item) return;
+
+      item.classList.add(grade.correct ? 'correct' : 'incorrect');
+      item.querySelectorAll('input, textarea').forEach(input => { input.disabled = true; });
+
+      const feedback = document.createElement('div');
+      feedback.className = 'quiz-feedback';
+      feedback.innerHTML = (grade.correct ? '✅ ' : '❌ ') +
+        '<strong>' + markdown.escapeHtml(t('quiz.answer')) + '</strong> ' + this.formatInline(grade.correctAnswer) +
+        (grade.feedback ? '<br>' + this.formatInline(grade.feedback) : '');
+      item.appendChild(feedback);
+    });
+
+    const score = document.createElement('div');
+    score.className = 'quiz-score';
+    score.textContent = t('quiz.score', { score: Math.round(result.score * 10) / 10, max: result.maxScore });
+    body.insertBefore(score, body.firstChild);
+  }
+
+  async showQuizProgress() {
+    const body = this.openQuizPanel(t('features.quizScores'), t('common.loading'));
+
+    try {
+      const response = await fetch('/api/quiz/results');
+      if (!response.ok) throw new Error('Failed to load results');
+      const data = await response.json();
+
+      body.innerHTML = '';
+      if (data.topics.length === 0) {
+        body.textContent = t('quiz.none', { quiz: t('features.quiz') });
+        return;
+      }
+
+      const table = document.createElement('table');
+      table.className = 'topic-scores';
+      table.appendChild(this.createTableHead(['table.topic', 'table.quizzes', 'table.average', 'table.lastTaken']));
+      const tbody = document.createElement('tbody');
+
+      data.topics.forEach(topic => {
+        const row = document.createElement('tr');
+        [
+          topic.topic,
+          topic.attempts,
+          Math.round(topic.average * 100) + '%',
+          new Date(topic.lastAttemptAt).toLocaleDateString()
+        ].forEach(value => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+
+      table.appendChild(tbody);
+      body.appendChild(table);
+    } catch (error) {
+      body.textContent = t('quiz.loadFailed');
+    }
+  }
+
+  async loadProgress() {
+    const body = document.getElementById('progressBody');
+    body.textContent = t('common.loading');
+
+    try {
+      const response = await fetch('/api/progress?timezoneOffset=' + new Date().getTimezoneOffset());
+      if (!response.ok) throw new Error('Failed to load progress');
+      this.renderProgress(await response.json());
+    } catch (error) {
+      body.textContent = t('progress.loadFailed');
+    }
+  }
+
+  renderProgress(progress) {
+    const body = document.getElementById('progressBody');
+    body.innerHTML = '';
+
+    if (progress.topics.length === 0) {
+      body.textContent = t('progress.empty');
+      return;
+    }
+
+    const streak = document.createElement('div');
+    streak.className = 'progress-streak';
+    streak.textContent = progress.streak.current > 0
+      ? t('progress.streak', { days: progress.streak.current, longest: progress.streak.longest })
+      : t('progress.noStreak', { longest: progress.streak.longest });
+    body.appendChild(streak);
+
+    body.appendChild(this.createHeading(t('progress.lastDays', { count: progress.activity.length })));
+    const chart = document.createElement('div');
+    chart.className = 'activity-chart';
+    const busiest = Math.max(1, ...progress.activity.map(day => day.questions + day.quizzes));
+    progress.activity.forEach(day => {
+      const column = document.createElement('div');
+      column.className = 'activity-day';
+      column.title = t('progress.dayTitle', { date: day.date, questions: day.questions, quizzes: day.quizzes });
+      [['questions', day.questions], ['quizzes', day.quizzes]].forEach(([kind, count]) => {
+        const bar = document.createElement('div');
+        bar.className = kind;
+        bar.style.height = (count / busiest * 100) + '%';
+        column.appendChild(bar);
+      });
+      chart.appendChild(column);
+    });
+    body.appendChild(chart);
+    const legend = document.createElement('div');
+    legend.className = 'activity-legend';
+    legend.textContent = t('progress.legend');
+    body.appendChild(legend);
+
+    if (progress.suggestions.length > 0) {
+      body.appendChild(this.createHeading(t('progress.revisit')));
+      progress.suggestions.forEach(suggestion => {
+        const item = document.createElement('div');
+        item.className = 'progress-suggestion';
+        const reasons = suggestion.reasons
+          .filter(reason => PROGRESS_REASONS[reason.code])
+          .map(reason => t(PROGRESS_REASONS[reason.code], reason))
+          .join(' · ');
+        const text = document.createElement('span');
+        text.innerHTML = '<strong>' + markdown.escapeHtml(suggestion.name) + '</strong>: ' + markdown.escapeHtml(reasons);
+        const quiz = document.createElement('button');
+        quiz.textContent = t('features.quiz');
+        quiz.addEventListener('click', () => {
+          document.getElementById('progressPanel').classList.add('hidden');
+          this.startQuiz(suggestion.name);
+        });
+        item.append(text, quiz);
+        body.appendChild(item);
+      });
+    }
+
+    body.appendChild(this.createHeading(t('progress.topics')));
+    const table = document.createElement('table');
+    table.className = 'topic-scores';
+    table.appendChild(this.createTableHead(['table.topic', 'table.questions', 'table.unsure', 'table.quizzes', 'table.average', 'table.lastStudied']));
+    const tbody = document.createElement('tbody');
+    progress.topics.forEach(topic => {
+      const row = document.createElement('tr');
+      [
+        topic.name,
+        topic.questions,
+        topic.confused,
+        topic.quizAttempts,
+        topic.quizAverage === null ? '–' : Math.round(topic.quizAverage * 100) + '%',
+        new Date(topic.lastStudiedAt).toLocaleDateString()
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    body.appendChild(table);
+  }
+
+  createHeading(text) {
+    const heading = document.createElement('h3');
+    heading.textContent = text;
+    return heading;
+  }
+
+  // A table header row with a column for each UI text key
+  createTableHead(keys) {
+    const head = document.createElement('thead');
+    const row = head.insertRow();
+    keys.forEach(key => {
+      const cell = document.createElement('th');
+      cell.textContent = t(key);
+      row.appendChild(cell);
+    });
+    return head;
+  }
+
+  // Study rooms. Messages arrive over a WebSocket; posting goes through the
+  // API so that quotas apply. A dropped socket reconnects with backoff and
+  // asks only for the messages it missed, counted from the last one the
+  // socket delivered (a message we posted may have overtaken others).
+
+  roomMemberName() {
+    const input = document.getElementById('roomMemberName');
+    const name = input.value.trim();
+    if (!name) {
+      alert(t('room.nameNeeded'));
+      input.focus();
+      return null;
+    }
+    localStorage.setItem('roomMemberName', name);
+    return name;
+  }
+
+  async createRoom(name) {
+    if (!this.roomMemberName()) return;
+
+    try {
+      const response = await fetch('/api/rooms', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      document.getElementById('roomName').value = '';
+      await this.joinRoom(data.code);
+    } catch (error) {
+      alert(error.message || t('room.createFailed'));
+    }
+  }
+
+  async joinRoom(code) {
+    const name = this.roomMemberName();
+    if (!name || !code) return;
+
+    try {
+      const response = await fetch('/api/rooms/' + encodeURIComponent(code));
+      const data = await response.json();
+      if (!response.ok) throw new Error(response.status === 404 ? t('room.notFound') : data.error);
+
+      this.room = { code: data.code, name: name, info: data, socket: null, you: null, lastMessageId: 0, attempts: 0, retryTimer: null, typingSentAt: 0 };
+      localStorage.setItem('roomCode', data.code);
+      document.getElementById('roomMessages').innerHTML = '';
+      document.getElementById('roomLobby').classList.add('hidden');
+      document.getElementById('roomView').classList.remove('hidden');
+      this.renderRoomInfo();
+      this.connectRoom();
+    } catch (error) {
+      if (localStorage.getItem('roomCode') === code) localStorage.removeItem('roomCode');
+      alert(error.message || t('room.joinFailed'));
+    }
+  }
+
+  connectRoom() {
+    const room = this.room;
+    clearTimeout(room.retryTimer);
+
+    const params = new URLSearchParams({ name: room.name });
+    if (room.lastMessageId) params.set('after', room.lastMessageId);
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(protocol + '//' + location.host + '/api/rooms/' + room.code + '/ws?' + params);
+    room.socket = socket;
+    this.setRoomStatus(t('room.connecting'), false);
+
+    let heartbeat = null;
+    socket.addEventListener('open', () => {
+      room.attempts = 0;
+      this.setRoomStatus(t('room.connected', { code: room.code }), false);
+      heartbeat = setInterval(() => socket.send('ping'), 30000);
+    });
+
+    socket.addEventListener('message', (e) => {
+      if (e.data === 'pong') return;
+      this.handleRoomEvent(JSON.parse(e.data));
+    });
+
+    socket.addEventListener('close', () => {
+      clearInterval(heartbeat);
+      if (this.room !== room || room.socket !== socket) return;
+
+      // Back off up to 30 seconds between attempts, with some jitter so a
+      // whole room does not reconnect at the same instant
+      room.socket = null;
+      const delay = Math.min(30000, 1000 * 2 ** room.attempts) + Math.random() * 1000;
+      room.attempts++;
+      this.setRoomStatus(t('room.reconnecting'), true);
+      room.retryTimer = setTimeout(() => {
+        if (this.room === room) this.connectRoom();
+      }, delay);
+    });
+  }
+
+  handleRoomEvent(event) {
+    const room = this.room;
+    const list = document.getElementById('roomMessages');
+
+    if (event.type === 'welcome') {
+      room.you = event.you;
+      room.info = event.room;
+      if (event.messages.length > 0) room.lastMessageId = event.messages[event.messages.length - 1].id;
+      if (event.reset) list.innerHTML = '';
+      event.messages.forEach(message => this.appendRoomMessage(message));
+      event.statuses.forEach(status => {
+        const question = list.querySelector('[data-room-message-id="' + status.messageId + '"]');
+        if (question) question.dataset.aiStatus = status.aiStatus;
+      });
+      this.renderRoomInfo();
+      this.renderRoomMembers(event.members);
+      list.querySelectorAll('.message[data-ai-status]').forEach(question => {
+        this.updateRoomQuestion(question, question.dataset.aiStatus);
+      });
+    } else if (event.type === 'presence') {
+      this.renderRoomMembers(event.members);
+    } else if (event.type === 'message') {
+      this.appendRoomMessage(event.message);
+      room.lastMessageId = Math.max(room.lastMessageId, event.message.id);
+    } else if (event.type === 'status') {
+      const question = list.querySelector('[data-room-message-id="' + event.messageId + '"]');
+      if (question) this.updateRoomQuestion(question, event.aiStatus);
+    } else if (event.type === 'settings') {
+      room.info.aiMode = event.aiMode;
+      this.renderRoomInfo();
+      list.querySelectorAll('.message[data-ai-status]').forEach(question => {
+        this.updateRoomQuestion(question, question.dataset.aiStatus);
+      });
+    } else if (event.type === 'typing') {
+      const typing = document.getElementById('roomTyping');
+      typing.textContent = t('room.typing', { name: event.name });
+      clearTimeout(room.typingTimer);
+      room.typingTimer = setTimeout(() => { typing.textContent = ''; }, 3000);
+    }
+  }
+
+  appendRoomMessage(message) {
+    const room = this.room;
+    const list = document.getElementById('roomMessages');
+    if (list.querySelector('[data-room-message-id="' + message.id + '"]')) return;
+
+    const own = message.role === 'user' && room.you && message.memberId === room.you.memberId;
+    const type = message.role === 'assistant' ? 'assistant' : own ? 'user' : 'peer';
+    const messageDiv = this.createMessage(type, message.content, null, message.createdAt);
+    messageDiv.dataset.roomMessageId = message.id;
+
+    if (!own) {
+      const author = document.createElement('div');
+      author.className = 'room-author';
+      author.textContent = message.role === 'assistant' ? t('common.assistant') : message.name;
+      messageDiv.querySelector('.message-content').prepend(author);
+    }
+    if (message.role === 'user') {
+      this.updateRoomQuestion(messageDiv, message.aiStatus || '');
+    } else if (message.replyTo) {
+      const question = list.querySelector('[data-room-message-id="' + message.replyTo + '"]');
+      if (question) this.updateRoomQuestion(question, 'answered');
+    }
+
+    list.appendChild(messageDiv);
+    list.scrollTop = list.scrollHeight;
+  }
+
+  // Shows whether the assistant is answering a question, and gives the
+  // moderator a button to have it answered
+  updateRoomQuestion(messageDiv, aiStatus) {
+    const room = this.room;
+    messageDiv.dataset.aiStatus = aiStatus;
+
+    const content = messageDiv.querySelector('.message-content');
+    let status = content.querySelector('.room-ai-status');
+    if (!status) {
+      status = document.createElement('div');
+      status.className = 'room-ai-status';
+      content.appendChild(status);
+    }
+    status.textContent = aiStatus === 'pending' ? t('room.answering')
+      : aiStatus === 'failed' ? t('room.answerFailed') : '';
+
+    const existing = messageDiv.querySelector('.message-action');
+    if (existing) existing.remove();
+    const canAsk = room.info.moderator && room.info.aiMode !== 'off' && aiStatus !== 'pending' && aiStatus !== 'answered';
+    if (canAsk) {
+      messageDiv.appendChild(this.createMessageAction(t('room.answer'), t('room.answerTitle'), () => this.askRoomAssistant(messageDiv)));
+    }
+  }
+
+  renderRoomInfo() {
+    const info = this.room.info;
+    // The room's name stands in for the translated panel title until it is left
+    const title = document.getElementById('roomTitle');
+    title.textContent = info.name;
+    delete title.dataset.i18n;
+    const select = document.getElementById('roomAiMode');
+    select.value = info.aiMode;
+    select.disabled = !info.moderator;
+  }
+
+  renderRoomMembers(members) {
+    const container = document.getElementById('roomMembers');
+    container.innerHTML = '';
+    members.forEach(member => {
+      const chip = document.createElement('span');
+      chip.className = 'room-member';
+      chip.textContent = member.moderator ? t('room.moderator', { name: member.name }) : member.name;
+      container.appendChild(chip);
+    });
+  }
+
+  setRoomStatus(text, offline) {
+    const status = document.getElementById('roomStatus');
+    status.textContent = text;
+    status.classList.toggle('offline', offline);
+  }
+
+  async sendRoomMessage() {
+    const input = document.getElementById('roomMessageInput');
+    const content = input.value.trim();
+    if (!content || !this.room) return;
+
+    try {
+      const response = await fetch('/api/rooms/' + this.room.code + '/messages', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: content })
+      });
+      const data = await response.json();
+      if (response.status === 429) throw new Error(t('common.retryIn', { error: data.error, wait: this.formatWait(data.retryAfter) }));
+      if (!response.ok) throw new Error(data.error);
+
+      input.value = '';
+      this.appendRoomMessage(data.message);
+      this.loadUsage();
+    } catch (error) {
+      alert(error.message || t('room.sendFailed'));
+    }
+  }
+
+  // Lets the others know at most every two seconds
+  sendRoomTyping() {
+    const room = this.room;
+    if (!room || !room.socket || room.socket.readyState !== WebSocket.OPEN) return;
+    if (Date.now() - room.typingSentAt < 2000) return;
+    room.typingSentAt = Date.now();
+    room.socket.send(JSON.stringify({ type: 'typing' }));
+  }
+
+  async askRoomAssistant(messageDiv) {
+    try {
+      const response = await fetch('/api/rooms/' + this.room.code + '/messages/' + messageDiv.dataset.roomMessageId + '/answer', { method: 'POST' });
+      const data = await response.json();
+      if (response.status === 429) throw new Error(t('common.retryIn', { error: data.error, wait: this.formatWait(data.retryAfter) }));
+      if (!response.ok) throw new Error(data.error);
+    } catch (error) {
+      alert(error.message || t('room.askFailed'));
+    }
+  }
+
+  async setRoomAiMode(aiMode) {
+    try {
+      const response = await fetch('/api/rooms/' + this.room.code + '/settings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ aiMode: aiMode })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+    } catch (error) {
+      alert(error.message || t('room.settingFailed'));
+      this.renderRoomInfo();
+    }
+  }
+
+  leaveRoom() {
+    const room = this.room;
+    this.room = null;
+    clearTimeout(room.retryTimer);
+    if (room.socket) room.socket.close();
+    localStorage.removeItem('roomCode');
+
+    const title = document.getElementById('roomTitle');
+    title.dataset.i18n = 'features.room';
+    title.textContent = t('features.room');
+    document.getElementById('roomView').classList.add('hidden');
+    document.getElementById('roomLobby').classList.remove('hidden');
+  }
+
+  async loadPlans() {
+    const list = document.getElementById('planList');
+
+    try {
+      const response = await fetch('/api/plans');
+      if (!response.ok) throw new Error('Failed to load plans');
+      this.renderPlans(await response.json());
+    } catch (error) {
+      list.textContent = t('plan.loadFailed');
+    }
+  }
+
+  async createPlan(form) {
+    const submit = form.querySelector('button[type="submit"]');
+    submit.disabled = true;
+    submit.textContent = t('plan.planning');
+
+    try {
+      const response = await fetch('/api/plans', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          goal: document.getElementById('planGoal').value.trim(),
+          deadline: document.getElementById('planDeadline').value,
+          timezoneOffset: new Date().getTimezoneOffset()
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      form.reset();
+      await this.loadPlans();
+    } catch (error) {
+      alert(error.message || t('plan.createFailed'));
+    } finally {
+      submit.disabled = false;
+      submit.textContent = t('plan.create');
+    }
+  }
+
+  // Active plans show today's items, review questions and missed days to
+  // catch up on; every plan has its full schedule folded away below
+  renderPlans(plans) {
+    const list = document.getElementById('planList');
+    list.innerHTML = '';
+
+    if (plans.length === 0) {
+      list.textContent = t('plan.empty');
+      return;
+    }
+
+    plans.forEach(plan => {
+      const section = document.createElement('div');
+      section.appendChild(this.createHeading(plan.title));
+
+      const meta = document.createElement('div');
+      meta.className = 'plan-meta';
+      const done = plan.items.filter(item => item.status === 'done').length;
+      meta.textContent = t('plan.meta', { goal: plan.goal, deadline: plan.deadline, done: done, total: plan.items.length }) +
+        (plan.status === 'finished' ? ' · ' + t('plan.finished') : '');
+      section.appendChild(meta);
+
+      if (plan.today) {
+        const todayItems = plan.items.filter(item => item.day === plan.today.day);
+        if (todayItems.length === 0) {
+          const rest = document.createElement('p');
+          rest.textContent = t('plan.nothingToday');
+          section.appendChild(rest);
+        }
+        todayItems.forEach(item => section.appendChild(this.createPlanItem(plan, item)));
+
+        const reviews = plan.today.prompts.filter(prompt => prompt.kind === 'review');
+        if (reviews.length > 0) {
+          const heading = document.createElement('strong');
+          heading.textContent = t('plan.testYourself');
+          section.appendChild(heading);
+          const questions = document.createElement('ul');
+          questions.className = 'plan-tasks';
+          reviews.forEach(prompt => {
+            const question = document.createElement('li');
+            question.textContent = prompt.text + ' (' + prompt.topic + ')';
+            questions.appendChild(question);
+          });
+          section.appendChild(questions);
+        }
+
+        const missed = plan.items.filter(item => item.status === 'missed');
+        if (missed.length > 0) {
+          const heading = document.createElement('strong');
+          heading.textContent = t('plan.catchUp');
+          section.appendChild(heading);
+          missed.forEach(item => section.appendChild(this.createPlanItem(plan, item)));
+        }
+
+        plan.today.prompts.filter(prompt => prompt.kind === 'flashcards').forEach(prompt => {
+          const flashcards = this.createMessageAction('🃏 ' + prompt.text, t('plan.reviewFlashcards'), () => this.startReview());
+          section.appendChild(flashcards);
+        });
+      }
+
+      const schedule = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = t('plan.schedule');
+      schedule.appendChild(summary);
+      plan.items.forEach(item => schedule.appendChild(this.createPlanItem(plan, item)));
+      section.appendChild(schedule);
+
+      const remove = this.createMessageAction(t('plan.delete'), t('plan.deleteTitle'), () => this.deletePlan(plan));
+      section.appendChild(remove);
+      list.appendChild(section);
+    });
+  }
+
+  createPlanItem(plan, item) {
+    const row = document.createElement('div');
+    row.className = 'plan-item ' + item.status;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = item.status === 'done';
+    checkbox.title = t('plan.done');
+    checkbox.addEventListener('change', () => this.updatePlanItem(plan, item, 'complete', { done: checkbox.checked }));
+    row.appendChild(checkbox);
+
+    const details = document.createElement('div');
+    const topic = document.createElement('div');
+    topic.className = 'plan-topic';
+    topic.textContent = item.day + ' · ' + (item.status === 'missed' ? t('plan.missed', { topic: item.topic }) : item.topic);
+    details.appendChild(topic);
+    const tasks = document.createElement('ul');
+    tasks.className = 'plan-tasks';
+    item.tasks.forEach(task => {
+      const entry = document.createElement('li');
+      entry.textContent = task;
+      tasks.appendChild(entry);
+    });
+    details.appendChild(tasks);
+    row.appendChild(details);
+
+    if (plan.today && item.status !== 'done' && item.day !== plan.today.day) {
+      row.appendChild(this.createMessageAction(t('plan.moveToday'), t('plan.moveTodayTitle'),
+        () => this.updatePlanItem(plan, item, '', { day: plan.today.day })));
+    }
+    return row;
+  }
+
+  // action is 'complete', or '' to adjust the item
+  async updatePlanItem(plan, item, action, fields) {
+    try {
+      const response = await fetch('/api/plans/' + encodeURIComponent(plan.id) + '/items/' + item.id + (action ? '/' + action : ''), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields)
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+    } catch (error) {
+      alert(error.message || t('plan.updateFailed'));
+    }
+    await this.loadPlans();
+  }
+
+  async deletePlan(plan) {
+    if (!confirm(t('plan.deleteConfirm', { title: plan.title }))) return;
+
+    try {
+      const response = await fetch('/api/plans/' + encodeURIComponent(plan.id) + '/delete', { method: 'POST' });
+      if (!response.ok) throw new Error('Delete failed');
+      await this.loadPlans();
+    } catch (error) {
+      alert(t('plan.deleteFailed'));
+    }
+  }
+
+  async loadDocuments() {
+    const list = document.getElementById('documentList');
+
+    try {
+      const response = await fetch('/api/documents');
+      if (!response.ok) throw new Error('Failed to load documents');
+      const documents = await response.json();
+
+      list.innerHTML = '';
+      if (documents.length === 0) {
+        list.textContent = t('notes.empty');
+        return;
+      }
+
+      documents.forEach(doc => {
+        const item = document.createElement('div');
+        item.className = 'document-item';
+
+        const label = document.createElement('span');
+        label.textContent = doc.name + ' ';
+        const details = document.createElement('small');
+        details.textContent = t('notes.details', { count: doc.chunkCount, date: new Date(doc.createdAt).toLocaleDateString() });
+        label.appendChild(details);
+        item.appendChild(label);
+
+        const remove = document.createElement('button');
+        remove.textContent = t('common.delete');
+        remove.addEventListener('click', () => this.deleteDocument(doc));
+        item.appendChild(remove);
+
+        list.appendChild(item);
+      });
+    } catch (error) {
+      list.textContent = t('notes.loadFailed');
+    }
+  }
+
+  async uploadDocument(file, input) {
+    const list = document.getElementById('documentList');
+    const form = new FormData();
+    form.append('file', file);
 
-    // CORS headers for development
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-    };
+    input.disabled = true;
+    list.textContent = t('notes.uploading', { name: file.name });
 
-    // Handle CORS preflight
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders });
+    try {
+      const response = await fetch('/api/documents', { method: 'POST', body: form });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+    } catch (error) {
+      alert(error.message || t('notes.uploadFailed'));
+    } finally {
+      input.disabled = false;
+      input.value = '';
+      this.loadDocuments();
     }
+  }
 
-    try {
-      // API Routes
-      if (url.pathname === '/api/chat') {
-        return await handleChatRequest(request, env, corsHeaders);
-      } else if (url.pathname === '/api/session') {
-        return await handleSessionRequest(request, env, corsHeaders);
-      } else if (url.pathname === '/api/session/clear') {
-        return await handleClearSessionRequest(request, env, corsHeaders);
-      } else if (url.pathname === '/api/voice') {
-        return await handleVoiceRequest(request, env, corsHeaders);
-      }
+  async deleteDocument(doc) {
+    if (!confirm(t('notes.deleteConfirm', { name: doc.name }))) return;
 
-      // Serve static frontend
-      return new Response(getHTMLContent(), {
-        headers: {
-          'Content-Type': 'text/html',
-          ...corsHeaders
-        }
+    try {
+      const response = await fetch('/api/documents/delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ documentId: doc.id })
       });
+      if (!response.ok) throw new Error('Delete failed');
     } catch (error) {
-      return new Response(JSON.stringify({ error: error.message }), {
-        status: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          ...corsHeaders
-        }
-      });
+      alert(t('notes.deleteFailed'));
     }
+    this.loadDocuments();
   }
-};
 
-export async function handleChatRequest(request, env, corsHeaders) {
-  if (request.method !== 'POST') {
-    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+  async authRequest(path, body) {
+    const response = await fetch('/api/auth/' + path, body === undefined ? {} : {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('account.requestFailed'));
+    return data;
   }
 
-  const { userId, message } = await request.json();
+  async openAccountPanel() {
+    document.getElementById('accountPanel').classList.remove('hidden');
+    const body = document.getElementById('accountBody');
+    body.innerHTML = '';
 
-  if (!userId || !message) {
-    return new Response(JSON.stringify({ error: 'Missing userId or message' }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    try {
+      this.identity = await this.authRequest('me');
+    } catch (error) {
+      body.textContent = t('account.loadFailed');
+      return;
+    }
+
+    const status = document.createElement('p');
+    status.textContent = this.identity.guest
+      ? t('account.guest')
+      : t('account.signedIn', { email: this.identity.email });
+    body.appendChild(status);
+
+    if (this.identity.guest) {
+      body.appendChild(this.createAccountForm(t('account.createTitle'), t('account.create'), 'new-password', async (email, password) => {
+        await this.authRequest('register', { email: email, password: password });
+        await this.openAccountPanel();
+      }));
+      body.appendChild(this.createAccountForm(t('account.signInTitle'), t('account.signIn'), 'current-password', async (email, password) => {
+        const identity = await this.authRequest('login', { email: email, password: password });
+        if (identity.userId !== this.identity.userId) await this.forgetLocalUser();
+        location.reload();
+      }, t('account.signInNote')));
+    }
+
+    body.appendChild(this.createLinkSection());
+    await this.appendDeviceList(body);
+
+    const logout = document.createElement('button');
+    logout.textContent = t('account.signOut');
+    logout.addEventListener('click', async () => {
+      if (this.identity.guest && !confirm(t('account.signOutConfirm'))) return;
+      await this.authRequest('logout', {});
+      await this.forgetLocalUser();
+      location.reload();
     });
+    body.appendChild(logout);
   }
 
-  // Get or create session using Durable Object
-  const sessionId = env.SESSION_MANAGER.idFromName(userId);
-  const session = env.SESSION_MANAGER.get(sessionId);
+  // Leaves nothing of the signed-in user on this device: the saved identity
+  // that opens their copy offline, and the copy itself with any questions
+  // still queued, so the next person on a shared browser cannot read them
+  async forgetLocalUser() {
+    localStorage.removeItem('identity');
+    localStorage.removeItem('threadId');
+    await this.offline.clear();
+  }
 
-  // Get conversation history
-  const historyResponse = await session.fetch(new Request('http://session/history'));
-  const history = await historyResponse.json();
+  createAccountForm(title, buttonLabel, passwordAutocomplete, onSubmit, note) {
+    const form = document.createElement('form');
+    form.innerHTML = '<h3></h3>' +
+      '<input type="email" name="email" autocomplete="email" required>' +
+      '<input type="password" name="password" minlength="8" required>' +
+      '<button type="submit"></button>';
+    form.querySelector('h3').textContent = title;
+    form.email.placeholder = t('account.email');
+    form.password.placeholder = t('account.password');
+    form.querySelector('[name="password"]').autocomplete = passwordAutocomplete;
+    form.querySelector('button').textContent = buttonLabel;
 
-  // Build context from recent history (last 5 interactions)
-  const recentHistory = history.slice(-5).map(h => ({
-    user: h.userMessage,
-    assistant: h.aiResponse
-  }));
+    if (note) {
+      const small = document.createElement('small');
+      small.textContent = note;
+      form.appendChild(small);
+    }
 
-  // Generate AI response
-  let aiResponse;
-  try {
-    const prompt = buildPrompt(message, recentHistory);
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await onSubmit(form.email.value, form.password.value);
+      } catch (error) {
+        alert(error.message);
+      }
+    });
+    return form;
+  }
 
-    // Use Cloudflare AI with increased token limit
-    const response = await env.AI.run('@cf/meta/llama-3.2-3b-instruct', {
-      prompt: prompt,
-      max_tokens: 2048,  // Increased from 500 to 2048 for complete responses
-      temperature: 0.7
+  createLinkSection() {
+    const section = document.createElement('div');
+    section.className = 'account-body';
+    section.innerHTML = '<h3></h3>' +
+      '<button type="button" class="start-link"></button>' +
+      '<div class="link-code"></div>' +
+      '<form><input name="code" autocomplete="off" required>' +
+      '<button type="submit"></button></form>';
+    section.querySelector('h3').textContent = t('devices.link');
+    section.querySelector('.start-link').textContent = t('devices.showCode');
+    section.querySelector('[name="code"]').placeholder = t('devices.codePlaceholder');
+    section.querySelector('[type="submit"]').textContent = t('devices.linkThis');
+
+    section.querySelector('.start-link').addEventListener('click', async () => {
+      try {
+        const link = await this.authRequest('link/start', {});
+        section.querySelector('.link-code').textContent = link.code;
+      } catch (error) {
+        alert(error.message);
+      }
     });
 
-    aiResponse = response.response || 'I apologize, but I could not generate a response. Please try again.';
-  } catch (error) {
-    console.error('AI Error:', error);
-    aiResponse = 'I encountered an error while processing your request. Please try again.';
+    const form = section.querySelector('form');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!confirm(t('devices.linkConfirm'))) return;
+      try {
+        const identity = await this.authRequest('link/complete', { code: form.code.value });
+        if (identity.userId !== this.identity.userId) await this.forgetLocalUser();
+        localStorage.removeItem('threadId');
+        location.reload();
+      } catch (error) {
+        alert(error.message);
+      }
+    });
+    return section;
   }
 
-  // Store the interaction in session
-  await session.fetch(new Request('http://session/add', {
-    method: 'POST',
-    body: JSON.stringify({ message, response: aiResponse })
-  }));
+  async appendDeviceList(body) {
+    let devices;
+    try {
+      devices = await this.authRequest('devices');
+    } catch (error) {
+      return;
+    }
 
-  return new Response(JSON.stringify({
-    response: aiResponse,
-    sessionId: userId
-  }), {
-    headers: {
-      'Content-Type': 'application/json',
-      ...corsHeaders
+    const heading = document.createElement('h3');
+    heading.textContent = t('devices.heading');
+    body.appendChild(heading);
+
+    devices.forEach(device => {
+      const item = document.createElement('div');
+      item.className = 'device-item';
+
+      const label = document.createElement('span');
+      label.textContent = (device.current ? t('devices.current', { name: device.name }) : device.name) +
+        ' · ' + t('devices.lastSeen', { date: new Date(device.lastSeenAt).toLocaleDateString() });
+      item.appendChild(label);
+
+      if (!device.current) {
+        const revoke = document.createElement('button');
+        revoke.textContent = t('devices.signOut');
+        revoke.addEventListener('click', async () => {
+          try {
+            await this.authRequest('devices/revoke', { deviceId: device.id });
+            item.remove();
+          } catch (error) {
+            alert(error.message);
+          }
+        });
+        item.appendChild(revoke);
+      }
+      body.appendChild(item);
+    });
+  }
+
+  // Downloads an export built by the server from stored history
+  async searchConversations() {
+    const results = document.getElementById('searchResults');
+    const query = document.getElementById('searchQuery').value.trim();
+    if (!query) return;
+
+    const params = new URLSearchParams({ q: query, mode: document.getElementById('searchMode').value });
+    const topic = document.getElementById('searchTopic').value.trim();
+    const from = document.getElementById('searchFrom').value;
+    const to = document.getElementById('searchTo').value;
+    if (topic) params.set('topic', topic);
+    // Date pickers give days in the student's time zone
+    if (from) params.set('from', new Date(from + 'T00:00').getTime());
+    if (to) {
+      const end = new Date(to + 'T00:00');
+      end.setDate(end.getDate() + 1);
+      params.set('to', end.getTime() - 1);
     }
-  });
-}
+    if (document.getElementById('searchThisThread').checked) params.set('threadId', this.threadId);
 
-async function handleSessionRequest(request, env, corsHeaders) {
-  const url = new URL(request.url);
-  const userId = url.searchParams.get('userId');
+    results.textContent = t('search.searching');
+    try {
+      const response = await fetch('/api/session/search?' + params);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      this.renderSearchResults(data);
+    } catch (error) {
+      results.textContent = error.message || t('search.failed');
+    }
+  }
 
-  if (!userId) {
-    return new Response(JSON.stringify({ error: 'Missing userId' }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  renderSearchResults(data) {
+    const results = document.getElementById('searchResults');
+    results.innerHTML = '';
+    if (data.results.length === 0) {
+      results.textContent = t('search.none');
+    }
+
+    data.results.forEach(result => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'search-result';
+
+      const details = document.createElement('small');
+      details.textContent = result.threadTitle + ' · ' + t(result.role === 'user' ? 'common.you' : 'common.assistant') +
+        ' · ' + new Date(result.timestamp).toLocaleString();
+      item.appendChild(details);
+
+      // The server escapes snippets and marks the matches
+      const snippet = document.createElement('div');
+      snippet.innerHTML = result.snippet;
+      item.appendChild(snippet);
+
+      item.addEventListener('click', () => {
+        document.getElementById('searchPanel').classList.add('hidden');
+        this.jumpToMessage(result.threadId, result.messageId);
+      });
+      results.appendChild(item);
     });
+
+    if (data.unindexed > 0) {
+      const note = document.createElement('p');
+      note.textContent = t('search.unindexed', { count: data.unindexed });
+      results.appendChild(note);
+    }
   }
 
-  const sessionId = env.SESSION_MANAGER.idFromName(userId);
-  const session = env.SESSION_MANAGER.get(sessionId);
+  // Opens the message's thread (and branch) and pages back through its
+  // history until the message is on screen
+  async jumpToMessage(threadId, messageId) {
+    if (this.streamController) return;
 
-  const response = await session.fetch(new Request('http://session/history'));
-  const history = await response.json();
+    const selector = '[data-message-id="' + messageId + '"]';
+    if (threadId !== this.threadId || !this.messages.querySelector(selector)) {
+      // A message on another branch of the thread shows once that branch is active
+      await this.threadAction('branch', { threadId: threadId, messageId: messageId }).catch(() => {});
+      await this.showThread(threadId);
+    }
 
-  return new Response(JSON.stringify(history), {
-    headers: {
-      'Content-Type': 'application/json',
-      ...corsHeaders
+    let target = this.messages.querySelector(selector);
+    while (!target && this.historyCursor) {
+      const cursor = this.historyCursor;
+      await this.loadOlderMessages();
+      // A failed page leaves the cursor where it was
+      if (this.historyCursor === cursor && !this.loadingOlder) break;
+      target = this.messages.querySelector(selector);
     }
-  });
-}
 
-async function handleClearSessionRequest(request, env, corsHeaders) {
-  if (request.method !== 'POST') {
-    return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+    if (!target) {
+      this.addMessage('system', t('search.notFound'));
+      return;
+    }
+    target.scrollIntoView({ block: 'center' });
+    target.classList.add('highlighted');
+    setTimeout(() => target.classList.remove('highlighted'), 2000);
   }
 
-  const url = new URL(request.url);
-  const userId = url.searchParams.get('userId');
+  async exportChat(format) {
+    const params = new URLSearchParams({ format: format });
+    if (!document.getElementById('exportAllThreads').checked) {
+      params.set('threadId', this.threadId);
+    }
 
-  if (!userId) {
-    return new Response(JSON.stringify({ error: 'Missing userId' }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders }
-    });
+    try {
+      const response = await fetch('/api/session/export?' + params);
+      if (!response.ok) throw new Error('Export failed');
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = /filename="([^"]+)"/.exec(disposition);
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = match ? match[1] : 'study-assistant-export';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(t('export.failed'));
+    }
   }
 
-  const sessionId = env.SESSION_MANAGER.idFromName(userId);
-  const session = env.SESSION_MANAGER.get(sessionId);
+  // Shares this thread, or the range of it given as fromMessageId and
+  // toMessageId, and offers the link to copy
+  async createShare(options) {
+    try {
+      const response = await fetch('/api/share', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.assign({ threadId: this.threadId }, options))
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
 
-  await session.fetch(new Request('http://session/clear', { method: 'POST' }));
+      prompt(t('share.created', { export: t('features.export') }), data.url);
+      if (!document.getElementById('exportPanel').classList.contains('hidden')) this.loadShares();
+    } catch (error) {
+      alert(error.message || t('share.createFailed'));
+    }
+  }
 
-  return new Response(JSON.stringify({ success: true }), {
-    headers: {
-      'Content-Type': 'application/json',
-      ...corsHeaders
+  // Shares an answer together with the question before it
+  shareAnswer(messageDiv) {
+    let question = messageDiv.previousElementSibling;
+    while (question && !question.classList.contains('user')) {
+      question = question.previousElementSibling;
     }
-  });
-}
 
-async function handleVoiceRequest(request, env, corsHeaders) {
-  // Voice transcription endpoint (optional implementation)
-  return new Response(JSON.stringify({
-    error: 'Voice transcription not yet implemented'
-  }), {
-    status: 501,
-    headers: {
-      'Content-Type': 'application/json',
-      ...corsHeaders
+    const toMessageId = Number(messageDiv.dataset.messageId);
+    const fromMessageId = question && question.dataset.messageId ? Number(question.dataset.messageId) : toMessageId;
+    this.createShare({ fromMessageId: fromMessageId, toMessageId: toMessageId });
+  }
+
+  async loadShares() {
+    const list = document.getElementById('shareList');
+
+    try {
+      const response = await fetch('/api/share');
+      if (!response.ok) throw new Error('Failed to load shares');
+      const shares = await response.json();
+
+      list.innerHTML = '';
+      if (shares.length === 0) {
+        list.textContent = t('share.empty');
+        return;
+      }
+
+      shares.forEach(share => {
+        const item = document.createElement('div');
+        item.className = 'document-item share-item';
+
+        const label = document.createElement('span');
+        const link = document.createElement('a');
+        link.href = share.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = share.title;
+        const details = document.createElement('small');
+        details.textContent = ' ' + (share.messageCount === 1 ? t('share.messageOne') : t('share.messageMany', { count: share.messageCount })) +
+          ' · ' + new Date(share.createdAt).toLocaleDateString() +
+          (share.expired ? ' · ' + t('share.expired')
+            : share.expiresAt ? ' · ' + t('share.openUntil', { date: new Date(share.expiresAt).toLocaleDateString() }) : '');
+        label.append(link, details);
+        item.appendChild(label);
+
+        const actions = document.createElement('span');
+        actions.className = 'share-actions';
+        if (!share.expired) {
+          const copy = document.createElement('button');
+          copy.textContent = t('share.copy');
+          copy.addEventListener('click', () => this.copyShareLink(copy, share.url));
+          actions.appendChild(copy);
+        }
+        const revoke = document.createElement('button');
+        revoke.textContent = t(share.expired ? 'common.delete' : 'share.revoke');
+        revoke.addEventListener('click', () => this.revokeShare(share));
+        actions.appendChild(revoke);
+        item.appendChild(actions);
+
+        list.appendChild(item);
+      });
+    } catch (error) {
+      list.textContent = t('share.loadFailed');
     }
-  });
-}
+  }
 
-function buildPrompt(message, history) {
-  let prompt = `You are an AI study assistant specializing in programming and computer science education.
-You help students understand complex concepts through clear explanations and examples and you can use technical terminology appropriately.
-`;
+  async copyShareLink(button, url) {
+    try {
+      await navigator.clipboard.writeText(url);
+      button.textContent = t('common.copied');
+    } catch (error) {
+      button.textContent = t('common.copyFailed');
+    }
+    setTimeout(() => { button.textContent = t('share.copy'); }, 1500);
+  }
 
-  if (history && history.length > 0) {
-    prompt += "Previous conversation context:\n";
-    history.forEach(h => {
-      prompt += `Student: ${h.user}\nAssistant: ${h.assistant}\n`;
-    });
-    prompt += "\n";
+  async revokeShare(share) {
+    if (!share.expired && !confirm(t('share.revokeConfirm', { title: share.title }))) return;
+
+    try {
+      const response = await fetch('/api/share/' + encodeURIComponent(share.id) + '/revoke', { method: 'POST' });
+      if (!response.ok) throw new Error('Revoke failed');
+    } catch (error) {
+      alert(t('share.revokeFailed'));
+    }
+    this.loadShares();
   }
 
-  prompt += `Current question: ${message}\n\nProvide a helpful, educational response:`;
+  async importChat(file, input) {
+    input.disabled = true;
+
+    try {
+      const response = await fetch('/api/session/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: await file.text()
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      await this.loadThreads();
+      const messageCount = data.threads.reduce((sum, thread) => sum + thread.messageCount, 0);
+      alert(t('import.done', { threads: data.threads.length, messages: messageCount }));
+    } catch (error) {
+      alert(error.message || t('import.failed'));
+    } finally {
+      input.disabled = false;
+      input.value = '';
+    }
+  }
+}
 
-  return prompt;
+document.addEventListener('DOMContentLoaded', () => {
+  new StudyAssistant();
+});
+`;
 }
 
-function getHTMLContent() {
+// The instructor dashboard at /instructor: create courses, edit their
+// syllabus, topics and prompt, manage reference material, share the join
+// code and read the class insights. It signs in with the same session
+// cookie as the main app.
+function getInstructorHTMLContent() {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>AI Study Assistant</title>
+    <title>Instructor Dashboard · AI Study Assistant</title>
     <style>
         * {
             margin: 0;
@@ -212,514 +9032,507 @@ function getHTMLContent() {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
             min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
             padding: 20px;
+            color: #333;
         }
 
         .container {
             background: white;
             border-radius: 20px;
             box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-            width: 100%;
-            max-width: 800px;
-            height: 600px;
-            display: flex;
-            flex-direction: column;
-        }
-
-        header {
-            padding: 20px;
-            border-bottom: 1px solid #e0e0e0;
-            text-align: center;
-        }
-
-        header h1 {
-            color: #333;
-            font-size: 24px;
-            margin-bottom: 5px;
-        }
-
-        header p {
-            color: #666;
-            font-size: 14px;
-        }
-
-        .chat-container {
-            flex: 1;
+            max-width: 1040px;
+            margin: 0 auto;
             display: flex;
-            flex-direction: column;
+            min-height: 600px;
             overflow: hidden;
         }
 
-        .messages {
-            flex: 1;
-            overflow-y: auto;
-            padding: 20px;
+        .sidebar {
+            width: 240px;
+            border-right: 1px solid #e0e0e0;
+            background: #fafafa;
             display: flex;
             flex-direction: column;
+            padding: 15px;
             gap: 10px;
         }
 
-        .message {
-            display: flex;
-            align-items: flex-start;
-            animation: fadeIn 0.3s ease;
+        .sidebar a {
+            color: #667eea;
+            font-size: 13px;
         }
 
-        @keyframes fadeIn {
-            from { opacity: 0; transform: translateY(10px); }
-            to { opacity: 1; transform: translateY(0); }
+        .course-link {
+            padding: 8px 10px;
+            border-radius: 10px;
+            cursor: pointer;
         }
 
-        .message.user {
-            justify-content: flex-end;
+        .course-link:hover {
+            background: #eee;
         }
 
-        .message-content {
-            max-width: 70%;
-            padding: 12px 16px;
-            border-radius: 18px;
-            word-wrap: break-word;
+        .course-link.active {
+            background: #667eea;
+            color: white;
         }
 
-        .message.user .message-content {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            border-bottom-right-radius: 4px;
+        .main {
+            flex: 1;
+            padding: 20px 25px;
+            overflow-y: auto;
         }
 
-        .message.assistant .message-content {
-            background: #f0f0f0;
-            color: #333;
-            border-bottom-left-radius: 4px;
+        h1 {
+            font-size: 22px;
+            margin-bottom: 4px;
         }
 
-        .message.system .message-content {
-            background: #ffe4e1;
-            color: #d00;
-            text-align: center;
-            max-width: 100%;
+        h2 {
+            font-size: 17px;
+            margin: 24px 0 10px;
         }
 
-        .timestamp {
-            font-size: 11px;
-            color: #999;
-            margin-top: 4px;
-            padding: 0 4px;
+        .hint {
+            color: #777;
+            font-size: 13px;
+            margin-bottom: 12px;
         }
 
-        .input-area {
-            padding: 20px;
-            border-top: 1px solid #e0e0e0;
+        form {
             display: flex;
+            flex-direction: column;
             gap: 10px;
         }
 
-        #messageInput {
-            flex: 1;
-            padding: 12px;
+        label {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            font-size: 13px;
+            color: #555;
+        }
+
+        input, textarea, select {
+            padding: 8px 12px;
             border: 1px solid #ddd;
-            border-radius: 25px;
-            font-size: 14px;
-            outline: none;
-            transition: border-color 0.2s;
+            border-radius: 8px;
+            font: inherit;
         }
 
-        #messageInput:focus {
-            border-color: #667eea;
+        textarea {
+            min-height: 90px;
+            resize: vertical;
         }
 
         button {
-            padding: 12px 24px;
-            border: none;
-            border-radius: 25px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            padding: 8px 16px;
+            background: #667eea;
             color: white;
-            font-size: 14px;
+            border: none;
+            border-radius: 8px;
             cursor: pointer;
-            transition: transform 0.2s;
-        }
-
-        button:hover {
-            transform: scale(1.05);
+            align-self: flex-start;
         }
 
-        button:active {
-            transform: scale(0.95);
-        }
-
-        #voiceButton {
-            padding: 12px 16px;
-            font-size: 20px;
+        button:disabled {
+            opacity: 0.6;
         }
 
-        #voiceButton.recording {
-            background: linear-gradient(135deg, #ff6b6b 0%, #ff4757 100%);
-            animation: pulse 1s infinite;
+        .join-code {
+            font-family: monospace;
+            font-size: 22px;
+            letter-spacing: 3px;
+            padding: 8px 14px;
+            background: #f3f4ff;
+            border-radius: 8px;
+            display: inline-block;
         }
 
-        @keyframes pulse {
-            0% { transform: scale(1); }
-            50% { transform: scale(1.1); }
-            100% { transform: scale(1); }
+        .item {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 0;
+            border-bottom: 1px solid #eee;
         }
 
-        .features {
-            padding: 10px 20px;
-            border-top: 1px solid #e0e0e0;
-            display: flex;
-            gap: 10px;
-            justify-content: center;
+        .item small {
+            color: #999;
         }
 
-        .features button {
-            padding: 8px 16px;
+        .item button {
+            padding: 4px 10px;
             font-size: 12px;
             background: #f0f0f0;
             color: #666;
         }
 
-        .features button:hover {
-            background: #e0e0e0;
-        }
-
-        .typing-dots {
+        .totals {
             display: flex;
-            gap: 4px;
-            padding: 8px;
+            gap: 12px;
+            margin-bottom: 12px;
         }
 
-        .typing-dots span {
-            width: 8px;
-            height: 8px;
-            background: #999;
-            border-radius: 50%;
-            animation: typing 1.4s infinite;
+        .total {
+            flex: 1;
+            background: #f7f7fb;
+            border-radius: 10px;
+            padding: 10px;
+            text-align: center;
         }
 
-        .typing-dots span:nth-child(2) {
-            animation-delay: 0.2s;
+        .total strong {
+            display: block;
+            font-size: 22px;
         }
 
-        .typing-dots span:nth-child(3) {
-            animation-delay: 0.4s;
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
         }
 
-        @keyframes typing {
-            0%, 60%, 100% { transform: scale(1); opacity: 1; }
-            30% { transform: scale(1.3); opacity: 0.7; }
+        th, td {
+            text-align: left;
+            padding: 6px 8px;
+            border-bottom: 1px solid #eee;
+            vertical-align: top;
         }
 
-        pre {
-            background: #f4f4f4;
-            padding: 8px;
-            border-radius: 4px;
-            overflow-x: auto;
-            margin: 8px 0;
+        .examples {
+            color: #666;
+            font-style: italic;
+            list-style: none;
         }
 
-        code {
-            font-family: 'Courier New', monospace;
-            font-size: 13px;
+        .misconceptions li {
+            margin: 0 0 6px 18px;
         }
-        
-        .message-content strong { font-weight: bold; }
-        
-        .message-content em { font-style: italic; }
-        
-        .message-content ul, .message-content ol { 
-          margin: 10px 0; 
-          padding-left: 20px; 
+
+        .hidden {
+            display: none !important;
         }
-        
-        .message-content li { margin: 5px 0; }
     </style>
 </head>
 <body>
     <div class="container">
-        <header>
-            <h1>AI Study Assistant</h1>
-            <p>Ask questions about programming and computer science concepts</p>
-        </header>
-
-        <div class="chat-container">
-            <div id="messages" class="messages"></div>
-            <div class="input-area">
-                <input type="text" id="messageInput" placeholder="Ask a question..." autofocus>
-                <button id="sendButton">Send</button>
-                <button id="voiceButton" title="Voice input">🎤</button>
-            </div>
-        </div>
+        <aside class="sidebar">
+            <strong>Your courses</strong>
+            <div id="courseLinks"></div>
+            <button id="newCourse">+ New course</button>
+            <a href="/">← Back to the study assistant</a>
+        </aside>
 
-        <div class="features">
-            <button id="clearHistory">Clear History</button>
-            <button id="exportChat">Export Chat</button>
+        <div class="main">
+            <h1>Instructor Dashboard</h1>
+            <p id="status" class="hint">Loading...</p>
+
+            <section id="editor" class="hidden">
+                <div id="joinInfo" class="hidden">
+                    <h2>Join code</h2>
+                    <p class="hint">Students enter this code under Courses in the study assistant. <span id="studentCount"></span></p>
+                    <span id="joinCode" class="join-code"></span>
+                </div>
+
+                <h2 id="editorTitle">New course</h2>
+                <form id="courseForm">
+                    <label>Name <input type="text" id="courseName" maxlength="100" required></label>
+                    <label>Syllabus <textarea id="courseSyllabus" maxlength="6000" placeholder="What the course covers, week by week"></textarea></label>
+                    <label>Topics, one per line <textarea id="courseTopics" placeholder="Recursion&#10;Binary search trees&#10;Dynamic programming"></textarea></label>
+                    <label>Instructions for the assistant <textarea id="coursePrompt" maxlength="2000" placeholder="e.g. Students use Python 3. Never give full solutions to the weekly labs."></textarea></label>
+                    <button type="submit" id="saveCourse">Create course</button>
+                </form>
+
+                <div id="courseDetails" class="hidden">
+                    <h2>Reference material</h2>
+                    <p class="hint">Lecture notes, handouts or readings (.txt, .md or .pdf). Answers in the course cite them.</p>
+                    <input type="file" id="materialUpload" accept=".txt,.md,.markdown,.pdf,text/plain,text/markdown,application/pdf">
+                    <div id="materialList"></div>
+
+                    <h2>Insights</h2>
+                    <p class="hint">What students ask about, counted without saying who asked. Example questions and misconceptions only appear once several students share them.</p>
+                    <select id="insightDays">
+                        <option value="7">Last 7 days</option>
+                        <option value="30" selected>Last 30 days</option>
+                        <option value="90">Last 90 days</option>
+                        <option value="365">Last year</option>
+                    </select>
+                    <div id="insights"></div>
+                </div>
+            </section>
         </div>
     </div>
 
-    <script>${getJavaScriptContent()}</script>
+    <script>${getInstructorJavaScriptContent()}</script>
 </body>
 </html>`;
 }
 
-function getJavaScriptContent() {
+function getInstructorJavaScriptContent() {
   return `
-class StudyAssistant {
+class InstructorDashboard {
   constructor() {
-    this.userId = this.getOrCreateUserId();
-    this.messages = document.getElementById('messages');
-    this.input = document.getElementById('messageInput');
-    this.sendButton = document.getElementById('sendButton');
-    this.voiceButton = document.getElementById('voiceButton');
+    this.courses = [];
+    this.course = null;
+    this.status = document.getElementById('status');
 
-    this.initializeEventListeners();
-    this.loadHistory();
-    this.addMessage('system', 'Welcome! I\\'m your AI Study Assistant. Ask me anything about programming and computer science.');
+    document.getElementById('newCourse').addEventListener('click', () => this.showCourse(null));
+    document.getElementById('courseForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveCourse();
+    });
+    document.getElementById('materialUpload').addEventListener('change', (e) => {
+      if (e.target.files[0]) this.uploadMaterial(e.target.files[0], e.target);
+    });
+    document.getElementById('insightDays').addEventListener('change', () => this.loadInsights());
+
+    this.start();
   }
 
-  getOrCreateUserId() {
-    let userId = localStorage.getItem('userId');
-    if (!userId) {
-      userId = 'user_' + Math.random().toString(36).substr(2, 9);
-      localStorage.setItem('userId', userId);
+  async start() {
+    const response = await fetch('/api/auth/me');
+    if (!response.ok) {
+      this.status.innerHTML = 'Open <a href="/">the study assistant</a> and register an account first.';
+      return;
+    }
+    const identity = await response.json();
+    if (identity.guest) {
+      this.status.innerHTML = 'Courses need a registered account. Register under Account in <a href="/">the study assistant</a>, then come back.';
+      return;
     }
-    return userId;
-  }
 
-  initializeEventListeners() {
-    this.sendButton.addEventListener('click', () => this.sendMessage());
-    this.input.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter' && !e.shiftKey) {
-        e.preventDefault();
-        this.sendMessage();
-      }
-    });
+    this.status.textContent = 'Signed in as ' + identity.email + '.';
+    await this.loadCourses();
+    const wanted = this.courses.find(course => '#' + course.id === location.hash);
+    this.showCourse(wanted || this.courses[0] || null);
+  }
 
-    this.voiceButton.addEventListener('click', () => this.startVoiceInput());
+  async request(path, options) {
+    const response = await fetch(path, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  }
 
-    document.getElementById('clearHistory').addEventListener('click', () => {
-      this.clearHistory();
-    });
+  async loadCourses() {
+    const courses = await this.request('/api/courses');
+    this.courses = courses.filter(course => course.role === 'instructor');
+    this.renderCourseLinks();
+  }
 
-    document.getElementById('exportChat').addEventListener('click', () => {
-      this.exportChat();
+  renderCourseLinks() {
+    const links = document.getElementById('courseLinks');
+    links.innerHTML = '';
+    if (this.courses.length === 0) {
+      links.textContent = 'No courses yet.';
+      return;
+    }
+    this.courses.forEach(course => {
+      const link = document.createElement('div');
+      link.className = 'course-link' + (this.course && this.course.id === course.id ? ' active' : '');
+      link.textContent = course.name;
+      link.addEventListener('click', () => this.showCourse(course));
+      links.appendChild(link);
     });
   }
 
-  async sendMessage() {
-    const message = this.input.value.trim();
-    if (!message) return;
+  // Fills the editor with a course, or empties it for a new one
+  showCourse(course) {
+    this.course = course;
+    history.replaceState(null, '', course ? '#' + course.id : location.pathname);
+    this.renderCourseLinks();
 
-    this.addMessage('user', message);
-    this.input.value = '';
+    document.getElementById('editor').classList.remove('hidden');
+    document.getElementById('editorTitle').textContent = course ? 'Course settings' : 'New course';
+    document.getElementById('saveCourse').textContent = course ? 'Save changes' : 'Create course';
+    document.getElementById('courseName').value = course ? course.name : '';
+    document.getElementById('courseSyllabus').value = course ? course.syllabus : '';
+    document.getElementById('courseTopics').value = course ? course.topics.join('\\n') : '';
+    document.getElementById('coursePrompt').value = course ? course.prompt : '';
 
-    const typingId = this.showTypingIndicator();
+    document.getElementById('joinInfo').classList.toggle('hidden', !course);
+    document.getElementById('courseDetails').classList.toggle('hidden', !course);
+    if (!course) return;
+
+    document.getElementById('joinCode').textContent = course.code;
+    document.getElementById('studentCount').textContent = course.studentCount === 1 ? '1 student has joined.' : course.studentCount + ' students have joined.';
+    this.loadMaterials();
+    this.loadInsights();
+  }
+
+  async saveCourse() {
+    const button = document.getElementById('saveCourse');
+    const fields = {
+      name: document.getElementById('courseName').value,
+      syllabus: document.getElementById('courseSyllabus').value,
+      topics: document.getElementById('courseTopics').value.split('\\n').map(topic => topic.trim()).filter(Boolean),
+      prompt: document.getElementById('coursePrompt').value
+    };
 
+    button.disabled = true;
     try {
-      const response = await fetch('/api/chat', {
+      const course = await this.request(this.course ? '/api/courses/' + this.course.id + '/update' : '/api/courses', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          userId: this.userId,
-          message: message
-        })
+        body: JSON.stringify(fields)
       });
-
-      if (!response.ok) {
-        throw new Error('Network response was not ok');
-      }
-
-      const data = await response.json();
-      this.removeTypingIndicator(typingId);
-      this.addMessage('assistant', data.response);
-
+      await this.loadCourses();
+      this.showCourse(this.courses.find(c => c.id === course.id) || course);
     } catch (error) {
-      console.error('Error:', error);
-      this.removeTypingIndicator(typingId);
-      this.addMessage('system', 'Error: Unable to get response. Please try again.');
+      alert(error.message);
+    } finally {
+      button.disabled = false;
     }
   }
 
-  addMessage(type, content) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'message ' + type;
-
-    const contentDiv = document.createElement('div');
-    contentDiv.className = 'message-content';
-    contentDiv.innerHTML = this.formatMessage(content);
-    messageDiv.appendChild(contentDiv);
-
-    if (type !== 'system') {
-      const timestampDiv = document.createElement('div');
-      timestampDiv.className = 'timestamp';
-      timestampDiv.textContent = new Date().toLocaleTimeString();
-      messageDiv.appendChild(timestampDiv);
+  async loadMaterials() {
+    const list = document.getElementById('materialList');
+    try {
+      const documents = await this.request('/api/courses/' + this.course.id + '/documents');
+      list.innerHTML = '';
+      if (documents.length === 0) {
+        list.textContent = 'No material uploaded yet.';
+        return;
+      }
+      documents.forEach(doc => {
+        const item = document.createElement('div');
+        item.className = 'item';
+        const label = document.createElement('span');
+        label.textContent = doc.name + ' ';
+        const details = document.createElement('small');
+        details.textContent = doc.chunkCount + ' sections · ' + new Date(doc.createdAt).toLocaleDateString();
+        label.appendChild(details);
+        const remove = document.createElement('button');
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => this.deleteMaterial(doc));
+        item.append(label, remove);
+        list.appendChild(item);
+      });
+    } catch (error) {
+      list.textContent = 'Failed to load the material. Please try again.';
     }
-
-    this.messages.appendChild(messageDiv);
-    this.messages.scrollTop = this.messages.scrollHeight;
   }
 
-  formatMessage(content) {
-  // First, escape HTML to prevent XSS
-  let formatted = content
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-  
-  // Handle code blocks with triple backticks
-  formatted = formatted.replace(/\`\`\`([\\s\\S]*?)\`\`\`/g, '<pre><code>$1</code></pre>');
-  
-  // Handle inline code with single backticks
-  formatted = formatted.replace(/\`([^\`]+)\`/g, '<code>$1</code>');
-  
-  // Handle bold text with ** or __
-  formatted = formatted.replace(/\\*\\*([^*]+)\\*\\*/g, '<strong>$1</strong>');
-  formatted = formatted.replace(/__([^_]+)__/g, '<strong>$1</strong>');
-  
-  // Handle italic text with * or _
-  formatted = formatted.replace(/\\*([^*]+)\\*/g, '<em>$1</em>');
-  formatted = formatted.replace(/_([^_]+)_/g, '<em>$1</em>');
-  
-  // Handle numbered lists (1. 2. 3. etc)
-  formatted = formatted.replace(/^(\\d+)\\.\\s+(.+)$/gm, '<li>$2</li>');
-  
-  // Handle bullet points with * or -
-  formatted = formatted.replace(/^\\*\\s+(.+)$/gm, '<li>$1</li>');
-  formatted = formatted.replace(/^-\\s+(.+)$/gm, '<li>$1</li>');
-  
-  // Wrap consecutive <li> elements in <ul>
-  formatted = formatted.replace(/(<li>.*<\\/li>\\s*)+/g, function(match) {
-    return '<ul>' + match + '</ul>';
-  });
-  
-  // Handle line breaks
-  formatted = formatted.replace(/\\n/g, '<br>');
-  
-  return formatted;
-}
-
-  async startVoiceInput() {
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-      alert('Voice input is not supported in your browser. Please use Chrome or Edge.');
-      return;
-    }
-
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    const recognition = new SpeechRecognition();
-
-    recognition.continuous = false;
-    recognition.interimResults = false;
-    recognition.lang = 'en-US';
-
-    recognition.onstart = () => {
-      this.voiceButton.classList.add('recording');
-    };
-
-    recognition.onresult = (event) => {
-      const transcript = event.results[0][0].transcript;
-      this.input.value = transcript;
-      this.sendMessage();
-    };
-
-    recognition.onerror = (event) => {
-      this.voiceButton.classList.remove('recording');
-      console.error('Voice recognition error:', event.error);
-      if (event.error === 'no-speech') {
-        alert('No speech detected. Please try again.');
-      } else {
-        alert('Voice recognition error: ' + event.error);
-      }
-    };
-
-    recognition.onend = () => {
-      this.voiceButton.classList.remove('recording');
-    };
+  async uploadMaterial(file, input) {
+    const list = document.getElementById('materialList');
+    const form = new FormData();
+    form.append('file', file);
 
+    input.disabled = true;
+    list.textContent = 'Uploading and indexing ' + file.name + '...';
     try {
-      recognition.start();
+      await this.request('/api/courses/' + this.course.id + '/documents', { method: 'POST', body: form });
     } catch (error) {
-      alert('Failed to start voice recognition. Please try again.');
-      this.voiceButton.classList.remove('recording');
+      alert(error.message);
+    } finally {
+      input.disabled = false;
+      input.value = '';
+      this.loadMaterials();
     }
   }
 
-  showTypingIndicator() {
-    const id = 'typing_' + Date.now();
-    const indicator = document.createElement('div');
-    indicator.id = id;
-    indicator.className = 'message assistant typing';
-    indicator.innerHTML = '<div class="typing-dots"><span></span><span></span><span></span></div>';
-    this.messages.appendChild(indicator);
-    this.messages.scrollTop = this.messages.scrollHeight;
-    return id;
-  }
-
-  removeTypingIndicator(id) {
-    const indicator = document.getElementById(id);
-    if (indicator) indicator.remove();
-  }
+  async deleteMaterial(doc) {
+    if (!confirm('Delete ' + doc.name + '? Answers will stop citing it.')) return;
 
-  async loadHistory() {
     try {
-      const response = await fetch('/api/session?userId=' + this.userId);
-      if (!response.ok) return;
-
-      const history = await response.json();
-
-      history.forEach(item => {
-        this.addMessage('user', item.userMessage);
-        this.addMessage('assistant', item.aiResponse);
+      await this.request('/api/courses/' + this.course.id + '/documents/delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ documentId: doc.id })
       });
     } catch (error) {
-      console.log('No previous history found');
+      alert(error.message);
     }
+    this.loadMaterials();
   }
 
-  async clearHistory() {
-    if (confirm('Are you sure you want to clear all conversation history?')) {
-      try {
-        await fetch('/api/session/clear?userId=' + this.userId, { method: 'POST' });
-        this.messages.innerHTML = '';
-        this.addMessage('system', 'Conversation history cleared. How can I help you today?');
-      } catch (error) {
-        alert('Failed to clear history. Please try again.');
-      }
+  async loadInsights() {
+    const container = document.getElementById('insights');
+    const days = document.getElementById('insightDays').value;
+    container.textContent = 'Loading insights...';
+
+    let insights;
+    try {
+      insights = await this.request('/api/courses/' + this.course.id + '/insights?days=' + days);
+    } catch (error) {
+      container.textContent = 'Failed to load insights. Please try again.';
+      return;
     }
-  }
 
-  exportChat() {
-    const messages = Array.from(this.messages.children);
-    let exportText = 'AI Study Assistant - Conversation Export\\n';
-    exportText += 'Date: ' + new Date().toLocaleString() + '\\n\\n';
+    container.innerHTML = '';
+    const totals = document.createElement('div');
+    totals.className = 'totals';
+    [['Questions', insights.totals.questions], ['Students asking', insights.totals.students], ['Confused questions', insights.totals.confused]]
+      .forEach(([label, value]) => {
+        const total = document.createElement('div');
+        total.className = 'total';
+        const number = document.createElement('strong');
+        number.textContent = value;
+        total.append(number, label);
+        totals.appendChild(total);
+      });
+    container.appendChild(totals);
 
-    messages.forEach(msg => {
-      const type = msg.className.includes('user') ? 'You' :
-                   msg.className.includes('assistant') ? 'AI Assistant' : 'System';
-      const content = msg.querySelector('.message-content').textContent;
-      const timestamp = msg.querySelector('.timestamp')?.textContent || '';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Most-asked concepts';
+    container.appendChild(heading);
+    if (insights.concepts.length === 0) {
+      container.appendChild(document.createTextNode('No questions in this period yet.'));
+    } else {
+      const table = document.createElement('table');
+      table.innerHTML = '<thead><tr><th>Concept</th><th>Questions</th><th>Students</th><th>Confused</th><th>Example questions</th></tr></thead>';
+      const body = document.createElement('tbody');
+      insights.concepts.forEach(concept => {
+        const row = document.createElement('tr');
+        [concept.concept, concept.questions, concept.students, concept.confused].forEach(value => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+        const examples = document.createElement('td');
+        const list = document.createElement('ul');
+        list.className = 'examples';
+        concept.examples.forEach(example => {
+          const item = document.createElement('li');
+          item.textContent = '“' + example + '”';
+          list.appendChild(item);
+        });
+        examples.appendChild(list);
+        row.appendChild(examples);
+        body.appendChild(row);
+      });
+      table.appendChild(body);
+      container.appendChild(table);
+    }
 
-      exportText += type + ' ' + timestamp + ':\\n' + content + '\\n\\n';
+    const misconceptionHeading = document.createElement('h2');
+    misconceptionHeading.textContent = 'Common misconceptions';
+    container.appendChild(misconceptionHeading);
+    if (insights.misconceptions.length === 0) {
+      container.appendChild(document.createTextNode('Not enough confused questions from different students yet.'));
+      return;
+    }
+    const list = document.createElement('ul');
+    list.className = 'misconceptions';
+    insights.misconceptions.forEach(item => {
+      const entry = document.createElement('li');
+      const concept = document.createElement('strong');
+      concept.textContent = item.concept + ': ';
+      entry.append(concept, item.misconception);
+      list.appendChild(entry);
     });
-
-    const blob = new Blob([exportText], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'study-assistant-chat-' + new Date().getTime() + '.txt';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    container.appendChild(list);
+    const updated = document.createElement('p');
+    updated.className = 'hint';
+    updated.textContent = 'Summarized ' + new Date(insights.misconceptionsUpdatedAt).toLocaleString() + ' from recent confused questions.';
+    container.appendChild(updated);
   }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-  new StudyAssistant();
+  new InstructorDashboard();
 });
 `;
-}
\ No newline at end of file
+}
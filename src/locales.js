@@ -0,0 +1,1803 @@
+// src/locales.js
+// Languages students can study in. Each locale has:
+//
+//   name     the language's own name, for the picker
+//   english  its English name, for prompts to the model
+//   speech   the BCP 47 locale voice input listens for
+//   strings  the app's UI text, keyed by message id
+//
+// The ids double as the language codes the translation and transcription
+// models take. Strings may hold {placeholders}; a string a locale lacks
+// falls back to English. Add a language by adding a locale here.
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: {
+    name: 'English',
+    english: 'English',
+    speech: 'en-US',
+    strings: {
+      'app.title': 'AI Study Assistant',
+      'app.tagline': 'Ask questions about programming and computer science concepts',
+      'app.language': 'Language',
+      'sidebar.search': 'Search conversations...',
+      'sidebar.newThread': '+ New thread',
+      'sidebar.showArchived': 'Show archived',
+      'input.placeholder': 'Ask a question...',
+      'input.send': 'Send',
+      'input.stop': 'Stop',
+      'input.stopTitle': 'Stop generating',
+      'input.voiceTitle': 'Voice input',
+      'features.clearHistory': 'Clear History',
+      'features.export': 'Export / Share',
+      'features.threadFlashcards': 'Flashcards from Thread',
+      'features.reviewFlashcards': 'Review Flashcards',
+      'features.quiz': 'Quiz Me',
+      'features.quizScores': 'Quiz Scores',
+      'features.progress': 'Progress',
+      'features.today': 'Today',
+      'features.room': 'Study Room',
+      'features.courses': 'Courses',
+      'features.notes': 'My Notes',
+      'features.account': 'Account',
+      'chat.welcome': "Welcome! I'm your AI Study Assistant. Ask me anything about programming and computer science.",
+      'chat.newThread': 'New conversation started. What would you like to study?',
+      'chat.error': 'Error: Unable to get response. Please try again.',
+      'chat.stopped': 'stopped',
+      'chat.failed': '⚠ No answer was saved for this question. Regenerate to try again.',
+      'chat.clearConfirm': 'Are you sure you want to clear all conversation history?',
+      'chat.cleared': 'Conversation history cleared. How can I help you today?',
+      'chat.clearFailed': 'Failed to clear history. Please try again.',
+      'chat.languageChanged': 'Answers will now be in {language}.',
+      'chat.languageFailed': 'Failed to save your language. Please try again.',
+      'action.flashcards': '🃏 Flashcards',
+      'action.flashcardsTitle': 'Make flashcards from this answer',
+      'action.edit': '✎ Edit',
+      'action.editTitle': 'Edit and resubmit this question',
+      'action.editPrompt': 'Edit your question',
+      'action.goodAnswer': 'Good answer',
+      'action.badAnswer': 'Bad answer',
+      'action.regenerate': '↻ Regenerate',
+      'action.regenerateTitle': 'Write a new answer to this question',
+      'action.share': '🔗 Share',
+      'action.shareTitle': 'Make a read-only link to this question and answer',
+      'action.translate': '🌐 Translate',
+      'action.translateTitle': 'Translate this answer into {language}',
+      'action.hideTranslation': '🌐 Hide translation',
+      'action.translating': 'Translating...',
+      'action.translation': 'Translation ({language})',
+      'action.translateFailed': 'Failed to translate this answer. Please try again.',
+      'policy.hints': '💡 This looked like graded work, so you got hints rather than a finished solution.',
+      'policy.refused': '🎓 Declined under the academic integrity policy.',
+      'policy.blocked': '⛔ Blocked by the content policy.',
+      'outbox.queued': '⏳ Waiting for a connection. This question will be sent automatically.',
+      'outbox.one': '1 question',
+      'outbox.many': '{count} questions',
+      'outbox.sending': '📤 Sending {questions}...',
+      'outbox.waiting': '📤 {questions} waiting to send',
+      'outbox.retry': 'click to retry',
+      'outbox.offline': 'offline',
+      'outbox.retryTitle': 'Send queued questions now',
+      'outbox.failed': 'A queued question could not be sent ({error}): {message}',
+      'voice.unsupported': 'Voice input is not supported in your browser.',
+      'voice.noSpeech': 'No speech detected. Please try again.',
+      'voice.error': 'Voice recognition error: {error}',
+      'voice.startFailed': 'Failed to start voice recognition. Please try again.',
+      'voice.micNeeded': 'Microphone access is needed for voice input.',
+      'voice.transcribing': 'Transcribing...',
+      'voice.transcribeFailed': 'Failed to transcribe your recording. Please try again.',
+      'auth.signInFailed': 'Error: Unable to sign you in. Please reload the page.',
+      'common.close': 'Close',
+      'common.loading': 'Loading...',
+      'common.delete': 'Delete',
+      'common.leave': 'Leave',
+      'common.join': 'Join',
+      'common.copied': 'Copied!',
+      'common.copyFailed': 'Copy failed',
+      'common.you': 'You',
+      'common.assistant': 'Assistant',
+      'common.retryIn': '{error} Try again in {wait}.',
+      'wait.second': '1 second',
+      'wait.seconds': '{count} seconds',
+      'wait.minute': '1 minute',
+      'wait.minutes': '{count} minutes',
+      'wait.hour': '1 hour',
+      'wait.hours': '{count} hours',
+      'usage.summary': '{requests}/{limit} requests available · {tokens} tokens left today',
+      'code.copy': 'Copy',
+      'sources.label': 'Sources:',
+      'sources.deleted': 'Deleted document',
+      'action.previousVersion': 'Previous version',
+      'action.nextVersion': 'Next version',
+      'action.helpfulPrompt': 'What was helpful? (optional)',
+      'action.unhelpfulPrompt': 'What was wrong with this answer? (optional)',
+      'action.rateFailed': 'Failed to save your rating. Please try again.',
+      'mode.title': 'Tutoring mode for this thread',
+      'mode.switched': 'Switched this thread to {mode} mode.',
+      'mode.failed': 'Failed to change the tutoring mode. Please try again.',
+      'model.title': 'Model that answers',
+      'course.title': 'Course this thread is about',
+      'course.intro': 'Join your class with the code from your instructor. Threads you set to a course get answers based on its syllabus and reference material.',
+      'course.codePlaceholder': 'Course code',
+      'course.instructorLink': 'Teaching a course? Open the instructor dashboard',
+      'course.loadFailed': 'Failed to load your courses. Please try again.',
+      'course.none': 'No course',
+      'course.empty': 'You have not joined any courses yet.',
+      'course.instructor': 'Instructor · code {code}',
+      'course.student': 'Student',
+      'course.manage': 'Manage',
+      'course.joinFailed': 'Failed to join the course',
+      'course.joined': 'Joined {course}. Pick it in the course menu to scope a thread to it.',
+      'course.leaveConfirm': 'Leave {course}? Threads about it go back to general tutoring.',
+      'course.leaveFailed': 'Failed to leave the course. Please try again.',
+      'course.threadSet': 'Answers in this thread now follow {course}.',
+      'course.threadCleared': 'This thread is no longer tied to a course.',
+      'course.threadFailed': 'Failed to change the course of this thread. Please try again.',
+      'thread.rename': 'Rename',
+      'thread.archive': 'Archive',
+      'thread.unarchive': 'Unarchive',
+      'thread.createFailed': 'Failed to create a new thread. Please try again.',
+      'thread.renamePrompt': 'Rename thread',
+      'thread.renameFailed': 'Failed to rename thread. Please try again.',
+      'thread.archiveFailed': 'Failed to archive thread. Please try again.',
+      'thread.deleteConfirm': 'Delete "{title}" and all of its messages?',
+      'thread.deleteFailed': 'Failed to delete thread. Please try again.',
+      'flashcards.createdOne': 'Created 1 flashcard. Open "{review}" to study it.',
+      'flashcards.createdMany': 'Created {count} flashcards. Open "{review}" to study them.',
+      'flashcards.createFailed': 'Error: Unable to create flashcards. Please try again.',
+      'flashcards.title': 'Flashcard Review',
+      'flashcards.none': 'No cards due right now. Nice work!',
+      'flashcards.dueOne': '1 card due',
+      'flashcards.dueMany': '{count} cards due',
+      'flashcards.showAnswer': 'Show Answer',
+      'flashcards.again': 'Again',
+      'flashcards.hard': 'Hard',
+      'flashcards.good': 'Good',
+      'flashcards.easy': 'Easy',
+      'flashcards.reviewFailed': 'Failed to save your review. Please try again.',
+      'quiz.title': 'Quiz',
+      'quiz.topicPrompt': 'What topic should the quiz cover? Leave blank to be quizzed on this thread.',
+      'quiz.writing': 'Writing your quiz...',
+      'quiz.generateFailed': 'Could not generate a quiz. Please try again.',
+      'quiz.answerPlaceholder': 'Your answer...',
+      'quiz.submit': 'Submit Answers',
+      'quiz.grading': 'Grading...',
+      'quiz.submitFailed': 'Failed to submit the quiz. Please try again.',
+      'quiz.answer': 'Answer:',
+      'quiz.score': 'Score: {score} / {max}',
+      'quiz.none': 'No quizzes taken yet. Try "{quiz}"!',
+      'quiz.loadFailed': 'Failed to load quiz scores. Please try again.',
+      'table.topic': 'Topic',
+      'table.questions': 'Questions',
+      'table.unsure': 'Unsure',
+      'table.quizzes': 'Quizzes',
+      'table.average': 'Average',
+      'table.lastTaken': 'Last taken',
+      'table.lastStudied': 'Last studied',
+      'progress.loadFailed': 'Failed to load your progress. Please try again.',
+      'progress.empty': 'Ask a few questions or take a quiz, and your progress will show up here.',
+      'progress.streak': '🔥 {days}-day study streak · longest {longest} days',
+      'progress.noStreak': 'No study streak right now · longest {longest} days',
+      'progress.lastDays': 'Last {count} days',
+      'progress.dayTitle': '{date}: {questions} questions, {quizzes} quizzes',
+      'progress.legend': 'Blue: questions asked · orange: quizzes taken',
+      'progress.revisit': 'Topics to revisit',
+      'progress.reasonQuizAverage': 'Quiz average {percent}%',
+      'progress.reasonUnsure': 'Unsure in {confused} of {questions} questions',
+      'progress.reasonStale': 'Not revisited in {days} days',
+      'progress.topics': 'Topics',
+      'room.intro': "Ask the assistant questions together. Everyone in a room sees each other's questions and the answers as they arrive.",
+      'room.namePlaceholder': 'Your name, as others will see it',
+      'room.codePlaceholder': 'Room code',
+      'room.newPlaceholder': 'New room, e.g. Algorithms study group',
+      'room.create': 'Create Room',
+      'room.aiModeTitle': 'When the assistant answers (only the moderator can change this)',
+      'room.aiAuto': 'Assistant answers every question',
+      'room.aiModerated': 'Assistant answers picked questions',
+      'room.aiOff': 'Assistant paused',
+      'room.messagePlaceholder': 'Ask the group...',
+      'room.nameNeeded': 'Enter your name first, so the group knows who is asking.',
+      'room.createFailed': 'Failed to create the room. Please try again.',
+      'room.notFound': 'There is no room with that code.',
+      'room.joinFailed': 'Failed to join the room. Please try again.',
+      'room.connecting': 'Connecting...',
+      'room.connected': 'Room {code}',
+      'room.reconnecting': 'Reconnecting...',
+      'room.typing': '{name} is typing...',
+      'room.answering': 'The assistant is answering...',
+      'room.answerFailed': 'The assistant could not answer this.',
+      'room.answer': '🤖 Answer',
+      'room.answerTitle': 'Have the assistant answer this question',
+      'room.moderator': '{name} (moderator)',
+      'room.sendFailed': 'Failed to send your message. Please try again.',
+      'room.askFailed': 'Failed to ask the assistant. Please try again.',
+      'room.settingFailed': 'Failed to change the setting. Please try again.',
+      'plan.goalPlaceholder': 'e.g. Data structures exam',
+      'plan.deadline': 'Deadline',
+      'plan.create': 'Make a Plan',
+      'plan.planning': 'Planning...',
+      'plan.loadFailed': 'Failed to load your study plans. Please try again.',
+      'plan.createFailed': 'Could not make a study plan. Please try again.',
+      'plan.empty': 'No study plans yet. Tell me your goal and deadline above.',
+      'plan.meta': '{goal} · deadline {deadline} · {done} of {total} days done',
+      'plan.finished': 'finished',
+      'plan.nothingToday': 'Nothing new scheduled today.',
+      'plan.testYourself': 'Test yourself',
+      'plan.catchUp': 'Catch up',
+      'plan.reviewFlashcards': 'Review your flashcards',
+      'plan.schedule': 'Full schedule',
+      'plan.delete': 'Delete plan',
+      'plan.deleteTitle': 'Delete this study plan',
+      'plan.done': 'Done',
+      'plan.missed': '{topic} (missed)',
+      'plan.moveToday': 'Move to today',
+      'plan.moveTodayTitle': 'Study this today instead',
+      'plan.updateFailed': 'Failed to update the plan. Please try again.',
+      'plan.deleteConfirm': 'Delete the plan "{title}"?',
+      'plan.deleteFailed': 'Failed to delete the plan. Please try again.',
+      'notes.intro': 'Upload lecture notes (.txt, .md or .pdf) and answers will draw on them, citing the document and section.',
+      'notes.empty': 'No notes uploaded yet.',
+      'notes.details': '{count} sections · {date}',
+      'notes.loadFailed': 'Failed to load your notes. Please try again.',
+      'notes.uploading': 'Uploading and indexing {name}...',
+      'notes.uploadFailed': 'Failed to upload that document. Please try again.',
+      'notes.deleteConfirm': 'Delete "{name}"? Answers will stop citing it.',
+      'notes.deleteFailed': 'Failed to delete that document. Please try again.',
+      'account.requestFailed': 'Request failed',
+      'account.loadFailed': 'Unable to load your account. Please reload the page.',
+      'account.guest': 'You are studying as a guest. Create an account to keep your history safe and use it on other devices.',
+      'account.signedIn': 'Signed in as {email}',
+      'account.createTitle': 'Create account',
+      'account.create': 'Create Account',
+      'account.signInTitle': 'Sign in',
+      'account.signIn': 'Sign In',
+      'account.signInNote': 'Signing in replaces this guest session.',
+      'account.signOut': 'Sign Out',
+      'account.signOutConfirm': 'Guest history cannot be recovered after signing out. Continue?',
+      'account.email': 'Email',
+      'account.password': 'Password (8+ characters)',
+      'devices.link': 'Link devices',
+      'devices.showCode': 'Show a code for another device',
+      'devices.codePlaceholder': 'Enter a code from your other device',
+      'devices.linkThis': 'Link This Device',
+      'devices.linkConfirm': "This device will switch to the other device's account. Continue?",
+      'devices.heading': 'Signed-in devices',
+      'devices.current': '{name} (this device)',
+      'devices.lastSeen': 'last seen {date}',
+      'devices.signOut': 'Sign out',
+      'search.title': 'Search',
+      'search.placeholder': 'e.g. B-tree node splits',
+      'search.modeTitle': 'Keywords match the words you type; meaning also finds messages that use other words',
+      'search.keywords': 'Keywords',
+      'search.meaning': 'Meaning',
+      'search.topic': 'Thread topic',
+      'search.from': 'From',
+      'search.to': 'To',
+      'search.thisThread': 'This thread only',
+      'search.searching': 'Searching...',
+      'search.failed': 'Search failed. Please try again.',
+      'search.none': 'No matching messages.',
+      'search.unindexed': '{count} older message(s) are not indexed for meaning search yet. Search again to include more.',
+      'search.notFound': 'That message could not be found. It may have been cleared.',
+      'export.title': 'Export / Share / Import',
+      'export.heading': 'Export',
+      'export.allThreads': 'All threads, not just this one',
+      'export.failed': 'Failed to export your conversations. Please try again.',
+      'share.heading': 'Share',
+      'share.intro': 'Make a read-only link to this thread that anyone can open, no sign-in needed. It shows the thread as it is now; later messages are not added.',
+      'share.expiryTitle': 'How long the link stays open',
+      'share.forever': 'Until I revoke it',
+      'share.day1': 'For 1 day',
+      'share.day7': 'For 7 days',
+      'share.day30': 'For 30 days',
+      'share.create': 'Create link',
+      'share.created': 'Anyone with this link can read it. Revoke it under {export}.',
+      'share.createFailed': 'Failed to create a link. Please try again.',
+      'share.empty': 'No shared links yet.',
+      'share.messageOne': '1 message',
+      'share.messageMany': '{count} messages',
+      'share.expired': 'expired',
+      'share.openUntil': 'open until {date}',
+      'share.copy': 'Copy link',
+      'share.revoke': 'Revoke',
+      'share.loadFailed': 'Failed to load your shared links. Please try again.',
+      'share.revokeConfirm': 'Revoke the link to "{title}"? Anyone who has it will no longer be able to open it.',
+      'share.revokeFailed': 'Failed to revoke that link. Please try again.',
+      'import.heading': 'Import',
+      'import.intro': 'Restore a JSON export from another device or account. Its threads are added next to your current ones.',
+      'import.done': 'Imported {threads} thread(s) with {messages} message(s).',
+      'import.failed': 'Failed to import that file. Please try again.'
+    }
+  },
+
+  es: {
+    name: 'Español',
+    english: 'Spanish',
+    speech: 'es-ES',
+    strings: {
+      'app.title': 'Asistente de estudio con IA',
+      'app.tagline': 'Haz preguntas sobre programación y conceptos de informática',
+      'app.language': 'Idioma',
+      'sidebar.search': 'Buscar conversaciones...',
+      'sidebar.newThread': '+ Nueva conversación',
+      'sidebar.showArchived': 'Mostrar archivadas',
+      'input.placeholder': 'Haz una pregunta...',
+      'input.send': 'Enviar',
+      'input.stop': 'Detener',
+      'input.stopTitle': 'Dejar de generar',
+      'input.voiceTitle': 'Entrada de voz',
+      'features.clearHistory': 'Borrar historial',
+      'features.export': 'Exportar / Compartir',
+      'features.threadFlashcards': 'Tarjetas de la conversación',
+      'features.reviewFlashcards': 'Repasar tarjetas',
+      'features.quiz': 'Hazme un test',
+      'features.quizScores': 'Resultados de tests',
+      'features.progress': 'Progreso',
+      'features.today': 'Hoy',
+      'features.room': 'Sala de estudio',
+      'features.courses': 'Cursos',
+      'features.notes': 'Mis apuntes',
+      'features.account': 'Cuenta',
+      'chat.welcome': '¡Bienvenido! Soy tu asistente de estudio con IA. Pregúntame lo que quieras sobre programación e informática.',
+      'chat.newThread': 'Nueva conversación iniciada. ¿Qué te gustaría estudiar?',
+      'chat.error': 'Error: no se pudo obtener una respuesta. Inténtalo de nuevo.',
+      'chat.stopped': 'detenido',
+      'chat.failed': '⚠ No se guardó ninguna respuesta para esta pregunta. Vuelve a generarla para intentarlo de nuevo.',
+      'chat.clearConfirm': '¿Seguro que quieres borrar todo el historial de la conversación?',
+      'chat.cleared': 'Historial borrado. ¿En qué puedo ayudarte hoy?',
+      'chat.clearFailed': 'No se pudo borrar el historial. Inténtalo de nuevo.',
+      'chat.languageChanged': 'A partir de ahora las respuestas serán en {language}.',
+      'chat.languageFailed': 'No se pudo guardar tu idioma. Inténtalo de nuevo.',
+      'action.flashcards': '🃏 Tarjetas',
+      'action.flashcardsTitle': 'Crear tarjetas a partir de esta respuesta',
+      'action.edit': '✎ Editar',
+      'action.editTitle': 'Editar y volver a enviar esta pregunta',
+      'action.editPrompt': 'Edita tu pregunta',
+      'action.goodAnswer': 'Buena respuesta',
+      'action.badAnswer': 'Mala respuesta',
+      'action.regenerate': '↻ Regenerar',
+      'action.regenerateTitle': 'Escribir una nueva respuesta a esta pregunta',
+      'action.share': '🔗 Compartir',
+      'action.shareTitle': 'Crear un enlace de solo lectura a esta pregunta y respuesta',
+      'action.translate': '🌐 Traducir',
+      'action.translateTitle': 'Traducir esta respuesta al {language}',
+      'action.hideTranslation': '🌐 Ocultar traducción',
+      'action.translating': 'Traduciendo...',
+      'action.translation': 'Traducción ({language})',
+      'action.translateFailed': 'No se pudo traducir esta respuesta. Inténtalo de nuevo.',
+      'policy.hints': '💡 Esto parecía un trabajo evaluable, así que recibiste pistas en lugar de una solución completa.',
+      'policy.refused': '🎓 Rechazado según la política de integridad académica.',
+      'policy.blocked': '⛔ Bloqueado por la política de contenido.',
+      'outbox.queued': '⏳ Esperando conexión. Esta pregunta se enviará automáticamente.',
+      'outbox.one': '1 pregunta',
+      'outbox.many': '{count} preguntas',
+      'outbox.sending': '📤 Enviando {questions}...',
+      'outbox.waiting': '📤 {questions} pendientes de envío',
+      'outbox.retry': 'haz clic para reintentar',
+      'outbox.offline': 'sin conexión',
+      'outbox.retryTitle': 'Enviar ahora las preguntas pendientes',
+      'outbox.failed': 'No se pudo enviar una pregunta pendiente ({error}): {message}',
+      'voice.unsupported': 'Tu navegador no admite la entrada de voz.',
+      'voice.noSpeech': 'No se detectó voz. Inténtalo de nuevo.',
+      'voice.error': 'Error de reconocimiento de voz: {error}',
+      'voice.startFailed': 'No se pudo iniciar el reconocimiento de voz. Inténtalo de nuevo.',
+      'voice.micNeeded': 'Se necesita acceso al micrófono para la entrada de voz.',
+      'voice.transcribing': 'Transcribiendo...',
+      'voice.transcribeFailed': 'No se pudo transcribir tu grabación. Inténtalo de nuevo.',
+      'auth.signInFailed': 'Error: no se pudo iniciar tu sesión. Recarga la página.',
+      'common.close': 'Cerrar',
+      'common.loading': 'Cargando...',
+      'common.delete': 'Eliminar',
+      'common.leave': 'Salir',
+      'common.join': 'Unirse',
+      'common.copied': '¡Copiado!',
+      'common.copyFailed': 'No se pudo copiar',
+      'common.you': 'Tú',
+      'common.assistant': 'Asistente',
+      'common.retryIn': '{error} Vuelve a intentarlo en {wait}.',
+      'wait.second': '1 segundo',
+      'wait.seconds': '{count} segundos',
+      'wait.minute': '1 minuto',
+      'wait.minutes': '{count} minutos',
+      'wait.hour': '1 hora',
+      'wait.hours': '{count} horas',
+      'usage.summary': '{requests}/{limit} solicitudes disponibles · quedan {tokens} tokens hoy',
+      'code.copy': 'Copiar',
+      'sources.label': 'Fuentes:',
+      'sources.deleted': 'Documento eliminado',
+      'action.previousVersion': 'Versión anterior',
+      'action.nextVersion': 'Versión siguiente',
+      'action.helpfulPrompt': '¿Qué te resultó útil? (opcional)',
+      'action.unhelpfulPrompt': '¿Qué estaba mal en esta respuesta? (opcional)',
+      'action.rateFailed': 'No se pudo guardar tu valoración. Inténtalo de nuevo.',
+      'mode.title': 'Modo de tutoría de esta conversación',
+      'mode.switched': 'Esta conversación ahora usa el modo {mode}.',
+      'mode.failed': 'No se pudo cambiar el modo de tutoría. Inténtalo de nuevo.',
+      'model.title': 'Modelo que responde',
+      'course.title': 'Curso del que trata esta conversación',
+      'course.intro': 'Únete a tu clase con el código de tu profesor. Las conversaciones que asignes a un curso reciben respuestas basadas en su programa y su material de referencia.',
+      'course.codePlaceholder': 'Código del curso',
+      'course.instructorLink': '¿Impartes un curso? Abre el panel del profesor',
+      'course.loadFailed': 'No se pudieron cargar tus cursos. Inténtalo de nuevo.',
+      'course.none': 'Sin curso',
+      'course.empty': 'Todavía no te has unido a ningún curso.',
+      'course.instructor': 'Profesor · código {code}',
+      'course.student': 'Estudiante',
+      'course.manage': 'Gestionar',
+      'course.joinFailed': 'No se pudo unir al curso',
+      'course.joined': 'Te has unido a {course}. Elígelo en el menú de cursos para centrar una conversación en él.',
+      'course.leaveConfirm': '¿Salir de {course}? Las conversaciones sobre él volverán a la tutoría general.',
+      'course.leaveFailed': 'No se pudo salir del curso. Inténtalo de nuevo.',
+      'course.threadSet': 'Las respuestas de esta conversación ahora siguen {course}.',
+      'course.threadCleared': 'Esta conversación ya no está vinculada a un curso.',
+      'course.threadFailed': 'No se pudo cambiar el curso de esta conversación. Inténtalo de nuevo.',
+      'thread.rename': 'Cambiar nombre',
+      'thread.archive': 'Archivar',
+      'thread.unarchive': 'Desarchivar',
+      'thread.createFailed': 'No se pudo crear una nueva conversación. Inténtalo de nuevo.',
+      'thread.renamePrompt': 'Cambiar el nombre de la conversación',
+      'thread.renameFailed': 'No se pudo cambiar el nombre de la conversación. Inténtalo de nuevo.',
+      'thread.archiveFailed': 'No se pudo archivar la conversación. Inténtalo de nuevo.',
+      'thread.deleteConfirm': '¿Eliminar «{title}» y todos sus mensajes?',
+      'thread.deleteFailed': 'No se pudo eliminar la conversación. Inténtalo de nuevo.',
+      'flashcards.createdOne': 'Se creó 1 tarjeta. Abre «{review}» para estudiarla.',
+      'flashcards.createdMany': 'Se crearon {count} tarjetas. Abre «{review}» para estudiarlas.',
+      'flashcards.createFailed': 'Error: no se pudieron crear las tarjetas. Inténtalo de nuevo.',
+      'flashcards.title': 'Repaso de tarjetas',
+      'flashcards.none': 'No tienes tarjetas pendientes ahora mismo. ¡Buen trabajo!',
+      'flashcards.dueOne': '1 tarjeta pendiente',
+      'flashcards.dueMany': '{count} tarjetas pendientes',
+      'flashcards.showAnswer': 'Mostrar respuesta',
+      'flashcards.again': 'Otra vez',
+      'flashcards.hard': 'Difícil',
+      'flashcards.good': 'Bien',
+      'flashcards.easy': 'Fácil',
+      'flashcards.reviewFailed': 'No se pudo guardar tu repaso. Inténtalo de nuevo.',
+      'quiz.title': 'Test',
+      'quiz.topicPrompt': '¿Sobre qué tema debe ser el test? Déjalo en blanco para hacer un test sobre esta conversación.',
+      'quiz.writing': 'Preparando tu test...',
+      'quiz.generateFailed': 'No se pudo generar un test. Inténtalo de nuevo.',
+      'quiz.answerPlaceholder': 'Tu respuesta...',
+      'quiz.submit': 'Enviar respuestas',
+      'quiz.grading': 'Corrigiendo...',
+      'quiz.submitFailed': 'No se pudo enviar el test. Inténtalo de nuevo.',
+      'quiz.answer': 'Respuesta:',
+      'quiz.score': 'Puntuación: {score} / {max}',
+      'quiz.none': 'Todavía no has hecho ningún test. ¡Prueba «{quiz}»!',
+      'quiz.loadFailed': 'No se pudieron cargar los resultados de los tests. Inténtalo de nuevo.',
+      'table.topic': 'Tema',
+      'table.questions': 'Preguntas',
+      'table.unsure': 'Con dudas',
+      'table.quizzes': 'Tests',
+      'table.average': 'Media',
+      'table.lastTaken': 'Último',
+      'table.lastStudied': 'Último estudio',
+      'progress.loadFailed': 'No se pudo cargar tu progreso. Inténtalo de nuevo.',
+      'progress.empty': 'Haz algunas preguntas o un test y tu progreso aparecerá aquí.',
+      'progress.streak': '🔥 Racha de {days} días de estudio · la más larga, {longest} días',
+      'progress.noStreak': 'Ahora mismo no tienes racha de estudio · la más larga, {longest} días',
+      'progress.lastDays': 'Últimos {count} días',
+      'progress.dayTitle': '{date}: {questions} preguntas, {quizzes} tests',
+      'progress.legend': 'Azul: preguntas hechas · naranja: tests realizados',
+      'progress.revisit': 'Temas para repasar',
+      'progress.reasonQuizAverage': 'Promedio en tests del {percent}%',
+      'progress.reasonUnsure': 'Dudas en {confused} de {questions} preguntas',
+      'progress.reasonStale': 'Sin repasar desde hace {days} días',
+      'progress.topics': 'Temas',
+      'room.intro': 'Haced preguntas al asistente en grupo. Todos los miembros de una sala ven las preguntas de los demás y las respuestas a medida que llegan.',
+      'room.namePlaceholder': 'Tu nombre, tal como lo verán los demás',
+      'room.codePlaceholder': 'Código de la sala',
+      'room.newPlaceholder': 'Nueva sala, p. ej. Grupo de estudio de algoritmos',
+      'room.create': 'Crear sala',
+      'room.aiModeTitle': 'Cuándo responde el asistente (solo el moderador puede cambiarlo)',
+      'room.aiAuto': 'El asistente responde todas las preguntas',
+      'room.aiModerated': 'El asistente responde las preguntas elegidas',
+      'room.aiOff': 'Asistente en pausa',
+      'room.messagePlaceholder': 'Pregunta al grupo...',
+      'room.nameNeeded': 'Primero escribe tu nombre para que el grupo sepa quién pregunta.',
+      'room.createFailed': 'No se pudo crear la sala. Inténtalo de nuevo.',
+      'room.notFound': 'No hay ninguna sala con ese código.',
+      'room.joinFailed': 'No se pudo entrar en la sala. Inténtalo de nuevo.',
+      'room.connecting': 'Conectando...',
+      'room.connected': 'Sala {code}',
+      'room.reconnecting': 'Reconectando...',
+      'room.typing': '{name} está escribiendo...',
+      'room.answering': 'El asistente está respondiendo...',
+      'room.answerFailed': 'El asistente no pudo responder a esto.',
+      'room.answer': '🤖 Responder',
+      'room.answerTitle': 'Pedir al asistente que responda esta pregunta',
+      'room.moderator': '{name} (moderador)',
+      'room.sendFailed': 'No se pudo enviar tu mensaje. Inténtalo de nuevo.',
+      'room.askFailed': 'No se pudo preguntar al asistente. Inténtalo de nuevo.',
+      'room.settingFailed': 'No se pudo cambiar el ajuste. Inténtalo de nuevo.',
+      'plan.goalPlaceholder': 'p. ej. Examen de estructuras de datos',
+      'plan.deadline': 'Fecha límite',
+      'plan.create': 'Crear un plan',
+      'plan.planning': 'Planificando...',
+      'plan.loadFailed': 'No se pudieron cargar tus planes de estudio. Inténtalo de nuevo.',
+      'plan.createFailed': 'No se pudo crear un plan de estudio. Inténtalo de nuevo.',
+      'plan.empty': 'Todavía no hay planes de estudio. Indica arriba tu objetivo y tu fecha límite.',
+      'plan.meta': '{goal} · fecha límite {deadline} · {done} de {total} días hechos',
+      'plan.finished': 'terminado',
+      'plan.nothingToday': 'No hay nada nuevo programado para hoy.',
+      'plan.testYourself': 'Ponte a prueba',
+      'plan.catchUp': 'Ponte al día',
+      'plan.reviewFlashcards': 'Repasa tus tarjetas',
+      'plan.schedule': 'Calendario completo',
+      'plan.delete': 'Eliminar plan',
+      'plan.deleteTitle': 'Eliminar este plan de estudio',
+      'plan.done': 'Hecho',
+      'plan.missed': '{topic} (pendiente)',
+      'plan.moveToday': 'Pasar a hoy',
+      'plan.moveTodayTitle': 'Estudiar esto hoy',
+      'plan.updateFailed': 'No se pudo actualizar el plan. Inténtalo de nuevo.',
+      'plan.deleteConfirm': '¿Eliminar el plan «{title}»?',
+      'plan.deleteFailed': 'No se pudo eliminar el plan. Inténtalo de nuevo.',
+      'notes.intro': 'Sube tus apuntes de clase (.txt, .md o .pdf) y las respuestas se basarán en ellos, citando el documento y la sección.',
+      'notes.empty': 'Todavía no has subido apuntes.',
+      'notes.details': '{count} secciones · {date}',
+      'notes.loadFailed': 'No se pudieron cargar tus apuntes. Inténtalo de nuevo.',
+      'notes.uploading': 'Subiendo e indexando {name}...',
+      'notes.uploadFailed': 'No se pudo subir ese documento. Inténtalo de nuevo.',
+      'notes.deleteConfirm': '¿Eliminar «{name}»? Las respuestas dejarán de citarlo.',
+      'notes.deleteFailed': 'No se pudo eliminar ese documento. Inténtalo de nuevo.',
+      'account.requestFailed': 'La solicitud falló',
+      'account.loadFailed': 'No se pudo cargar tu cuenta. Recarga la página.',
+      'account.guest': 'Estás estudiando como invitado. Crea una cuenta para conservar tu historial y usarlo en otros dispositivos.',
+      'account.signedIn': 'Sesión iniciada como {email}',
+      'account.createTitle': 'Crear cuenta',
+      'account.create': 'Crear cuenta',
+      'account.signInTitle': 'Iniciar sesión',
+      'account.signIn': 'Iniciar sesión',
+      'account.signInNote': 'Al iniciar sesión se sustituye esta sesión de invitado.',
+      'account.signOut': 'Cerrar sesión',
+      'account.signOutConfirm': 'El historial de invitado no se puede recuperar después de cerrar sesión. ¿Continuar?',
+      'account.email': 'Correo electrónico',
+      'account.password': 'Contraseña (8 caracteres o más)',
+      'devices.link': 'Vincular dispositivos',
+      'devices.showCode': 'Mostrar un código para otro dispositivo',
+      'devices.codePlaceholder': 'Introduce un código de tu otro dispositivo',
+      'devices.linkThis': 'Vincular este dispositivo',
+      'devices.linkConfirm': 'Este dispositivo pasará a usar la cuenta del otro dispositivo. ¿Continuar?',
+      'devices.heading': 'Dispositivos con sesión iniciada',
+      'devices.current': '{name} (este dispositivo)',
+      'devices.lastSeen': 'visto por última vez el {date}',
+      'devices.signOut': 'Cerrar sesión',
+      'search.title': 'Buscar',
+      'search.placeholder': 'p. ej. división de nodos en árboles B',
+      'search.modeTitle': 'Palabras clave busca las palabras que escribes; significado también encuentra mensajes que usan otras palabras',
+      'search.keywords': 'Palabras clave',
+      'search.meaning': 'Significado',
+      'search.topic': 'Tema de la conversación',
+      'search.from': 'Desde',
+      'search.to': 'Hasta',
+      'search.thisThread': 'Solo esta conversación',
+      'search.searching': 'Buscando...',
+      'search.failed': 'La búsqueda falló. Inténtalo de nuevo.',
+      'search.none': 'No hay mensajes que coincidan.',
+      'search.unindexed': '{count} mensaje(s) antiguo(s) aún no están indexados para la búsqueda por significado. Vuelve a buscar para incluir más.',
+      'search.notFound': 'No se encontró ese mensaje. Puede que se haya borrado.',
+      'export.title': 'Exportar / Compartir / Importar',
+      'export.heading': 'Exportar',
+      'export.allThreads': 'Todas las conversaciones, no solo esta',
+      'export.failed': 'No se pudieron exportar tus conversaciones. Inténtalo de nuevo.',
+      'share.heading': 'Compartir',
+      'share.intro': 'Crea un enlace de solo lectura a esta conversación que cualquiera puede abrir sin iniciar sesión. Muestra la conversación tal como está ahora; los mensajes posteriores no se añaden.',
+      'share.expiryTitle': 'Cuánto tiempo estará activo el enlace',
+      'share.forever': 'Hasta que lo revoque',
+      'share.day1': 'Durante 1 día',
+      'share.day7': 'Durante 7 días',
+      'share.day30': 'Durante 30 días',
+      'share.create': 'Crear enlace',
+      'share.created': 'Cualquiera con este enlace puede leerlo. Revócalo en {export}.',
+      'share.createFailed': 'No se pudo crear un enlace. Inténtalo de nuevo.',
+      'share.empty': 'Todavía no hay enlaces compartidos.',
+      'share.messageOne': '1 mensaje',
+      'share.messageMany': '{count} mensajes',
+      'share.expired': 'caducado',
+      'share.openUntil': 'activo hasta el {date}',
+      'share.copy': 'Copiar enlace',
+      'share.revoke': 'Revocar',
+      'share.loadFailed': 'No se pudieron cargar tus enlaces compartidos. Inténtalo de nuevo.',
+      'share.revokeConfirm': '¿Revocar el enlace a «{title}»? Quien lo tenga ya no podrá abrirlo.',
+      'share.revokeFailed': 'No se pudo revocar ese enlace. Inténtalo de nuevo.',
+      'import.heading': 'Importar',
+      'import.intro': 'Restaura una exportación JSON de otro dispositivo o cuenta. Sus conversaciones se añaden junto a las actuales.',
+      'import.done': 'Se importaron {threads} conversación(es) con {messages} mensaje(s).',
+      'import.failed': 'No se pudo importar ese archivo. Inténtalo de nuevo.'
+    }
+  },
+
+  fr: {
+    name: 'Français',
+    english: 'French',
+    speech: 'fr-FR',
+    strings: {
+      'app.title': "Assistant d'étude IA",
+      'app.tagline': "Posez vos questions sur la programmation et les concepts de l'informatique",
+      'app.language': 'Langue',
+      'sidebar.search': 'Rechercher dans les conversations...',
+      'sidebar.newThread': '+ Nouvelle conversation',
+      'sidebar.showArchived': 'Afficher les archives',
+      'input.placeholder': 'Posez une question...',
+      'input.send': 'Envoyer',
+      'input.stop': 'Arrêter',
+      'input.stopTitle': 'Arrêter la génération',
+      'input.voiceTitle': 'Saisie vocale',
+      'features.clearHistory': "Effacer l'historique",
+      'features.export': 'Exporter / Partager',
+      'features.threadFlashcards': 'Fiches de la conversation',
+      'features.reviewFlashcards': 'Réviser les fiches',
+      'features.quiz': 'Interroge-moi',
+      'features.quizScores': 'Résultats des quiz',
+      'features.progress': 'Progression',
+      'features.today': "Aujourd'hui",
+      'features.room': "Salle d'étude",
+      'features.courses': 'Cours',
+      'features.notes': 'Mes notes',
+      'features.account': 'Compte',
+      'chat.welcome': "Bienvenue ! Je suis votre assistant d'étude IA. Posez-moi toutes vos questions sur la programmation et l'informatique.",
+      'chat.newThread': "Nouvelle conversation. Qu'aimeriez-vous étudier ?",
+      'chat.error': "Erreur : impossible d'obtenir une réponse. Veuillez réessayer.",
+      'chat.stopped': 'arrêté',
+      'chat.failed': "⚠ Aucune réponse n'a été enregistrée pour cette question. Régénérez-la pour réessayer.",
+      'chat.clearConfirm': "Voulez-vous vraiment effacer tout l'historique de la conversation ?",
+      'chat.cleared': "Historique effacé. Comment puis-je vous aider aujourd'hui ?",
+      'chat.clearFailed': "Impossible d'effacer l'historique. Veuillez réessayer.",
+      'chat.languageChanged': 'Les réponses seront désormais en {language}.',
+      'chat.languageFailed': "Impossible d'enregistrer votre langue. Veuillez réessayer.",
+      'action.flashcards': '🃏 Fiches',
+      'action.flashcardsTitle': 'Créer des fiches à partir de cette réponse',
+      'action.edit': '✎ Modifier',
+      'action.editTitle': 'Modifier et renvoyer cette question',
+      'action.editPrompt': 'Modifiez votre question',
+      'action.goodAnswer': 'Bonne réponse',
+      'action.badAnswer': 'Mauvaise réponse',
+      'action.regenerate': '↻ Régénérer',
+      'action.regenerateTitle': 'Écrire une nouvelle réponse à cette question',
+      'action.share': '🔗 Partager',
+      'action.shareTitle': 'Créer un lien en lecture seule vers cette question et sa réponse',
+      'action.translate': '🌐 Traduire',
+      'action.translateTitle': 'Traduire cette réponse en {language}',
+      'action.hideTranslation': '🌐 Masquer la traduction',
+      'action.translating': 'Traduction en cours...',
+      'action.translation': 'Traduction ({language})',
+      'action.translateFailed': 'Impossible de traduire cette réponse. Veuillez réessayer.',
+      'policy.hints': '💡 Cela ressemblait à un travail noté : vous avez reçu des indices plutôt qu’une solution complète.',
+      'policy.refused': "🎓 Refusé en vertu de la politique d'intégrité académique.",
+      'policy.blocked': '⛔ Bloqué par la politique de contenu.',
+      'outbox.queued': '⏳ En attente de connexion. Cette question sera envoyée automatiquement.',
+      'outbox.one': '1 question',
+      'outbox.many': '{count} questions',
+      'outbox.sending': '📤 Envoi de {questions}...',
+      'outbox.waiting': "📤 {questions} en attente d'envoi",
+      'outbox.retry': 'cliquez pour réessayer',
+      'outbox.offline': 'hors ligne',
+      'outbox.retryTitle': 'Envoyer maintenant les questions en attente',
+      'outbox.failed': "Une question en attente n'a pas pu être envoyée ({error}) : {message}",
+      'voice.unsupported': "La saisie vocale n'est pas prise en charge par votre navigateur.",
+      'voice.noSpeech': 'Aucune voix détectée. Veuillez réessayer.',
+      'voice.error': 'Erreur de reconnaissance vocale : {error}',
+      'voice.startFailed': 'Impossible de démarrer la reconnaissance vocale. Veuillez réessayer.',
+      'voice.micNeeded': "L'accès au micro est nécessaire pour la saisie vocale.",
+      'voice.transcribing': 'Transcription en cours...',
+      'voice.transcribeFailed': 'Impossible de transcrire votre enregistrement. Veuillez réessayer.',
+      'auth.signInFailed': 'Erreur : impossible de vous connecter. Veuillez recharger la page.',
+      'common.close': 'Fermer',
+      'common.loading': 'Chargement...',
+      'common.delete': 'Supprimer',
+      'common.leave': 'Quitter',
+      'common.join': 'Rejoindre',
+      'common.copied': 'Copié !',
+      'common.copyFailed': 'Échec de la copie',
+      'common.you': 'Vous',
+      'common.assistant': 'Assistant',
+      'common.retryIn': '{error} Réessayez dans {wait}.',
+      'wait.second': '1 seconde',
+      'wait.seconds': '{count} secondes',
+      'wait.minute': '1 minute',
+      'wait.minutes': '{count} minutes',
+      'wait.hour': '1 heure',
+      'wait.hours': '{count} heures',
+      'usage.summary': "{requests}/{limit} requêtes disponibles · {tokens} jetons restants aujourd'hui",
+      'code.copy': 'Copier',
+      'sources.label': 'Sources :',
+      'sources.deleted': 'Document supprimé',
+      'action.previousVersion': 'Version précédente',
+      'action.nextVersion': 'Version suivante',
+      'action.helpfulPrompt': "Qu'est-ce qui vous a aidé ? (facultatif)",
+      'action.unhelpfulPrompt': "Qu'est-ce qui n'allait pas dans cette réponse ? (facultatif)",
+      'action.rateFailed': "Impossible d'enregistrer votre évaluation. Veuillez réessayer.",
+      'mode.title': 'Mode de tutorat de cette conversation',
+      'mode.switched': 'Cette conversation est passée en mode {mode}.',
+      'mode.failed': 'Impossible de changer le mode de tutorat. Veuillez réessayer.',
+      'model.title': 'Modèle qui répond',
+      'course.title': 'Cours dont parle cette conversation',
+      'course.intro': 'Rejoignez votre classe avec le code de votre enseignant. Les conversations rattachées à un cours reçoivent des réponses fondées sur son programme et ses documents de référence.',
+      'course.codePlaceholder': 'Code du cours',
+      'course.instructorLink': 'Vous enseignez un cours ? Ouvrez le tableau de bord enseignant',
+      'course.loadFailed': 'Impossible de charger vos cours. Veuillez réessayer.',
+      'course.none': 'Aucun cours',
+      'course.empty': "Vous n'avez encore rejoint aucun cours.",
+      'course.instructor': 'Enseignant · code {code}',
+      'course.student': 'Étudiant',
+      'course.manage': 'Gérer',
+      'course.joinFailed': 'Impossible de rejoindre le cours',
+      'course.joined': 'Vous avez rejoint {course}. Choisissez-le dans le menu des cours pour y rattacher une conversation.',
+      'course.leaveConfirm': 'Quitter {course} ? Les conversations qui y sont rattachées reviendront au tutorat général.',
+      'course.leaveFailed': 'Impossible de quitter le cours. Veuillez réessayer.',
+      'course.threadSet': 'Les réponses de cette conversation suivent désormais {course}.',
+      'course.threadCleared': "Cette conversation n'est plus rattachée à un cours.",
+      'course.threadFailed': 'Impossible de changer le cours de cette conversation. Veuillez réessayer.',
+      'thread.rename': 'Renommer',
+      'thread.archive': 'Archiver',
+      'thread.unarchive': 'Désarchiver',
+      'thread.createFailed': 'Impossible de créer une nouvelle conversation. Veuillez réessayer.',
+      'thread.renamePrompt': 'Renommer la conversation',
+      'thread.renameFailed': 'Impossible de renommer la conversation. Veuillez réessayer.',
+      'thread.archiveFailed': "Impossible d'archiver la conversation. Veuillez réessayer.",
+      'thread.deleteConfirm': 'Supprimer « {title} » et tous ses messages ?',
+      'thread.deleteFailed': 'Impossible de supprimer la conversation. Veuillez réessayer.',
+      'flashcards.createdOne': "1 fiche créée. Ouvrez « {review} » pour l'étudier.",
+      'flashcards.createdMany': '{count} fiches créées. Ouvrez « {review} » pour les étudier.',
+      'flashcards.createFailed': 'Erreur : impossible de créer les fiches. Veuillez réessayer.',
+      'flashcards.title': 'Révision des fiches',
+      'flashcards.none': "Aucune fiche à réviser pour l'instant. Beau travail !",
+      'flashcards.dueOne': '1 fiche à réviser',
+      'flashcards.dueMany': '{count} fiches à réviser',
+      'flashcards.showAnswer': 'Afficher la réponse',
+      'flashcards.again': 'À revoir',
+      'flashcards.hard': 'Difficile',
+      'flashcards.good': 'Bien',
+      'flashcards.easy': 'Facile',
+      'flashcards.reviewFailed': "Impossible d'enregistrer votre révision. Veuillez réessayer.",
+      'quiz.title': 'Quiz',
+      'quiz.topicPrompt': 'Sur quel sujet doit porter le quiz ? Laissez vide pour être interrogé sur cette conversation.',
+      'quiz.writing': 'Rédaction de votre quiz...',
+      'quiz.generateFailed': 'Impossible de générer un quiz. Veuillez réessayer.',
+      'quiz.answerPlaceholder': 'Votre réponse...',
+      'quiz.submit': 'Envoyer les réponses',
+      'quiz.grading': 'Correction...',
+      'quiz.submitFailed': "Impossible d'envoyer le quiz. Veuillez réessayer.",
+      'quiz.answer': 'Réponse :',
+      'quiz.score': 'Score : {score} / {max}',
+      'quiz.none': "Aucun quiz pour l'instant. Essayez « {quiz} » !",
+      'quiz.loadFailed': 'Impossible de charger les résultats des quiz. Veuillez réessayer.',
+      'table.topic': 'Sujet',
+      'table.questions': 'Questions',
+      'table.unsure': 'Incertain',
+      'table.quizzes': 'Quiz',
+      'table.average': 'Moyenne',
+      'table.lastTaken': 'Dernier passage',
+      'table.lastStudied': 'Dernière étude',
+      'progress.loadFailed': 'Impossible de charger votre progression. Veuillez réessayer.',
+      'progress.empty': 'Posez quelques questions ou faites un quiz, et votre progression apparaîtra ici.',
+      'progress.streak': "🔥 Série de {days} jours d'étude · record : {longest} jours",
+      'progress.noStreak': "Aucune série d'étude en cours · record : {longest} jours",
+      'progress.lastDays': 'Les {count} derniers jours',
+      'progress.dayTitle': '{date} : {questions} questions, {quizzes} quiz',
+      'progress.legend': 'Bleu : questions posées · orange : quiz passés',
+      'progress.revisit': 'Sujets à revoir',
+      'progress.reasonQuizAverage': 'Moyenne aux quiz de {percent} %',
+      'progress.reasonUnsure': 'Hésitant sur {confused} questions sur {questions}',
+      'progress.reasonStale': 'Pas revu depuis {days} jours',
+      'progress.topics': 'Sujets',
+      'room.intro': "Posez vos questions à l'assistant ensemble. Chacun dans la salle voit les questions des autres et les réponses dès leur arrivée.",
+      'room.namePlaceholder': 'Votre nom, tel que les autres le verront',
+      'room.codePlaceholder': 'Code de la salle',
+      'room.newPlaceholder': "Nouvelle salle, p. ex. Groupe d'étude algorithmique",
+      'room.create': 'Créer une salle',
+      'room.aiModeTitle': "Quand l'assistant répond (seul le modérateur peut le modifier)",
+      'room.aiAuto': "L'assistant répond à chaque question",
+      'room.aiModerated': "L'assistant répond aux questions choisies",
+      'room.aiOff': 'Assistant en pause',
+      'room.messagePlaceholder': 'Demandez au groupe...',
+      'room.nameNeeded': "Saisissez d'abord votre nom pour que le groupe sache qui pose la question.",
+      'room.createFailed': 'Impossible de créer la salle. Veuillez réessayer.',
+      'room.notFound': 'Aucune salle ne correspond à ce code.',
+      'room.joinFailed': 'Impossible de rejoindre la salle. Veuillez réessayer.',
+      'room.connecting': 'Connexion...',
+      'room.connected': 'Salle {code}',
+      'room.reconnecting': 'Reconnexion...',
+      'room.typing': '{name} écrit...',
+      'room.answering': "L'assistant répond...",
+      'room.answerFailed': "L'assistant n'a pas pu répondre à cette question.",
+      'room.answer': '🤖 Répondre',
+      'room.answerTitle': "Faire répondre l'assistant à cette question",
+      'room.moderator': '{name} (modérateur)',
+      'room.sendFailed': "Impossible d'envoyer votre message. Veuillez réessayer.",
+      'room.askFailed': "Impossible d'interroger l'assistant. Veuillez réessayer.",
+      'room.settingFailed': 'Impossible de modifier le réglage. Veuillez réessayer.',
+      'plan.goalPlaceholder': 'p. ex. Examen de structures de données',
+      'plan.deadline': 'Échéance',
+      'plan.create': 'Créer un plan',
+      'plan.planning': 'Planification...',
+      'plan.loadFailed': "Impossible de charger vos plans d'étude. Veuillez réessayer.",
+      'plan.createFailed': "Impossible de créer un plan d'étude. Veuillez réessayer.",
+      'plan.empty': "Aucun plan d'étude pour l'instant. Indiquez votre objectif et votre échéance ci-dessus.",
+      'plan.meta': '{goal} · échéance {deadline} · {done} jours faits sur {total}',
+      'plan.finished': 'terminé',
+      'plan.nothingToday': "Rien de nouveau n'est prévu aujourd'hui.",
+      'plan.testYourself': 'Testez-vous',
+      'plan.catchUp': 'Rattrapage',
+      'plan.reviewFlashcards': 'Révisez vos fiches',
+      'plan.schedule': 'Planning complet',
+      'plan.delete': 'Supprimer le plan',
+      'plan.deleteTitle': "Supprimer ce plan d'étude",
+      'plan.done': 'Fait',
+      'plan.missed': '{topic} (manqué)',
+      'plan.moveToday': "Déplacer à aujourd'hui",
+      'plan.moveTodayTitle': "Étudier ceci aujourd'hui",
+      'plan.updateFailed': 'Impossible de mettre à jour le plan. Veuillez réessayer.',
+      'plan.deleteConfirm': 'Supprimer le plan « {title} » ?',
+      'plan.deleteFailed': 'Impossible de supprimer le plan. Veuillez réessayer.',
+      'notes.intro': "Importez vos notes de cours (.txt, .md ou .pdf) : les réponses s'en serviront en citant le document et la section.",
+      'notes.empty': "Aucune note importée pour l'instant.",
+      'notes.details': '{count} sections · {date}',
+      'notes.loadFailed': 'Impossible de charger vos notes. Veuillez réessayer.',
+      'notes.uploading': 'Import et indexation de {name}...',
+      'notes.uploadFailed': "Impossible d'importer ce document. Veuillez réessayer.",
+      'notes.deleteConfirm': 'Supprimer « {name} » ? Les réponses ne le citeront plus.',
+      'notes.deleteFailed': 'Impossible de supprimer ce document. Veuillez réessayer.',
+      'account.requestFailed': 'La requête a échoué',
+      'account.loadFailed': 'Impossible de charger votre compte. Veuillez recharger la page.',
+      'account.guest': "Vous étudiez en tant qu'invité. Créez un compte pour conserver votre historique et l'utiliser sur d'autres appareils.",
+      'account.signedIn': 'Connecté en tant que {email}',
+      'account.createTitle': 'Créer un compte',
+      'account.create': 'Créer le compte',
+      'account.signInTitle': 'Se connecter',
+      'account.signIn': 'Se connecter',
+      'account.signInNote': 'La connexion remplace cette session invité.',
+      'account.signOut': 'Se déconnecter',
+      'account.signOutConfirm': "L'historique invité ne pourra pas être récupéré après la déconnexion. Continuer ?",
+      'account.email': 'E-mail',
+      'account.password': 'Mot de passe (8 caractères ou plus)',
+      'devices.link': 'Associer des appareils',
+      'devices.showCode': 'Afficher un code pour un autre appareil',
+      'devices.codePlaceholder': 'Saisissez un code de votre autre appareil',
+      'devices.linkThis': 'Associer cet appareil',
+      'devices.linkConfirm': "Cet appareil passera au compte de l'autre appareil. Continuer ?",
+      'devices.heading': 'Appareils connectés',
+      'devices.current': '{name} (cet appareil)',
+      'devices.lastSeen': 'vu pour la dernière fois le {date}',
+      'devices.signOut': 'Déconnecter',
+      'search.title': 'Rechercher',
+      'search.placeholder': "p. ex. division des nœuds d'un arbre B",
+      'search.modeTitle': "Mots-clés cherche les mots saisis ; sens trouve aussi les messages qui emploient d'autres mots",
+      'search.keywords': 'Mots-clés',
+      'search.meaning': 'Sens',
+      'search.topic': 'Sujet de la conversation',
+      'search.from': 'Du',
+      'search.to': 'Au',
+      'search.thisThread': 'Cette conversation uniquement',
+      'search.searching': 'Recherche...',
+      'search.failed': 'La recherche a échoué. Veuillez réessayer.',
+      'search.none': 'Aucun message correspondant.',
+      'search.unindexed': '{count} message(s) plus ancien(s) ne sont pas encore indexés pour la recherche par sens. Relancez la recherche pour en inclure davantage.',
+      'search.notFound': 'Ce message est introuvable. Il a peut-être été effacé.',
+      'export.title': 'Exporter / Partager / Importer',
+      'export.heading': 'Exporter',
+      'export.allThreads': 'Toutes les conversations, pas seulement celle-ci',
+      'export.failed': "Impossible d'exporter vos conversations. Veuillez réessayer.",
+      'share.heading': 'Partager',
+      'share.intro': "Créez un lien en lecture seule vers cette conversation, que tout le monde peut ouvrir sans se connecter. Il montre la conversation telle qu'elle est maintenant ; les messages suivants ne sont pas ajoutés.",
+      'share.expiryTitle': 'Durée de validité du lien',
+      'share.forever': "Jusqu'à ce que je le révoque",
+      'share.day1': 'Pendant 1 jour',
+      'share.day7': 'Pendant 7 jours',
+      'share.day30': 'Pendant 30 jours',
+      'share.create': 'Créer un lien',
+      'share.created': 'Toute personne disposant de ce lien peut le lire. Révoquez-le dans {export}.',
+      'share.createFailed': 'Impossible de créer un lien. Veuillez réessayer.',
+      'share.empty': "Aucun lien partagé pour l'instant.",
+      'share.messageOne': '1 message',
+      'share.messageMany': '{count} messages',
+      'share.expired': 'expiré',
+      'share.openUntil': "ouvert jusqu'au {date}",
+      'share.copy': 'Copier le lien',
+      'share.revoke': 'Révoquer',
+      'share.loadFailed': 'Impossible de charger vos liens partagés. Veuillez réessayer.',
+      'share.revokeConfirm': "Révoquer le lien vers « {title} » ? Les personnes qui l'ont ne pourront plus l'ouvrir.",
+      'share.revokeFailed': 'Impossible de révoquer ce lien. Veuillez réessayer.',
+      'import.heading': 'Importer',
+      'import.intro': "Restaurez un export JSON provenant d'un autre appareil ou compte. Ses conversations s'ajoutent à celles que vous avez déjà.",
+      'import.done': '{threads} conversation(s) importée(s) avec {messages} message(s).',
+      'import.failed': "Impossible d'importer ce fichier. Veuillez réessayer."
+    }
+  },
+
+  de: {
+    name: 'Deutsch',
+    english: 'German',
+    speech: 'de-DE',
+    strings: {
+      'app.title': 'KI-Lernassistent',
+      'app.tagline': 'Stelle Fragen zu Programmierung und Konzepten der Informatik',
+      'app.language': 'Sprache',
+      'sidebar.search': 'Unterhaltungen durchsuchen...',
+      'sidebar.newThread': '+ Neue Unterhaltung',
+      'sidebar.showArchived': 'Archivierte anzeigen',
+      'input.placeholder': 'Stelle eine Frage...',
+      'input.send': 'Senden',
+      'input.stop': 'Stopp',
+      'input.stopTitle': 'Generierung stoppen',
+      'input.voiceTitle': 'Spracheingabe',
+      'features.clearHistory': 'Verlauf löschen',
+      'features.export': 'Exportieren / Teilen',
+      'features.threadFlashcards': 'Karteikarten aus der Unterhaltung',
+      'features.reviewFlashcards': 'Karteikarten wiederholen',
+      'features.quiz': 'Frag mich ab',
+      'features.quizScores': 'Quiz-Ergebnisse',
+      'features.progress': 'Fortschritt',
+      'features.today': 'Heute',
+      'features.room': 'Lernraum',
+      'features.courses': 'Kurse',
+      'features.notes': 'Meine Notizen',
+      'features.account': 'Konto',
+      'chat.welcome': 'Willkommen! Ich bin dein KI-Lernassistent. Frag mich alles über Programmierung und Informatik.',
+      'chat.newThread': 'Neue Unterhaltung gestartet. Was möchtest du lernen?',
+      'chat.error': 'Fehler: Keine Antwort erhalten. Bitte versuche es erneut.',
+      'chat.stopped': 'gestoppt',
+      'chat.failed': '⚠ Für diese Frage wurde keine Antwort gespeichert. Generiere sie neu, um es erneut zu versuchen.',
+      'chat.clearConfirm': 'Möchtest du wirklich den gesamten Verlauf dieser Unterhaltung löschen?',
+      'chat.cleared': 'Verlauf gelöscht. Wie kann ich dir heute helfen?',
+      'chat.clearFailed': 'Der Verlauf konnte nicht gelöscht werden. Bitte versuche es erneut.',
+      'chat.languageChanged': 'Antworten kommen ab jetzt auf {language}.',
+      'chat.languageFailed': 'Deine Sprache konnte nicht gespeichert werden. Bitte versuche es erneut.',
+      'action.flashcards': '🃏 Karteikarten',
+      'action.flashcardsTitle': 'Karteikarten aus dieser Antwort erstellen',
+      'action.edit': '✎ Bearbeiten',
+      'action.editTitle': 'Diese Frage bearbeiten und erneut senden',
+      'action.editPrompt': 'Bearbeite deine Frage',
+      'action.goodAnswer': 'Gute Antwort',
+      'action.badAnswer': 'Schlechte Antwort',
+      'action.regenerate': '↻ Neu generieren',
+      'action.regenerateTitle': 'Eine neue Antwort auf diese Frage schreiben',
+      'action.share': '🔗 Teilen',
+      'action.shareTitle': 'Einen schreibgeschützten Link zu dieser Frage und Antwort erstellen',
+      'action.translate': '🌐 Übersetzen',
+      'action.translateTitle': 'Diese Antwort ins {language} übersetzen',
+      'action.hideTranslation': '🌐 Übersetzung ausblenden',
+      'action.translating': 'Wird übersetzt...',
+      'action.translation': 'Übersetzung ({language})',
+      'action.translateFailed': 'Diese Antwort konnte nicht übersetzt werden. Bitte versuche es erneut.',
+      'policy.hints': '💡 Das sah nach einer benoteten Aufgabe aus, deshalb gab es Hinweise statt einer fertigen Lösung.',
+      'policy.refused': '🎓 Gemäß der Richtlinie zur akademischen Integrität abgelehnt.',
+      'policy.blocked': '⛔ Durch die Inhaltsrichtlinie blockiert.',
+      'outbox.queued': '⏳ Warte auf Verbindung. Diese Frage wird automatisch gesendet.',
+      'outbox.one': '1 Frage',
+      'outbox.many': '{count} Fragen',
+      'outbox.sending': '📤 Sende {questions}...',
+      'outbox.waiting': '📤 {questions} warten auf Versand',
+      'outbox.retry': 'zum erneuten Senden klicken',
+      'outbox.offline': 'offline',
+      'outbox.retryTitle': 'Wartende Fragen jetzt senden',
+      'outbox.failed': 'Eine wartende Frage konnte nicht gesendet werden ({error}): {message}',
+      'voice.unsupported': 'Dein Browser unterstützt keine Spracheingabe.',
+      'voice.noSpeech': 'Keine Sprache erkannt. Bitte versuche es erneut.',
+      'voice.error': 'Fehler bei der Spracherkennung: {error}',
+      'voice.startFailed': 'Die Spracherkennung konnte nicht gestartet werden. Bitte versuche es erneut.',
+      'voice.micNeeded': 'Für die Spracheingabe wird Zugriff auf das Mikrofon benötigt.',
+      'voice.transcribing': 'Wird transkribiert...',
+      'voice.transcribeFailed': 'Deine Aufnahme konnte nicht transkribiert werden. Bitte versuche es erneut.',
+      'auth.signInFailed': 'Fehler: Anmeldung nicht möglich. Bitte lade die Seite neu.',
+      'common.close': 'Schließen',
+      'common.loading': 'Wird geladen...',
+      'common.delete': 'Löschen',
+      'common.leave': 'Verlassen',
+      'common.join': 'Beitreten',
+      'common.copied': 'Kopiert!',
+      'common.copyFailed': 'Kopieren fehlgeschlagen',
+      'common.you': 'Du',
+      'common.assistant': 'Assistent',
+      'common.retryIn': '{error} Versuche es in {wait} erneut.',
+      'wait.second': '1 Sekunde',
+      'wait.seconds': '{count} Sekunden',
+      'wait.minute': '1 Minute',
+      'wait.minutes': '{count} Minuten',
+      'wait.hour': '1 Stunde',
+      'wait.hours': '{count} Stunden',
+      'usage.summary': '{requests}/{limit} Anfragen verfügbar · heute noch {tokens} Tokens',
+      'code.copy': 'Kopieren',
+      'sources.label': 'Quellen:',
+      'sources.deleted': 'Gelöschtes Dokument',
+      'action.previousVersion': 'Vorherige Version',
+      'action.nextVersion': 'Nächste Version',
+      'action.helpfulPrompt': 'Was war hilfreich? (optional)',
+      'action.unhelpfulPrompt': 'Was war an dieser Antwort falsch? (optional)',
+      'action.rateFailed': 'Deine Bewertung konnte nicht gespeichert werden. Bitte versuche es erneut.',
+      'mode.title': 'Lernmodus für diese Unterhaltung',
+      'mode.switched': 'Diese Unterhaltung nutzt jetzt den Modus {mode}.',
+      'mode.failed': 'Der Lernmodus konnte nicht geändert werden. Bitte versuche es erneut.',
+      'model.title': 'Modell, das antwortet',
+      'course.title': 'Kurs, um den es in dieser Unterhaltung geht',
+      'course.intro': 'Tritt deinem Kurs mit dem Code deiner Lehrkraft bei. Unterhaltungen, die du einem Kurs zuordnest, erhalten Antworten auf Grundlage seines Lehrplans und Referenzmaterials.',
+      'course.codePlaceholder': 'Kurscode',
+      'course.instructorLink': 'Du unterrichtest einen Kurs? Öffne das Lehrkräfte-Dashboard',
+      'course.loadFailed': 'Deine Kurse konnten nicht geladen werden. Bitte versuche es erneut.',
+      'course.none': 'Kein Kurs',
+      'course.empty': 'Du bist noch keinem Kurs beigetreten.',
+      'course.instructor': 'Lehrkraft · Code {code}',
+      'course.student': 'Lernende:r',
+      'course.manage': 'Verwalten',
+      'course.joinFailed': 'Beitritt zum Kurs fehlgeschlagen',
+      'course.joined': 'Du bist {course} beigetreten. Wähle den Kurs im Kursmenü, um eine Unterhaltung darauf zu beziehen.',
+      'course.leaveConfirm': '{course} verlassen? Unterhaltungen dazu werden wieder zu allgemeiner Nachhilfe.',
+      'course.leaveFailed': 'Der Kurs konnte nicht verlassen werden. Bitte versuche es erneut.',
+      'course.threadSet': 'Antworten in dieser Unterhaltung richten sich jetzt nach {course}.',
+      'course.threadCleared': 'Diese Unterhaltung ist keinem Kurs mehr zugeordnet.',
+      'course.threadFailed': 'Der Kurs dieser Unterhaltung konnte nicht geändert werden. Bitte versuche es erneut.',
+      'thread.rename': 'Umbenennen',
+      'thread.archive': 'Archivieren',
+      'thread.unarchive': 'Wiederherstellen',
+      'thread.createFailed': 'Die neue Unterhaltung konnte nicht erstellt werden. Bitte versuche es erneut.',
+      'thread.renamePrompt': 'Unterhaltung umbenennen',
+      'thread.renameFailed': 'Die Unterhaltung konnte nicht umbenannt werden. Bitte versuche es erneut.',
+      'thread.archiveFailed': 'Die Unterhaltung konnte nicht archiviert werden. Bitte versuche es erneut.',
+      'thread.deleteConfirm': '„{title}“ und alle Nachrichten darin löschen?',
+      'thread.deleteFailed': 'Die Unterhaltung konnte nicht gelöscht werden. Bitte versuche es erneut.',
+      'flashcards.createdOne': '1 Karteikarte erstellt. Öffne „{review}“, um sie zu lernen.',
+      'flashcards.createdMany': '{count} Karteikarten erstellt. Öffne „{review}“, um sie zu lernen.',
+      'flashcards.createFailed': 'Fehler: Die Karteikarten konnten nicht erstellt werden. Bitte versuche es erneut.',
+      'flashcards.title': 'Karteikarten wiederholen',
+      'flashcards.none': 'Gerade sind keine Karten fällig. Gut gemacht!',
+      'flashcards.dueOne': '1 Karte fällig',
+      'flashcards.dueMany': '{count} Karten fällig',
+      'flashcards.showAnswer': 'Antwort zeigen',
+      'flashcards.again': 'Nochmal',
+      'flashcards.hard': 'Schwer',
+      'flashcards.good': 'Gut',
+      'flashcards.easy': 'Leicht',
+      'flashcards.reviewFailed': 'Deine Wiederholung konnte nicht gespeichert werden. Bitte versuche es erneut.',
+      'quiz.title': 'Quiz',
+      'quiz.topicPrompt': 'Welches Thema soll das Quiz abdecken? Lass das Feld leer, um zu dieser Unterhaltung abgefragt zu werden.',
+      'quiz.writing': 'Dein Quiz wird erstellt...',
+      'quiz.generateFailed': 'Es konnte kein Quiz erstellt werden. Bitte versuche es erneut.',
+      'quiz.answerPlaceholder': 'Deine Antwort...',
+      'quiz.submit': 'Antworten abgeben',
+      'quiz.grading': 'Wird bewertet...',
+      'quiz.submitFailed': 'Das Quiz konnte nicht abgegeben werden. Bitte versuche es erneut.',
+      'quiz.answer': 'Antwort:',
+      'quiz.score': 'Punkte: {score} / {max}',
+      'quiz.none': 'Noch keine Quizze gemacht. Probier „{quiz}“ aus!',
+      'quiz.loadFailed': 'Die Quiz-Ergebnisse konnten nicht geladen werden. Bitte versuche es erneut.',
+      'table.topic': 'Thema',
+      'table.questions': 'Fragen',
+      'table.unsure': 'Unsicher',
+      'table.quizzes': 'Quizze',
+      'table.average': 'Durchschnitt',
+      'table.lastTaken': 'Zuletzt gemacht',
+      'table.lastStudied': 'Zuletzt gelernt',
+      'progress.loadFailed': 'Dein Fortschritt konnte nicht geladen werden. Bitte versuche es erneut.',
+      'progress.empty': 'Stelle ein paar Fragen oder mach ein Quiz, dann erscheint dein Fortschritt hier.',
+      'progress.streak': '🔥 {days} Tage Lernserie · längste {longest} Tage',
+      'progress.noStreak': 'Gerade keine Lernserie · längste {longest} Tage',
+      'progress.lastDays': 'Letzte {count} Tage',
+      'progress.dayTitle': '{date}: {questions} Fragen, {quizzes} Quizze',
+      'progress.legend': 'Blau: gestellte Fragen · Orange: gemachte Quizze',
+      'progress.revisit': 'Themen zum Wiederholen',
+      'progress.reasonQuizAverage': 'Quiz-Durchschnitt {percent} %',
+      'progress.reasonUnsure': 'Unsicher bei {confused} von {questions} Fragen',
+      'progress.reasonStale': 'Seit {days} Tagen nicht wiederholt',
+      'progress.topics': 'Themen',
+      'room.intro': 'Stellt dem Assistenten gemeinsam Fragen. Alle im Raum sehen die Fragen der anderen und die Antworten, sobald sie eintreffen.',
+      'room.namePlaceholder': 'Dein Name, wie andere ihn sehen',
+      'room.codePlaceholder': 'Raumcode',
+      'room.newPlaceholder': 'Neuer Raum, z. B. Lerngruppe Algorithmen',
+      'room.create': 'Raum erstellen',
+      'room.aiModeTitle': 'Wann der Assistent antwortet (nur die Moderation kann das ändern)',
+      'room.aiAuto': 'Assistent beantwortet jede Frage',
+      'room.aiModerated': 'Assistent beantwortet ausgewählte Fragen',
+      'room.aiOff': 'Assistent pausiert',
+      'room.messagePlaceholder': 'Frag die Gruppe...',
+      'room.nameNeeded': 'Gib zuerst deinen Namen ein, damit die Gruppe weiß, wer fragt.',
+      'room.createFailed': 'Der Raum konnte nicht erstellt werden. Bitte versuche es erneut.',
+      'room.notFound': 'Es gibt keinen Raum mit diesem Code.',
+      'room.joinFailed': 'Dem Raum konnte nicht beigetreten werden. Bitte versuche es erneut.',
+      'room.connecting': 'Verbinde...',
+      'room.connected': 'Raum {code}',
+      'room.reconnecting': 'Verbinde erneut...',
+      'room.typing': '{name} schreibt...',
+      'room.answering': 'Der Assistent antwortet...',
+      'room.answerFailed': 'Der Assistent konnte darauf nicht antworten.',
+      'room.answer': '🤖 Antworten',
+      'room.answerTitle': 'Den Assistenten diese Frage beantworten lassen',
+      'room.moderator': '{name} (Moderation)',
+      'room.sendFailed': 'Deine Nachricht konnte nicht gesendet werden. Bitte versuche es erneut.',
+      'room.askFailed': 'Der Assistent konnte nicht gefragt werden. Bitte versuche es erneut.',
+      'room.settingFailed': 'Die Einstellung konnte nicht geändert werden. Bitte versuche es erneut.',
+      'plan.goalPlaceholder': 'z. B. Prüfung Datenstrukturen',
+      'plan.deadline': 'Frist',
+      'plan.create': 'Plan erstellen',
+      'plan.planning': 'Wird geplant...',
+      'plan.loadFailed': 'Deine Lernpläne konnten nicht geladen werden. Bitte versuche es erneut.',
+      'plan.createFailed': 'Es konnte kein Lernplan erstellt werden. Bitte versuche es erneut.',
+      'plan.empty': 'Noch keine Lernpläne. Nenne oben dein Ziel und deine Frist.',
+      'plan.meta': '{goal} · Frist {deadline} · {done} von {total} Tagen erledigt',
+      'plan.finished': 'abgeschlossen',
+      'plan.nothingToday': 'Heute ist nichts Neues geplant.',
+      'plan.testYourself': 'Teste dich selbst',
+      'plan.catchUp': 'Nachholen',
+      'plan.reviewFlashcards': 'Wiederhole deine Karteikarten',
+      'plan.schedule': 'Vollständiger Zeitplan',
+      'plan.delete': 'Plan löschen',
+      'plan.deleteTitle': 'Diesen Lernplan löschen',
+      'plan.done': 'Erledigt',
+      'plan.missed': '{topic} (verpasst)',
+      'plan.moveToday': 'Auf heute verschieben',
+      'plan.moveTodayTitle': 'Das stattdessen heute lernen',
+      'plan.updateFailed': 'Der Plan konnte nicht aktualisiert werden. Bitte versuche es erneut.',
+      'plan.deleteConfirm': 'Den Plan „{title}“ löschen?',
+      'plan.deleteFailed': 'Der Plan konnte nicht gelöscht werden. Bitte versuche es erneut.',
+      'notes.intro': 'Lade Vorlesungsnotizen hoch (.txt, .md oder .pdf), dann stützen sich die Antworten darauf und nennen Dokument und Abschnitt.',
+      'notes.empty': 'Noch keine Notizen hochgeladen.',
+      'notes.details': '{count} Abschnitte · {date}',
+      'notes.loadFailed': 'Deine Notizen konnten nicht geladen werden. Bitte versuche es erneut.',
+      'notes.uploading': '{name} wird hochgeladen und indexiert...',
+      'notes.uploadFailed': 'Das Dokument konnte nicht hochgeladen werden. Bitte versuche es erneut.',
+      'notes.deleteConfirm': '„{name}“ löschen? Antworten zitieren es dann nicht mehr.',
+      'notes.deleteFailed': 'Das Dokument konnte nicht gelöscht werden. Bitte versuche es erneut.',
+      'account.requestFailed': 'Anfrage fehlgeschlagen',
+      'account.loadFailed': 'Dein Konto konnte nicht geladen werden. Bitte lade die Seite neu.',
+      'account.guest': 'Du lernst als Gast. Erstelle ein Konto, um deinen Verlauf zu sichern und auf anderen Geräten zu nutzen.',
+      'account.signedIn': 'Angemeldet als {email}',
+      'account.createTitle': 'Konto erstellen',
+      'account.create': 'Konto erstellen',
+      'account.signInTitle': 'Anmelden',
+      'account.signIn': 'Anmelden',
+      'account.signInNote': 'Die Anmeldung ersetzt diese Gastsitzung.',
+      'account.signOut': 'Abmelden',
+      'account.signOutConfirm': 'Der Gastverlauf kann nach dem Abmelden nicht wiederhergestellt werden. Fortfahren?',
+      'account.email': 'E-Mail',
+      'account.password': 'Passwort (mind. 8 Zeichen)',
+      'devices.link': 'Geräte verknüpfen',
+      'devices.showCode': 'Code für ein anderes Gerät anzeigen',
+      'devices.codePlaceholder': 'Gib einen Code von deinem anderen Gerät ein',
+      'devices.linkThis': 'Dieses Gerät verknüpfen',
+      'devices.linkConfirm': 'Dieses Gerät wechselt zum Konto des anderen Geräts. Fortfahren?',
+      'devices.heading': 'Angemeldete Geräte',
+      'devices.current': '{name} (dieses Gerät)',
+      'devices.lastSeen': 'zuletzt aktiv am {date}',
+      'devices.signOut': 'Abmelden',
+      'search.title': 'Suchen',
+      'search.placeholder': 'z. B. Knotenteilung im B-Baum',
+      'search.modeTitle': 'Stichwörter finden die eingegebenen Wörter; Bedeutung findet auch Nachrichten mit anderen Wörtern',
+      'search.keywords': 'Stichwörter',
+      'search.meaning': 'Bedeutung',
+      'search.topic': 'Thema der Unterhaltung',
+      'search.from': 'Von',
+      'search.to': 'Bis',
+      'search.thisThread': 'Nur diese Unterhaltung',
+      'search.searching': 'Suche läuft...',
+      'search.failed': 'Die Suche ist fehlgeschlagen. Bitte versuche es erneut.',
+      'search.none': 'Keine passenden Nachrichten.',
+      'search.unindexed': '{count} ältere Nachricht(en) sind noch nicht für die Bedeutungssuche indexiert. Suche erneut, um mehr einzubeziehen.',
+      'search.notFound': 'Diese Nachricht wurde nicht gefunden. Vielleicht wurde sie gelöscht.',
+      'export.title': 'Exportieren / Teilen / Importieren',
+      'export.heading': 'Exportieren',
+      'export.allThreads': 'Alle Unterhaltungen, nicht nur diese',
+      'export.failed': 'Deine Unterhaltungen konnten nicht exportiert werden. Bitte versuche es erneut.',
+      'share.heading': 'Teilen',
+      'share.intro': 'Erstelle einen schreibgeschützten Link zu dieser Unterhaltung, den jeder ohne Anmeldung öffnen kann. Er zeigt die Unterhaltung im jetzigen Stand; spätere Nachrichten kommen nicht hinzu.',
+      'share.expiryTitle': 'Wie lange der Link geöffnet bleibt',
+      'share.forever': 'Bis ich ihn widerrufe',
+      'share.day1': 'Für 1 Tag',
+      'share.day7': 'Für 7 Tage',
+      'share.day30': 'Für 30 Tage',
+      'share.create': 'Link erstellen',
+      'share.created': 'Jeder mit diesem Link kann es lesen. Widerrufe ihn unter {export}.',
+      'share.createFailed': 'Der Link konnte nicht erstellt werden. Bitte versuche es erneut.',
+      'share.empty': 'Noch keine geteilten Links.',
+      'share.messageOne': '1 Nachricht',
+      'share.messageMany': '{count} Nachrichten',
+      'share.expired': 'abgelaufen',
+      'share.openUntil': 'geöffnet bis {date}',
+      'share.copy': 'Link kopieren',
+      'share.revoke': 'Widerrufen',
+      'share.loadFailed': 'Deine geteilten Links konnten nicht geladen werden. Bitte versuche es erneut.',
+      'share.revokeConfirm': 'Den Link zu „{title}“ widerrufen? Wer ihn hat, kann ihn dann nicht mehr öffnen.',
+      'share.revokeFailed': 'Der Link konnte nicht widerrufen werden. Bitte versuche es erneut.',
+      'import.heading': 'Importieren',
+      'import.intro': 'Stelle einen JSON-Export von einem anderen Gerät oder Konto wieder her. Seine Unterhaltungen kommen zu deinen bisherigen hinzu.',
+      'import.done': '{threads} Unterhaltung(en) mit {messages} Nachricht(en) importiert.',
+      'import.failed': 'Die Datei konnte nicht importiert werden. Bitte versuche es erneut.'
+    }
+  },
+
+  pt: {
+    name: 'Português',
+    english: 'Portuguese',
+    speech: 'pt-BR',
+    strings: {
+      'app.title': 'Assistente de estudos com IA',
+      'app.tagline': 'Faça perguntas sobre programação e conceitos de ciência da computação',
+      'app.language': 'Idioma',
+      'sidebar.search': 'Pesquisar conversas...',
+      'sidebar.newThread': '+ Nova conversa',
+      'sidebar.showArchived': 'Mostrar arquivadas',
+      'input.placeholder': 'Faça uma pergunta...',
+      'input.send': 'Enviar',
+      'input.stop': 'Parar',
+      'input.stopTitle': 'Parar de gerar',
+      'input.voiceTitle': 'Entrada de voz',
+      'features.clearHistory': 'Limpar histórico',
+      'features.export': 'Exportar / Compartilhar',
+      'features.threadFlashcards': 'Flashcards da conversa',
+      'features.reviewFlashcards': 'Revisar flashcards',
+      'features.quiz': 'Faça um quiz',
+      'features.quizScores': 'Resultados dos quizzes',
+      'features.progress': 'Progresso',
+      'features.today': 'Hoje',
+      'features.room': 'Sala de estudos',
+      'features.courses': 'Cursos',
+      'features.notes': 'Minhas anotações',
+      'features.account': 'Conta',
+      'chat.welcome': 'Bem-vindo! Sou seu assistente de estudos com IA. Pergunte-me qualquer coisa sobre programação e ciência da computação.',
+      'chat.newThread': 'Nova conversa iniciada. O que você gostaria de estudar?',
+      'chat.error': 'Erro: não foi possível obter uma resposta. Tente novamente.',
+      'chat.stopped': 'interrompido',
+      'chat.failed': '⚠ Nenhuma resposta foi salva para esta pergunta. Gere novamente para tentar outra vez.',
+      'chat.clearConfirm': 'Tem certeza de que deseja limpar todo o histórico da conversa?',
+      'chat.cleared': 'Histórico limpo. Como posso ajudar você hoje?',
+      'chat.clearFailed': 'Não foi possível limpar o histórico. Tente novamente.',
+      'chat.languageChanged': 'As respostas agora serão em {language}.',
+      'chat.languageFailed': 'Não foi possível salvar seu idioma. Tente novamente.',
+      'action.flashcards': '🃏 Flashcards',
+      'action.flashcardsTitle': 'Criar flashcards a partir desta resposta',
+      'action.edit': '✎ Editar',
+      'action.editTitle': 'Editar e reenviar esta pergunta',
+      'action.editPrompt': 'Edite sua pergunta',
+      'action.goodAnswer': 'Boa resposta',
+      'action.badAnswer': 'Resposta ruim',
+      'action.regenerate': '↻ Gerar novamente',
+      'action.regenerateTitle': 'Escrever uma nova resposta para esta pergunta',
+      'action.share': '🔗 Compartilhar',
+      'action.shareTitle': 'Criar um link somente leitura para esta pergunta e resposta',
+      'action.translate': '🌐 Traduzir',
+      'action.translateTitle': 'Traduzir esta resposta para o {language}',
+      'action.hideTranslation': '🌐 Ocultar tradução',
+      'action.translating': 'Traduzindo...',
+      'action.translation': 'Tradução ({language})',
+      'action.translateFailed': 'Não foi possível traduzir esta resposta. Tente novamente.',
+      'policy.hints': '💡 Isto parecia um trabalho avaliado, então você recebeu dicas em vez de uma solução pronta.',
+      'policy.refused': '🎓 Recusado pela política de integridade acadêmica.',
+      'policy.blocked': '⛔ Bloqueado pela política de conteúdo.',
+      'outbox.queued': '⏳ Aguardando conexão. Esta pergunta será enviada automaticamente.',
+      'outbox.one': '1 pergunta',
+      'outbox.many': '{count} perguntas',
+      'outbox.sending': '📤 Enviando {questions}...',
+      'outbox.waiting': '📤 {questions} aguardando envio',
+      'outbox.retry': 'clique para tentar de novo',
+      'outbox.offline': 'offline',
+      'outbox.retryTitle': 'Enviar agora as perguntas pendentes',
+      'outbox.failed': 'Não foi possível enviar uma pergunta pendente ({error}): {message}',
+      'voice.unsupported': 'Seu navegador não oferece suporte à entrada de voz.',
+      'voice.noSpeech': 'Nenhuma fala detectada. Tente novamente.',
+      'voice.error': 'Erro no reconhecimento de voz: {error}',
+      'voice.startFailed': 'Não foi possível iniciar o reconhecimento de voz. Tente novamente.',
+      'voice.micNeeded': 'É necessário acesso ao microfone para a entrada de voz.',
+      'voice.transcribing': 'Transcrevendo...',
+      'voice.transcribeFailed': 'Não foi possível transcrever sua gravação. Tente novamente.',
+      'auth.signInFailed': 'Erro: não foi possível fazer seu login. Recarregue a página.',
+      'common.close': 'Fechar',
+      'common.loading': 'Carregando...',
+      'common.delete': 'Excluir',
+      'common.leave': 'Sair',
+      'common.join': 'Entrar',
+      'common.copied': 'Copiado!',
+      'common.copyFailed': 'Falha ao copiar',
+      'common.you': 'Você',
+      'common.assistant': 'Assistente',
+      'common.retryIn': '{error} Tente novamente em {wait}.',
+      'wait.second': '1 segundo',
+      'wait.seconds': '{count} segundos',
+      'wait.minute': '1 minuto',
+      'wait.minutes': '{count} minutos',
+      'wait.hour': '1 hora',
+      'wait.hours': '{count} horas',
+      'usage.summary': '{requests}/{limit} solicitações disponíveis · {tokens} tokens restantes hoje',
+      'code.copy': 'Copiar',
+      'sources.label': 'Fontes:',
+      'sources.deleted': 'Documento excluído',
+      'action.previousVersion': 'Versão anterior',
+      'action.nextVersion': 'Próxima versão',
+      'action.helpfulPrompt': 'O que foi útil? (opcional)',
+      'action.unhelpfulPrompt': 'O que havia de errado nesta resposta? (opcional)',
+      'action.rateFailed': 'Não foi possível salvar sua avaliação. Tente novamente.',
+      'mode.title': 'Modo de tutoria desta conversa',
+      'mode.switched': 'Esta conversa agora usa o modo {mode}.',
+      'mode.failed': 'Não foi possível mudar o modo de tutoria. Tente novamente.',
+      'model.title': 'Modelo que responde',
+      'course.title': 'Curso de que trata esta conversa',
+      'course.intro': 'Entre na sua turma com o código do seu professor. As conversas que você associar a um curso recebem respostas baseadas no programa e no material de referência dele.',
+      'course.codePlaceholder': 'Código do curso',
+      'course.instructorLink': 'Dá aulas em um curso? Abra o painel do professor',
+      'course.loadFailed': 'Não foi possível carregar seus cursos. Tente novamente.',
+      'course.none': 'Nenhum curso',
+      'course.empty': 'Você ainda não entrou em nenhum curso.',
+      'course.instructor': 'Professor · código {code}',
+      'course.student': 'Aluno',
+      'course.manage': 'Gerenciar',
+      'course.joinFailed': 'Não foi possível entrar no curso',
+      'course.joined': 'Você entrou em {course}. Escolha-o no menu de cursos para associar uma conversa a ele.',
+      'course.leaveConfirm': 'Sair de {course}? As conversas sobre ele voltam para a tutoria geral.',
+      'course.leaveFailed': 'Não foi possível sair do curso. Tente novamente.',
+      'course.threadSet': 'As respostas desta conversa agora seguem {course}.',
+      'course.threadCleared': 'Esta conversa não está mais associada a um curso.',
+      'course.threadFailed': 'Não foi possível mudar o curso desta conversa. Tente novamente.',
+      'thread.rename': 'Renomear',
+      'thread.archive': 'Arquivar',
+      'thread.unarchive': 'Desarquivar',
+      'thread.createFailed': 'Não foi possível criar uma nova conversa. Tente novamente.',
+      'thread.renamePrompt': 'Renomear conversa',
+      'thread.renameFailed': 'Não foi possível renomear a conversa. Tente novamente.',
+      'thread.archiveFailed': 'Não foi possível arquivar a conversa. Tente novamente.',
+      'thread.deleteConfirm': 'Excluir "{title}" e todas as suas mensagens?',
+      'thread.deleteFailed': 'Não foi possível excluir a conversa. Tente novamente.',
+      'flashcards.createdOne': '1 flashcard criado. Abra "{review}" para estudá-lo.',
+      'flashcards.createdMany': '{count} flashcards criados. Abra "{review}" para estudá-los.',
+      'flashcards.createFailed': 'Erro: não foi possível criar os flashcards. Tente novamente.',
+      'flashcards.title': 'Revisão de flashcards',
+      'flashcards.none': 'Nenhum cartão pendente agora. Bom trabalho!',
+      'flashcards.dueOne': '1 cartão pendente',
+      'flashcards.dueMany': '{count} cartões pendentes',
+      'flashcards.showAnswer': 'Mostrar resposta',
+      'flashcards.again': 'De novo',
+      'flashcards.hard': 'Difícil',
+      'flashcards.good': 'Bom',
+      'flashcards.easy': 'Fácil',
+      'flashcards.reviewFailed': 'Não foi possível salvar sua revisão. Tente novamente.',
+      'quiz.title': 'Quiz',
+      'quiz.topicPrompt': 'Sobre qual tema deve ser o quiz? Deixe em branco para fazer um quiz sobre esta conversa.',
+      'quiz.writing': 'Preparando seu quiz...',
+      'quiz.generateFailed': 'Não foi possível gerar um quiz. Tente novamente.',
+      'quiz.answerPlaceholder': 'Sua resposta...',
+      'quiz.submit': 'Enviar respostas',
+      'quiz.grading': 'Corrigindo...',
+      'quiz.submitFailed': 'Não foi possível enviar o quiz. Tente novamente.',
+      'quiz.answer': 'Resposta:',
+      'quiz.score': 'Pontuação: {score} / {max}',
+      'quiz.none': 'Nenhum quiz feito ainda. Experimente "{quiz}"!',
+      'quiz.loadFailed': 'Não foi possível carregar os resultados dos quizzes. Tente novamente.',
+      'table.topic': 'Tema',
+      'table.questions': 'Perguntas',
+      'table.unsure': 'Com dúvidas',
+      'table.quizzes': 'Quizzes',
+      'table.average': 'Média',
+      'table.lastTaken': 'Último feito',
+      'table.lastStudied': 'Último estudo',
+      'progress.loadFailed': 'Não foi possível carregar seu progresso. Tente novamente.',
+      'progress.empty': 'Faça algumas perguntas ou um quiz e seu progresso aparecerá aqui.',
+      'progress.streak': '🔥 Sequência de {days} dias de estudo · a mais longa, {longest} dias',
+      'progress.noStreak': 'Nenhuma sequência de estudo no momento · a mais longa, {longest} dias',
+      'progress.lastDays': 'Últimos {count} dias',
+      'progress.dayTitle': '{date}: {questions} perguntas, {quizzes} quizzes',
+      'progress.legend': 'Azul: perguntas feitas · laranja: quizzes feitos',
+      'progress.revisit': 'Temas para revisar',
+      'progress.reasonQuizAverage': 'Média nos quizzes de {percent}%',
+      'progress.reasonUnsure': 'Com dúvidas em {confused} de {questions} perguntas',
+      'progress.reasonStale': 'Sem revisão há {days} dias',
+      'progress.topics': 'Temas',
+      'room.intro': 'Façam perguntas ao assistente juntos. Todos na sala veem as perguntas uns dos outros e as respostas assim que chegam.',
+      'room.namePlaceholder': 'Seu nome, como os outros o verão',
+      'room.codePlaceholder': 'Código da sala',
+      'room.newPlaceholder': 'Nova sala, ex.: Grupo de estudos de algoritmos',
+      'room.create': 'Criar sala',
+      'room.aiModeTitle': 'Quando o assistente responde (só o moderador pode mudar isso)',
+      'room.aiAuto': 'O assistente responde todas as perguntas',
+      'room.aiModerated': 'O assistente responde as perguntas escolhidas',
+      'room.aiOff': 'Assistente pausado',
+      'room.messagePlaceholder': 'Pergunte ao grupo...',
+      'room.nameNeeded': 'Digite seu nome primeiro, para que o grupo saiba quem está perguntando.',
+      'room.createFailed': 'Não foi possível criar a sala. Tente novamente.',
+      'room.notFound': 'Não existe sala com esse código.',
+      'room.joinFailed': 'Não foi possível entrar na sala. Tente novamente.',
+      'room.connecting': 'Conectando...',
+      'room.connected': 'Sala {code}',
+      'room.reconnecting': 'Reconectando...',
+      'room.typing': '{name} está digitando...',
+      'room.answering': 'O assistente está respondendo...',
+      'room.answerFailed': 'O assistente não conseguiu responder a isto.',
+      'room.answer': '🤖 Responder',
+      'room.answerTitle': 'Pedir ao assistente que responda esta pergunta',
+      'room.moderator': '{name} (moderador)',
+      'room.sendFailed': 'Não foi possível enviar sua mensagem. Tente novamente.',
+      'room.askFailed': 'Não foi possível perguntar ao assistente. Tente novamente.',
+      'room.settingFailed': 'Não foi possível alterar a configuração. Tente novamente.',
+      'plan.goalPlaceholder': 'ex.: Prova de estruturas de dados',
+      'plan.deadline': 'Prazo',
+      'plan.create': 'Criar um plano',
+      'plan.planning': 'Planejando...',
+      'plan.loadFailed': 'Não foi possível carregar seus planos de estudo. Tente novamente.',
+      'plan.createFailed': 'Não foi possível criar um plano de estudo. Tente novamente.',
+      'plan.empty': 'Nenhum plano de estudo ainda. Informe seu objetivo e prazo acima.',
+      'plan.meta': '{goal} · prazo {deadline} · {done} de {total} dias concluídos',
+      'plan.finished': 'concluído',
+      'plan.nothingToday': 'Nada novo programado para hoje.',
+      'plan.testYourself': 'Teste-se',
+      'plan.catchUp': 'Recuperar',
+      'plan.reviewFlashcards': 'Revise seus flashcards',
+      'plan.schedule': 'Cronograma completo',
+      'plan.delete': 'Excluir plano',
+      'plan.deleteTitle': 'Excluir este plano de estudo',
+      'plan.done': 'Concluído',
+      'plan.missed': '{topic} (perdido)',
+      'plan.moveToday': 'Mover para hoje',
+      'plan.moveTodayTitle': 'Estudar isto hoje',
+      'plan.updateFailed': 'Não foi possível atualizar o plano. Tente novamente.',
+      'plan.deleteConfirm': 'Excluir o plano "{title}"?',
+      'plan.deleteFailed': 'Não foi possível excluir o plano. Tente novamente.',
+      'notes.intro': 'Envie anotações de aula (.txt, .md ou .pdf) e as respostas vão se basear nelas, citando o documento e a seção.',
+      'notes.empty': 'Nenhuma anotação enviada ainda.',
+      'notes.details': '{count} seções · {date}',
+      'notes.loadFailed': 'Não foi possível carregar suas anotações. Tente novamente.',
+      'notes.uploading': 'Enviando e indexando {name}...',
+      'notes.uploadFailed': 'Não foi possível enviar esse documento. Tente novamente.',
+      'notes.deleteConfirm': 'Excluir "{name}"? As respostas deixarão de citá-lo.',
+      'notes.deleteFailed': 'Não foi possível excluir esse documento. Tente novamente.',
+      'account.requestFailed': 'A solicitação falhou',
+      'account.loadFailed': 'Não foi possível carregar sua conta. Recarregue a página.',
+      'account.guest': 'Você está estudando como convidado. Crie uma conta para guardar seu histórico e usá-lo em outros dispositivos.',
+      'account.signedIn': 'Conectado como {email}',
+      'account.createTitle': 'Criar conta',
+      'account.create': 'Criar conta',
+      'account.signInTitle': 'Entrar',
+      'account.signIn': 'Entrar',
+      'account.signInNote': 'Entrar substitui esta sessão de convidado.',
+      'account.signOut': 'Sair',
+      'account.signOutConfirm': 'O histórico de convidado não pode ser recuperado depois de sair. Continuar?',
+      'account.email': 'E-mail',
+      'account.password': 'Senha (8+ caracteres)',
+      'devices.link': 'Vincular dispositivos',
+      'devices.showCode': 'Mostrar um código para outro dispositivo',
+      'devices.codePlaceholder': 'Digite um código do seu outro dispositivo',
+      'devices.linkThis': 'Vincular este dispositivo',
+      'devices.linkConfirm': 'Este dispositivo passará a usar a conta do outro dispositivo. Continuar?',
+      'devices.heading': 'Dispositivos conectados',
+      'devices.current': '{name} (este dispositivo)',
+      'devices.lastSeen': 'visto pela última vez em {date}',
+      'devices.signOut': 'Desconectar',
+      'search.title': 'Pesquisar',
+      'search.placeholder': 'ex.: divisão de nós em árvore B',
+      'search.modeTitle': 'Palavras-chave busca as palavras digitadas; significado também encontra mensagens que usam outras palavras',
+      'search.keywords': 'Palavras-chave',
+      'search.meaning': 'Significado',
+      'search.topic': 'Tema da conversa',
+      'search.from': 'De',
+      'search.to': 'Até',
+      'search.thisThread': 'Só esta conversa',
+      'search.searching': 'Pesquisando...',
+      'search.failed': 'A pesquisa falhou. Tente novamente.',
+      'search.none': 'Nenhuma mensagem encontrada.',
+      'search.unindexed': '{count} mensagem(ns) antiga(s) ainda não estão indexadas para a pesquisa por significado. Pesquise de novo para incluir mais.',
+      'search.notFound': 'Não foi possível encontrar essa mensagem. Talvez tenha sido apagada.',
+      'export.title': 'Exportar / Compartilhar / Importar',
+      'export.heading': 'Exportar',
+      'export.allThreads': 'Todas as conversas, não só esta',
+      'export.failed': 'Não foi possível exportar suas conversas. Tente novamente.',
+      'share.heading': 'Compartilhar',
+      'share.intro': 'Crie um link somente leitura para esta conversa que qualquer pessoa pode abrir, sem precisar entrar. Ele mostra a conversa como está agora; mensagens posteriores não são adicionadas.',
+      'share.expiryTitle': 'Por quanto tempo o link fica aberto',
+      'share.forever': 'Até eu revogá-lo',
+      'share.day1': 'Por 1 dia',
+      'share.day7': 'Por 7 dias',
+      'share.day30': 'Por 30 dias',
+      'share.create': 'Criar link',
+      'share.created': 'Qualquer pessoa com este link pode lê-lo. Revogue-o em {export}.',
+      'share.createFailed': 'Não foi possível criar um link. Tente novamente.',
+      'share.empty': 'Nenhum link compartilhado ainda.',
+      'share.messageOne': '1 mensagem',
+      'share.messageMany': '{count} mensagens',
+      'share.expired': 'expirado',
+      'share.openUntil': 'aberto até {date}',
+      'share.copy': 'Copiar link',
+      'share.revoke': 'Revogar',
+      'share.loadFailed': 'Não foi possível carregar seus links compartilhados. Tente novamente.',
+      'share.revokeConfirm': 'Revogar o link para "{title}"? Quem o tiver não poderá mais abri-lo.',
+      'share.revokeFailed': 'Não foi possível revogar esse link. Tente novamente.',
+      'import.heading': 'Importar',
+      'import.intro': 'Restaure uma exportação JSON de outro dispositivo ou conta. As conversas dela são adicionadas às atuais.',
+      'import.done': '{threads} conversa(s) importada(s) com {messages} mensagem(ns).',
+      'import.failed': 'Não foi possível importar esse arquivo. Tente novamente.'
+    }
+  },
+
+  zh: {
+    name: '中文',
+    english: 'Chinese (Simplified)',
+    speech: 'zh-CN',
+    strings: {
+      'app.title': 'AI 学习助手',
+      'app.tagline': '提出有关编程和计算机科学概念的问题',
+      'app.language': '语言',
+      'sidebar.search': '搜索对话...',
+      'sidebar.newThread': '+ 新对话',
+      'sidebar.showArchived': '显示已归档',
+      'input.placeholder': '提个问题...',
+      'input.send': '发送',
+      'input.stop': '停止',
+      'input.stopTitle': '停止生成',
+      'input.voiceTitle': '语音输入',
+      'features.clearHistory': '清除历史',
+      'features.export': '导出 / 分享',
+      'features.threadFlashcards': '从对话生成抽认卡',
+      'features.reviewFlashcards': '复习抽认卡',
+      'features.quiz': '考考我',
+      'features.quizScores': '测验成绩',
+      'features.progress': '学习进度',
+      'features.today': '今天',
+      'features.room': '学习室',
+      'features.courses': '课程',
+      'features.notes': '我的笔记',
+      'features.account': '账户',
+      'chat.welcome': '欢迎！我是你的 AI 学习助手。关于编程和计算机科学，尽管问我。',
+      'chat.newThread': '已开始新对话。你想学习什么？',
+      'chat.error': '错误：无法获取回答。请重试。',
+      'chat.stopped': '已停止',
+      'chat.failed': '⚠ 这个问题没有保存任何回答。重新生成即可再试一次。',
+      'chat.clearConfirm': '确定要清除全部对话历史吗？',
+      'chat.cleared': '对话历史已清除。今天我能帮你什么？',
+      'chat.clearFailed': '无法清除历史。请重试。',
+      'chat.languageChanged': '今后的回答将使用{language}。',
+      'chat.languageFailed': '无法保存你的语言设置。请重试。',
+      'action.flashcards': '🃏 抽认卡',
+      'action.flashcardsTitle': '根据这个回答生成抽认卡',
+      'action.edit': '✎ 编辑',
+      'action.editTitle': '编辑并重新提交这个问题',
+      'action.editPrompt': '编辑你的问题',
+      'action.goodAnswer': '好回答',
+      'action.badAnswer': '差回答',
+      'action.regenerate': '↻ 重新生成',
+      'action.regenerateTitle': '为这个问题写一个新回答',
+      'action.share': '🔗 分享',
+      'action.shareTitle': '为这个问答创建只读链接',
+      'action.translate': '🌐 翻译',
+      'action.translateTitle': '将这个回答翻译成{language}',
+      'action.hideTranslation': '🌐 隐藏翻译',
+      'action.translating': '正在翻译...',
+      'action.translation': '译文（{language}）',
+      'action.translateFailed': '无法翻译这个回答。请重试。',
+      'policy.hints': '💡 这看起来像是计分作业，所以你得到的是提示而不是完整答案。',
+      'policy.refused': '🎓 根据学术诚信政策已拒绝。',
+      'policy.blocked': '⛔ 已被内容政策拦截。',
+      'outbox.queued': '⏳ 正在等待网络连接。这个问题将自动发送。',
+      'outbox.one': '1 个问题',
+      'outbox.many': '{count} 个问题',
+      'outbox.sending': '📤 正在发送 {questions}...',
+      'outbox.waiting': '📤 {questions}等待发送',
+      'outbox.retry': '点击重试',
+      'outbox.offline': '离线',
+      'outbox.retryTitle': '立即发送排队中的问题',
+      'outbox.failed': '一个排队的问题无法发送（{error}）：{message}',
+      'voice.unsupported': '你的浏览器不支持语音输入。',
+      'voice.noSpeech': '未检测到语音。请重试。',
+      'voice.error': '语音识别错误：{error}',
+      'voice.startFailed': '无法启动语音识别。请重试。',
+      'voice.micNeeded': '语音输入需要麦克风权限。',
+      'voice.transcribing': '正在转写...',
+      'voice.transcribeFailed': '无法转写你的录音。请重试。',
+      'auth.signInFailed': '错误：无法登录。请重新加载页面。',
+      'common.close': '关闭',
+      'common.loading': '加载中...',
+      'common.delete': '删除',
+      'common.leave': '离开',
+      'common.join': '加入',
+      'common.copied': '已复制！',
+      'common.copyFailed': '复制失败',
+      'common.you': '你',
+      'common.assistant': '助手',
+      'common.retryIn': '{error} 请在 {wait}后重试。',
+      'wait.second': '1 秒',
+      'wait.seconds': '{count} 秒',
+      'wait.minute': '1 分钟',
+      'wait.minutes': '{count} 分钟',
+      'wait.hour': '1 小时',
+      'wait.hours': '{count} 小时',
+      'usage.summary': '可用请求 {requests}/{limit} · 今天剩余 {tokens} 个令牌',
+      'code.copy': '复制',
+      'sources.label': '来源：',
+      'sources.deleted': '已删除的文档',
+      'action.previousVersion': '上一个版本',
+      'action.nextVersion': '下一个版本',
+      'action.helpfulPrompt': '哪些内容有帮助？（可选）',
+      'action.unhelpfulPrompt': '这个回答有什么问题？（可选）',
+      'action.rateFailed': '无法保存你的评价。请重试。',
+      'mode.title': '此对话的辅导模式',
+      'mode.switched': '此对话已切换到“{mode}”模式。',
+      'mode.failed': '无法更改辅导模式。请重试。',
+      'model.title': '回答所用的模型',
+      'course.title': '此对话所属的课程',
+      'course.intro': '使用老师提供的代码加入你的班级。设置为某门课程的对话会根据该课程的大纲和参考资料来回答。',
+      'course.codePlaceholder': '课程代码',
+      'course.instructorLink': '你在教课吗？打开教师面板',
+      'course.loadFailed': '无法加载你的课程。请重试。',
+      'course.none': '无课程',
+      'course.empty': '你还没有加入任何课程。',
+      'course.instructor': '教师 · 代码 {code}',
+      'course.student': '学生',
+      'course.manage': '管理',
+      'course.joinFailed': '无法加入课程',
+      'course.joined': '已加入 {course}。在课程菜单中选择它，即可让对话围绕该课程。',
+      'course.leaveConfirm': '离开 {course}？与其相关的对话将恢复为普通辅导。',
+      'course.leaveFailed': '无法离开课程。请重试。',
+      'course.threadSet': '此对话中的回答现在遵循 {course}。',
+      'course.threadCleared': '此对话已不再关联任何课程。',
+      'course.threadFailed': '无法更改此对话的课程。请重试。',
+      'thread.rename': '重命名',
+      'thread.archive': '归档',
+      'thread.unarchive': '取消归档',
+      'thread.createFailed': '无法创建新对话。请重试。',
+      'thread.renamePrompt': '重命名对话',
+      'thread.renameFailed': '无法重命名对话。请重试。',
+      'thread.archiveFailed': '无法归档对话。请重试。',
+      'thread.deleteConfirm': '删除“{title}”及其全部消息？',
+      'thread.deleteFailed': '无法删除对话。请重试。',
+      'flashcards.createdOne': '已创建 1 张抽认卡。打开“{review}”来学习。',
+      'flashcards.createdMany': '已创建 {count} 张抽认卡。打开“{review}”来学习。',
+      'flashcards.createFailed': '错误：无法创建抽认卡。请重试。',
+      'flashcards.title': '抽认卡复习',
+      'flashcards.none': '目前没有待复习的卡片。干得好！',
+      'flashcards.dueOne': '1 张卡片待复习',
+      'flashcards.dueMany': '{count} 张卡片待复习',
+      'flashcards.showAnswer': '显示答案',
+      'flashcards.again': '重来',
+      'flashcards.hard': '困难',
+      'flashcards.good': '良好',
+      'flashcards.easy': '简单',
+      'flashcards.reviewFailed': '无法保存你的复习结果。请重试。',
+      'quiz.title': '测验',
+      'quiz.topicPrompt': '测验应涵盖哪个主题？留空则根据此对话出题。',
+      'quiz.writing': '正在生成测验...',
+      'quiz.generateFailed': '无法生成测验。请重试。',
+      'quiz.answerPlaceholder': '你的答案...',
+      'quiz.submit': '提交答案',
+      'quiz.grading': '评分中...',
+      'quiz.submitFailed': '无法提交测验。请重试。',
+      'quiz.answer': '答案：',
+      'quiz.score': '得分：{score} / {max}',
+      'quiz.none': '还没有做过测验。试试“{quiz}”吧！',
+      'quiz.loadFailed': '无法加载测验成绩。请重试。',
+      'table.topic': '主题',
+      'table.questions': '提问',
+      'table.unsure': '不确定',
+      'table.quizzes': '测验',
+      'table.average': '平均',
+      'table.lastTaken': '最近一次',
+      'table.lastStudied': '最近学习',
+      'progress.loadFailed': '无法加载你的学习进度。请重试。',
+      'progress.empty': '提几个问题或做一次测验，你的进度就会显示在这里。',
+      'progress.streak': '🔥 连续学习 {days} 天 · 最长 {longest} 天',
+      'progress.noStreak': '目前没有连续学习 · 最长 {longest} 天',
+      'progress.lastDays': '最近 {count} 天',
+      'progress.dayTitle': '{date}：{questions} 个提问，{quizzes} 次测验',
+      'progress.legend': '蓝色：提出的问题 · 橙色：完成的测验',
+      'progress.revisit': '需要复习的主题',
+      'progress.reasonQuizAverage': '测验平均分 {percent}%',
+      'progress.reasonUnsure': '{questions} 个问题中有 {confused} 个不确定',
+      'progress.reasonStale': '已有 {days} 天未复习',
+      'progress.topics': '主题',
+      'room.intro': '一起向助手提问。房间里的每个人都能看到彼此的问题，以及陆续到来的回答。',
+      'room.namePlaceholder': '你的名字（其他人会看到）',
+      'room.codePlaceholder': '房间代码',
+      'room.newPlaceholder': '新房间，例如：算法学习小组',
+      'room.create': '创建房间',
+      'room.aiModeTitle': '助手何时回答（只有主持人可以更改）',
+      'room.aiAuto': '助手回答每个问题',
+      'room.aiModerated': '助手回答选定的问题',
+      'room.aiOff': '助手已暂停',
+      'room.messagePlaceholder': '向小组提问...',
+      'room.nameNeeded': '请先输入你的名字，让小组知道是谁在提问。',
+      'room.createFailed': '无法创建房间。请重试。',
+      'room.notFound': '没有使用该代码的房间。',
+      'room.joinFailed': '无法加入房间。请重试。',
+      'room.connecting': '连接中...',
+      'room.connected': '房间 {code}',
+      'room.reconnecting': '正在重新连接...',
+      'room.typing': '{name} 正在输入...',
+      'room.answering': '助手正在回答...',
+      'room.answerFailed': '助手无法回答这个问题。',
+      'room.answer': '🤖 回答',
+      'room.answerTitle': '让助手回答这个问题',
+      'room.moderator': '{name}（主持人）',
+      'room.sendFailed': '无法发送你的消息。请重试。',
+      'room.askFailed': '无法向助手提问。请重试。',
+      'room.settingFailed': '无法更改设置。请重试。',
+      'plan.goalPlaceholder': '例如：数据结构考试',
+      'plan.deadline': '截止日期',
+      'plan.create': '制定计划',
+      'plan.planning': '规划中...',
+      'plan.loadFailed': '无法加载你的学习计划。请重试。',
+      'plan.createFailed': '无法制定学习计划。请重试。',
+      'plan.empty': '还没有学习计划。请在上方告诉我你的目标和截止日期。',
+      'plan.meta': '{goal} · 截止 {deadline} · 已完成 {done}/{total} 天',
+      'plan.finished': '已完成',
+      'plan.nothingToday': '今天没有新的安排。',
+      'plan.testYourself': '自我测试',
+      'plan.catchUp': '补上进度',
+      'plan.reviewFlashcards': '复习你的抽认卡',
+      'plan.schedule': '完整日程',
+      'plan.delete': '删除计划',
+      'plan.deleteTitle': '删除此学习计划',
+      'plan.done': '已完成',
+      'plan.missed': '{topic}（已错过）',
+      'plan.moveToday': '移到今天',
+      'plan.moveTodayTitle': '改为今天学习',
+      'plan.updateFailed': '无法更新计划。请重试。',
+      'plan.deleteConfirm': '删除计划“{title}”？',
+      'plan.deleteFailed': '无法删除计划。请重试。',
+      'notes.intro': '上传课堂笔记（.txt、.md 或 .pdf），回答将引用其中的内容，并注明文档和章节。',
+      'notes.empty': '还没有上传笔记。',
+      'notes.details': '{count} 个章节 · {date}',
+      'notes.loadFailed': '无法加载你的笔记。请重试。',
+      'notes.uploading': '正在上传并索引 {name}...',
+      'notes.uploadFailed': '无法上传该文档。请重试。',
+      'notes.deleteConfirm': '删除“{name}”？回答将不再引用它。',
+      'notes.deleteFailed': '无法删除该文档。请重试。',
+      'account.requestFailed': '请求失败',
+      'account.loadFailed': '无法加载你的账户。请重新加载页面。',
+      'account.guest': '你正在以访客身份学习。创建账户即可安全保存历史记录，并在其他设备上使用。',
+      'account.signedIn': '已登录：{email}',
+      'account.createTitle': '创建账户',
+      'account.create': '创建账户',
+      'account.signInTitle': '登录',
+      'account.signIn': '登录',
+      'account.signInNote': '登录将替换当前的访客会话。',
+      'account.signOut': '退出登录',
+      'account.signOutConfirm': '退出登录后将无法恢复访客历史记录。是否继续？',
+      'account.email': '电子邮箱',
+      'account.password': '密码（至少 8 个字符）',
+      'devices.link': '关联设备',
+      'devices.showCode': '显示用于其他设备的代码',
+      'devices.codePlaceholder': '输入你另一台设备上的代码',
+      'devices.linkThis': '关联此设备',
+      'devices.linkConfirm': '此设备将切换到另一台设备的账户。是否继续？',
+      'devices.heading': '已登录的设备',
+      'devices.current': '{name}（此设备）',
+      'devices.lastSeen': '上次活动 {date}',
+      'devices.signOut': '退出登录',
+      'search.title': '搜索',
+      'search.placeholder': '例如：B 树节点分裂',
+      'search.modeTitle': '关键词匹配你输入的字词；语义还能找到使用其他说法的消息',
+      'search.keywords': '关键词',
+      'search.meaning': '语义',
+      'search.topic': '对话主题',
+      'search.from': '从',
+      'search.to': '到',
+      'search.thisThread': '仅此对话',
+      'search.searching': '搜索中...',
+      'search.failed': '搜索失败。请重试。',
+      'search.none': '没有匹配的消息。',
+      'search.unindexed': '还有 {count} 条较早的消息尚未建立语义搜索索引。再次搜索可包含更多消息。',
+      'search.notFound': '找不到该消息。它可能已被清除。',
+      'export.title': '导出 / 分享 / 导入',
+      'export.heading': '导出',
+      'export.allThreads': '所有对话，而不只是这一个',
+      'export.failed': '无法导出你的对话。请重试。',
+      'share.heading': '分享',
+      'share.intro': '为此对话创建一个只读链接，任何人无需登录即可打开。链接显示对话的当前内容，之后的消息不会加入。',
+      'share.expiryTitle': '链接的有效期',
+      'share.forever': '直到我撤销',
+      'share.day1': '1 天',
+      'share.day7': '7 天',
+      'share.day30': '30 天',
+      'share.create': '创建链接',
+      'share.created': '任何拥有此链接的人都可以阅读。可在“{export}”中撤销。',
+      'share.createFailed': '无法创建链接。请重试。',
+      'share.empty': '还没有分享的链接。',
+      'share.messageOne': '1 条消息',
+      'share.messageMany': '{count} 条消息',
+      'share.expired': '已过期',
+      'share.openUntil': '有效期至 {date}',
+      'share.copy': '复制链接',
+      'share.revoke': '撤销',
+      'share.loadFailed': '无法加载你分享的链接。请重试。',
+      'share.revokeConfirm': '撤销“{title}”的链接？拥有该链接的人将无法再打开它。',
+      'share.revokeFailed': '无法撤销该链接。请重试。',
+      'import.heading': '导入',
+      'import.intro': '恢复来自其他设备或账户的 JSON 导出。其中的对话会添加到你现有的对话旁。',
+      'import.done': '已导入 {threads} 个对话，共 {messages} 条消息。',
+      'import.failed': '无法导入该文件。请重试。'
+    }
+  }
+};
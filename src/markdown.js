@@ -0,0 +1,914 @@
+// src/markdown.js
+// Markdown renderer for chat messages, flashcards and quizzes: CommonMark
+// blocks and inlines, reference links included, plus the GFM table,
+// strikethrough and bare-URL extensions, with fenced code blocks syntax
+// highlighted.
+//
+// Output is safe to assign to innerHTML. Raw HTML in the source is never
+// passed through: every piece of text is escaped, link targets are limited
+// to http(s), mailto and relative URLs, and images are rendered as plain
+// links so that model output cannot make the browser fetch arbitrary URLs.
+//
+// Everything lives inside createMarkdownRenderer because the page script
+// embeds this function's source (see getJavaScriptContent), so it must not
+// reference anything outside itself.
+export function createMarkdownRenderer() {
+  const TAB_WIDTH = 4;
+  const SAFE_SCHEMES = ['http', 'https', 'mailto'];
+  const PUNCTUATION = /[!-/:-@[-`{-~\p{P}\p{S}]/u;
+  const WHITESPACE = /\s/;
+
+  const FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+  const ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+  const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+  const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const BLOCKQUOTE = /^ {0,3}> ?/;
+  const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+  const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+  const ENTITY = /^&(?:#\d{1,7}|#[xX][\da-fA-F]{1,6}|[a-zA-Z][a-zA-Z\d]{1,31});/;
+  const AUTOLINK = /^<([a-zA-Z][a-zA-Z\d+.-]{1,31}:[^\s<>]*|[\w.!#$%&'*+/=?^`{|}~-]+@[a-zA-Z\d](?:[a-zA-Z\d-]*[a-zA-Z\d])?(?:\.[a-zA-Z\d](?:[a-zA-Z\d-]*[a-zA-Z\d])?)*)>/;
+  const BARE_URL = /^(?:https?:\/\/|www\.)[^\s<]+/i;
+  const LINK_LABEL = /^\[((?:[^\\[\]]|\\.){0,999})\]/;
+  const LINK_DEFINITION = /^ {0,3}\[((?:[^\\[\]]|\\.){0,999})\]:[ \t]*(<[^<>\n]*>|[^\s<]\S*)(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/;
+  const WORD = /[A-Za-z_$][\w$]*/y;
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // Returns the URL if it is allowed as a link target, otherwise null
+  function safeUrl(url) {
+    // Browsers ignore control characters and whitespace when reading the scheme
+    const compact = url.replace(/[\u0000-\u0020\u007f]/g, '');
+    const scheme = /^([a-zA-Z][a-zA-Z\d+.-]*):/.exec(compact);
+    if (scheme && !SAFE_SCHEMES.includes(scheme[1].toLowerCase())) return null;
+    return url;
+  }
+
+  function linkHtml(url, labelHtml, title) {
+    const href = safeUrl(url);
+    if (href === null) return labelHtml;
+    return '<a href="' + escapeHtml(href) + '"' +
+      (title ? ' title="' + escapeHtml(title) + '"' : '') +
+      ' target="_blank" rel="noopener noreferrer">' + labelHtml + '</a>';
+  }
+
+  // ---- Syntax highlighting ----
+
+  const C_COMMENTS = [['comment', /\/\/[^\n]*/y], ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y]];
+  const HASH_COMMENTS = [['comment', /#[^\n]*/y]];
+  const QUOTED_STRINGS = [['string', /"(?:\\.|[^"\\\n])*"?/y], ['string', /'(?:\\.|[^'\\\n])*'?/y]];
+  const NUMBERS = [['number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*/y]];
+
+  function words(list) {
+    return new Set(list.split(' '));
+  }
+
+  const LANGUAGES = {
+    javascript: {
+      rules: [...C_COMMENTS, ['string', /`(?:\\[\s\S]|[^`\\])*`?/y], ...QUOTED_STRINGS, ...NUMBERS],
+      keywords: words('async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield interface type enum implements private protected public readonly abstract declare namespace keyof as'),
+      literals: words('true false null undefined NaN Infinity')
+    },
+    python: {
+      rules: [...HASH_COMMENTS, ['string', /[rRbBfFuU]{0,2}"""[\s\S]*?(?:"""|$)/y], ['string', /[rRbBfFuU]{0,2}'''[\s\S]*?(?:'''|$)/y],
+        ['string', /[rRbBfFuU]{0,2}"(?:\\.|[^"\\\n])*"?/y], ['string', /[rRbBfFuU]{0,2}'(?:\\.|[^'\\\n])*'?/y], ...NUMBERS],
+      keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case self'),
+      literals: words('True False None')
+    },
+    c: {
+      rules: [['comment', /#[ \t]*[a-z]+[^\n]*/y], ...C_COMMENTS, ...QUOTED_STRINGS, ...NUMBERS],
+      keywords: words('auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while class namespace template typename public private protected virtual override new delete this using try catch throw bool auto constexpr nullptr_t std'),
+      literals: words('true false NULL nullptr')
+    },
+    java: {
+      rules: [...C_COMMENTS, ...QUOTED_STRINGS, ...NUMBERS, ['keyword', /@\w+/y]],
+      keywords: words('abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public return short static super switch synchronized this throw throws try var void volatile while record sealed permits yield string using namespace override virtual readonly async await get set fun val when object companion data'),
+      literals: words('true false null')
+    },
+    go: {
+      rules: [...C_COMMENTS, ['string', /`[^`]*`?/y], ...QUOTED_STRINGS, ...NUMBERS],
+      keywords: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var'),
+      literals: words('true false nil iota')
+    },
+    rust: {
+      rules: [...C_COMMENTS, ['string', /"(?:\\.|[^"\\])*"?/y], ['string', /'(?:\\.|[^'\\\n])'/y], ...NUMBERS, ['keyword', /[a-z_]\w*!(?!=)/y]],
+      keywords: words('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while'),
+      literals: words('true false None Some Ok Err')
+    },
+    ruby: {
+      rules: [...HASH_COMMENTS, ...QUOTED_STRINGS, ['string', /:\w+/y], ...NUMBERS],
+      keywords: words('alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require attr_accessor puts'),
+      literals: words('true false nil')
+    },
+    php: {
+      rules: [...C_COMMENTS, ...HASH_COMMENTS, ...QUOTED_STRINGS, ...NUMBERS, ['variable', /\$\w+/y]],
+      keywords: words('abstract and array as break case catch class const continue default do echo else elseif extends final finally fn for foreach function global if implements include interface namespace new or private protected public require return static switch throw trait try use var while yield'),
+      literals: words('true false null TRUE FALSE NULL')
+    },
+    sql: {
+      rules: [['comment', /--[^\n]*/y], ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y], ['string', /'(?:''|[^'])*'?/y], ...NUMBERS],
+      keywords: words('select from where and or not insert into values update set delete create table drop alter add primary key foreign references join inner left right outer full on group by order having limit offset as distinct union all index view in is like between exists case when then else end count sum avg min max default unique check'),
+      literals: words('null true false'),
+      caseInsensitive: true
+    },
+    bash: {
+      rules: [...HASH_COMMENTS, ['string', /"(?:\\.|[^"\\])*"?/y], ['string', /'[^']*'?/y], ['variable', /\$(?:\{[^}\n]*\}|\w+|[@#?$!*-])/y], ...NUMBERS],
+      keywords: words('if then else elif fi for while until do done case esac in function return exit export local readonly echo cd ls sudo source alias set unset'),
+      literals: words('true false')
+    },
+    json: {
+      rules: [['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y], ['string', /"(?:\\.|[^"\\\n])*"?/y], ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y]],
+      keywords: words(''),
+      literals: words('true false null')
+    },
+    css: {
+      rules: [['comment', /\/\*[\s\S]*?(?:\*\/|$)/y], ...QUOTED_STRINGS, ['property', /[a-z-]+(?=\s*:)/y], ['number', /#[\da-fA-F]{3,8}\b/y], ['number', /-?\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg)?/y]],
+      keywords: words('important media import keyframes from to'),
+      literals: words('')
+    },
+    markup: {
+      rules: [['comment', /<!--[\s\S]*?(?:-->|$)/y], ['keyword', /<\/?[a-zA-Z][\w:-]*|\/?>/y], ['string', /"[^"]*"?|'[^']*'?/y], ['property', /[a-zA-Z_:][\w:.-]*(?==)/y]],
+      keywords: words(''),
+      literals: words('')
+    }
+  };
+
+  const LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', ts: 'javascript', tsx: 'javascript', typescript: 'javascript',
+    py: 'python', python3: 'python',
+    cpp: 'c', 'c++': 'c', cc: 'c', h: 'c', hpp: 'c', 'objective-c': 'c',
+    cs: 'java', csharp: 'java', 'c#': 'java', kotlin: 'java', kt: 'java', scala: 'java', swift: 'java', dart: 'java',
+    golang: 'go', rs: 'rust', rb: 'ruby',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    postgresql: 'sql', mysql: 'sql', sqlite: 'sql',
+    html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup',
+    scss: 'css', less: 'css'
+  };
+
+  // Returns highlighted, escaped HTML for code in the given language, or just
+  // the escaped code when the language is not recognized
+  function highlight(code, language) {
+    const name = String(language || '').toLowerCase();
+    const grammar = LANGUAGES[LANGUAGE_ALIASES[name] || name];
+    if (!grammar) return escapeHtml(code);
+
+    let html = '';
+    let plain = '';
+    let pos = 0;
+    const flush = () => {
+      html += escapeHtml(plain);
+      plain = '';
+    };
+    const token = (type, text) => {
+      flush();
+      html += '<span class="tok-' + type + '">' + escapeHtml(text) + '</span>';
+    };
+
+    scan: while (pos < code.length) {
+      for (const [type, pattern] of grammar.rules) {
+        pattern.lastIndex = pos;
+        const match = pattern.exec(code);
+        if (match && match[0].length > 0) {
+          token(type, match[0]);
+          pos += match[0].length;
+          continue scan;
+        }
+      }
+
+      // Whole words at a time, so keywords never match inside identifiers
+      WORD.lastIndex = pos;
+      const match = WORD.exec(code);
+      if (match) {
+        const key = grammar.caseInsensitive ? match[0].toLowerCase() : match[0];
+        if (grammar.keywords.has(key)) {
+          token('keyword', match[0]);
+        } else if (grammar.literals.has(key)) {
+          token('literal', match[0]);
+        } else if (code[pos + match[0].length] === '(') {
+          token('function', match[0]);
+        } else {
+          plain += match[0];
+        }
+        pos += match[0].length;
+        continue;
+      }
+
+      plain += code[pos];
+      pos += 1;
+    }
+
+    flush();
+    return html;
+  }
+
+  // ---- Inlines ----
+
+  function isPunctuation(char) {
+    return char !== undefined && PUNCTUATION.test(char);
+  }
+
+  function isWhitespace(char) {
+    return char === undefined || WHITESPACE.test(char);
+  }
+
+  // Finds the code span starting at a run of backticks, per CommonMark: it
+  // ends at the next run of exactly the same length
+  function matchCodeSpan(text, pos) {
+    let open = pos;
+    while (text[open] === '`') open++;
+    const length = open - pos;
+
+    let search = open;
+    while (search < text.length) {
+      const start = text.indexOf('`', search);
+      if (start === -1) return null;
+      let end = start;
+      while (text[end] === '`') end++;
+      if (end - start === length) {
+        let content = text.slice(open, start).replace(/\n/g, ' ');
+        if (/^ [\s\S]*[^ ][\s\S]* $/.test(content)) content = content.slice(1, -1);
+        return { html: '<code>' + escapeHtml(content) + '</code>', end };
+      }
+      search = end;
+    }
+    return null;
+  }
+
+  // Parses a link starting at an opening bracket: `[label](destination "title")`,
+  // or else a reference link, `[label][ref]`, `[label][]` or `[label]`, to
+  // one of `references`
+  function matchLink(text, pos, references) {
+    let depth = 0;
+    let close = -1;
+    for (let i = pos; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text[i] === '`') {
+        const span = matchCodeSpan(text, i);
+        if (span) i = span.end - 1;
+      } else if (text[i] === '[') {
+        depth++;
+      } else if (text[i] === ']') {
+        depth--;
+        if (depth === 0) {
+          close = i;
+          break;
+        }
+      }
+    }
+    if (close === -1) return null;
+    return (text[close + 1] === '(' && matchDestination(text, pos, close)) || matchReference(text, pos, close, references);
+  }
+
+  // The `(destination "title")` after the label that ends at `close`
+  function matchDestination(text, pos, close) {
+    let i = close + 2;
+    while (text[i] === ' ' || text[i] === '\t' || text[i] === '\n') i++;
+
+    let destination = '';
+    if (text[i] === '<') {
+      const end = text.indexOf('>', i);
+      if (end === -1 || text.slice(i, end).includes('\n')) return null;
+      destination = text.slice(i + 1, end);
+      i = end + 1;
+    } else {
+      let parens = 0;
+      const start = i;
+      while (i < text.length && !/[\s\u0000-\u001f]/.test(text[i])) {
+        if (text[i] === '\\' && isPunctuation(text[i + 1])) {
+          i += 2;
+          continue;
+        }
+        if (text[i] === '(') parens++;
+        if (text[i] === ')') {
+          if (parens === 0) break;
+          parens--;
+        }
+        i++;
+      }
+      destination = text.slice(start, i);
+    }
+
+    let title = '';
+    const afterDestination = i;
+    while (text[i] === ' ' || text[i] === '\t' || text[i] === '\n') i++;
+    const quote = { '"': '"', "'": "'", '(': ')' }[text[i]];
+    if (quote && i > afterDestination) {
+      let end = i + 1;
+      while (end < text.length && text[end] !== quote) {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (end >= text.length) return null;
+      title = text.slice(i + 1, end);
+      i = end + 1;
+      while (text[i] === ' ' || text[i] === '\t' || text[i] === '\n') i++;
+    }
+    if (text[i] !== ')') return null;
+
+    return {
+      label: text.slice(pos + 1, close),
+      destination: unescapeLinkText(destination),
+      title: unescapeLinkText(title),
+      end: i + 1
+    };
+  }
+
+  // Looks up the reference after the label that ends at `close`: the next
+  // bracketed label, or the link text itself when that is empty or missing
+  function matchReference(text, pos, close, references) {
+    if (!references) return null;
+
+    let name = text.slice(pos + 1, close);
+    let end = close + 1;
+    const ref = LINK_LABEL.exec(text.slice(end));
+    if (ref) {
+      if (ref[1].trim()) name = ref[1];
+      end += ref[0].length;
+    }
+
+    const reference = references.get(normalizeLabel(name));
+    if (!reference) return null;
+    return { label: text.slice(pos + 1, close), destination: reference.destination, title: reference.title, end };
+  }
+
+  // Reference labels match case-insensitively, with runs of whitespace alike
+  function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  function unescapeBackslashes(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+  }
+
+  // Destinations and titles lose their backslash escapes, and character
+  // references in them are decoded, as a browser would decode them in an
+  // attribute: so the scheme is checked as the browser will read it (the
+  // result is escaped again when written out). Named references other than
+  // these few are left as text.
+  const NAMED_REFERENCES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', Tab: '\t', NewLine: '\n' };
+
+  function unescapeLinkText(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])|&(?:#(\d{1,7})|#[xX]([\da-fA-F]{1,6})|([a-zA-Z][a-zA-Z\d]{1,31}));/g, (match, escaped, decimal, hex, name) => {
+      if (escaped) return escaped;
+      if (name) return Object.prototype.hasOwnProperty.call(NAMED_REFERENCES, name) ? NAMED_REFERENCES[name] : match;
+      const code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+      return code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? '\ufffd' : String.fromCodePoint(code);
+    });
+  }
+
+  // GFM extended autolinks: trailing punctuation and unbalanced closing
+  // parentheses are left out of the link
+  function matchBareUrl(text, pos) {
+    const previous = text[pos - 1];
+    if (previous !== undefined && !/[\s*_~(]/.test(previous)) return null;
+
+    const match = BARE_URL.exec(text.slice(pos));
+    if (!match) return null;
+
+    let url = match[0];
+    for (;;) {
+      if (/[?!.,:*_~'"]$/.test(url)) {
+        url = url.slice(0, -1);
+      } else if (url.endsWith(')') && (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length) {
+        url = url.slice(0, -1);
+      } else {
+        break;
+      }
+    }
+    if (/^www\.$/i.test(url) || /^https?:\/\/$/i.test(url)) return null;
+
+    const href = /^www\./i.test(url) ? 'http://' + url : url;
+    return { html: linkHtml(href, escapeHtml(url)), end: pos + url.length };
+  }
+
+  function renderInline(text, options) {
+    const nodes = [];
+    let plain = '';
+    const pushText = value => {
+      plain += value;
+    };
+    const flush = () => {
+      if (plain) nodes.push({ type: 'text', value: plain });
+      plain = '';
+    };
+    const pushHtml = value => {
+      flush();
+      nodes.push({ type: 'html', value });
+    };
+
+    let pos = 0;
+    while (pos < text.length) {
+      const char = text[pos];
+
+      if (char === '\\') {
+        const next = text[pos + 1];
+        if (next === '\n') {
+          pushHtml('<br>');
+          pos += 2;
+        } else if (isPunctuation(next) && /[!-/:-@[-`{-~]/.test(next)) {
+          pushHtml(escapeHtml(next));
+          pos += 2;
+        } else {
+          pushText(char);
+          pos += 1;
+        }
+      } else if (char === '`') {
+        const span = matchCodeSpan(text, pos);
+        if (span) {
+          pushHtml(span.html);
+          pos = span.end;
+        } else {
+          let end = pos;
+          while (text[end] === '`') end++;
+          pushText(text.slice(pos, end));
+          pos = end;
+        }
+      } else if (char === '[' || (char === '!' && text[pos + 1] === '[')) {
+        const isImage = char === '!';
+        const link = matchLink(text, isImage ? pos + 1 : pos, options.references);
+        if (link) {
+          // Images become links so rendering never loads remote content
+          const label = renderInline(link.label, options) || escapeHtml(link.destination);
+          pushHtml(linkHtml(link.destination, isImage ? '🖼 ' + label : label, link.title));
+          pos = link.end;
+        } else {
+          pushText(char);
+          pos += 1;
+        }
+      } else if (char === '<') {
+        const match = AUTOLINK.exec(text.slice(pos));
+        if (match) {
+          const target = match[1];
+          const href = target.includes(':') ? target : 'mailto:' + target;
+          pushHtml(linkHtml(href, escapeHtml(target)));
+          pos += match[0].length;
+        } else {
+          pushText(char);
+          pos += 1;
+        }
+      } else if (char === '&') {
+        // Character references are passed through; they can only ever
+        // produce a single character
+        const match = ENTITY.exec(text.slice(pos));
+        if (match) {
+          pushHtml(match[0]);
+          pos += match[0].length;
+        } else {
+          pushText(char);
+          pos += 1;
+        }
+      } else if (char === '*' || char === '_' || char === '~') {
+        let end = pos;
+        while (text[end] === char) end++;
+        const before = text[pos - 1];
+        const after = text[end];
+        const leftFlanking = !isWhitespace(after) &&
+          (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+        const rightFlanking = !isWhitespace(before) &&
+          (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+
+        flush();
+        nodes.push({
+          type: 'delimiter',
+          char,
+          length: end - pos,
+          originalLength: end - pos,
+          // Intraword underscores (snake_case) never open or close emphasis
+          canOpen: char === '_' ? leftFlanking && (!rightFlanking || isPunctuation(before)) : leftFlanking,
+          canClose: char === '_' ? rightFlanking && (!leftFlanking || isPunctuation(after)) : rightFlanking,
+          active: true
+        });
+        pos = end;
+      } else if (char === '\n') {
+        const hardBreak = / {2,}$/.test(plain);
+        plain = plain.replace(/ +$/, '');
+        pushHtml(hardBreak || options.breaks ? '<br>\n' : '\n');
+        pos += 1;
+        while (text[pos] === ' ') pos++;
+      } else if ((char === 'h' || char === 'w' || char === 'H' || char === 'W') && matchBareUrl(text, pos)) {
+        const url = matchBareUrl(text, pos);
+        pushHtml(url.html);
+        pos = url.end;
+      } else {
+        pushText(char);
+        pos += 1;
+      }
+    }
+    flush();
+
+    processEmphasis(nodes);
+
+    return nodes.map(node => {
+      if (node.type === 'text') return escapeHtml(node.value);
+      if (node.type === 'delimiter') return node.char.repeat(node.length);
+      return node.value;
+    }).join('');
+  }
+
+  // The CommonMark "process emphasis" procedure: pairs delimiter runs into
+  // <em>/<strong> (and GFM ~~ into <del>), innermost first
+  function processEmphasis(nodes) {
+    for (let c = 0; c < nodes.length; c++) {
+      const closer = nodes[c];
+      if (closer.type !== 'delimiter' || !closer.canClose || !closer.active) continue;
+
+      while (closer.length > 0) {
+        let o = c - 1;
+        let opener = null;
+        for (; o >= 0; o--) {
+          const node = nodes[o];
+          if (node.type !== 'delimiter' || !node.active || node.length === 0 ||
+              node.char !== closer.char || !node.canOpen) continue;
+          if (closer.char === '~' && (node.length !== 2 || closer.length !== 2)) continue;
+          // Rule of three: a run that can both open and close only pairs up
+          // when the combined length is not a multiple of three
+          if ((node.canClose || closer.canOpen) &&
+              (node.originalLength + closer.originalLength) % 3 === 0 &&
+              !(node.originalLength % 3 === 0 && closer.originalLength % 3 === 0)) continue;
+          opener = node;
+          break;
+        }
+        if (!opener) break;
+
+        const strong = closer.char !== '~' && opener.length >= 2 && closer.length >= 2;
+        const used = closer.char === '~' ? 2 : strong ? 2 : 1;
+        const tag = closer.char === '~' ? 'del' : strong ? 'strong' : 'em';
+
+        // Delimiters between the pair can no longer match anything
+        for (let i = o + 1; i < c; i++) {
+          if (nodes[i].type === 'delimiter') nodes[i].active = false;
+        }
+
+        opener.length -= used;
+        closer.length -= used;
+        nodes.splice(c, 0, { type: 'html', value: '</' + tag + '>' });
+        nodes.splice(o + 1, 0, { type: 'html', value: '<' + tag + '>' });
+        c += 2;
+      }
+    }
+  }
+
+  // ---- Blocks ----
+
+  function expandTabs(line) {
+    if (!line.includes('\t')) return line;
+    let result = '';
+    for (const char of line) {
+      if (char === '\t') {
+        result += ' '.repeat(TAB_WIDTH - (result.length % TAB_WIDTH));
+      } else {
+        result += char;
+      }
+    }
+    return result;
+  }
+
+  function indentOf(line) {
+    return line.length - line.trimStart().length;
+  }
+
+  function isBlank(line) {
+    return line.trim() === '';
+  }
+
+  function stripIndent(line, count) {
+    let i = 0;
+    while (i < count && line[i] === ' ') i++;
+    return line.slice(i);
+  }
+
+  function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+    for (let i = 0; i < row.length; i++) {
+      if (row[i] === '\\' && row[i + 1] === '|') {
+        cell += '|';
+        i++;
+      } else if (row[i] === '`') {
+        inCode = !inCode;
+        cell += '`';
+      } else if (row[i] === '|' && !inCode) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += row[i];
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  function isTableStart(lines, i) {
+    if (i + 1 >= lines.length || !lines[i].includes('|') || !TABLE_DELIMITER.test(lines[i + 1])) return false;
+    return splitTableRow(lines[i]).length === splitTableRow(lines[i + 1]).length;
+  }
+
+  // Whether a line starts a block that interrupts a paragraph
+  function interruptsParagraph(line) {
+    if (FENCE.test(line) || ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE.test(line)) return true;
+    const item = LIST_ITEM.exec(line);
+    if (!item || isBlank(line.slice(item[0].length))) return false;
+    return !/^\d/.test(item[2]) || parseInt(item[2], 10) === 1;
+  }
+
+  function closingFence(marker) {
+    return new RegExp('^ {0,3}' + (marker[0] === '`' ? '`' : '~') + '{' + marker.length + ',}[ \\t]*$');
+  }
+
+  // Link reference definitions apply to the whole document, wherever they
+  // are, so they are collected before any block is rendered and their lines
+  // dropped. A definition has to fit on one line, outside fenced code and
+  // blockquotes, and cannot continue a paragraph; the first one for a
+  // label wins.
+  function collectReferences(lines) {
+    const references = new Map();
+    const kept = [];
+    let closing = null;
+    let inParagraph = false;
+
+    for (const line of lines) {
+      if (closing) {
+        if (closing.test(line)) closing = null;
+        kept.push(line);
+        continue;
+      }
+
+      const definition = !inParagraph && LINK_DEFINITION.exec(line);
+      if (definition && definition[1].trim()) {
+        const [, label, destination, title] = definition;
+        if (!references.has(normalizeLabel(label))) {
+          references.set(normalizeLabel(label), {
+            destination: unescapeLinkText(destination.replace(/^<(.*)>$/, '$1')),
+            title: title ? unescapeLinkText(title.slice(1, -1)) : ''
+          });
+        }
+        continue;
+      }
+
+      const fence = FENCE.exec(line);
+      if (fence) closing = closingFence(fence[2]);
+      // Indented code does not start a paragraph, but an indented line may continue one
+      inParagraph = !fence && !isBlank(line) && !ATX_HEADING.test(line) && !THEMATIC_BREAK.test(line) &&
+        (inParagraph || indentOf(line) < 4);
+      kept.push(line);
+    }
+
+    return { lines: kept, references };
+  }
+
+  function codeBlockHtml(code, language, options) {
+    const lang = /^[\w#+.-]{1,32}$/.test(language) ? language : '';
+    return '<div class="code-block">' +
+      '<div class="code-header"><span>' + escapeHtml(lang || 'code') + '</span>' +
+      (options.copyButtons ? '<button type="button" class="copy-code">' + escapeHtml(options.copyLabel) + '</button>' : '') + '</div>' +
+      '<pre><code' + (lang ? ' class="language-' + escapeHtml(lang.toLowerCase()) + '"' : '') + '>' +
+      highlight(code, lang) + '</code></pre></div>';
+  }
+
+  // Renders a run of lines as blocks. `tight` is set for the content of
+  // tight list items, whose paragraphs are not wrapped in <p>.
+  function renderBlocks(lines, options, tight) {
+    let html = '';
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (isBlank(line)) {
+        i++;
+        continue;
+      }
+
+      const fence = FENCE.exec(line);
+      if (fence) {
+        const [, indent, marker, language] = fence;
+        const closing = closingFence(marker);
+        const code = [];
+        i++;
+        while (i < lines.length) {
+          if (closing.test(lines[i])) {
+            i++;
+            break;
+          }
+          code.push(stripIndent(lines[i], indent.length));
+          i++;
+        }
+        html += codeBlockHtml(code.join('\n'), unescapeBackslashes(language), options);
+        continue;
+      }
+
+      const heading = ATX_HEADING.exec(line);
+      if (heading) {
+        const level = heading[1].length;
+        const content = heading[2].trim().replace(/(?:^|[ \t]+)#+$/, '').trim();
+        html += '<h' + level + '>' + renderInline(content, options) + '</h' + level + '>';
+        i++;
+        continue;
+      }
+
+      if (THEMATIC_BREAK.test(line)) {
+        html += '<hr>';
+        i++;
+        continue;
+      }
+
+      if (indentOf(line) >= 4) {
+        const code = [];
+        while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+          code.push(stripIndent(lines[i], 4));
+          i++;
+        }
+        while (code.length > 0 && isBlank(code[code.length - 1])) code.pop();
+        html += codeBlockHtml(code.join('\n'), '', options);
+        continue;
+      }
+
+      if (BLOCKQUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && !isBlank(lines[i])) {
+          if (BLOCKQUOTE.test(lines[i])) {
+            quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+          } else if (!interruptsParagraph(lines[i])) {
+            // Lazy continuation of a quoted paragraph
+            quoted.push(lines[i]);
+          } else {
+            break;
+          }
+          i++;
+        }
+        html += '<blockquote>' + renderBlocks(quoted, options, false) + '</blockquote>';
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        const list = renderList(lines, i, options);
+        html += list.html;
+        i = list.end;
+        continue;
+      }
+
+      if (isTableStart(lines, i)) {
+        const table = renderTable(lines, i, options);
+        html += table.html;
+        i = table.end;
+        continue;
+      }
+
+      // Paragraph, possibly turned into a heading by a setext underline
+      const paragraph = [line.trim()];
+      i++;
+      let setextLevel = 0;
+      while (i < lines.length && !isBlank(lines[i])) {
+        const underline = SETEXT_UNDERLINE.exec(lines[i]);
+        if (underline) {
+          setextLevel = underline[1][0] === '=' ? 1 : 2;
+          i++;
+          break;
+        }
+        if (interruptsParagraph(lines[i]) || isTableStart(lines, i)) break;
+        paragraph.push(lines[i].trimStart());
+        i++;
+      }
+
+      const content = renderInline(paragraph.join('\n').replace(/[ \t]+$/, ''), options);
+      if (setextLevel) {
+        html += '<h' + setextLevel + '>' + content + '</h' + setextLevel + '>';
+      } else {
+        html += tight ? content : '<p>' + content + '</p>';
+      }
+    }
+
+    return html;
+  }
+
+  function renderList(lines, start, options) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const ordered = /^\d/.test(first[2]);
+    const delimiter = first[2].slice(-1);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const item = LIST_ITEM.exec(lines[i]);
+      if (!item || /^\d/.test(item[2]) !== ordered || item[2].slice(-1) !== delimiter || THEMATIC_BREAK.test(lines[i])) break;
+
+      // Content starts after the marker and up to four spaces; with more,
+      // the marker is followed by one space and an indented code block
+      const spacing = item[3].length;
+      const contentIndent = item[1].length + item[2].length + (spacing >= 1 && spacing <= 4 && !isBlank(lines[i].slice(item[0].length)) ? spacing : 1);
+      const content = [lines[i].slice(Math.min(contentIndent, lines[i].length))];
+      i++;
+
+      let sawBlank = false;
+      while (i < lines.length) {
+        const next = lines[i];
+        if (isBlank(next)) {
+          content.push('');
+          sawBlank = true;
+          i++;
+          continue;
+        }
+        if (indentOf(next) >= contentIndent) {
+          content.push(stripIndent(next, contentIndent));
+        } else if (!sawBlank && !LIST_ITEM.test(next) && !interruptsParagraph(next) && !isBlank(content[content.length - 1])) {
+          // Lazy continuation of the item's paragraph
+          content.push(next.trimStart());
+        } else {
+          break;
+        }
+        if (sawBlank) {
+          // A blank line between two blocks of the same item
+          loose = true;
+        }
+        sawBlank = false;
+        i++;
+      }
+
+      while (content.length > 0 && isBlank(content[content.length - 1])) content.pop();
+      items.push({ content, number: parseInt(item[2], 10) });
+
+      if (sawBlank) {
+        const next = LIST_ITEM.exec(lines[i] || '');
+        if (next && /^\d/.test(next[2]) === ordered && next[2].slice(-1) === delimiter) {
+          // A blank line between items
+          loose = true;
+        } else {
+          break;
+        }
+      }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && items[0].number !== 1 ? ' start="' + items[0].number + '"' : '';
+    const html = '<' + tag + startAttr + '>' +
+      items.map(item => '<li>' + renderBlocks(item.content, options, !loose) + '</li>').join('') +
+      '</' + tag + '>';
+
+    // Leave trailing blank lines for the caller
+    let end = i;
+    while (end > start && isBlank(lines[end - 1])) end--;
+    return { html, end: Math.max(end, start + 1) };
+  }
+
+  function renderTable(lines, start, options) {
+    const header = splitTableRow(lines[start]);
+    const alignments = splitTableRow(lines[start + 1]).map(cell => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+    });
+    const cellHtml = (tag, cells) => '<tr>' + header.map((_, index) => {
+      const align = alignments[index] ? ' style="text-align: ' + alignments[index] + '"' : '';
+      return '<' + tag + align + '>' + renderInline(cells[index] || '', options) + '</' + tag + '>';
+    }).join('') + '</tr>';
+
+    let html = '<div class="table-wrapper"><table><thead>' + cellHtml('th', header) + '</thead>';
+    let i = start + 2;
+    const rows = [];
+    while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+      rows.push(cellHtml('td', splitTableRow(lines[i])));
+      i++;
+    }
+    if (rows.length > 0) html += '<tbody>' + rows.join('') + '</tbody>';
+    html += '</table></div>';
+
+    return { html, end: i };
+  }
+
+  // Renders a Markdown document to sanitized HTML. Options:
+  //   breaks       single newlines inside a paragraph become <br> as in chat
+  //                apps, instead of the CommonMark soft break
+  //   copyButtons  code blocks get a "Copy" button (default true); the page
+  //                handles clicks on .copy-code
+  //   copyLabel    text of that button (default "Copy")
+  function render(source, options = {}) {
+    const { lines, references } = collectReferences(
+      String(source || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '\uFFFD').split('\n').map(expandTabs)
+    );
+    return renderBlocks(lines, {
+      breaks: Boolean(options.breaks),
+      copyButtons: options.copyButtons !== false,
+      copyLabel: options.copyLabel || 'Copy',
+      references
+    }, false);
+  }
+
+  // Renders a single line of inline Markdown (no paragraphs or other blocks)
+  function renderLine(source, options = {}) {
+    return renderInline(String(source || '').replace(/\r\n?/g, '\n').trim(), { breaks: Boolean(options.breaks) });
+  }
+
+  return { render, renderInline: renderLine, highlight, escapeHtml };
+}
@@ -0,0 +1,66 @@
+// src/notifiers.js
+// Delivery of study plan reminders, picked by the NOTIFIER var:
+//
+//   webhook  POSTs each reminder as JSON to NOTIFY_WEBHOOK_URL. With the
+//            NOTIFY_WEBHOOK_SECRET secret set, the body is signed with
+//            HMAC-SHA256 in an `X-Signature: sha256=<hex>` header.
+//   console  Logs reminders instead of sending them, for `wrangler dev`.
+//   (unset)  No delivery; reminders only show in the Today panel.
+//
+// A notifier is an object with `async notify(reminder)` that throws when
+// the reminder was not delivered, so the caller can try again later. Add a
+// channel by adding a factory to NOTIFIERS.
+
+const NOTIFIERS = {
+  webhook: createWebhookNotifier,
+  console: createConsoleNotifier
+};
+
+// The configured notifier, or null when reminders are not delivered
+export function createNotifier(env) {
+  const factory = NOTIFIERS[env.NOTIFIER];
+  if (!factory) {
+    if (env.NOTIFIER) console.error(`Unknown NOTIFIER "${env.NOTIFIER}"`);
+    return null;
+  }
+  return factory(env);
+}
+
+function createWebhookNotifier(env) {
+  if (!env.NOTIFY_WEBHOOK_URL) {
+    console.error('NOTIFIER is webhook but NOTIFY_WEBHOOK_URL is not set');
+    return null;
+  }
+
+  return {
+    async notify(reminder) {
+      const body = JSON.stringify(reminder);
+      const headers = { 'Content-Type': 'application/json' };
+      if (env.NOTIFY_WEBHOOK_SECRET) {
+        headers['X-Signature'] = `sha256=${await hmacHex(env.NOTIFY_WEBHOOK_SECRET, body)}`;
+      }
+
+      const response = await fetch(env.NOTIFY_WEBHOOK_URL, { method: 'POST', headers, body });
+      if (!response.ok) {
+        throw new Error(`Webhook answered ${response.status}`);
+      }
+    }
+  };
+}
+
+function createConsoleNotifier() {
+  return {
+    async notify(reminder) {
+      console.log('Study reminder:', JSON.stringify(reminder));
+    }
+  };
+}
+
+async function hmacHex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
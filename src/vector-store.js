@@ -0,0 +1,58 @@
+// src/vector-store.js
+// Nearest-neighbour search over document chunk embeddings kept in SQLite.
+// A brute-force cosine scan is plenty for one student's notes or one
+// course's material; a Vectorize-backed class with the same methods can
+// replace it if needed.
+//
+// Expects the Durable Object to have a document_chunks table:
+//   document_id TEXT, ordinal INTEGER, section TEXT, content TEXT,
+//   embedding TEXT (a JSON array)
+export class SqlVectorStore {
+  constructor(sql) {
+    this.sql = sql;
+  }
+
+  add(documentId, chunks) {
+    chunks.forEach((chunk, ordinal) => {
+      this.sql.exec(
+        'INSERT INTO document_chunks (document_id, ordinal, section, content, embedding) VALUES (?, ?, ?, ?, ?)',
+        documentId, ordinal, chunk.section || null, chunk.content, JSON.stringify(chunk.embedding)
+      );
+    });
+  }
+
+  deleteDocument(documentId) {
+    this.sql.exec('DELETE FROM document_chunks WHERE document_id = ?', documentId);
+  }
+
+  query(vector, limit, minScore) {
+    const queryNorm = norm(vector);
+    const scored = [];
+
+    for (const row of this.sql.exec('SELECT document_id, ordinal, section, content, embedding FROM document_chunks')) {
+      const embedding = JSON.parse(row.embedding);
+      const score = dot(vector, embedding) / (queryNorm * norm(embedding) || 1);
+      if (score >= minScore) {
+        scored.push({
+          documentId: row.document_id,
+          ordinal: row.ordinal,
+          section: row.section,
+          content: row.content,
+          score
+        });
+      }
+    }
+
+    return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+export function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+export function norm(vector) {
+  return Math.sqrt(dot(vector, vector));
+}
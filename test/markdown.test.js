@@ -0,0 +1,193 @@
+// test/markdown.test.js
+// Exact-output corpus for the chat markdown renderer. The renderer's output
+// goes straight into innerHTML, so the XSS cases pin down that nothing the
+// model writes can reach the page as markup or as a script URL.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMarkdownRenderer } from '../src/markdown.js';
+
+const md = createMarkdownRenderer();
+
+function link(href, label, title) {
+  return `<a href="${href}"${title ? ` title="${title}"` : ''} target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+function codeBlock(label, code, language) {
+  return '<div class="code-block"><div class="code-header">' +
+    `<span>${label}</span><button type="button" class="copy-code">Copy</button></div>` +
+    `<pre><code${language ? ` class="language-${language}"` : ''}>${code}</code></pre></div>`;
+}
+
+function check(cases) {
+  for (const [source, expected] of cases) {
+    assert.equal(md.render(source), expected, JSON.stringify(source));
+  }
+}
+
+test('lists nest and keep their start number', () => {
+  check([
+    ['- a\n  - b\n    1. c\n- d', '<ul><li>a<ul><li>b<ol><li>c</li></ol></li></ul></li><li>d</li></ul>'],
+    ['3. three\n4. four', '<ol start="3"><li>three</li><li>four</li></ol>'],
+    ['1) one\n2) two', '<ol><li>one</li><li>two</li></ol>'],
+  ]);
+});
+
+test('setext and ATX headings', () => {
+  check([
+    ['Title\n=====\n\nSub\n---', '<h1>Title</h1><h2>Sub</h2>'],
+    ['# One\n\n### Three ###\n\n#nope', '<h1>One</h1><h3>Three</h3><p>#nope</p>'],
+  ]);
+});
+
+test('tables align columns and keep escaped pipes in cells', () => {
+  check([
+    [
+      '| Left | Center | Right |\n|:-----|:------:|------:|\n| a \\| b | `c` | 1 |',
+      '<div class="table-wrapper"><table><thead><tr>' +
+        '<th style="text-align: left">Left</th><th style="text-align: center">Center</th><th style="text-align: right">Right</th>' +
+        '</tr></thead><tbody><tr>' +
+        '<td style="text-align: left">a | b</td><td style="text-align: center"><code>c</code></td><td style="text-align: right">1</td>' +
+        '</tr></tbody></table></div>',
+    ],
+  ]);
+});
+
+test('underscores inside words are not emphasis', () => {
+  check([
+    [
+      'snake_case_name and _real emphasis_ and __strong__ and *star*',
+      '<p>snake_case_name and <em>real emphasis</em> and <strong>strong</strong> and <em>star</em></p>',
+    ],
+  ]);
+});
+
+test('fenced code is highlighted', () => {
+  check([
+    [
+      '```js\nconst x = "s"; // note\n```',
+      codeBlock('js', '<span class="tok-keyword">const</span> x = <span class="tok-string">&quot;s&quot;</span>; <span class="tok-comment">// note</span>', 'js'),
+    ],
+    [
+      '```python\ndef f(): return 1 # c\n```',
+      codeBlock('python', '<span class="tok-keyword">def</span> <span class="tok-function">f</span>(): <span class="tok-keyword">return</span> <span class="tok-number">1</span> <span class="tok-comment"># c</span>', 'python'),
+    ],
+  ]);
+  assert.equal(
+    md.render('```js\nx\n```', { copyButtons: false }),
+    '<div class="code-block"><div class="code-header"><span>js</span></div><pre><code class="language-js">x</code></pre></div>'
+  );
+  assert.equal(
+    md.render('```\nx\n```', { copyLabel: 'Copiar <código>' }),
+    '<div class="code-block"><div class="code-header"><span>code</span>' +
+      '<button type="button" class="copy-code">Copiar &lt;código&gt;</button></div><pre><code>x</code></pre></div>'
+  );
+  assert.equal(md.highlight('let a = 1;', 'js'), '<span class="tok-keyword">let</span> a = <span class="tok-number">1</span>;');
+});
+
+test('raw HTML is escaped', () => {
+  check([
+    ['<script>alert(1)</script>', '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>'],
+    ['`<b>`', '<p><code>&lt;b&gt;</code></p>'],
+  ]);
+  assert.equal(md.renderInline('**a** <i>'), '<strong>a</strong> &lt;i&gt;');
+});
+
+test('script URLs render as the bare label', () => {
+  check([
+    ['[x](javascript:alert(1))', '<p>x</p>'],
+    ['[x](JaVaScRiPt:alert(1))', '<p>x</p>'],
+    ['[x](vbscript:msgbox(1))', '<p>x</p>'],
+    ['[x](javascript:alert(1) "t")', '<p>x</p>'],
+    ['[x](<javascript:alert(1)>)', '<p>x</p>'],
+    ['<javascript:alert(1)>', '<p>javascript:alert(1)</p>'],
+    ['<JAVASCRIPT:alert(1)>', '<p>JAVASCRIPT:alert(1)</p>'],
+  ]);
+});
+
+test('script URLs hidden behind entities, escapes and control characters are blocked', () => {
+  check([
+    ['[x](&#106;avascript:alert(1))', '<p>x</p>'],
+    ['[x](&#x6A;avascript:alert(1))', '<p>x</p>'],
+    ['[x](javascript&#58;alert(1))', '<p>x</p>'],
+    ['[x](javascript&colon;alert(1))', '<p>x</p>'],
+    ['[x](java&Tab;script:alert(1))', '<p>x</p>'],
+    ['[x](java&#9;script:alert(1))', '<p>x</p>'],
+    ['[x](java&#10;script:alert(1))', '<p>x</p>'],
+    ['[x](&#1;javascript:alert(1))', '<p>x</p>'],
+    ['[x](&#32;javascript:alert(1))', '<p>x</p>'],
+    ['[x](javascript\\:alert(1))', '<p>x</p>'],
+    // A leading backslash or U+FFFD leaves no scheme, so these are relative paths
+    ['[x](\\javascript:alert(1))', `<p>${link('\\javascript:alert(1)', 'x')}</p>`],
+    ['[x](&#0;javascript:alert(1))', `<p>${link('\ufffdjavascript:alert(1)', 'x')}</p>`],
+    ['[x](\u0001javascript:alert(1))', '<p>[x](\u0001javascript:alert(1))</p>'],
+    ['<java\u0001script:alert(1)>', '<p>&lt;java\u0001script:alert(1)&gt;</p>'],
+  ]);
+});
+
+test('data URIs are not linked', () => {
+  check([
+    ['[x](data:text/html,<script>alert(1)</script>)', '<p>x</p>'],
+    ['![x](data:image/png;base64,AAAA)', '<p>🖼 x</p>'],
+    ['<data:text/html,alert(1)>', '<p>data:text/html,alert(1)</p>'],
+  ]);
+});
+
+test('link destinations and titles cannot break out of their attribute', () => {
+  check([
+    ['[x](https://a.com/"onmouseover="alert(1))', `<p>${link('https://a.com/&quot;onmouseover=&quot;alert(1)', 'x')}</p>`],
+    ['[x](https://a.com "t\\" onmouseover=\\"alert(1)")', `<p>${link('https://a.com', 'x', 't&quot; onmouseover=&quot;alert(1)')}</p>`],
+    ["[x](https://a.com 'it\\'s')", `<p>${link('https://a.com', 'x', 'it&#039;s')}</p>`],
+    ['[x](https://a.com?a=1&amp;b=2 "T&amp;C")', `<p>${link('https://a.com?a=1&amp;b=2', 'x', 'T&amp;C')}</p>`],
+  ]);
+});
+
+test('reference links resolve to definitions anywhere in the document', () => {
+  check([
+    ['[x][a]\n\n[a]: https://a.com "T"', `<p>${link('https://a.com', 'x', 'T')}</p>`],
+    ['[A][]\n\n[a]: /x', `<p>${link('/x', 'A')}</p>`],
+    ['[Foo Bar]\n\n[foo   bar]: <https://a.com/my page>', `<p>${link('https://a.com/my page', 'Foo Bar')}</p>`],
+    ['[a]: /x\n\ntext', '<p>text</p>'],
+    ['[a]\n\n[a]: /first\n[a]: /second', `<p>${link('/first', 'a')}</p>`],
+    ['![alt][i]\n\n[i]: https://x.dev/y.png', `<p>${link('https://x.dev/y.png', '🖼 alt')}</p>`],
+    ['[foo][bar][baz]\n\n[baz]: /url1\n[foo]: /url2', `<p>[foo]${link('/url1', 'bar')}</p>`],
+    ['[x][nope]', '<p>[x][nope]</p>'],
+    // Not definitions: inside fenced code, or continuing a paragraph
+    ['```\n[a]: /x\n```\n\n[a]', codeBlock('code', '[a]: /x') + '<p>[a]</p>'],
+    ['text\n[a]: /x\n\n[a]', '<p>text\n[a]: /x</p><p>[a]</p>'],
+  ]);
+});
+
+test('reference definitions get the same URL and title checks as inline links', () => {
+  check([
+    ['[x][a]\n\n[a]: javascript:alert(1)', '<p>x</p>'],
+    ['[a]\n\n[a]: <javascript:alert(1)>', '<p>a</p>'],
+    ['[a]\n\n[a]: &#106;avascript:alert(1)', '<p>a</p>'],
+    ['[a]\n\n[a]: javascript&colon;alert(1)', '<p>a</p>'],
+    ['[a]\n\n[a]: data:text/html,x', '<p>a</p>'],
+    ['[a]\n\n[a]: /x "t\\" onmouseover=\\"alert(1)"', `<p>${link('/x', 'a', 't&quot; onmouseover=&quot;alert(1)')}</p>`],
+    ['[<b>]\n\n[<b>]: /x', `<p>${link('/x', '&lt;b&gt;')}</p>`],
+  ]);
+});
+
+test('fence info strings cannot break out of the class attribute', () => {
+  check([
+    ['```" onmouseover="alert(1)\ncode\n```', codeBlock('code', 'code')],
+    ["```js' onload='x\ny\n```", codeBlock('code', 'y')],
+    ['```js<script>\nx\n```', codeBlock('code', 'x')],
+  ]);
+});
+
+test('safe links and autolinks', () => {
+  check([
+    ['[x](/rel/path)', `<p>${link('/rel/path', 'x')}</p>`],
+    ['[x](#frag)', `<p>${link('#frag', 'x')}</p>`],
+    ['[a](mailto:a@b.co)', `<p>${link('mailto:a@b.co', 'a')}</p>`],
+    ['![alt](https://x.dev/y.png)', `<p>${link('https://x.dev/y.png', '🖼 alt')}</p>`],
+    ['<https://example.com/a?b=1&c=2>', `<p>${link('https://example.com/a?b=1&amp;c=2', 'https://example.com/a?b=1&amp;c=2')}</p>`],
+    ['<me@example.com>', `<p>${link('mailto:me@example.com', 'me@example.com')}</p>`],
+    [
+      'see https://example.com/x. and www.example.org',
+      `<p>see ${link('https://example.com/x', 'https://example.com/x')}. and ${link('http://www.example.org', 'www.example.org')}</p>`,
+    ],
+  ]);
+});
@@ -0,0 +1,158 @@
+// test/voice.test.js
+// POST /api/voice against a stub env.AI that records what it was asked to
+// transcribe and answers with a canned Whisper result.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleVoiceRequest } from '../src/index.js';
+
+const MB = 1024 * 1024;
+
+// A mono 16-bit PCM clip of the given length, header and all
+function wav(seconds, rate = 8000) {
+  const dataSize = Math.round(seconds * rate) * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (position, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(position + i, text.charCodeAt(i));
+  };
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, rate, true);
+  view.setUint32(28, rate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+  return new Uint8Array(view.buffer);
+}
+
+const WEBM = new Uint8Array([0x1a, 0x45, 0xdf, 0xa3, 0, 0, 0, 0]);
+const OGG = new TextEncoder().encode('OggS\0\0\0\0');
+const MP3 = new TextEncoder().encode('ID3\x04\0\0\0\0');
+
+function stubEnv(result = { text: ' hello there ', segments: [] }) {
+  const calls = [];
+  return {
+    calls,
+    AI: {
+      async run(model, input) {
+        calls.push({ model, input });
+        return result;
+      }
+    }
+  };
+}
+
+function post(body, headers = {}) {
+  return new Request('https://example.com/api/voice', { method: 'POST', body, headers });
+}
+
+// A body streamed in chunks, as a chunked upload arrives without a Content-Length
+function streamedPost(chunks, headers = {}) {
+  let pulled = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (pulled < chunks.length) controller.enqueue(chunks[pulled++]);
+      else controller.close();
+    }
+  });
+  const request = new Request('https://example.com/api/voice', { method: 'POST', body, headers, duplex: 'half' });
+  return { request, pulled: () => pulled };
+}
+
+async function call(request, env) {
+  const response = await handleVoiceRequest(request, env, {});
+  return { status: response.status, data: await response.json() };
+}
+
+test('wav clips are timed from their header', async () => {
+  const env = stubEnv();
+  const ok = await call(post(wav(2)), env);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.data.duration, 2);
+  assert.equal(env.calls.length, 1);
+
+  // A declared duration cannot talk a long wav under the limit
+  const long = await call(post(wav(61), { 'X-Audio-Duration': '5' }), env);
+  assert.equal(long.status, 413);
+  assert.equal(env.calls.length, 1);
+
+  const truncated = await call(post(wav(1).subarray(0, 36)), env);
+  assert.equal(truncated.status, 400);
+
+  // Cut off inside the fmt chunk, before its byte rate
+  const truncatedHeader = await call(post(wav(1).subarray(0, 30)), env);
+  assert.equal(truncatedHeader.status, 400);
+  assert.equal(env.calls.length, 1);
+});
+
+test('formats are sniffed from the bytes, not the Content-Type', async () => {
+  const env = stubEnv();
+  assert.equal((await call(post(WEBM, { 'Content-Type': 'audio/wav', 'X-Audio-Duration': '3' }), env)).status, 200);
+  assert.equal((await call(post(OGG, { 'Content-Type': 'audio/webm', 'X-Audio-Duration': '3' }), env)).status, 200);
+  assert.equal((await call(post(wav(1), { 'Content-Type': 'audio/ogg' }), env)).status, 200);
+  assert.equal((await call(post(MP3, { 'Content-Type': 'audio/webm', 'X-Audio-Duration': '3' }), env)).status, 415);
+  assert.equal(env.calls.length, 3);
+});
+
+test('webm and ogg clips need a finite declared duration', async () => {
+  const env = stubEnv();
+  for (const headers of [{}, { 'X-Audio-Duration': 'abc' }, { 'X-Audio-Duration': 'Infinity' }, { 'X-Audio-Duration': '-1' }]) {
+    assert.equal((await call(post(WEBM, headers), env)).status, 400, JSON.stringify(headers));
+    assert.equal((await call(post(OGG, headers), env)).status, 400, JSON.stringify(headers));
+  }
+  assert.equal((await call(post(OGG, { 'X-Audio-Duration': '61' }), env)).status, 413);
+
+  const form = new FormData();
+  form.append('audio', new Blob([WEBM]), 'clip.webm');
+  form.append('duration', '4.5');
+  const fromForm = await call(post(form), env);
+  assert.equal(fromForm.status, 200);
+  assert.equal(fromForm.data.duration, 4.5);
+  assert.equal(env.calls.length, 1);
+});
+
+test('bodies without a Content-Length stop being read past the cap', async () => {
+  const env = stubEnv();
+  const chunks = Array.from({ length: 8 }, (_, i) => (i === 0 ? wav(1) : new Uint8Array(MB)));
+  const upload = streamedPost(chunks);
+  const { status } = await call(upload.request, env);
+  assert.equal(status, 413);
+  assert.ok(upload.pulled() < chunks.length);
+  assert.equal(env.calls.length, 0);
+
+  const small = streamedPost([WEBM.subarray(0, 4), WEBM.subarray(4)], { 'X-Audio-Duration': '2' });
+  assert.equal((await call(small.request, env)).status, 200);
+});
+
+test('segments are trimmed and mapped to start, end and text', async () => {
+  const env = stubEnv({
+    text: ' Binary search halves the range. ',
+    transcription_info: { duration: 3.2 },
+    segments: [
+      { start: 0, end: 1.5, text: ' Binary search ', avg_logprob: -0.2 },
+      { start: 1.5, end: 3.2, text: 'halves the range. ', words: [] }
+    ]
+  });
+  const { status, data } = await call(post(wav(3), { 'X-Audio-Language': 'es' }), env);
+  assert.equal(status, 200);
+  assert.deepEqual(data, {
+    text: 'Binary search halves the range.',
+    duration: 3.2,
+    segments: [
+      { start: 0, end: 1.5, text: 'Binary search' },
+      { start: 1.5, end: 3.2, text: 'halves the range.' }
+    ]
+  });
+  assert.equal(env.calls[0].input.language, 'es');
+  assert.equal(typeof env.calls[0].input.audio, 'string');
+});
+
+test('transcripts longer than the limit are rejected after decoding', async () => {
+  const env = stubEnv({ text: 'long', transcription_info: { duration: 75 }, segments: [] });
+  assert.equal((await call(post(WEBM, { 'X-Audio-Duration': '10' }), env)).status, 413);
+});